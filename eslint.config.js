@@ -29,4 +29,11 @@ export default defineConfig([
       "no-unused-vars": ["error", { varsIgnorePattern: "^[A-Z_]" }],
     },
   },
+  {
+    // The MCP server runs in Node (see mcp/server.js)
+    files: ["mcp/**/*.js"],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]);
@@ -0,0 +1,164 @@
+// DaBreeder MCP server: dog and match tools for assistants (see mcp/tools.js).
+//
+//   npm run mcp        stdio, acting for the account in MCP_USER_EMAIL / MCP_USER_PASSWORD
+//                      (or a Supabase access token in MCP_ACCESS_TOKEN)
+//   npm run mcp:http   Streamable HTTP on http://127.0.0.1:8787/mcp; every request acts for
+//                      the user whose Supabase access token it carries as a Bearer token
+//
+// MCP_HOST, MCP_PORT and MCP_ALLOWED_ORIGINS (comma-separated, for browser callers such as
+// src/hooks/useMcpDogMatches.js) configure the HTTP transport.
+
+import http from "node:http";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { registerDogMatchTools } from "./tools";
+import {
+  runAsUser,
+  setDefaultUserContext,
+  userContextFromPassword,
+  userContextFromToken,
+} from "./supabaseClient";
+
+const SERVER_INFO = { name: "dabreeder", version: "0.1.0" };
+const MCP_PATH = "/mcp";
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function createDogMatchServer() {
+  const server = new McpServer(SERVER_INFO, {
+    instructions:
+      "Tools act as the signed-in DaBreeder owner. Use list_my_dogs and find_matches to explore candidates, list_match_requests to see what needs an answer, then respond_to_request or record_outcome.",
+  });
+  registerDogMatchTools(server);
+  return server;
+}
+
+async function startStdio() {
+  const { MCP_ACCESS_TOKEN, MCP_USER_EMAIL, MCP_USER_PASSWORD } = process.env;
+  let context;
+  if (MCP_ACCESS_TOKEN) {
+    context = await userContextFromToken(MCP_ACCESS_TOKEN);
+  } else if (MCP_USER_EMAIL && MCP_USER_PASSWORD) {
+    context = await userContextFromPassword(MCP_USER_EMAIL, MCP_USER_PASSWORD);
+  } else {
+    throw new Error("Set MCP_USER_EMAIL and MCP_USER_PASSWORD (or MCP_ACCESS_TOKEN).");
+  }
+  setDefaultUserContext(context);
+  await createDogMatchServer().connect(new StdioServerTransport());
+  console.error(`DaBreeder MCP server on stdio as ${context.user.email || context.user.id}`);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "null"));
+      } catch {
+        reject(new Error("Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+function applyCors(req, res, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin || !allowedOrigins.includes(origin)) return;
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, Content-Type, Accept, Mcp-Protocol-Version, Mcp-Session-Id"
+  );
+  res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id");
+}
+
+// Stateless: every POST gets its own server and transport, run as the caller.
+async function handleHttpRequest(req, res) {
+  let context;
+  try {
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    context = await userContextFromToken(token);
+  } catch {
+    sendJsonRpcError(res, 401, -32001, "Sign in first: send a Supabase access token.");
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    sendJsonRpcError(res, 400, -32700, err.message);
+    return;
+  }
+
+  const server = createDogMatchServer();
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: undefined,
+    enableJsonResponse: true,
+  });
+  res.on("close", () => {
+    transport.close();
+    server.close();
+  });
+  await runAsUser(context, async () => {
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  });
+}
+
+function startHttp() {
+  const host = process.env.MCP_HOST || "127.0.0.1";
+  const port = Number(process.env.MCP_PORT) || 8787;
+  const allowedOrigins = (process.env.MCP_ALLOWED_ORIGINS || "http://localhost:5173")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+  const httpServer = http.createServer((req, res) => {
+    applyCors(req, res, allowedOrigins);
+    const { pathname } = new URL(req.url, `http://${req.headers.host || host}`);
+    if (pathname !== MCP_PATH) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+      return;
+    }
+    if (req.method !== "POST") {
+      sendJsonRpcError(res, 405, -32000, "Method not allowed.");
+      return;
+    }
+    handleHttpRequest(req, res).catch((err) => {
+      console.error("MCP request failed", err);
+      if (!res.headersSent) sendJsonRpcError(res, 500, -32603, "Internal server error");
+    });
+  });
+  httpServer.listen(port, host, () => {
+    console.error(`DaBreeder MCP server on http://${host}:${port}${MCP_PATH}`);
+  });
+}
+
+const useHttp = process.argv.includes("--http");
+(useHttp ? Promise.resolve(startHttp()) : startStdio()).catch((err) => {
+  console.error("Failed to start the MCP server:", err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+// Stand-in for src/lib/supabaseClient.js inside the MCP server (mcp/vite.config.js aliases it).
+//
+// The browser app has one signed-in user per tab; the server acts for whoever called the tool.
+// Each call runs inside `runAsUser`, and the default export forwards every property to that
+// user's client, so the src/lib modules (and their validation) work unchanged. Over stdio
+// there is a single user, set once with `setDefaultUserContext`.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createClient } from "@supabase/supabase-js";
+
+const supabaseUrl = process.env.SUPABASE_URL || import.meta.env.VITE_SUPABASE_URL;
+const supabaseAnonKey = process.env.SUPABASE_ANON_KEY || import.meta.env.VITE_SUPABASE_ANON_KEY;
+
+const storage = new AsyncLocalStorage();
+let defaultContext = null;
+
+function newClient(accessToken = null) {
+  if (!supabaseUrl || !supabaseAnonKey) {
+    throw new Error(
+      "Supabase environment variables are missing. Define VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY."
+    );
+  }
+  return createClient(supabaseUrl, supabaseAnonKey, {
+    auth: { persistSession: false, autoRefreshToken: !accessToken, detectSessionInUrl: false },
+    global: accessToken ? { headers: { Authorization: `Bearer ${accessToken}` } } : {},
+  });
+}
+
+/**
+ * Context for a caller holding a Supabase access token (the HTTP transport). Rejects tokens
+ * Supabase doesn't accept.
+ */
+export async function userContextFromToken(accessToken) {
+  if (!accessToken) throw new Error("Not authenticated");
+  const client = newClient(accessToken);
+  const { data, error } = await client.auth.getUser(accessToken);
+  if (error) throw error;
+  if (!data?.user?.id) throw new Error("Not authenticated");
+  return { client, user: data.user };
+}
+
+// Context for an account signed in with email and password (the stdio transport).
+export async function userContextFromPassword(email, password) {
+  const client = newClient();
+  const { data, error } = await client.auth.signInWithPassword({ email, password });
+  if (error) throw error;
+  return { client, user: data.user };
+}
+
+export function runAsUser(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function setDefaultUserContext(context) {
+  defaultContext = context;
+}
+
+export function currentUserContext() {
+  const context = storage.getStore() || defaultContext;
+  if (!context) throw new Error("Not authenticated");
+  return context;
+}
+
+// `auth.getUser()` answers with the caller resolved when the context was created, so token
+// callers don't need a stored session.
+function authFor({ client, user }) {
+  return new Proxy(client.auth, {
+    get(target, prop) {
+      if (prop === "getUser") return async () => ({ data: { user }, error: null });
+      const value = Reflect.get(target, prop);
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+}
+
+export const supabase = new Proxy(
+  {},
+  {
+    get(_target, prop) {
+      const context = currentUserContext();
+      if (prop === "auth") return authFor(context);
+      const value = Reflect.get(context.client, prop);
+      return typeof value === "function" ? value.bind(context.client) : value;
+    },
+  }
+);
+
+export default supabase;
@@ -0,0 +1,276 @@
+// Tools the MCP server exposes. Each one goes through the same src/lib functions the app
+// uses, so an assistant gets exactly the checks an owner gets in the UI: the match
+// lifecycle (utils/matchLifecycle), the welfare rules and the outcome rules in lib/matches.
+
+import { z } from "zod";
+import supabase, { currentUserContext } from "./supabaseClient";
+import { fetchDogsForUser } from "../src/lib/dogQueries";
+import {
+  acceptMatchRequest,
+  fetchAwaitingDogIds,
+  fetchMatchesForUser,
+  mapMatchRecord,
+  submitMatchOutcome,
+  transitionMatch,
+} from "../src/lib/matches";
+import { searchMatchCandidates } from "../src/lib/matchSearch";
+import { fetchPedigrees } from "../src/lib/pedigree";
+import { fetchWelfareStatus } from "../src/lib/welfare";
+import { calculateMatchDetails } from "../src/utils/matchmaking";
+import { MATCH_STATUSES } from "../src/utils/matchLifecycle";
+import { DEFAULT_SCORING_PROFILE, SCORING_PROFILES } from "../src/utils/scoringProfiles";
+
+export const MAX_FIND_MATCHES = 25;
+
+const dogSummary = (dog) =>
+  dog
+    ? {
+        id: dog.id,
+        name: dog.name,
+        breed: dog.breed || null,
+        gender: dog.gender || dog.sex || null,
+      }
+    : null;
+
+// The shape list_match_requests returns, also read by src/hooks/useMcpDogMatches.js.
+export function matchSummary(match) {
+  return {
+    id: match.id,
+    status: match.status,
+    direction: match.direction,
+    requested_at: match.requested_at,
+    last_status_changed_at: match.last_status_changed_at,
+    my_dog: dogSummary(match.myDog),
+    partner_dog: dogSummary(match.partnerDog),
+    actions: match.actions,
+    requires_response: match.requiresResponse,
+    awaiting_my_outcome: match.awaitingMyOutcome,
+    outcome: match.outcome
+      ? {
+          outcome: match.outcome.outcome,
+          litter_size: match.outcome.litter_size,
+          notes: match.outcome.notes,
+          confirmation_status: match.outcome.confirmation_status,
+        }
+      : null,
+    requester_notes: match.requester_notes || null,
+    responder_notes: match.responder_notes || null,
+  };
+}
+
+// Tool results carry the data twice: as JSON text for any client, and structured.
+const result = (data) => ({
+  content: [{ type: "text", text: JSON.stringify(data, null, 2) }],
+  structuredContent: data,
+});
+
+async function loadMatch(matchId, userId) {
+  const rows = await fetchMatchesForUser(userId);
+  const row = rows.find((r) => String(r.id) === String(matchId));
+  if (!row) throw new Error("Match not found");
+  return mapMatchRecord(row, userId);
+}
+
+export async function listMyDogs() {
+  const { user } = currentUserContext();
+  const dogs = await fetchDogsForUser(user.id);
+  return {
+    dogs: dogs.map((dog) => ({
+      ...dogSummary(dog),
+      age_years: dog.age_years,
+      city: dog.city,
+      province: dog.province,
+      hidden: dog.hidden,
+    })),
+  };
+}
+
+/**
+ * Ranks candidates for one of the caller's dogs the way Find Match does: the server-side
+ * pre-filter, minus dogs already awaiting an outcome and dogs the welfare rules rule out,
+ * scored with calculateMatchDetails.
+ */
+export async function findMatches({ dogId, profile = DEFAULT_SCORING_PROFILE, limit = 10 }) {
+  const { user } = currentUserContext();
+  const { data: dog, error } = await supabase
+    .from("dogs")
+    .select("*")
+    .eq("id", dogId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!dog) throw new Error("Dog not found");
+  if (String(dog.user_id) !== String(user.id)) {
+    throw new Error("You can only find matches for your own dogs");
+  }
+
+  const { rows } = await searchMatchCandidates(dog.id, { profile });
+  const [awaiting, welfare, trees] = await Promise.all([
+    fetchAwaitingDogIds(rows.map((row) => row.id)),
+    fetchWelfareStatus(rows),
+    // Pedigrees only feed the COI check; without them the pairs are scored as unrelated.
+    fetchPedigrees([dog.id, ...rows.map((row) => row.id)]).catch((err) => {
+      console.warn("find_matches: pedigrees unavailable", err);
+      return new Map();
+    }),
+  ]);
+  const scoringDog = { ...dog, pedigree: trees.get(String(dog.id)) || null };
+
+  const matches = rows
+    .filter((row) => !awaiting.has(String(row.id)))
+    .filter((row) => welfare.get(String(row.id))?.eligible !== false)
+    .map((row) => {
+      const details = calculateMatchDetails(
+        scoringDog,
+        { ...row, pedigree: trees.get(String(row.id)) || null },
+        { profile }
+      );
+      return {
+        ...dogSummary(row),
+        owner_id: row.user_id,
+        age_years: row.age_years ?? null,
+        city: row.city || null,
+        province: row.province || null,
+        score: details.score,
+        breakdown: details.breakdown,
+        coi: details.coi ?? null,
+        distance_km: details.distanceKm,
+        health_flags: details.healthFlags,
+      };
+    })
+    .filter((match) => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return { dog: dogSummary(dog), profile, matches };
+}
+
+export async function listMatchRequests({ status, direction } = {}) {
+  const { user } = currentUserContext();
+  const rows = await fetchMatchesForUser(user.id);
+  const matches = rows
+    .map((row) => mapMatchRecord(row, user.id))
+    .filter((match) => !status || match.status === status)
+    .filter((match) => !direction || match.direction === direction)
+    .map(matchSummary);
+  return { matches };
+}
+
+export async function respondToRequest({ matchId, action }) {
+  const { user } = currentUserContext();
+  if (action === "accept") {
+    await acceptMatchRequest(matchId);
+  } else {
+    await transitionMatch(matchId, action);
+  }
+  return { match: matchSummary(await loadMatch(matchId, user.id)) };
+}
+
+export async function recordOutcome({ matchId, dogId, outcome, litterSize = null, notes = null }) {
+  const { user } = currentUserContext();
+  const saved = await submitMatchOutcome({
+    matchId,
+    outcome,
+    verifiedDogId: dogId,
+    litterSize,
+    notes,
+  });
+  return {
+    outcome: {
+      id: saved.id,
+      outcome: saved.outcome,
+      litter_size: saved.litter_size,
+      confirmation_status: saved.confirmation_status ?? null,
+    },
+    match: matchSummary(await loadMatch(matchId, user.id)),
+  };
+}
+
+const id = z.union([z.string().min(1), z.number().int().positive()]);
+
+export function registerDogMatchTools(server) {
+  server.registerTool(
+    "list_my_dogs",
+    {
+      title: "List my dogs",
+      description: "Lists the signed-in owner's dogs.",
+      inputSchema: {},
+      annotations: { readOnlyHint: true },
+    },
+    async () => result(await listMyDogs())
+  );
+
+  server.registerTool(
+    "find_matches",
+    {
+      title: "Find matches",
+      description:
+        "Ranks breeding candidates for one of the owner's dogs with the Find Match score. Dogs already awaiting an outcome and dogs the welfare rules rule out are left out.",
+      inputSchema: {
+        dog_id: id.describe("One of the owner's dogs"),
+        profile: z
+          .enum(Object.keys(SCORING_PROFILES))
+          .optional()
+          .describe(`Scoring profile, "${DEFAULT_SCORING_PROFILE}" by default`),
+        limit: z.number().int().min(1).max(MAX_FIND_MATCHES).optional(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    async ({ dog_id, profile, limit }) =>
+      result(await findMatches({ dogId: dog_id, profile, limit }))
+  );
+
+  server.registerTool(
+    "list_match_requests",
+    {
+      title: "List match requests",
+      description:
+        "Lists the breeding requests the owner sent or received, with the actions each one allows right now.",
+      inputSchema: {
+        status: z.enum(MATCH_STATUSES).optional(),
+        direction: z.enum(["sent", "received"]).optional(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    async ({ status, direction }) => result(await listMatchRequests({ status, direction }))
+  );
+
+  server.registerTool(
+    "respond_to_request",
+    {
+      title: "Respond to a match request",
+      description:
+        "Accepts or declines a request the owner received, or cancels one they sent. Accepting opens it for the outcome after re-checking the welfare rules.",
+      inputSchema: {
+        match_id: z.string().min(1),
+        action: z.enum(["accept", "decline", "cancel"]),
+      },
+    },
+    async ({ match_id, action }) => result(await respondToRequest({ matchId: match_id, action }))
+  );
+
+  server.registerTool(
+    "record_outcome",
+    {
+      title: "Record a breeding outcome",
+      description:
+        "Records the outcome of a request awaiting confirmation for one of the owner's dogs in it. The female's owner can record any outcome; the male's owner only no_show. Success needs a litter size of at least 1 and notes; no_show needs notes. The partner then confirms or disputes it.",
+      inputSchema: {
+        match_id: z.string().min(1),
+        dog_id: id.describe("The owner's dog in this request"),
+        outcome: z.enum(["success", "failed", "no_show"]),
+        litter_size: z.number().int().min(0).optional(),
+        notes: z.string().max(2000).optional(),
+      },
+    },
+    async ({ match_id, dog_id, outcome, litter_size, notes }) =>
+      result(
+        await recordOutcome({
+          matchId: match_id,
+          dogId: dog_id,
+          outcome,
+          litterSize: litter_size ?? null,
+          notes: notes ?? null,
+        })
+      )
+  );
+}
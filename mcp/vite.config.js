@@ -0,0 +1,20 @@
+import { defineConfig } from "vite";
+import { fileURLToPath, URL } from "node:url";
+
+// Config for running the MCP server with vite-node (`npm run mcp`). It resolves src/ the same
+// way the app build does, loads the same .env files, and swaps the browser Supabase client
+// for the per-caller one in mcp/supabaseClient.js.
+export default defineConfig({
+  root: fileURLToPath(new URL("..", import.meta.url)),
+  // stdout carries the stdio transport; keep Vite's info logs off it
+  logLevel: "warn",
+  resolve: {
+    alias: [
+      {
+        find: /^.*\/supabaseClient(\.js)?$/,
+        replacement: fileURLToPath(new URL("./supabaseClient.js", import.meta.url)),
+      },
+      { find: "@", replacement: fileURLToPath(new URL("../src", import.meta.url)) },
+    ],
+  },
+});
@@ -77,6 +77,12 @@ export default function AdminSidebar({ open, onClose, adminUser, onSignOut, coun
           match: ["/admin/reports"],
           badge: counters.pendingReports,
         },
+        {
+          label: "Outcome Disputes",
+          to: "/admin/disputes",
+          icon: <ScaleIcon />,
+          match: ["/admin/disputes"],
+        },
         // ...existing code...
       ],
     },
@@ -247,6 +253,19 @@ function ReportsIcon() {
   );
 }
 
+function ScaleIcon() {
+  return (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" className="size-5">
+      <path strokeLinecap="round" d="M12 3v18M7 21h10M5 7h14" />
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M5 7l-3 6a3 3 0 0 0 6 0L5 7zM19 7l-3 6a3 3 0 0 0 6 0l-3-6z"
+      />
+    </svg>
+  );
+}
+
 function ShieldIcon() {
   return (
     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" className="size-5">
@@ -0,0 +1,337 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import LoadingState from "./LoadingState";
+import useMatchAgreement from "../hooks/useMatchAgreement";
+import useStudListing from "../hooks/useStudListing";
+import { HEALTH_CLEARANCE_LABELS } from "../utils/healthClearances";
+import { ACTIVE_MATCH_STATUSES } from "../utils/matchLifecycle";
+import {
+  AGREEMENT_FEE_DUE,
+  DEFAULT_AGREEMENT_TERMS,
+  agreementApprovals,
+  agreementClauses,
+  agreementDogNames,
+  printAgreementHtml,
+  renderAgreementHtml,
+  termsFromStudListing,
+  validateAgreementTerms,
+} from "../utils/breedingAgreement";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-4 py-3 text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+const CHECK_CLASS = "flex items-center gap-2 text-sm text-slate-700 cursor-pointer";
+const PRIMARY_BTN =
+  "px-6 py-3 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-sm font-bold uppercase tracking-wide text-white shadow-lg hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all";
+const SECONDARY_BTN =
+  "px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50";
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+
+const toast = (message, type) =>
+  window.dispatchEvent(new CustomEvent("toast", { detail: { message, type } }));
+
+const toDraft = (terms) => ({
+  ...DEFAULT_AGREEMENT_TERMS,
+  ...terms,
+  stud_fee: terms?.stud_fee ?? "",
+  health_guarantees: [...(terms?.health_guarantees || [])],
+});
+
+/**
+ * View, edit, approve and print the breeding agreement of a request. Terms can be edited
+ * while the request is active; editing clears both owners' approvals.
+ */
+export default function AgreementModal({ open, onClose, match, userId }) {
+  const { agreement, loading, save, approve } = useMatchAgreement(open ? match : null);
+  const names = agreementDogNames(match);
+  const studDog = [match?.myDog, match?.partnerDog].find(
+    (dog) => String(dog?.gender || "").toLowerCase() === "male"
+  );
+  const { listing } = useStudListing(open && !loading && !agreement ? studDog?.id : null);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(DEFAULT_AGREEMENT_TERMS);
+  const [busy, setBusy] = useState(false);
+
+  const editable = ACTIVE_MATCH_STATUSES.includes(match?.status);
+  const approvals = agreementApprovals(agreement, match, userId);
+
+  useEffect(() => {
+    if (!open) setEditing(false);
+  }, [open]);
+
+  useEffect(() => {
+    if (!editing) setForm(agreement ? toDraft(agreement.terms) : termsFromStudListing(listing));
+  }, [editing, agreement, listing]);
+
+  const set = (patch) => setForm((v) => ({ ...v, ...patch }));
+
+  const run = async (action, successMessage) => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await action();
+      toast(successMessage, "success");
+      return true;
+    } catch (err) {
+      toast(err.message || "Failed to update agreement", "error");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const problem = validateAgreementTerms(form);
+    if (problem) {
+      toast(problem, "error");
+      return;
+    }
+    if (await run(() => save(form), "Agreement saved. Both owners need to approve it again.")) {
+      setEditing(false);
+    }
+  };
+
+  const handlePrint = () => {
+    if (!printAgreementHtml(renderAgreementHtml(agreement, names))) {
+      toast("Allow pop-ups to print the agreement", "error");
+    }
+  };
+
+  const approvalLine = (approved, who) => (
+    <div className={approved ? "text-emerald-700" : "text-slate-500"}>
+      {approved ? "✓" : "○"} {who} {approved ? "approved" : "hasn't approved"} this version
+    </div>
+  );
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} widthClass="max-w-2xl">
+      <div className="p-8 space-y-5 max-h-[85vh] overflow-y-auto">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">Breeding agreement</h2>
+          <p className="text-sm text-slate-600 mt-1">
+            {names.studName || "Stud"} × {names.damName || "Dam"}
+            {agreement && ` · Version ${agreement.version}`}
+          </p>
+        </div>
+
+        {loading ? (
+          <LoadingState message="Loading agreement..." minHeight={120} />
+        ) : editing ? (
+          <form onSubmit={handleSave} className="space-y-5">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className={LABEL_CLASS} htmlFor="agreement-fee">
+                  Stud fee (₱)
+                </label>
+                <input
+                  id="agreement-fee"
+                  type="number"
+                  min="0"
+                  step="100"
+                  value={form.stud_fee}
+                  onChange={(e) => set({ stud_fee: e.target.value })}
+                  className={INPUT_CLASS}
+                  placeholder="Leave empty for no fee"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className={LABEL_CLASS} htmlFor="agreement-fee-due">
+                  Fee due
+                </label>
+                <select
+                  id="agreement-fee-due"
+                  value={form.fee_due}
+                  onChange={(e) => set({ fee_due: e.target.value })}
+                  className={INPUT_CLASS}
+                >
+                  {Object.entries(AGREEMENT_FEE_DUE).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-[10rem_1fr] gap-4">
+              <div className="space-y-2">
+                <label className={LABEL_CLASS} htmlFor="agreement-puppies">
+                  Puppies owed
+                </label>
+                <input
+                  id="agreement-puppies"
+                  type="number"
+                  min="0"
+                  max="20"
+                  step="1"
+                  value={form.puppies_owed}
+                  onChange={(e) => set({ puppies_owed: e.target.value })}
+                  className={INPUT_CLASS}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className={LABEL_CLASS} htmlFor="agreement-pick">
+                  Pick terms
+                </label>
+                <input
+                  id="agreement-pick"
+                  type="text"
+                  maxLength={200}
+                  value={form.pick_terms}
+                  onChange={(e) => set({ pick_terms: e.target.value })}
+                  className={INPUT_CLASS}
+                  placeholder="e.g. First pick female, chosen at 7 weeks"
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label className={CHECK_CLASS}>
+                <input
+                  type="checkbox"
+                  checked={form.return_service}
+                  onChange={(e) => set({ return_service: e.target.checked })}
+                  className="accent-orange-500 cursor-pointer w-4 h-4"
+                />
+                Return service if no pregnancy
+              </label>
+              {form.return_service && (
+                <input
+                  type="text"
+                  aria-label="Return service terms"
+                  maxLength={300}
+                  value={form.return_service_terms}
+                  onChange={(e) => set({ return_service_terms: e.target.value })}
+                  className={INPUT_CLASS}
+                />
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <span className={LABEL_CLASS}>Health guarantees (both dogs)</span>
+              <div className="flex flex-wrap gap-4">
+                {Object.entries(HEALTH_CLEARANCE_LABELS).map(([value, label]) => (
+                  <label key={value} className={CHECK_CLASS}>
+                    <input
+                      type="checkbox"
+                      checked={form.health_guarantees.includes(value)}
+                      onChange={() =>
+                        set({ health_guarantees: toggle(form.health_guarantees, value) })
+                      }
+                      className="accent-orange-500 cursor-pointer w-4 h-4"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <textarea
+                aria-label="Health guarantee notes"
+                rows={2}
+                maxLength={500}
+                value={form.health_guarantee_notes}
+                onChange={(e) => set({ health_guarantee_notes: e.target.value })}
+                className={INPUT_CLASS}
+                placeholder="e.g. Brucellosis test within 30 days of mating"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label className={LABEL_CLASS} htmlFor="agreement-additional">
+                Additional terms
+              </label>
+              <textarea
+                id="agreement-additional"
+                rows={3}
+                maxLength={2000}
+                value={form.additional_terms}
+                onChange={(e) => set({ additional_terms: e.target.value })}
+                className={INPUT_CLASS}
+              />
+            </div>
+
+            {approvals.approvedByMe || approvals.approvedByPartner ? (
+              <p className="text-sm text-rose-700">
+                Saving changes clears the existing approvals for version {agreement.version}.
+              </p>
+            ) : null}
+
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setEditing(false)}
+                disabled={busy}
+                className={SECONDARY_BTN}
+              >
+                Cancel
+              </button>
+              <button type="submit" disabled={busy} className={PRIMARY_BTN}>
+                {busy ? "Saving…" : "Save terms"}
+              </button>
+            </div>
+          </form>
+        ) : agreement ? (
+          <>
+            <ol className="space-y-3 text-sm text-slate-700 list-decimal pl-5">
+              {agreementClauses(agreement.terms, names).map((clause) => (
+                <li key={clause.title}>
+                  <span className="font-bold text-amber-900">{clause.title}.</span> {clause.text}
+                </li>
+              ))}
+            </ol>
+            <div className="rounded-xl bg-orange-50 p-4 text-sm font-semibold space-y-1">
+              {approvalLine(approvals.approvedByMe, "You")}
+              {approvalLine(approvals.approvedByPartner, "Your partner")}
+            </div>
+            <div className="flex flex-wrap justify-end gap-3">
+              {editable && (
+                <button
+                  type="button"
+                  onClick={() => setEditing(true)}
+                  disabled={busy}
+                  className={SECONDARY_BTN}
+                >
+                  Edit terms
+                </button>
+              )}
+              <button type="button" onClick={handlePrint} className={SECONDARY_BTN}>
+                {approvals.final ? "Print / save PDF" : "Print draft"}
+              </button>
+              {editable && !approvals.approvedByMe && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    run(() => approve(agreement.version), `Version ${agreement.version} approved`)
+                  }
+                  disabled={busy}
+                  className={PRIMARY_BTN}
+                >
+                  Approve version {agreement.version}
+                </button>
+              )}
+            </div>
+          </>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-600">
+              No agreement yet. Start one from the template
+              {listing ? ", pre-filled with the stud listing's terms" : ""}.
+            </p>
+            <div className="flex justify-end gap-3">
+              <button type="button" onClick={onClose} className={SECONDARY_BTN}>
+                Close
+              </button>
+              {editable && (
+                <button type="button" onClick={() => setEditing(true)} className={PRIMARY_BTN}>
+                  Draft agreement
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import { MAX_COUNTER_OFFER_MESSAGE, counterOfferCandidates } from "../utils/counterOffers";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-4 py-3 text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+
+/**
+ * Propose another of the user's dogs (`dogs`) in place of the one requested in `match`.
+ * `onSubmit` receives `{ dog, message }`.
+ */
+export default function CounterOfferModal({ open, onClose, onSubmit, match, dogs }) {
+  const [dogId, setDogId] = useState("");
+  const [message, setMessage] = useState("");
+  const [busy, setBusy] = useState(false);
+  const candidates = match ? counterOfferCandidates(match, dogs) : [];
+
+  useEffect(() => {
+    if (open) {
+      setDogId("");
+      setMessage("");
+    }
+  }, [open]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    const dog = candidates.find((candidate) => String(candidate.id) === dogId);
+    if (!dog) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: "Choose the dog you'd like to propose.", type: "error" },
+        })
+      );
+      return;
+    }
+    setBusy(true);
+    try {
+      await onSubmit({ dog, message });
+      onClose();
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to send the counter-offer", type: "error" },
+        })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} widthClass="max-w-xl">
+      <form onSubmit={handleSubmit} className="p-8 space-y-5">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">Propose another dog</h2>
+          <p className="text-sm text-slate-600 mt-1">
+            {match
+              ? `Instead of ${match.requested_dog?.name || "the requested dog"}, offer one of your dogs for ${match.requester_dog?.name || "their dog"}. If the other owner accepts, the request is updated and moves straight to the outcome.`
+              : ""}
+          </p>
+        </div>
+
+        {candidates.length === 0 ? (
+          <p className="text-sm text-slate-600">
+            You have no other {match?.requested_dog?.gender || ""} dogs to propose.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="counter-offer-dog">
+              Dog <span className="text-rose-600">*</span>
+            </label>
+            <select
+              id="counter-offer-dog"
+              value={dogId}
+              onChange={(e) => setDogId(e.target.value)}
+              className={INPUT_CLASS}
+              required
+            >
+              <option value="">Choose a dog</option>
+              {candidates.map((dog) => (
+                <option key={dog.id} value={String(dog.id)}>
+                  {dog.name} · {dog.breed || "Unknown breed"}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="counter-offer-message">
+            Message
+          </label>
+          <textarea
+            id="counter-offer-message"
+            rows={3}
+            maxLength={MAX_COUNTER_OFFER_MESSAGE}
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Why this dog is a better fit…"
+            className={INPUT_CLASS}
+          />
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={busy || candidates.length === 0}
+            className="px-6 py-3 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-sm font-bold uppercase tracking-wide text-white shadow-lg hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all"
+          >
+            {busy ? "Sending…" : "Send counter-offer"}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
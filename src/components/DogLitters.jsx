@@ -0,0 +1,213 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { format, parseISO } from "date-fns";
+import ConfirmDialog from "./ConfirmDialog";
+import LitterModal from "./LitterModal";
+import {
+  PUPPY_STATUS_LABELS,
+  canPromotePuppy,
+  formatBirthWeight,
+  summarizeLitter,
+} from "../utils/litters";
+
+const BUTTON_CLASS =
+  "px-3 py-1.5 rounded-lg bg-linear-to-r from-orange-400 to-amber-500 text-xs font-bold uppercase tracking-wide text-white shadow hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all";
+const LINK_BUTTON_CLASS =
+  "text-xs font-bold text-amber-900 hover:text-orange-600 disabled:opacity-50 transition-colors";
+
+const formatDay = (value) => (value ? format(parseISO(value), "MMM d, yyyy") : "—");
+
+const toastError = (err, fallback) =>
+  window.dispatchEvent(
+    new CustomEvent("toast", { detail: { message: err.message || fallback, type: "error" } })
+  );
+
+const ownsParent = (litter, userId) =>
+  Boolean(userId) &&
+  [litter.sire, litter.dam].some((parent) => parent && String(parent.user_id) === String(userId));
+
+function summaryLine(puppies) {
+  const s = summarizeLitter(puppies);
+  const parts = [
+    `${s.total} ${s.total === 1 ? "puppy" : "puppies"}`,
+    `${s.males}M / ${s.females}F`,
+  ];
+  if (s.placed) parts.push(`${s.placed} placed`);
+  if (s.deceased) parts.push(`${s.deceased} deceased`);
+  return parts.join(" · ");
+}
+
+/**
+ * Litters on a dog's profile: one block per litter with its puppies. Owners of either parent
+ * can edit a litter and create dog profiles for its puppies; `onPromoted` receives the new
+ * dog's id.
+ */
+export default function DogLitters({
+  dog,
+  litters,
+  userId,
+  onSave,
+  onRemove,
+  onPromote,
+  onPromoted,
+}) {
+  const [editing, setEditing] = useState(null);
+  const [removing, setRemoving] = useState(null);
+  const [promotingId, setPromotingId] = useState(null);
+
+  if (!litters.length) {
+    return <div className="text-gray-500">No litters recorded for {dog.name} yet.</div>;
+  }
+
+  const handlePromote = async (puppy, litter) => {
+    setPromotingId(puppy.id);
+    try {
+      const newDogId = await onPromote(puppy, litter);
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: "Dog profile created for the puppy", type: "success" },
+        })
+      );
+      onPromoted?.(newDogId);
+    } catch (err) {
+      toastError(err, "Failed to create the dog profile");
+    } finally {
+      setPromotingId(null);
+    }
+  };
+
+  const handleRemove = async () => {
+    const litter = removing;
+    setRemoving(null);
+    try {
+      await onRemove(litter);
+    } catch (err) {
+      toastError(err, "Failed to delete the litter");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {litters.map((litter) => {
+        const partner = String(litter.dam_id) === String(dog.id) ? litter.sire : litter.dam;
+        const canEdit = ownsParent(litter, userId);
+        return (
+          <div key={litter.id} className="rounded-2xl border border-orange-100 p-4">
+            <div className="flex flex-wrap items-start justify-between gap-2 mb-3">
+              <div>
+                <div className="font-bold text-amber-900">
+                  Whelped {formatDay(litter.whelped_on)}
+                  {partner && (
+                    <>
+                      {" "}
+                      with{" "}
+                      <Link to={`/dog/${partner.id}`} className="dog-profile-history-link">
+                        {partner.name}
+                      </Link>
+                    </>
+                  )}
+                </div>
+                <div className="text-sm text-slate-600">{summaryLine(litter.puppies)}</div>
+                {litter.notes && <div className="text-sm text-slate-500 mt-1">{litter.notes}</div>}
+              </div>
+              {canEdit && (
+                <div className="flex gap-3">
+                  <button
+                    type="button"
+                    className={LINK_BUTTON_CLASS}
+                    onClick={() => setEditing(litter)}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className={LINK_BUTTON_CLASS}
+                    onClick={() => setRemoving(litter)}
+                    disabled={litter.puppies.some((p) => p.dog_id)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="dog-profile-history-table">
+                <thead className="dog-profile-history-header">
+                  <tr>
+                    <th>Puppy</th>
+                    <th>Sex</th>
+                    <th>Color</th>
+                    <th>Markings</th>
+                    <th>Birth weight</th>
+                    <th>Status</th>
+                    <th>Profile</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {litter.puppies.map((puppy) => (
+                    <tr key={puppy.id} className="dog-profile-history-row">
+                      <td>{puppy.name || `Puppy ${puppy.position}`}</td>
+                      <td className="capitalize">{puppy.sex}</td>
+                      <td>{puppy.color || "—"}</td>
+                      <td>{puppy.markings || "—"}</td>
+                      <td>{formatBirthWeight(puppy.birth_weight_grams)}</td>
+                      <td>{PUPPY_STATUS_LABELS[puppy.status] || puppy.status}</td>
+                      <td>
+                        {puppy.dog_id ? (
+                          <Link to={`/dog/${puppy.dog_id}`} className="dog-profile-history-link">
+                            View
+                          </Link>
+                        ) : canEdit && canPromotePuppy(puppy) ? (
+                          <button
+                            type="button"
+                            className={BUTTON_CLASS}
+                            disabled={promotingId === puppy.id}
+                            onClick={() => handlePromote(puppy, litter)}
+                          >
+                            {promotingId === puppy.id ? "Creating…" : "Create profile"}
+                          </button>
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })}
+
+      <LitterModal
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        initial={editing}
+        title={
+          editing ? `${editing.dam?.name || "Dam"} × ${editing.sire?.name || "unknown sire"}` : ""
+        }
+        onSubmit={(form) =>
+          onSave({
+            id: editing.id,
+            matchId: editing.match_id,
+            sireId: editing.sire_id,
+            damId: editing.dam_id,
+            whelpedOn: form.whelped_on,
+            notes: form.notes,
+            puppies: form.puppies,
+          })
+        }
+      />
+      <ConfirmDialog
+        isOpen={!!removing}
+        onClose={() => setRemoving(null)}
+        onConfirm={handleRemove}
+        title="Delete litter?"
+        message="The litter and its puppies will be removed from both parents' profiles."
+        confirmText="Delete"
+        cancelText="Cancel"
+        confirmButtonClass="bg-red-600 hover:bg-red-700 text-white"
+      />
+    </div>
+  );
+}
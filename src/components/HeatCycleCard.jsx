@@ -0,0 +1,253 @@
+import React, { useState } from "react";
+import { format, parseISO } from "date-fns";
+import ConfirmDialog from "./ConfirmDialog";
+import { OVULATION_PROGESTERONE_NG_ML, describeHeatWindow } from "../utils/heatCycle";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-3 py-2 text-sm text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+const BUTTON_CLASS =
+  "px-4 py-2 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-xs font-bold uppercase tracking-wide text-white shadow hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all";
+
+const formatDay = (value) => (value ? format(parseISO(value), "MMM d, yyyy") : "—");
+
+const toastError = (err, fallback) =>
+  window.dispatchEvent(
+    new CustomEvent("toast", { detail: { message: err.message || fallback, type: "error" } })
+  );
+
+function ProgesteroneForm({ cycleId, onAdd }) {
+  const [testedOn, setTestedOn] = useState("");
+  const [ngMl, setNgMl] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onAdd({ heatCycleId: cycleId, testedOn, ngMl });
+      setTestedOn("");
+      setNgMl("");
+    } catch (err) {
+      toastError(err, "Failed to save the progesterone test");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 flex flex-wrap items-end gap-2">
+      <input
+        type="date"
+        className={INPUT_CLASS + " max-w-44"}
+        value={testedOn}
+        onChange={(e) => setTestedOn(e.target.value)}
+        aria-label="Test date"
+        required
+      />
+      <input
+        type="number"
+        min="0"
+        max="100"
+        step="0.1"
+        className={INPUT_CLASS + " max-w-32"}
+        value={ngMl}
+        onChange={(e) => setNgMl(e.target.value)}
+        placeholder="ng/mL"
+        aria-label="Progesterone (ng/mL)"
+        required
+      />
+      <button type="submit" className={BUTTON_CLASS} disabled={saving}>
+        Add test
+      </button>
+    </form>
+  );
+}
+
+/**
+ * Heat log and breeding-window prediction for a female dog's profile. Everyone sees the
+ * prediction; only the owner sees and edits the log.
+ */
+export default function HeatCycleCard({
+  cycles,
+  prediction,
+  isOwner,
+  onAddCycle,
+  onRemoveCycle,
+  onAddTest,
+  onRemoveTest,
+}) {
+  const [startedOn, setStartedOn] = useState("");
+  const [endedOn, setEndedOn] = useState("");
+  const [notes, setNotes] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+
+  const handleAddCycle = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onAddCycle({ startedOn, endedOn: endedOn || null, notes });
+      setStartedOn("");
+      setEndedOn("");
+      setNotes("");
+    } catch (err) {
+      toastError(err, "Failed to log the heat");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!deleting) return;
+    try {
+      await onRemoveCycle(deleting.id);
+    } catch (err) {
+      toastError(err, "Failed to remove the heat");
+    } finally {
+      setDeleting(null);
+    }
+  };
+
+  const handleRemoveTest = async (id) => {
+    try {
+      await onRemoveTest(id);
+    } catch (err) {
+      toastError(err, "Failed to remove the test");
+    }
+  };
+
+  return (
+    <div className="space-y-5">
+      {prediction ? (
+        <div className="rounded-2xl border-2 border-orange-100 bg-orange-50 px-5 py-4">
+          <p className="font-bold text-amber-900">{describeHeatWindow(prediction)}</p>
+          <p className="text-sm text-slate-700">
+            {formatDay(prediction.window.start)} – {formatDay(prediction.window.end)}
+            {prediction.window.basis === "progesterone"
+              ? " · from progesterone testing"
+              : prediction.inHeat
+                ? " · estimated from the current heat"
+                : ` · next heat expected around ${formatDay(prediction.nextStart)}`}
+          </p>
+          <p className="text-xs text-slate-500 mt-1">
+            {prediction.intervalBasis === "history"
+              ? `Based on an average of ${prediction.intervalDays} days between logged heats.`
+              : `Only one heat logged, so a typical ${prediction.intervalDays}-day cycle is assumed.`}
+          </p>
+        </div>
+      ) : (
+        <p className="text-gray-500">
+          {isOwner
+            ? "Log her heats to predict the next breeding window."
+            : "No heat cycles recorded yet."}
+        </p>
+      )}
+
+      {isOwner && (
+        <>
+          <form onSubmit={handleAddCycle} className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label className={LABEL_CLASS} htmlFor="heat-started-on">
+                First day of heat <span className="text-rose-600">*</span>
+              </label>
+              <input
+                id="heat-started-on"
+                type="date"
+                className={INPUT_CLASS}
+                value={startedOn}
+                onChange={(e) => setStartedOn(e.target.value)}
+                required
+              />
+            </div>
+            <div>
+              <label className={LABEL_CLASS} htmlFor="heat-ended-on">
+                Last day (optional)
+              </label>
+              <input
+                id="heat-ended-on"
+                type="date"
+                className={INPUT_CLASS}
+                value={endedOn}
+                onChange={(e) => setEndedOn(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className={LABEL_CLASS} htmlFor="heat-notes">
+                Notes
+              </label>
+              <input
+                id="heat-notes"
+                type="text"
+                className={INPUT_CLASS}
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="e.g. light bleeding, flagging day 10"
+              />
+            </div>
+            <div className="sm:col-span-3">
+              <button type="submit" className={BUTTON_CLASS} disabled={saving}>
+                {saving ? "Saving..." : "Log heat"}
+              </button>
+            </div>
+          </form>
+
+          {cycles.length > 0 && (
+            <ul className="space-y-3">
+              {cycles.map((cycle) => (
+                <li
+                  key={cycle.id}
+                  className="rounded-2xl border-2 border-orange-100 bg-white px-5 py-4"
+                >
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <p className="font-bold text-amber-900">
+                      {formatDay(cycle.started_on)}
+                      {cycle.ended_on ? ` – ${formatDay(cycle.ended_on)}` : ""}
+                    </p>
+                    <button type="button" className="delete-btn" onClick={() => setDeleting(cycle)}>
+                      Remove
+                    </button>
+                  </div>
+                  {cycle.notes && <p className="text-sm text-slate-600">{cycle.notes}</p>}
+                  {cycle.progesterone_tests.length > 0 && (
+                    <ul className="mt-2 text-sm text-slate-700 space-y-1">
+                      {cycle.progesterone_tests.map((test) => (
+                        <li key={test.id} className="flex items-center gap-3">
+                          <span>
+                            {formatDay(test.tested_on)} · {test.ng_ml} ng/mL
+                            {Number(test.ng_ml) >= OVULATION_PROGESTERONE_NG_ML
+                              ? " · ovulation level"
+                              : ""}
+                          </span>
+                          <button
+                            type="button"
+                            className="text-xs text-rose-600 underline"
+                            onClick={() => handleRemoveTest(test.id)}
+                          >
+                            Remove
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <ProgesteroneForm cycleId={cycle.id} onAdd={onAddTest} />
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <ConfirmDialog
+        isOpen={!!deleting}
+        onClose={() => setDeleting(null)}
+        onConfirm={handleDelete}
+        title="Remove heat?"
+        message="This heat and its progesterone tests will be removed from the log."
+        confirmText="Remove"
+        cancelText="Cancel"
+        confirmButtonClass="bg-red-600 hover:bg-red-700 text-white"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import React, { useMemo } from "react";
+import Modal from "./Modal";
+import { formatGenotype, predictLitterColors, resolveGenotype } from "../utils/colorGenetics";
+
+const pct = (p) => `${Math.round(p * 1000) / 10}%`;
+
+/**
+ * Shows the predicted puppy color distribution for a pair of dogs.
+ */
+export default function LitterColorModal({ open, onClose, dogA, dogB }) {
+  const prediction = useMemo(
+    () => (dogA && dogB ? predictLitterColors(dogA, dogB) : null),
+    [dogA, dogB]
+  );
+
+  if (!prediction) return null;
+
+  const genotypeA = resolveGenotype(dogA).loci;
+  const genotypeB = resolveGenotype(dogB).loci;
+  const nameFor = (side) => (side === "dogA" ? dogA.name : dogB.name);
+
+  return (
+    <Modal open={open} onClose={onClose} widthClass="max-w-2xl">
+      <div className="p-8 space-y-5">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">Predicted puppy colors</h2>
+          <p className="text-sm text-slate-600 mt-1">
+            {dogA.name} × {dogB.name}
+          </p>
+        </div>
+
+        {prediction.warnings.map((warning) => (
+          <div
+            key={warning.code}
+            className="rounded-xl border border-rose-200 bg-rose-50 text-rose-800 px-4 py-3 text-sm font-semibold"
+          >
+            ⚠️ {warning.message}
+          </div>
+        ))}
+
+        {prediction.colors.length === 0 ? (
+          <p className="text-sm text-slate-600">
+            Not enough genotype data to predict colors. Ask both owners to add their dogs' DNA color
+            test results.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {prediction.colors.map((color) => (
+              <li key={color.label}>
+                <div className="flex justify-between text-sm font-semibold text-amber-900">
+                  <span>{color.label}</span>
+                  <span>{pct(color.probability)}</span>
+                </div>
+                <div className="h-2 rounded-full bg-orange-50 overflow-hidden">
+                  <div
+                    className="h-full bg-linear-to-r from-orange-400 to-amber-500"
+                    style={{ width: pct(color.probability) }}
+                  />
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase tracking-wider text-amber-900">
+                <th className="py-2 pr-3">Locus</th>
+                <th className="py-2 pr-3">{dogA.name}</th>
+                <th className="py-2 pr-3">{dogB.name}</th>
+                <th className="py-2">Puppies</th>
+              </tr>
+            </thead>
+            <tbody>
+              {prediction.loci.map((locus) => (
+                <tr key={locus.id} className="border-t border-orange-100">
+                  <td className="py-2 pr-3 font-semibold text-slate-700">
+                    {locus.id} · {locus.name}
+                  </td>
+                  <td className="py-2 pr-3">
+                    {formatGenotype(genotypeA[locus.id])}
+                    {prediction.inferred.dogA.includes(locus.id) && " (from color)"}
+                  </td>
+                  <td className="py-2 pr-3">
+                    {formatGenotype(genotypeB[locus.id])}
+                    {prediction.inferred.dogB.includes(locus.id) && " (from color)"}
+                  </td>
+                  <td className="py-2 text-slate-600">
+                    {locus.known
+                      ? locus.outcomes.map((o) => `${o.genotype} ${pct(o.probability)}`).join(", ")
+                      : `Unknown for ${locus.unknownFor.map(nameFor).join(" and ")}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {prediction.unknownLoci.length > 0 && prediction.colors.length > 0 && (
+          <p className="text-xs text-slate-500">
+            Loci not known for both dogs ({prediction.unknownLoci.join(", ")}) are left out of the
+            prediction, so actual colors may differ.
+          </p>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
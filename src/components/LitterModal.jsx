@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import {
+  MAX_PUPPIES_PER_LITTER,
+  PUPPY_STATUS_LABELS,
+  PUPPY_WEIGHT_GRAMS,
+  emptyPuppy,
+  todayIso,
+  validateLitter,
+} from "../utils/litters";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-3 py-2 text-sm text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+
+const toForm = (litter, litterSize) => ({
+  whelped_on: litter?.whelped_on || "",
+  notes: litter?.notes || "",
+  puppies: litter?.puppies?.length
+    ? litter.puppies.map((puppy) => ({
+        ...puppy,
+        name: puppy.name || "",
+        color: puppy.color || "",
+        markings: puppy.markings || "",
+        birth_weight_grams: puppy.birth_weight_grams ?? "",
+      }))
+    : Array.from(
+        { length: Math.min(Math.max(Number(litterSize) || 1, 1), MAX_PUPPIES_PER_LITTER) },
+        () => emptyPuppy()
+      ),
+});
+
+/**
+ * Record or edit a litter: the whelping date and one row per puppy. `litterSize` (from the
+ * match outcome) sets how many empty rows a new litter starts with. `onSubmit` receives
+ * `{ whelped_on, notes, puppies }`.
+ */
+export default function LitterModal({ open, onClose, onSubmit, initial, litterSize, title }) {
+  const [form, setForm] = useState(() => toForm(initial, litterSize));
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (open) setForm(toForm(initial, litterSize));
+  }, [open, initial, litterSize]);
+
+  const setPuppy = (index, patch) =>
+    setForm((v) => ({
+      ...v,
+      puppies: v.puppies.map((puppy, i) => (i === index ? { ...puppy, ...patch } : puppy)),
+    }));
+  const addPuppy = () => setForm((v) => ({ ...v, puppies: [...v.puppies, emptyPuppy()] }));
+  const removePuppy = (index) =>
+    setForm((v) => ({ ...v, puppies: v.puppies.filter((_, i) => i !== index) }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    const problem = validateLitter(form);
+    if (problem) {
+      window.dispatchEvent(
+        new CustomEvent("toast", { detail: { message: problem, type: "error" } })
+      );
+      return;
+    }
+    setBusy(true);
+    try {
+      await onSubmit(form);
+      onClose();
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to save the litter", type: "error" },
+        })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} widthClass="max-w-4xl">
+      <form onSubmit={handleSubmit} className="p-8 space-y-5">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">
+            {initial ? "Edit litter" : "Record litter"}
+          </h2>
+          {title && <p className="text-sm text-slate-600 mt-1">{title}</p>}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="litter-whelped-on">
+              Whelping date <span className="text-rose-600">*</span>
+            </label>
+            <input
+              id="litter-whelped-on"
+              type="date"
+              value={form.whelped_on}
+              max={todayIso()}
+              onChange={(e) => setForm((v) => ({ ...v, whelped_on: e.target.value }))}
+              className={INPUT_CLASS}
+              required
+            />
+          </div>
+          <div className="space-y-2 sm:col-span-2">
+            <label className={LABEL_CLASS} htmlFor="litter-notes">
+              Notes
+            </label>
+            <input
+              id="litter-notes"
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm((v) => ({ ...v, notes: e.target.value }))}
+              placeholder="Whelping notes, vet visits…"
+              className={INPUT_CLASS}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <span className={LABEL_CLASS}>Puppies ({form.puppies.length})</span>
+            <button
+              type="button"
+              onClick={addPuppy}
+              disabled={form.puppies.length >= MAX_PUPPIES_PER_LITTER}
+              className="px-3 py-1.5 rounded-lg bg-orange-50 text-xs font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50"
+            >
+              + Add puppy
+            </button>
+          </div>
+          {form.puppies.map((puppy, index) => (
+            <div
+              key={puppy.id || `new-${index}`}
+              className="grid grid-cols-2 md:grid-cols-7 gap-2 items-center rounded-xl border border-orange-100 p-3"
+            >
+              <input
+                type="text"
+                value={puppy.name}
+                onChange={(e) => setPuppy(index, { name: e.target.value })}
+                placeholder={`Puppy ${index + 1}`}
+                aria-label={`Puppy ${index + 1} name`}
+                className={INPUT_CLASS}
+              />
+              <select
+                value={puppy.sex}
+                onChange={(e) => setPuppy(index, { sex: e.target.value })}
+                aria-label={`Puppy ${index + 1} sex`}
+                className={INPUT_CLASS}
+              >
+                <option value="female">Female</option>
+                <option value="male">Male</option>
+              </select>
+              <input
+                type="text"
+                value={puppy.color}
+                onChange={(e) => setPuppy(index, { color: e.target.value })}
+                placeholder="Color"
+                aria-label={`Puppy ${index + 1} color`}
+                className={INPUT_CLASS}
+              />
+              <input
+                type="text"
+                value={puppy.markings}
+                onChange={(e) => setPuppy(index, { markings: e.target.value })}
+                placeholder="Markings"
+                aria-label={`Puppy ${index + 1} markings`}
+                className={INPUT_CLASS}
+              />
+              <input
+                type="number"
+                min={PUPPY_WEIGHT_GRAMS.min}
+                max={PUPPY_WEIGHT_GRAMS.max}
+                step="1"
+                value={puppy.birth_weight_grams}
+                onChange={(e) => setPuppy(index, { birth_weight_grams: e.target.value })}
+                placeholder="Weight (g)"
+                aria-label={`Puppy ${index + 1} birth weight in grams`}
+                className={INPUT_CLASS}
+              />
+              <select
+                value={puppy.status}
+                onChange={(e) => setPuppy(index, { status: e.target.value })}
+                aria-label={`Puppy ${index + 1} status`}
+                className={INPUT_CLASS}
+              >
+                {Object.entries(PUPPY_STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => removePuppy(index)}
+                disabled={Boolean(puppy.dog_id) || form.puppies.length === 1}
+                title={puppy.dog_id ? "This puppy has a dog profile" : "Remove puppy"}
+                className="px-3 py-2 rounded-lg text-xs font-bold text-rose-600 hover:bg-rose-50 transition-colors disabled:opacity-40"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-sm font-bold uppercase tracking-wide text-white shadow-lg hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all"
+          >
+            {busy ? "Saving…" : "Save litter"}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,221 @@
+import React, { useState } from "react";
+import {
+  activityLevelOptions,
+  coatTypeOptions,
+  colorOptions,
+  sizeOptions,
+  sociabilityOptions,
+  trainabilityOptions,
+} from "../utils/traitOptions";
+import { HEALTH_CLEARANCE_LABELS } from "../utils/healthClearances";
+import { countActiveFilters } from "../utils/matchFilters";
+import "./MatchFilterPanel.css";
+
+const CHIP_GROUPS = [
+  { key: "sizes", label: "Size", options: sizeOptions },
+  { key: "coatTypes", label: "Coat type", options: coatTypeOptions },
+  { key: "colors", label: "Color", options: colorOptions },
+  { key: "activity", label: "Activity level", options: activityLevelOptions },
+  { key: "sociability", label: "Sociability", options: sociabilityOptions },
+  { key: "trainability", label: "Trainability", options: trainabilityOptions },
+];
+
+const HEALTH_OPTIONS = Object.entries(HEALTH_CLEARANCE_LABELS).map(([value, label]) => ({
+  value,
+  label,
+}));
+
+const toNumber = (raw) => (raw === "" ? null : Number(raw));
+
+function RangeInputs({ id, label, unit, min, max, onChange, step = 1 }) {
+  return (
+    <div className="match-filters__field">
+      <span className="match-filters__label">{label}</span>
+      <div className="match-filters__range">
+        <input
+          id={`${id}-min`}
+          type="number"
+          min="0"
+          step={step}
+          placeholder="Min"
+          aria-label={`${label} minimum`}
+          value={min ?? ""}
+          onChange={(e) => onChange(toNumber(e.target.value), max)}
+        />
+        <span>–</span>
+        <input
+          id={`${id}-max`}
+          type="number"
+          min="0"
+          step={step}
+          placeholder="Max"
+          aria-label={`${label} maximum`}
+          value={max ?? ""}
+          onChange={(e) => onChange(min, toNumber(e.target.value))}
+        />
+        <span className="match-filters__unit">{unit}</span>
+      </div>
+    </div>
+  );
+}
+
+function ChipGroup({ label, options, selected, onToggle }) {
+  return (
+    <div className="match-filters__field">
+      <span className="match-filters__label">{label}</span>
+      <div className="match-filters__chips">
+        {options.map((option) => {
+          const active = selected.includes(option.value);
+          return (
+            <button
+              key={option.value}
+              type="button"
+              className={"match-filters__chip" + (active ? " active" : "")}
+              aria-pressed={active}
+              onClick={() => onToggle(option.value)}
+            >
+              {option.label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Advanced filters for FindMatchPage. Controlled: `filters` comes from the URL and every
+ * change is passed up through `onChange`. `onSaveSearch`, when given, adds a save button.
+ */
+export default function MatchFilterPanel({ filters, onChange, onReset, onSaveSearch }) {
+  const activeCount = countActiveFilters(filters);
+  const [open, setOpen] = useState(activeCount > 0);
+
+  const update = (patch) => onChange({ ...filters, ...patch });
+  const toggle = (key, value) => {
+    const current = filters[key] || [];
+    update({
+      [key]: current.includes(value) ? current.filter((v) => v !== value) : [...current, value],
+    });
+  };
+
+  return (
+    <div className="match-filters">
+      <div className="match-filters__bar">
+        <button
+          type="button"
+          className="match-filters__toggle"
+          onClick={() => setOpen((v) => !v)}
+          aria-expanded={open}
+        >
+          {open ? "▾" : "▸"} More filters{activeCount > 0 ? ` (${activeCount} active)` : ""}
+        </button>
+        <div className="match-filters__actions">
+          {activeCount > 0 && (
+            <button type="button" className="match-filters__reset" onClick={onReset}>
+              Clear filters
+            </button>
+          )}
+          {onSaveSearch && (
+            <button type="button" className="match-filters__save" onClick={onSaveSearch}>
+              Save search
+            </button>
+          )}
+        </div>
+      </div>
+
+      {open && (
+        <div className="match-filters__grid">
+          <RangeInputs
+            id="filter-age"
+            label="Age"
+            unit="years"
+            min={filters.ageMin}
+            max={filters.ageMax}
+            onChange={(ageMin, ageMax) => update({ ageMin, ageMax })}
+          />
+          <RangeInputs
+            id="filter-weight"
+            label="Weight"
+            unit="kg"
+            step={0.5}
+            min={filters.weightMin}
+            max={filters.weightMax}
+            onChange={(weightMin, weightMax) => update({ weightMin, weightMax })}
+          />
+          <div className="match-filters__field">
+            <label className="match-filters__label" htmlFor="filter-max-distance">
+              Max distance
+            </label>
+            <div className="match-filters__range">
+              <input
+                id="filter-max-distance"
+                type="number"
+                min="0"
+                step="10"
+                placeholder="Any"
+                value={filters.maxDistance ?? ""}
+                onChange={(e) => update({ maxDistance: toNumber(e.target.value) })}
+              />
+              <span className="match-filters__unit">km</span>
+            </div>
+          </div>
+          <div className="match-filters__field">
+            <label className="match-filters__label" htmlFor="filter-heat-days">
+              Breeding window within
+            </label>
+            <div className="match-filters__range">
+              <input
+                id="filter-heat-days"
+                type="number"
+                min="0"
+                step="7"
+                placeholder="Any"
+                value={filters.heatWithinDays ?? ""}
+                onChange={(e) => update({ heatWithinDays: toNumber(e.target.value) })}
+              />
+              <span className="match-filters__unit">days</span>
+            </div>
+            <label className="match-filters__toggle">
+              <input
+                type="checkbox"
+                checked={filters.heatFirst}
+                onChange={(e) => update({ heatFirst: e.target.checked })}
+              />
+              Upcoming windows first
+            </label>
+          </div>
+          <div className="match-filters__field">
+            <label className="match-filters__label" htmlFor="filter-min-score">
+              Minimum score{filters.minScore !== null ? `: ${filters.minScore}` : ""}
+            </label>
+            <input
+              id="filter-min-score"
+              type="range"
+              min="0"
+              max="100"
+              step="5"
+              value={filters.minScore ?? 0}
+              onChange={(e) => update({ minScore: Number(e.target.value) || null })}
+            />
+          </div>
+          {CHIP_GROUPS.map((group) => (
+            <ChipGroup
+              key={group.key}
+              label={group.label}
+              options={group.options}
+              selected={filters[group.key] || []}
+              onToggle={(value) => toggle(group.key, value)}
+            />
+          ))}
+          <ChipGroup
+            label="Required health clearances"
+            options={HEALTH_OPTIONS}
+            selected={filters.health || []}
+            onToggle={(value) => toggle("health", value)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
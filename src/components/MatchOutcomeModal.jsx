@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from "react";
 import Modal from "./Modal";
+import { outcomePrefill } from "../utils/pregnancy";
 
 export default function MatchOutcomeModal({ open, onClose, onSubmit, match }) {
   const [outcome, setOutcome] = useState("success");
@@ -7,6 +8,8 @@ export default function MatchOutcomeModal({ open, onClose, onSubmit, match }) {
   const [notes, setNotes] = useState("");
   const [busy, setBusy] = useState(false);
   const isMaleDogOwner = !!match?.isMaleDogOwner;
+  // The female's owner starts from what the pregnancy tracker recorded
+  const prefill = isMaleDogOwner ? null : outcomePrefill(match?.pregnancy);
 
   useEffect(() => {
     if (open) {
@@ -14,11 +17,13 @@ export default function MatchOutcomeModal({ open, onClose, onSubmit, match }) {
       if (match?.isMaleDogOwner) {
         setOutcome("no_show");
         setLitterSize("");
+        setNotes("");
       } else {
-        setOutcome("success");
-        setLitterSize("1");
+        const tracked = outcomePrefill(match?.pregnancy);
+        setOutcome(tracked?.outcome || "success");
+        setLitterSize(tracked?.litterSize || "1");
+        setNotes(tracked?.notes || "");
       }
-      setNotes("");
     }
   }, [open, match]);
 
@@ -142,6 +147,13 @@ export default function MatchOutcomeModal({ open, onClose, onSubmit, match }) {
           </p>
         </div>
 
+        {prefill && (
+          <div className="relative z-10 rounded-xl border border-orange-200 bg-orange-50 text-amber-900 px-4 py-3 text-sm">
+            Pre-filled from the pregnancy tracker. Check the litter size against the puppies
+            actually born.
+          </div>
+        )}
+
         {isMaleDogOwner && (
           <div className="relative z-10 rounded-xl border border-orange-200 bg-orange-50 text-amber-900 px-4 py-3">
             If the female dog didn't show up, you can submit the "Didn't show up" outcome. For other
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import {
+  DEFAULT_MEETING_MINUTES,
+  MAX_PROPOSED_SLOTS,
+  validateMeetingSlot,
+} from "../utils/meetingSchedule";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-4 py-3 text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+
+const DURATIONS = [30, 60, 90, 120, 180, 240];
+
+const emptySlot = () => ({ date: "", time: "", duration_minutes: DEFAULT_MEETING_MINUTES });
+
+// Date and time inputs are in the browser's local time zone.
+const toSlot = (draft, location, notes) => ({
+  starts_at: draft.date && draft.time ? new Date(`${draft.date}T${draft.time}`) : null,
+  duration_minutes: Number(draft.duration_minutes),
+  location,
+  notes,
+});
+
+/**
+ * Propose up to MAX_PROPOSED_SLOTS meeting times at one location. `onSubmit` receives the
+ * slots as `{ starts_at, duration_minutes, location, notes }`.
+ */
+export default function MeetingProposalModal({ open, onClose, onSubmit, partnerName }) {
+  const [drafts, setDrafts] = useState([emptySlot()]);
+  const [location, setLocation] = useState("");
+  const [notes, setNotes] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setDrafts([emptySlot()]);
+    setLocation("");
+    setNotes("");
+  }, [open]);
+
+  const setDraft = (index, patch) =>
+    setDrafts((list) => list.map((draft, i) => (i === index ? { ...draft, ...patch } : draft)));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    const slots = drafts.map((draft) => toSlot(draft, location, notes));
+    const problem = slots.map((slot) => validateMeetingSlot(slot)).find(Boolean);
+    if (problem) {
+      window.dispatchEvent(
+        new CustomEvent("toast", { detail: { message: problem, type: "error" } })
+      );
+      return;
+    }
+    setBusy(true);
+    try {
+      await onSubmit(slots);
+      onClose();
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to propose meeting times", type: "error" },
+        })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} widthClass="max-w-2xl">
+      <form onSubmit={handleSubmit} className="p-8 space-y-5">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">Propose meeting times</h2>
+          <p className="text-sm text-slate-600 mt-1">
+            {partnerName || "Your match partner"} picks one of these times to confirm the
+            appointment.
+          </p>
+        </div>
+
+        {drafts.map((draft, index) => (
+          <div key={index} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_1fr_auto] gap-3">
+            <div className="space-y-2">
+              <label className={LABEL_CLASS} htmlFor={`meeting-date-${index}`}>
+                Date <span className="text-rose-600">*</span>
+              </label>
+              <input
+                id={`meeting-date-${index}`}
+                type="date"
+                value={draft.date}
+                onChange={(e) => setDraft(index, { date: e.target.value })}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className={LABEL_CLASS} htmlFor={`meeting-time-${index}`}>
+                Time <span className="text-rose-600">*</span>
+              </label>
+              <input
+                id={`meeting-time-${index}`}
+                type="time"
+                value={draft.time}
+                onChange={(e) => setDraft(index, { time: e.target.value })}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className={LABEL_CLASS} htmlFor={`meeting-duration-${index}`}>
+                Duration
+              </label>
+              <select
+                id={`meeting-duration-${index}`}
+                value={draft.duration_minutes}
+                onChange={(e) => setDraft(index, { duration_minutes: e.target.value })}
+                className={INPUT_CLASS}
+              >
+                {DURATIONS.map((minutes) => (
+                  <option key={minutes} value={minutes}>
+                    {minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-end">
+              {drafts.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => setDrafts((list) => list.filter((_, i) => i !== index))}
+                  className="px-3 py-3 text-sm font-bold text-rose-600 hover:text-rose-700"
+                  aria-label={`Remove time ${index + 1}`}
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+
+        {drafts.length < MAX_PROPOSED_SLOTS && (
+          <button
+            type="button"
+            onClick={() => setDrafts((list) => [...list, emptySlot()])}
+            className="text-sm font-bold text-orange-600 hover:text-orange-700"
+          >
+            + Add another time
+          </button>
+        )}
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="meeting-location">
+            Location <span className="text-rose-600">*</span>
+          </label>
+          <input
+            id="meeting-location"
+            type="text"
+            maxLength={200}
+            value={location}
+            onChange={(e) => setLocation(e.target.value)}
+            className={INPUT_CLASS}
+            placeholder="e.g. Happy Paws Clinic, Quezon City"
+          />
+        </div>
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="meeting-notes">
+            Notes
+          </label>
+          <textarea
+            id="meeting-notes"
+            rows={2}
+            maxLength={500}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            className={INPUT_CLASS}
+            placeholder="Parking, what to bring..."
+          />
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-sm font-bold uppercase tracking-wide text-white shadow-lg hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all"
+          >
+            {busy ? "Sending…" : "Propose times"}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useState } from "react";
+import MeetingProposalModal from "./MeetingProposalModal";
+import { downloadIcs } from "../utils/ics";
+import {
+  confirmedMeeting,
+  formatMeetingSlot,
+  meetingIcs,
+  meetingIcsFilename,
+} from "../utils/meetingSchedule";
+
+const toast = (message, type) =>
+  window.dispatchEvent(new CustomEvent("toast", { detail: { message, type } }));
+
+/**
+ * Meeting section of an awaiting_confirmation match card: the confirmed appointment with its
+ * .ics download, open proposals (accept the partner's, withdraw your own) and a button to
+ * propose new times.
+ */
+export default function MeetingScheduler({
+  match,
+  slots,
+  userId,
+  onPropose,
+  onAccept,
+  onWithdraw,
+}) {
+  const [modalOpen, setModalOpen] = useState(false);
+  const [busySlotId, setBusySlotId] = useState(null);
+  const confirmed = confirmedMeeting(slots);
+  const proposals = (slots || []).filter((slot) => slot.status === "proposed");
+  const dogNames = [match.myDog?.name, match.partnerDog?.name];
+
+  const run = async (slot, action, successMessage) => {
+    setBusySlotId(slot.id);
+    try {
+      await action(slot);
+      toast(successMessage, "success");
+    } catch (err) {
+      toast(err.message || "Failed to update meeting", "error");
+    } finally {
+      setBusySlotId(null);
+    }
+  };
+
+  return (
+    <div className="match-meeting">
+      {confirmed ? (
+        <div className="match-meeting-confirmed">
+          <div>
+            <div className="match-meeting-label">Appointment</div>
+            <div className="match-meeting-when">{formatMeetingSlot(confirmed)}</div>
+            {confirmed.notes && <div className="match-meeting-notes">{confirmed.notes}</div>}
+          </div>
+          <button
+            type="button"
+            className="btn-meeting-secondary"
+            onClick={() =>
+              downloadIcs(meetingIcsFilename(confirmed), meetingIcs(confirmed, { dogNames }))
+            }
+          >
+            Add to calendar (.ics)
+          </button>
+        </div>
+      ) : (
+        !proposals.length && <div className="match-meeting-label">No meeting scheduled yet</div>
+      )}
+
+      {proposals.map((slot) => {
+        const mine = String(slot.proposed_by) === String(userId);
+        return (
+          <div key={slot.id} className="match-meeting-proposal">
+            <div>
+              <div className="match-meeting-label">
+                {mine ? "You proposed" : "Partner proposed"}
+              </div>
+              <div className="match-meeting-when">{formatMeetingSlot(slot)}</div>
+            </div>
+            {mine ? (
+              <button
+                type="button"
+                className="btn-meeting-secondary"
+                disabled={busySlotId === slot.id}
+                onClick={() => run(slot, onWithdraw, "Meeting time withdrawn")}
+              >
+                Withdraw
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="btn-accept"
+                disabled={busySlotId === slot.id}
+                onClick={() => run(slot, onAccept, "Meeting confirmed")}
+              >
+                Accept
+              </button>
+            )}
+          </div>
+        );
+      })}
+
+      <button type="button" className="btn-meeting-secondary" onClick={() => setModalOpen(true)}>
+        {confirmed ? "Propose a new time" : "Propose meeting times"}
+      </button>
+
+      <MeetingProposalModal
+        open={modalOpen}
+        onClose={() => setModalOpen(false)}
+        partnerName={match.partnerDog?.name ? `${match.partnerDog.name}'s owner` : null}
+        onSubmit={async (proposed) => {
+          await onPropose(match.id, proposed);
+          toast("Meeting times sent", "success");
+        }}
+      />
+    </div>
+  );
+}
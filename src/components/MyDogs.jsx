@@ -11,7 +11,7 @@ import { notifyDogsInvalidate } from "../lib/dogEvents";
 
 // Component now relies on central useDogs hook for data, caching, and invalidation.
 
-export default function MyDogs({ dogs: overrideDogs = [], onAddDog, userId }) {
+export default function MyDogs({ dogs: overrideDogs = [], onAddDog, userId, children }) {
   const { dogs, loading, error, ready, refetch, setDogs, toggleDogVisibility } = useDogs({
     userId,
   });
@@ -365,6 +365,9 @@ export default function MyDogs({ dogs: overrideDogs = [], onAddDog, userId }) {
         )}
       </div>
 
+      {/* Extra sections supplied by the page (e.g. saved searches) */}
+      {children}
+
       {/* Confirmation Dialog */}
       <ConfirmDialog
         isOpen={confirmDialog.isOpen}
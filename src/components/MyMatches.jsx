@@ -7,6 +7,24 @@ import LoadingState from "./LoadingState";
 import ErrorMessage from "./ErrorMessage";
 import MatchOutcomeModal from "./MatchOutcomeModal";
 import SummaryCard from "./SummaryCard";
+import MeetingScheduler from "./MeetingScheduler";
+import AgreementModal from "./AgreementModal";
+import OutcomeDisputeModal from "./OutcomeDisputeModal";
+import LitterModal from "./LitterModal";
+import PregnancyTracker from "./PregnancyTracker";
+import CounterOfferModal from "./CounterOfferModal";
+import NegotiationTrail from "./NegotiationTrail";
+import useMeetingSlots from "../hooks/useMeetingSlots";
+import useDogs from "../hooks/useDogs";
+import { ACTIVE_MATCH_STATUSES, MATCH_TRANSITIONS } from "../utils/matchLifecycle";
+import { DEFAULT_MATCH_EXPIRY, formatExpiryCountdown, matchExpiresAt } from "../utils/matchExpiry";
+import { fetchMatchExpiryConfig } from "../lib/matchExpiry";
+import { canScheduleMeeting, confirmedMeeting } from "../utils/meetingSchedule";
+import { countsTowardStats } from "../utils/outcomeConfirmation";
+import { canRecordLitter, litterParents } from "../utils/litters";
+import { saveLitter } from "../lib/litters";
+import { savePregnancy } from "../lib/pregnancies";
+import { proposeCounterOffer, respondToCounterOffer } from "../lib/counterOffers";
 
 const STATUS_BADGES = {
   pending: { label: "Pending response", color: "bg-amber-100 text-amber-800" },
@@ -16,8 +34,13 @@ const STATUS_BADGES = {
   awaiting_confirmation: { label: "Awaiting confirmation", color: "bg-violet-100 text-violet-800" },
   completed_success: { label: "Successful", color: "bg-emerald-100 text-emerald-800" },
   completed_failed: { label: "Unsuccessful", color: "bg-rose-100 text-rose-700" },
+  expired: { label: "Expired", color: "bg-slate-200 text-slate-700" },
+  superseded: { label: "Replaced", color: "bg-slate-200 text-slate-700" },
 };
 
+const COUNTDOWN_TICK_MS = 60 * 1000;
+const URGENT_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
 const BREED_BUCKET_LABELS = {
   same: "Same-breed",
   cross: "Cross-breed",
@@ -41,6 +64,11 @@ const GENDER_FILTERS = [
 
 function getProgressMessage(match) {
   const status = match.userStatus || match.status;
+  if (status === "pending" && match.counterOffer) {
+    return match.canAnswerCounterOffer
+      ? "The other owner proposed a different dog. Accept or reject the counter-offer."
+      : "Waiting for the other owner to answer your counter-offer.";
+  }
   if (status === "pending") {
     return match.requiresResponse ? "Waiting for your decision." : "Awaiting partner's response.";
   }
@@ -66,19 +94,47 @@ function getProgressMessage(match) {
   if (status === "cancelled") {
     return "Request was cancelled.";
   }
+  if (status === "expired") {
+    return "Request expired before it was completed. You can send a new one from the chat.";
+  }
+  if (status === "superseded") {
+    return "Replaced by an updated request after a counter-offer was accepted.";
+  }
   return "Status updated.";
 }
 
-function MatchCard({ match, onAccept, onDecline, onCancel, onRecordOutcome, busy, successRates }) {
+function MatchCard({
+  match,
+  onAccept,
+  onDecline,
+  onCancel,
+  onRecordOutcome,
+  onOpenAgreement,
+  onConfirmOutcome,
+  onDisputeOutcome,
+  onRecordLitter,
+  onCounterOffer,
+  onAnswerCounterOffer,
+  busy,
+  successRates,
+  expiresAt,
+  now,
+  meeting,
+  pregnancy,
+}) {
   const statusKey = match.userStatus || match.status;
   const badge = STATUS_BADGES[statusKey] || {
     label: statusKey,
     color: "bg-slate-100 text-slate-700",
   };
-  // Allow both male and female dog owners to accept if they are the receiving owner
-  const showAcceptDecline = match.status === "pending" && match.isReceivingOwner;
-  const showCancel = match.canCancel;
+  // Buttons follow the lifecycle: only transitions this user may trigger are offered
+  const actions = match.actions || [];
+  const showAcceptDecline = actions.includes("accept");
+  const showCancel = actions.includes("cancel");
   const showRecordOutcome = match.awaitingMyOutcome;
+  const confirmation = match.outcomeConfirmation;
+  // Agreements can be drafted while the request is active and read back once it completes
+  const showAgreement = ACTIVE_MATCH_STATUSES.includes(match.status) || match.isCompleted;
   const requestedDate = match.requested_at ? new Date(match.requested_at) : null;
   const progressMessage = getProgressMessage(match);
   const dogId = match.myDog?.id ? String(match.myDog.id) : null;
@@ -103,6 +159,8 @@ function MatchCard({ match, onAccept, onDecline, onCancel, onRecordOutcome, busy
       accepted: "status-badge-accepted",
       declined: "status-badge-declined",
       cancelled: "status-badge-cancelled",
+      expired: "status-badge-cancelled",
+      superseded: "status-badge-cancelled",
       awaiting_confirmation: "status-badge-awaiting",
       completed_success: "status-badge-success",
       completed_failed: "status-badge-failed",
@@ -153,6 +211,17 @@ function MatchCard({ match, onAccept, onDecline, onCancel, onRecordOutcome, busy
             {match.direction === "sent" ? "Sent" : "Received"} ·{" "}
             {requestedDate ? requestedDate.toLocaleDateString() : "—"}
           </div>
+          {expiresAt && (
+            <div
+              className={
+                "match-card-expiry" +
+                (expiresAt.getTime() - now.getTime() < URGENT_EXPIRY_MS ? " urgent" : "")
+              }
+              title={`Expires ${expiresAt.toLocaleString()}`}
+            >
+              {formatExpiryCountdown(expiresAt, now)}
+            </div>
+          )}
         </div>
         <div className="flex items-center gap-2">
           <span className={`status-badge ${getBadgeClass(statusKey)}`}>{badge.label}</span>
@@ -179,19 +248,67 @@ function MatchCard({ match, onAccept, onDecline, onCancel, onRecordOutcome, busy
         <div className="outcome-display">
           Outcome: <span className="font-medium">{match.outcome.outcome.replace("_", " ")}</span>{" "}
           {match.outcome.notes && `· ${match.outcome.notes}`}
+          {confirmation && (
+            <div className="outcome-confirmation">
+              <span className={`outcome-confirmation-status ${confirmation.status}`}>
+                {confirmation.label}
+              </span>
+              {confirmation.deadline && (
+                <span>
+                  {confirmation.canRespond
+                    ? `Confirm or dispute by ${confirmation.deadline.toLocaleDateString()}`
+                    : `Your partner has until ${confirmation.deadline.toLocaleDateString()} to confirm`}
+                </span>
+              )}
+              {confirmation.status === "disputed" && <span>An admin is reviewing this case</span>}
+              {match.dispute?.status === "resolved" && match.dispute.admin_notes && (
+                <span>Admin: {match.dispute.admin_notes}</span>
+              )}
+            </div>
+          )}
         </div>
       )}
+      {meeting && <MeetingScheduler match={match} {...meeting} />}
+      {pregnancy && <PregnancyTracker pregnancy={match.pregnancy} now={now} {...pregnancy} />}
+      <NegotiationTrail match={match} />
       <div className="match-actions">
         {showAcceptDecline && (
           <>
             <button className="btn-accept" onClick={() => onAccept(match)} disabled={busy}>
               Accept
             </button>
-            <button className="btn-decline" onClick={() => onDecline(match)} disabled={busy}>
+            <button
+              className="btn-decline"
+              onClick={() => onDecline(match)}
+              disabled={busy || !actions.includes("decline")}
+            >
               Decline
             </button>
           </>
         )}
+        {match.canCounterOffer && (
+          <button className="btn-agreement" onClick={() => onCounterOffer(match)} disabled={busy}>
+            Propose another dog
+          </button>
+        )}
+        {match.canAnswerCounterOffer && (
+          <>
+            <button
+              className="btn-accept"
+              onClick={() => onAnswerCounterOffer(match, true)}
+              disabled={busy}
+            >
+              Accept {match.counterOffer.proposed_dog?.name || "counter-offer"}
+            </button>
+            <button
+              className="btn-decline"
+              onClick={() => onAnswerCounterOffer(match, false)}
+              disabled={busy}
+            >
+              Reject counter-offer
+            </button>
+          </>
+        )}
         {showCancel && (
           <button className="btn-cancel" onClick={() => onCancel(match)} disabled={busy}>
             Cancel
@@ -206,6 +323,45 @@ function MatchCard({ match, onAccept, onDecline, onCancel, onRecordOutcome, busy
             Record outcome
           </button>
         )}
+        {confirmation?.canRespond && (
+          <>
+            <button className="btn-accept" onClick={() => onConfirmOutcome(match)} disabled={busy}>
+              Confirm outcome
+            </button>
+            <button
+              className="btn-decline"
+              onClick={() => onDisputeOutcome(match, "dispute")}
+              disabled={busy}
+            >
+              Dispute
+            </button>
+          </>
+        )}
+        {match.dispute?.status === "open" && (
+          <button
+            className="btn-agreement"
+            onClick={() => onDisputeOutcome(match, "statement")}
+            disabled={busy}
+          >
+            Add to dispute
+          </button>
+        )}
+        {showAgreement && (
+          <button className="btn-agreement" onClick={() => onOpenAgreement(match)}>
+            Agreement
+          </button>
+        )}
+        {match.litter ? (
+          <Link to={`/dog/${match.litter.dam_id}`} className="btn-agreement">
+            View litter
+          </Link>
+        ) : (
+          canRecordLitter(match) && (
+            <button className="btn-agreement" onClick={() => onRecordLitter(match)} disabled={busy}>
+              Record litter
+            </button>
+          )
+        )}
       </div>
     </div>
   );
@@ -225,14 +381,39 @@ export default function MyMatches({ userId }) {
     error,
     refetch,
     acceptMatch,
-    updateStatus,
+    transition,
     submitOutcome,
+    confirmOutcome,
+    disputeOutcome,
+    addStatement,
   } = useDogMatches({ userId });
+  const { dogs: myDogs } = useDogs({ userId });
+  const meetingSlots = useMeetingSlots(
+    awaitingConfirmationMatches.filter(canScheduleMeeting).map((m) => m.id)
+  );
   const [tab, setTab] = useState("pending");
   const [genderFilter, setGenderFilter] = useState("all");
   const [busyMap, setBusyMap] = useState({});
   const [outcomeModalOpen, setOutcomeModalOpen] = useState(false);
   const [outcomeMatch, setOutcomeMatch] = useState(null);
+  const [agreementMatch, setAgreementMatch] = useState(null);
+  const [disputeTarget, setDisputeTarget] = useState(null);
+  const [litterMatch, setLitterMatch] = useState(null);
+  const [counterOfferMatch, setCounterOfferMatch] = useState(null);
+  const [expiryConfig, setExpiryConfig] = useState(DEFAULT_MATCH_EXPIRY);
+  const [now, setNow] = useState(() => new Date());
+
+  React.useEffect(() => {
+    let cancelled = false;
+    fetchMatchExpiryConfig().then((config) => {
+      if (!cancelled) setExpiryConfig(config);
+    });
+    const timer = setInterval(() => setNow(new Date()), COUNTDOWN_TICK_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
 
   const successRates = useMemo(() => {
     const stats = {};
@@ -247,7 +428,11 @@ export default function MyMatches({ userId }) {
           cross: { success: 0, total: 0 },
         };
       }
-      if (match.status === "completed_success" || match.status === "completed_failed") {
+      // Only outcomes both owners confirmed (or an admin resolved) count
+      if (
+        (match.status === "completed_success" || match.status === "completed_failed") &&
+        countsTowardStats(match.outcome)
+      ) {
         stats[dogId][bucket].total += 1;
         if (match.status === "completed_success") {
           stats[dogId][bucket].success += 1;
@@ -277,13 +462,6 @@ export default function MyMatches({ userId }) {
       if (!owner) return false;
       return String(owner) === normalizedUserId;
     };
-    function isReceivingOwner(match) {
-      if (match.direction === "received") {
-        return isOwner(match.myDog);
-      } else {
-        return isOwner(match.partnerDog);
-      }
-    }
     function isFemaleDogOwner(match) {
       if (match.partnerDog && match.partnerDog.gender === "female" && isOwner(match.partnerDog)) {
         return true;
@@ -300,7 +478,13 @@ export default function MyMatches({ userId }) {
         break;
       // Removed accepted tab
       case "declined":
-        list = matches.filter((m) => m.status === "declined" || m.status === "cancelled");
+        list = matches.filter(
+          (m) =>
+            m.status === "declined" ||
+            m.status === "cancelled" ||
+            m.status === "expired" ||
+            m.status === "superseded"
+        );
         break;
       case "awaiting":
         list = awaitingConfirmationMatches;
@@ -316,7 +500,6 @@ export default function MyMatches({ userId }) {
     }
     const matchesWithHelpers = list.map((m) => ({
       ...m,
-      isReceivingOwner: isReceivingOwner(m),
       isFemaleDogOwner: isFemaleDogOwner(m),
     }));
     const filteredByGender = matchesWithHelpers.filter((match) => {
@@ -358,13 +541,13 @@ export default function MyMatches({ userId }) {
     }
   }, [tab, page]);
 
-  const handleStatusChange = async (match, status) => {
+  const handleTransition = async (match, action) => {
     setBusyMap((prev) => ({ ...prev, [match.id]: true }));
     try {
-      await updateStatus(match.id, status);
+      await transition(match.id, action);
       window.dispatchEvent(
         new CustomEvent("toast", {
-          detail: { message: `Match ${status.replace("_", " ")}`, type: "success" },
+          detail: { message: `Match ${MATCH_TRANSITIONS[action].label}`, type: "success" },
         })
       );
     } catch (err) {
@@ -398,6 +581,94 @@ export default function MyMatches({ userId }) {
     }
   };
 
+  const handleConfirmOutcome = async (match) => {
+    setBusyMap((prev) => ({ ...prev, [match.id]: true }));
+    try {
+      await confirmOutcome(match.outcome.id);
+      window.dispatchEvent(
+        new CustomEvent("toast", { detail: { message: "Outcome confirmed", type: "success" } })
+      );
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to confirm outcome", type: "error" },
+        })
+      );
+    } finally {
+      setBusyMap((prev) => ({ ...prev, [match.id]: false }));
+    }
+  };
+
+  const handleDisputeSubmit = async (statement) => {
+    const { match, mode } = disputeTarget;
+    if (mode === "dispute") {
+      await disputeOutcome(match.outcome.id, statement);
+    } else {
+      await addStatement(match.dispute.id, statement);
+    }
+    window.dispatchEvent(
+      new CustomEvent("toast", {
+        detail: {
+          message: mode === "dispute" ? "Dispute sent to the admins" : "Statement added",
+          type: "success",
+        },
+      })
+    );
+  };
+
+  const handleLitterSubmit = async (form) => {
+    const { sire, dam } = litterParents(litterMatch);
+    await saveLitter({
+      matchId: litterMatch.id,
+      sireId: sire?.id ?? null,
+      damId: dam.id,
+      whelpedOn: form.whelped_on,
+      notes: form.notes,
+      puppies: form.puppies,
+    });
+    window.dispatchEvent(
+      new CustomEvent("toast", { detail: { message: "Litter recorded", type: "success" } })
+    );
+    refetch();
+  };
+
+  const handlePregnancySave = async (match, draft) => {
+    await savePregnancy(match, draft);
+    refetch();
+  };
+
+  const handleCounterOfferSubmit = async (offer) => {
+    await proposeCounterOffer(counterOfferMatch, offer);
+    window.dispatchEvent(
+      new CustomEvent("toast", { detail: { message: "Counter-offer sent", type: "success" } })
+    );
+    refetch();
+  };
+
+  const handleAnswerCounterOffer = async (match, accept) => {
+    setBusyMap((prev) => ({ ...prev, [match.id]: true }));
+    try {
+      await respondToCounterOffer(match, match.counterOffer, accept);
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: {
+            message: accept ? "Counter-offer accepted" : "Counter-offer rejected",
+            type: "success",
+          },
+        })
+      );
+      refetch();
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to answer the counter-offer", type: "error" },
+        })
+      );
+    } finally {
+      setBusyMap((prev) => ({ ...prev, [match.id]: false }));
+    }
+  };
+
   const handleRecordOutcome = (match) => {
     setOutcomeMatch(match);
     setOutcomeModalOpen(true);
@@ -501,11 +772,42 @@ export default function MyMatches({ userId }) {
                       key={match.id}
                       match={match}
                       onAccept={handleAccept}
-                      onDecline={(m) => handleStatusChange(m, "declined")}
-                      onCancel={(m) => handleStatusChange(m, "cancelled")}
+                      onDecline={(m) => handleTransition(m, "decline")}
+                      onCancel={(m) => handleTransition(m, "cancel")}
                       onRecordOutcome={handleRecordOutcome}
+                      onOpenAgreement={setAgreementMatch}
+                      onConfirmOutcome={handleConfirmOutcome}
+                      onDisputeOutcome={(m, mode) => setDisputeTarget({ match: m, mode })}
+                      onRecordLitter={setLitterMatch}
+                      onCounterOffer={setCounterOfferMatch}
+                      onAnswerCounterOffer={handleAnswerCounterOffer}
                       busy={!!busyMap[match.id]}
                       successRates={successRates}
+                      expiresAt={matchExpiresAt(match, expiryConfig)}
+                      now={now}
+                      meeting={
+                        canScheduleMeeting(match)
+                          ? {
+                              slots: meetingSlots.slotsByMatch.get(String(match.id)),
+                              userId,
+                              onPropose: meetingSlots.propose,
+                              onAccept: meetingSlots.accept,
+                              onWithdraw: meetingSlots.withdraw,
+                            }
+                          : null
+                      }
+                      pregnancy={
+                        match.status === "awaiting_confirmation"
+                          ? {
+                              meeting: confirmedMeeting(
+                                meetingSlots.slotsByMatch.get(String(match.id))
+                              ),
+                              canEdit: String(litterParents(match).dam?.user_id) === String(userId),
+                              damName: litterParents(match).dam?.name,
+                              onSave: (draft) => handlePregnancySave(match, draft),
+                            }
+                          : null
+                      }
                     />
                   ))}
                 </div>
@@ -537,6 +839,43 @@ export default function MyMatches({ userId }) {
         onSubmit={submitOutcome}
         match={outcomeMatch}
       />
+      <OutcomeDisputeModal
+        open={!!disputeTarget}
+        onClose={() => setDisputeTarget(null)}
+        onSubmit={handleDisputeSubmit}
+        title={disputeTarget?.mode === "statement" ? "Add to the dispute" : "Dispute outcome"}
+        description={
+          disputeTarget?.mode === "statement"
+            ? "Both owners' statements and evidence go to the admin reviewing the case."
+            : "The outcome won't count toward either dog's stats until an admin reviews the case."
+        }
+      />
+      <LitterModal
+        open={!!litterMatch}
+        onClose={() => setLitterMatch(null)}
+        onSubmit={handleLitterSubmit}
+        litterSize={litterMatch?.outcome?.litter_size}
+        title={
+          litterMatch
+            ? `${litterParents(litterMatch).dam?.name || "Dam"} × ${
+                litterParents(litterMatch).sire?.name || "sire"
+              }. The litter appears on both parents' profiles.`
+            : ""
+        }
+      />
+      <CounterOfferModal
+        open={!!counterOfferMatch}
+        onClose={() => setCounterOfferMatch(null)}
+        onSubmit={handleCounterOfferSubmit}
+        match={counterOfferMatch}
+        dogs={myDogs}
+      />
+      <AgreementModal
+        open={!!agreementMatch}
+        onClose={() => setAgreementMatch(null)}
+        match={agreementMatch}
+        userId={userId}
+      />
     </div>
   );
 }
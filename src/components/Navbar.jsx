@@ -92,6 +92,13 @@ export default function Navbar({ onMenuClick, onSignInClick, onSignUpClick, user
                 >
                   Find Match
                 </Link>
+                <Link
+                  to="/studs"
+                  onClick={() => setOpen(false)}
+                  className="text-left hover:text-slate-900 transition-colors"
+                >
+                  Stud Listings
+                </Link>
                 <Link
                   to="/forum"
                   onClick={() => setOpen(false)}
@@ -0,0 +1,44 @@
+import React from "react";
+import { COUNTER_OFFER_STATUS_LABELS, negotiationTrail } from "../utils/counterOffers";
+
+const formatStepDate = (value) => (value ? new Date(value).toLocaleDateString() : "—");
+
+function stepTitle(step) {
+  if (step.kind === "request") return `Request for ${step.dogName}`;
+  if (step.kind === "counter_offer") return `Counter-offer: ${step.dogName}`;
+  return `Updated request for ${step.dogName}`;
+}
+
+function stepStatus(step) {
+  if (step.kind === "counter_offer") return COUNTER_OFFER_STATUS_LABELS[step.status] || step.status;
+  if (step.status === "superseded") return "Replaced";
+  return null;
+}
+
+/**
+ * The counter-offers behind a breeding request, oldest first, from the original request to
+ * the updated one. Renders nothing for requests that were never countered.
+ */
+export default function NegotiationTrail({ match }) {
+  const trail = negotiationTrail(match);
+  if (!trail.length) return null;
+
+  return (
+    <div className="match-meeting">
+      <div className="match-meeting-label">Negotiation</div>
+      <ol className="negotiation-trail">
+        {trail.map((step) => {
+          const status = stepStatus(step);
+          return (
+            <li key={step.key} className={`negotiation-step negotiation-step-${step.status}`}>
+              <span className="negotiation-step-date">{formatStepDate(step.at)}</span>
+              <span className="negotiation-step-title">{stepTitle(step)}</span>
+              {status && <span className="negotiation-step-status">{status}</span>}
+              {step.message && <span className="negotiation-step-message">“{step.message}”</span>}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
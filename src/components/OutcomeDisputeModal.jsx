@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import { MAX_EVIDENCE_FILES, validateDisputeStatement } from "../utils/outcomeConfirmation";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-4 py-3 text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+
+/**
+ * Collects a dispute statement with optional evidence files. Used both to open a dispute and
+ * to add to an open one; `onSubmit` receives `{ notes, files }`.
+ */
+export default function OutcomeDisputeModal({ open, onClose, onSubmit, title, description }) {
+  const [notes, setNotes] = useState("");
+  const [files, setFiles] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setNotes("");
+    setFiles([]);
+  }, [open]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    const problem = validateDisputeStatement({ notes, files });
+    if (problem) {
+      window.dispatchEvent(
+        new CustomEvent("toast", { detail: { message: problem, type: "error" } })
+      );
+      return;
+    }
+    setBusy(true);
+    try {
+      await onSubmit({ notes, files });
+      onClose();
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to send statement", type: "error" },
+        })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} widthClass="max-w-xl">
+      <form onSubmit={handleSubmit} className="p-8 space-y-5">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">{title}</h2>
+          {description && <p className="text-sm text-slate-600 mt-1">{description}</p>}
+        </div>
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="dispute-notes">
+            What happened <span className="text-rose-600">*</span>
+          </label>
+          <textarea
+            id="dispute-notes"
+            rows={5}
+            maxLength={4000}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            className={INPUT_CLASS}
+            placeholder="Dates, vet visits, ultrasound results, messages..."
+          />
+        </div>
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="dispute-evidence">
+            Evidence (images or PDFs, up to {MAX_EVIDENCE_FILES})
+          </label>
+          <input
+            id="dispute-evidence"
+            type="file"
+            multiple
+            accept="image/*,application/pdf"
+            onChange={(e) => setFiles(Array.from(e.target.files || []))}
+            className="block w-full text-sm text-slate-600 file:mr-4 file:rounded-xl file:border-0 file:bg-orange-50 file:px-4 file:py-2 file:font-bold file:text-amber-900 hover:file:bg-orange-100"
+          />
+          {files.length > 0 && (
+            <ul className="text-xs text-slate-500">
+              {files.map((file) => (
+                <li key={file.name}>{file.name}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-sm font-bold uppercase tracking-wide text-white shadow-lg hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all"
+          >
+            {busy ? "Sending…" : "Send"}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import useDebounce from "../hooks/useDebounce";
+import { searchRegisteredDogs } from "../lib/pedigree";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-4 py-3 text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+
+/**
+ * Lets an owner set the sire or dam of a pedigree slot, either by linking a dog already on
+ * DaBreeder or by recording an external ancestor.
+ */
+export default function PedigreeParentModal({ open, onClose, slot, onLinkDog, onAddExternal }) {
+  const [mode, setMode] = useState("registered");
+  const [term, setTerm] = useState("");
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [external, setExternal] = useState({ name: "", registrationNumber: "", breed: "" });
+  const [busy, setBusy] = useState(false);
+  const debouncedTerm = useDebounce(term, 300);
+
+  const role = slot?.role;
+  const child = slot?.child;
+  const gender = role === "sire" ? "male" : "female";
+  const roleLabel = role === "sire" ? "Sire" : "Dam";
+
+  useEffect(() => {
+    if (open) {
+      setMode("registered");
+      setTerm("");
+      setResults([]);
+      setExternal({ name: "", registrationNumber: "", breed: child?.breed || "" });
+    }
+  }, [open, child]);
+
+  useEffect(() => {
+    if (!open || mode !== "registered") return;
+    let cancelled = false;
+    setSearching(true);
+    searchRegisteredDogs({
+      term: debouncedTerm,
+      gender,
+      excludeId: child?.kind === "dog" ? child.id : null,
+    })
+      .then((rows) => {
+        if (!cancelled) setResults(rows);
+      })
+      .catch((e) => {
+        if (!cancelled) {
+          console.error("Pedigree dog search failed:", e);
+          setResults([]);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setSearching(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, mode, debouncedTerm, gender, child]);
+
+  if (!slot) return null;
+
+  const run = async (action) => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await action();
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: `${roleLabel} saved`, type: "success" },
+        })
+      );
+      onClose();
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: {
+            message: err.message || `Failed to save ${roleLabel.toLowerCase()}`,
+            type: "error",
+          },
+        })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExternalSubmit = (e) => {
+    e.preventDefault();
+    if (!external.name.trim()) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: "Please enter the ancestor's name", type: "warning" },
+        })
+      );
+      return;
+    }
+    run(() => onAddExternal({ child, role, ancestor: external }));
+  };
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} widthClass="max-w-xl">
+      <div className="p-8 space-y-5 relative">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">Set {roleLabel.toLowerCase()}</h2>
+          <p className="text-sm text-slate-600 mt-1">
+            Choose the {roleLabel.toLowerCase()} of {child?.name || "this dog"}.
+          </p>
+        </div>
+
+        <div className="flex gap-3">
+          {[
+            { value: "registered", label: "Dog on DaBreeder" },
+            { value: "external", label: "External ancestor" },
+          ].map((opt) => (
+            <label
+              key={opt.value}
+              className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer"
+            >
+              <input
+                type="radio"
+                name="pedigree-parent-mode"
+                value={opt.value}
+                checked={mode === opt.value}
+                onChange={() => setMode(opt.value)}
+                className="accent-orange-500 cursor-pointer w-4 h-4"
+              />
+              {opt.label}
+            </label>
+          ))}
+        </div>
+
+        {mode === "registered" ? (
+          <div className="space-y-3">
+            <label className={LABEL_CLASS} htmlFor="pedigree-parent-search">
+              Search by name or registration number
+            </label>
+            <input
+              id="pedigree-parent-search"
+              type="text"
+              value={term}
+              onChange={(e) => setTerm(e.target.value)}
+              placeholder={`Find a ${gender} dog`}
+              className={INPUT_CLASS}
+            />
+            {searching ? (
+              <p className="text-sm text-slate-500">Searching…</p>
+            ) : debouncedTerm.trim().length >= 2 && results.length === 0 ? (
+              <p className="text-sm text-slate-500">No {gender} dogs found.</p>
+            ) : (
+              <ul className="space-y-2 max-h-64 overflow-y-auto">
+                {results.map((dog) => (
+                  <li key={dog.id}>
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() =>
+                        run(() => onLinkDog({ child, role, parent: { kind: "dog", id: dog.id } }))
+                      }
+                      className="w-full flex items-center justify-between rounded-xl border-2 border-orange-100 px-4 py-3 text-left hover:border-orange-300 hover:bg-orange-50 transition-colors disabled:opacity-50"
+                    >
+                      <span>
+                        <span className="block font-bold text-amber-900">{dog.name}</span>
+                        <span className="block text-xs text-slate-500">
+                          {dog.breed || "Unknown breed"}
+                          {dog.registration_number ? ` · ${dog.registration_number}` : ""}
+                        </span>
+                      </span>
+                      <span className="text-xs font-bold uppercase text-orange-600">Link</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ) : (
+          <form onSubmit={handleExternalSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <label className={LABEL_CLASS} htmlFor="pedigree-ancestor-name">
+                Name <span className="text-rose-600">*</span>
+              </label>
+              <input
+                id="pedigree-ancestor-name"
+                type="text"
+                value={external.name}
+                onChange={(e) => setExternal((v) => ({ ...v, name: e.target.value }))}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className={LABEL_CLASS} htmlFor="pedigree-ancestor-registration">
+                Registration number
+              </label>
+              <input
+                id="pedigree-ancestor-registration"
+                type="text"
+                value={external.registrationNumber}
+                onChange={(e) => setExternal((v) => ({ ...v, registrationNumber: e.target.value }))}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className={LABEL_CLASS} htmlFor="pedigree-ancestor-breed">
+                Breed
+              </label>
+              <input
+                id="pedigree-ancestor-breed"
+                type="text"
+                value={external.breed}
+                onChange={(e) => setExternal((v) => ({ ...v, breed: e.target.value }))}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-6 py-3 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-sm font-bold uppercase tracking-wide text-white shadow-lg hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all"
+              >
+                {busy ? "Saving…" : `Save ${roleLabel.toLowerCase()}`}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
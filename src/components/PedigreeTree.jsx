@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import ConfirmDialog from "./ConfirmDialog";
+import PedigreeParentModal from "./PedigreeParentModal";
+import { countKnownAncestors, pedigreeColumns } from "../utils/pedigree";
+import "./PedigreeTree.css";
+
+const GENERATION_LABELS = ["Parents", "Grandparents", "Great-grandparents"];
+
+function generationLabel(index) {
+  if (index < GENERATION_LABELS.length) return GENERATION_LABELS[index];
+  return `${index - 1}× great-grandparents`;
+}
+
+function PedigreeNode({ node, role, canEdit, onEdit, onClear }) {
+  if (!node) {
+    return (
+      <div className="pedigree-node pedigree-node-empty">
+        <span className="pedigree-node-role">{role === "sire" ? "Sire" : "Dam"}</span>
+        {canEdit ? (
+          <button type="button" className="pedigree-node-action" onClick={onEdit}>
+            + Add {role}
+          </button>
+        ) : (
+          <span className="pedigree-node-unknown">Unknown</span>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`pedigree-node pedigree-node-${role}`}>
+      <span className="pedigree-node-role">{role === "sire" ? "Sire" : "Dam"}</span>
+      {node.kind === "dog" ? (
+        <Link to={`/dog/${node.id}`} className="pedigree-node-name pedigree-node-link">
+          {node.name}
+        </Link>
+      ) : (
+        <span className="pedigree-node-name">{node.name}</span>
+      )}
+      {node.registration_number && (
+        <span className="pedigree-node-meta">Reg. {node.registration_number}</span>
+      )}
+      {node.breed && <span className="pedigree-node-meta">{node.breed}</span>}
+      {node.kind === "ancestor" && <span className="pedigree-node-badge">External</span>}
+      {canEdit && (
+        <div className="pedigree-node-actions">
+          <button type="button" className="pedigree-node-action" onClick={onEdit}>
+            Change
+          </button>
+          <button type="button" className="pedigree-node-action" onClick={onClear}>
+            Remove
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Multi-generation pedigree chart. Owners can fill in parents for any record they own,
+ * which covers their own dogs and the external ancestors they have added.
+ */
+export default function PedigreeTree({
+  tree,
+  userId,
+  generations = 4,
+  onLinkDog,
+  onAddExternal,
+  onClearParent,
+}) {
+  const [editingSlot, setEditingSlot] = useState(null);
+  const [clearingSlot, setClearingSlot] = useState(null);
+
+  if (!tree) {
+    return <div className="text-gray-500">No pedigree information recorded.</div>;
+  }
+
+  const columns = pedigreeColumns(tree, generations);
+  const known = countKnownAncestors(tree);
+  const canEditSlot = (slot) => !!userId && !!slot.child && slot.child.owner_id === userId;
+
+  const handleClear = async () => {
+    if (!clearingSlot) return;
+    try {
+      await onClearParent({ child: clearingSlot.child, role: clearingSlot.role });
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to remove parent", type: "error" },
+        })
+      );
+    } finally {
+      setClearingSlot(null);
+    }
+  };
+
+  return (
+    <div className="pedigree-tree">
+      <p className="pedigree-summary">
+        {known === 0
+          ? "No ancestors recorded yet."
+          : `${known} known ancestor${known === 1 ? "" : "s"} across ${generations} generations.`}
+      </p>
+      <div className="pedigree-columns">
+        {columns.map((column, index) => (
+          <div key={index} className="pedigree-column">
+            <div className="pedigree-column-title">{generationLabel(index)}</div>
+            <div className="pedigree-column-slots">
+              {column.map((slot, slotIndex) => {
+                // Only render slots whose child is known, otherwise the chart fills up
+                // with placeholders nobody can act on.
+                if (!slot.child) {
+                  return <div key={slotIndex} className="pedigree-node pedigree-node-blank" />;
+                }
+                const canEdit = canEditSlot(slot);
+                return (
+                  <PedigreeNode
+                    key={slotIndex}
+                    node={slot.node}
+                    role={slot.role}
+                    canEdit={canEdit}
+                    onEdit={() => setEditingSlot(slot)}
+                    onClear={() => setClearingSlot(slot)}
+                  />
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <PedigreeParentModal
+        open={!!editingSlot}
+        slot={editingSlot}
+        onClose={() => setEditingSlot(null)}
+        onLinkDog={onLinkDog}
+        onAddExternal={onAddExternal}
+      />
+
+      <ConfirmDialog
+        isOpen={!!clearingSlot}
+        onClose={() => setClearingSlot(null)}
+        onConfirm={handleClear}
+        title="Remove parent"
+        message={`Remove the ${clearingSlot?.role || "parent"} of ${clearingSlot?.child?.name || "this dog"}?`}
+        confirmText="Remove"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import {
+  MAX_XRAY_PUPPY_COUNT,
+  ULTRASOUND_RESULTS,
+  formatPregnancyDay,
+  expectedWhelpingDate,
+  isoDay,
+  validatePregnancy,
+} from "../utils/pregnancy";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-4 py-3 text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+
+const toForm = (pregnancy, suggestedMatedOn) => ({
+  id: pregnancy?.id || null,
+  mated_on: pregnancy?.mated_on || suggestedMatedOn || "",
+  ultrasound_on: pregnancy?.ultrasound_on || "",
+  ultrasound_result: pregnancy?.ultrasound_result || "",
+  xray_on: pregnancy?.xray_on || "",
+  xray_puppy_count: pregnancy?.xray_puppy_count ?? "",
+  notes: pregnancy?.notes || "",
+});
+
+/**
+ * Start or update a pregnancy tracker. `suggestedMatedOn` (the accepted appointment's day)
+ * pre-fills the mating date of a new tracker. `onSubmit` receives the draft.
+ */
+export default function PregnancyModal({
+  open,
+  onClose,
+  onSubmit,
+  pregnancy,
+  suggestedMatedOn,
+  damName,
+}) {
+  const [form, setForm] = useState(() => toForm(pregnancy, suggestedMatedOn));
+  const [busy, setBusy] = useState(false);
+  const today = isoDay(new Date());
+
+  useEffect(() => {
+    if (open) setForm(toForm(pregnancy, suggestedMatedOn));
+  }, [open, pregnancy, suggestedMatedOn]);
+
+  const set = (patch) => setForm((v) => ({ ...v, ...patch }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    const problem = validatePregnancy(form);
+    if (problem) {
+      window.dispatchEvent(
+        new CustomEvent("toast", { detail: { message: problem, type: "error" } })
+      );
+      return;
+    }
+    setBusy(true);
+    try {
+      await onSubmit(form);
+      onClose();
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to save the pregnancy", type: "error" },
+        })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} widthClass="max-w-xl">
+      <form onSubmit={handleSubmit} className="p-8 space-y-5">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">
+            {pregnancy ? "Update pregnancy" : "Track pregnancy"}
+          </h2>
+          <p className="text-sm text-slate-600 mt-1">
+            {form.mated_on
+              ? `${damName || "She"} is due around ${formatPregnancyDay(expectedWhelpingDate(form.mated_on))}. You'll get a reminder before each milestone.`
+              : "Enter the mating date to see the expected whelping date."}
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="pregnancy-mated-on">
+            Mating date <span className="text-rose-600">*</span>
+          </label>
+          <input
+            id="pregnancy-mated-on"
+            type="date"
+            max={today}
+            value={form.mated_on}
+            onChange={(e) => set({ mated_on: e.target.value })}
+            className={INPUT_CLASS}
+            required
+          />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="pregnancy-ultrasound-on">
+              Ultrasound date
+            </label>
+            <input
+              id="pregnancy-ultrasound-on"
+              type="date"
+              min={form.mated_on || undefined}
+              max={today}
+              value={form.ultrasound_on}
+              onChange={(e) => set({ ultrasound_on: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="pregnancy-ultrasound-result">
+              Ultrasound result
+            </label>
+            <select
+              id="pregnancy-ultrasound-result"
+              value={form.ultrasound_result}
+              onChange={(e) => set({ ultrasound_result: e.target.value })}
+              className={INPUT_CLASS}
+            >
+              <option value="">Not done yet</option>
+              {Object.entries(ULTRASOUND_RESULTS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="pregnancy-xray-on">
+              X-ray date
+            </label>
+            <input
+              id="pregnancy-xray-on"
+              type="date"
+              min={form.mated_on || undefined}
+              max={today}
+              value={form.xray_on}
+              onChange={(e) => set({ xray_on: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="pregnancy-xray-count">
+              Puppies counted on X-ray
+            </label>
+            <input
+              id="pregnancy-xray-count"
+              type="number"
+              min="0"
+              max={MAX_XRAY_PUPPY_COUNT}
+              step="1"
+              value={form.xray_puppy_count}
+              onChange={(e) => set({ xray_puppy_count: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="pregnancy-notes">
+            Notes
+          </label>
+          <textarea
+            id="pregnancy-notes"
+            rows={3}
+            value={form.notes}
+            onChange={(e) => set({ notes: e.target.value })}
+            placeholder="Vet visits, appetite, temperature readings…"
+            className={INPUT_CLASS}
+          />
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-sm font-bold uppercase tracking-wide text-white shadow-lg hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all"
+          >
+            {busy ? "Saving…" : pregnancy ? "Save" : "Start tracking"}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import PregnancyModal from "./PregnancyModal";
+import {
+  ULTRASOUND_RESULTS,
+  formatPregnancyDay,
+  formatWhelpingCountdown,
+  pregnancyTimeline,
+  suggestedMatingDate,
+} from "../utils/pregnancy";
+
+const STATE_LABELS = { past: "Done", current: "Now", upcoming: "Upcoming" };
+
+/**
+ * Pregnancy section of an awaiting_confirmation match card: the whelping countdown and the
+ * milestone timeline. The female's owner (`canEdit`) can start and update the tracker; the
+ * mating date defaults to the accepted appointment (`meeting`).
+ */
+export default function PregnancyTracker({ pregnancy, meeting, canEdit, damName, onSave, now }) {
+  const [modalOpen, setModalOpen] = useState(false);
+  const timeline = pregnancyTimeline(pregnancy, now);
+  const ended = pregnancy?.ultrasound_result === "not_pregnant";
+
+  if (!pregnancy && !canEdit) return null;
+
+  return (
+    <div className="match-meeting">
+      {timeline ? (
+        <>
+          <div className="match-meeting-confirmed">
+            <div>
+              <div className="match-meeting-label">Pregnancy · day {Math.max(timeline.day, 0)}</div>
+              <div className="match-meeting-when">
+                {ended
+                  ? `Ultrasound: ${ULTRASOUND_RESULTS.not_pregnant.toLowerCase()}`
+                  : `${formatWhelpingCountdown(timeline)} (${formatPregnancyDay(timeline.dueOn)})`}
+              </div>
+              <div className="match-meeting-notes">
+                Mated {formatPregnancyDay(timeline.matedOn)}
+                {pregnancy.ultrasound_result === "pregnant" && " · ultrasound confirmed"}
+                {pregnancy.xray_puppy_count != null &&
+                  ` · X-ray: ${pregnancy.xray_puppy_count} ${
+                    pregnancy.xray_puppy_count === 1 ? "puppy" : "puppies"
+                  }`}
+              </div>
+            </div>
+          </div>
+          {!ended && (
+            <ul className="pregnancy-milestones">
+              {timeline.milestones.map((milestone) => (
+                <li
+                  key={milestone.key}
+                  className={`pregnancy-milestone pregnancy-milestone-${milestone.state}`}
+                  title={milestone.description}
+                >
+                  <span className="pregnancy-milestone-state">{STATE_LABELS[milestone.state]}</span>
+                  <span className="pregnancy-milestone-label">{milestone.label}</span>
+                  <span className="pregnancy-milestone-dates">
+                    {formatPregnancyDay(milestone.startsOn)} –{" "}
+                    {formatPregnancyDay(milestone.endsOn)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      ) : (
+        <div className="match-meeting-label">No pregnancy tracked yet</div>
+      )}
+
+      {canEdit && (
+        <button type="button" className="btn-meeting-secondary" onClick={() => setModalOpen(true)}>
+          {pregnancy ? "Update pregnancy" : "Track pregnancy"}
+        </button>
+      )}
+
+      {canEdit && (
+        <PregnancyModal
+          open={modalOpen}
+          onClose={() => setModalOpen(false)}
+          pregnancy={pregnancy}
+          suggestedMatedOn={suggestedMatingDate(meeting, now)}
+          damName={damName}
+          onSubmit={async (draft) => {
+            await onSave(draft);
+            window.dispatchEvent(
+              new CustomEvent("toast", {
+                detail: {
+                  message: pregnancy ? "Pregnancy updated" : "Pregnancy tracking started",
+                  type: "success",
+                },
+              })
+            );
+          }}
+        />
+      )}
+    </div>
+  );
+}
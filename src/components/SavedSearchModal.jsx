@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import { SCORING_PROFILE_OPTIONS } from "../utils/scoringProfiles";
+import { DEFAULT_ALERT_SCORE } from "../lib/savedSearches";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-4 py-3 text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+
+/**
+ * Name a Find Match search and set its alert threshold. Used both to save a new search and to
+ * edit one from MyDogPage. `onSubmit` receives `{ name, profile, minScore, alertsEnabled }`.
+ */
+export default function SavedSearchModal({
+  open,
+  onClose,
+  onSubmit,
+  initial,
+  title = "Save this search",
+  submitLabel = "Save search",
+}) {
+  const [form, setForm] = useState({
+    name: "",
+    profile: "",
+    minScore: DEFAULT_ALERT_SCORE,
+    alertsEnabled: true,
+  });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setForm({
+      name: initial?.name || "",
+      profile: initial?.profile || "",
+      minScore: initial?.minScore ?? DEFAULT_ALERT_SCORE,
+      alertsEnabled: initial?.alertsEnabled ?? true,
+    });
+  }, [open, initial]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    setBusy(true);
+    try {
+      await onSubmit({ ...form, minScore: Number(form.minScore) });
+      onClose();
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to save search", type: "error" },
+        })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} widthClass="max-w-lg">
+      <form onSubmit={handleSubmit} className="p-8 space-y-5">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">{title}</h2>
+          <p className="text-sm text-slate-600 mt-1">
+            We'll notify you when a newly listed dog scores at least the minimum score and fits the
+            filters.
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="saved-search-name">
+            Name <span className="text-rose-600">*</span>
+          </label>
+          <input
+            id="saved-search-name"
+            type="text"
+            maxLength={80}
+            value={form.name}
+            onChange={(e) => setForm((v) => ({ ...v, name: e.target.value }))}
+            className={INPUT_CLASS}
+            placeholder="e.g. Health-tested goldens"
+          />
+        </div>
+
+        {form.profile && (
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="saved-search-profile">
+              Scoring profile
+            </label>
+            <select
+              id="saved-search-profile"
+              value={form.profile}
+              onChange={(e) => setForm((v) => ({ ...v, profile: e.target.value }))}
+              className={INPUT_CLASS}
+            >
+              {SCORING_PROFILE_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="saved-search-min-score">
+            Minimum score
+          </label>
+          <input
+            id="saved-search-min-score"
+            type="number"
+            min="0"
+            max="100"
+            step="1"
+            value={form.minScore}
+            onChange={(e) => setForm((v) => ({ ...v, minScore: e.target.value }))}
+            className={INPUT_CLASS}
+          />
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={form.alertsEnabled}
+            onChange={(e) => setForm((v) => ({ ...v, alertsEnabled: e.target.checked }))}
+            className="accent-orange-500 cursor-pointer w-4 h-4"
+          />
+          Notify me about new matches
+        </label>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-sm font-bold uppercase tracking-wide text-white shadow-lg hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all"
+          >
+            {busy ? "Saving…" : submitLabel}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
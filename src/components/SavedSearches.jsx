@@ -0,0 +1,157 @@
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import useSavedSearches from "../hooks/useSavedSearches";
+import { savedSearchFilters, savedSearchUrl } from "../lib/savedSearches";
+import { countActiveFilters } from "../utils/matchFilters";
+import { getScoringProfile } from "../utils/scoringProfiles";
+import ConfirmDialog from "./ConfirmDialog";
+import LoadingState from "./LoadingState";
+import SavedSearchModal from "./SavedSearchModal";
+
+function describeSearch(search) {
+  const filters = savedSearchFilters(search);
+  // The minimum score is shown separately
+  const filterCount = countActiveFilters({ ...filters, minScore: null });
+  return [
+    `${getScoringProfile(search.profile).label} profile`,
+    `min score ${search.min_score}`,
+    filterCount ? `${filterCount} filter${filterCount === 1 ? "" : "s"}` : "no filters",
+  ].join(" · ");
+}
+
+/**
+ * The user's saved Find Match searches, with alert toggles, editing and deletion.
+ */
+export default function SavedSearches({ userId }) {
+  const { searches, loading, error, refetch, updateSearch, removeSearch } =
+    useSavedSearches(userId);
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const editingInitial = useMemo(
+    () =>
+      editing && {
+        name: editing.name,
+        profile: editing.profile,
+        minScore: editing.min_score,
+        alertsEnabled: editing.alerts_enabled,
+      },
+    [editing]
+  );
+
+  const toast = (message, type) =>
+    window.dispatchEvent(new CustomEvent("toast", { detail: { message, type } }));
+
+  const handleToggleAlerts = async (search) => {
+    try {
+      await updateSearch(search.id, {
+        name: search.name,
+        minScore: search.min_score,
+        alertsEnabled: !search.alerts_enabled,
+      });
+    } catch (err) {
+      toast(err.message || "Failed to update alerts", "error");
+    }
+  };
+
+  const handleDelete = async () => {
+    const search = deleting;
+    setDeleting(null);
+    if (!search) return;
+    try {
+      await removeSearch(search.id);
+      toast(`"${search.name}" deleted`, "success");
+    } catch (err) {
+      toast(err.message || "Failed to delete search", "error");
+    }
+  };
+
+  return (
+    <div className="content-section">
+      <h2 className="text-2xl font-extrabold text-amber-900 mb-1">Saved Searches</h2>
+      <p className="text-sm text-slate-600 mb-5">
+        Save a search from Find Match to get notified when a new compatible dog is listed.
+      </p>
+
+      {loading && searches.length === 0 ? (
+        <LoadingState message="Loading saved searches..." minHeight={100} />
+      ) : error ? (
+        <div className="text-sm text-rose-700">
+          Couldn't load saved searches.{" "}
+          <button type="button" onClick={refetch} className="font-bold underline">
+            Retry
+          </button>
+        </div>
+      ) : searches.length === 0 ? (
+        <p className="text-sm text-slate-500">No saved searches yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {searches.map((search) => (
+            <li
+              key={search.id}
+              className="flex flex-wrap items-center justify-between gap-4 rounded-2xl border-2 border-orange-100 bg-white px-5 py-4"
+            >
+              <div className="min-w-0">
+                <p className="font-bold text-amber-900 truncate">{search.name}</p>
+                <p className="text-xs text-slate-500">
+                  For {search.dog?.name || "your dog"} · {describeSearch(search)}
+                </p>
+                {search.last_alert_at && (
+                  <p className="text-xs text-slate-400">
+                    Last alert {new Date(search.last_alert_at).toLocaleDateString()}
+                  </p>
+                )}
+              </div>
+              <div className="flex flex-wrap items-center gap-3">
+                <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={search.alerts_enabled}
+                    onChange={() => handleToggleAlerts(search)}
+                    className="accent-orange-500 cursor-pointer w-4 h-4"
+                  />
+                  Alerts
+                </label>
+                <Link to={savedSearchUrl(search)} className="view-profile-btn">
+                  Open
+                </Link>
+                <button
+                  type="button"
+                  className="view-profile-btn"
+                  onClick={() => setEditing(search)}
+                >
+                  Edit
+                </button>
+                <button type="button" className="delete-btn" onClick={() => setDeleting(search)}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <SavedSearchModal
+        open={!!editing}
+        onClose={() => setEditing(null)}
+        title="Edit saved search"
+        submitLabel="Save changes"
+        initial={editingInitial}
+        onSubmit={async (changes) => {
+          await updateSearch(editing.id, changes);
+          toast("Saved search updated", "success");
+        }}
+      />
+
+      <ConfirmDialog
+        isOpen={!!deleting}
+        onClose={() => setDeleting(null)}
+        onConfirm={handleDelete}
+        title="Delete saved search"
+        message={`Delete "${deleting?.name}"? You'll stop getting alerts for it.`}
+        confirmText="Delete"
+        cancelText="Cancel"
+        confirmButtonClass="bg-red-600 hover:bg-red-700 text-white"
+      />
+    </div>
+  );
+}
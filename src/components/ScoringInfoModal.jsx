@@ -1,8 +1,140 @@
 import React from "react";
 import Modal from "./Modal";
+import { formatCoi } from "../utils/coi";
+import { COMPONENT_RULES, getScoringProfile } from "../utils/scoringProfiles";
 import "./ScoringInfoModal.css";
 
-export default function ScoringInfoModal({ open, onClose }) {
+const SIZE_ORDER = ["small", "medium", "large", "giant"];
+
+const pts = (value) => {
+  const rounded = Math.round(value * 10) / 10;
+  return `${rounded} pt${rounded === 1 ? "" : "s"}`;
+};
+
+// Every sentence below is derived from the profile so the explanation tracks the math.
+function describeProfile(profile) {
+  const { weights, hardStops, deductions, coi, distance } = profile;
+  const sizeLimit = hardStops.blockSizeGap - 1;
+  const maxKgGap = hardStops.blockWeightDiffKg;
+
+  const cards = [
+    {
+      title: "Breed Compatibility",
+      max: weights.breed,
+      lines: [
+        `Exact same breed earns the full ${pts(weights.breed)}.`,
+        `Related lineage groups (toy + sporting + non-sporting, herding + working, etc.) earn ${pts(
+          weights.breed * COMPONENT_RULES.breed.relatedGroups
+        )}.`,
+        `Same AKC group earns ${pts(weights.breed * COMPONENT_RULES.breed.sameGroup)}.`,
+        "Crossbreeds with a declared breed composition earn points for the ancestry they share: shared breeds count in full, shared breed groups at the same-group rate, and unknown shares count for nothing.",
+      ],
+    },
+    {
+      title: "Physical Traits",
+      max: weights.gender + weights.size + weights.weight + weights.coat + weights.color,
+      lines: [
+        `Gender pairing adds ${pts(weights.gender)} when the safety gate is passed.`,
+        sizeLimit >= 1
+          ? `Perfect size match adds ${pts(weights.size)}, one-step difference adds ${pts(
+              weights.size * COMPONENT_RULES.size.oneStep
+            )}.`
+          : `Matching size adds ${pts(weights.size)}.`,
+        `Weight adds up to ${pts(weights.weight)} (minus ${pts(
+          weights.weight / maxKgGap
+        )} for every kg difference).`,
+        weights.coat || weights.color
+          ? `Matching coat adds ${pts(weights.coat)}; matching color adds ${pts(weights.color)}.`
+          : "Coat and color are not scored in this profile.",
+      ],
+    },
+    {
+      title: "Age & Temperament",
+      max: weights.age + weights.temperament,
+      lines: [
+        `Age points = ${weights.age} - (${pts(
+          weights.age * COMPONENT_RULES.age.lossPerYear
+        )} × years apart), bottoming out at zero.`,
+        `Temperament adds ${pts(
+          weights.temperament * COMPONENT_RULES.temperament.activity
+        )} for matching activity, ${pts(
+          weights.temperament * COMPONENT_RULES.temperament.sociability
+        )} sociability, ${pts(
+          weights.temperament * COMPONENT_RULES.temperament.trainability
+        )} trainability.`,
+      ],
+    },
+    {
+      title: "Health Clearances",
+      max: weights.health,
+      lines: [
+        "Each dog is checked against the clearances relevant to its breed group and size (e.g. hip/elbow for large and working breeds, heart for toy and giant breeds).",
+        "Points scale with the share held by the less-tested dog of the pair.",
+        "Pairs where neither dog has any health testing are flagged on the match card.",
+      ],
+    },
+  ];
+
+  const pills = [
+    "Opposite Sexes",
+    sizeLimit >= 1 ? `Size Gap <= ${sizeLimit}` : "Same Size",
+    `Weight Gap < ${maxKgGap} kg`,
+  ];
+  if (coi.mode === "block") pills.push(`Litter COI <= ${formatCoi(coi.threshold)}`);
+  if (hardStops.blockDoubleMerle) pills.push("No Merle × Merle");
+
+  const deductionCards = [];
+  if (sizeLimit >= 1 && deductions.sizeOneStep) {
+    deductionCards.push({
+      value: `-${deductions.sizeOneStep} pts`,
+      text: "Size is one category off.",
+    });
+  }
+  if (deductions.moderateWeight && deductions.moderateWeightFromKg < maxKgGap) {
+    deductionCards.push({
+      value: `-${deductions.moderateWeight} pts`,
+      text: `Weight differs between ${deductions.moderateWeightFromKg} kg and ${maxKgGap - 0.1} kg.`,
+    });
+  }
+  deductionCards.push({
+    value: `-${coi.pointsPerPercent} pt / 1%`,
+    text: "For every full percent of litter COI, calculated with Wright's formula from up to five generations of both pedigrees.",
+  });
+  if (coi.mode !== "block") {
+    deductionCards.push({
+      value: `-${coi.penalty} pts`,
+      text: `Litter COI above ${formatCoi(coi.threshold)}.`,
+    });
+  }
+
+  if (distance?.maxPenalty) {
+    deductionCards.push({
+      value: `-${distance.pointsPer100Km} pts / 100 km`,
+      text: `Distance between the dogs' recorded locations beyond ${distance.freeKm} km, up to ${pts(distance.maxPenalty)}.`,
+    });
+  }
+
+  const sizeSpan =
+    sizeLimit >= 1
+      ? `within ${sizeLimit} size categor${sizeLimit === 1 ? "y" : "ies"}`
+      : "the same size";
+
+  return {
+    gate: `Only dogs with opposite sexes, ${sizeSpan}, and less than ${maxKgGap} kg difference move on to scoring.`,
+    coiGate:
+      coi.mode === "block"
+        ? `When both dogs have a recorded pedigree, the litter's coefficient of inbreeding (COI) must also stay at or below ${formatCoi(coi.threshold)}.`
+        : `When both dogs have a recorded pedigree, a litter coefficient of inbreeding (COI) above ${formatCoi(coi.threshold)} costs ${pts(coi.penalty)}.`,
+    pills,
+    cards,
+    deductionCards,
+  };
+}
+
+export default function ScoringInfoModal({ open, onClose, profile }) {
+  const activeProfile = getScoringProfile(profile);
+  const { gate, coiGate, pills, cards, deductionCards } = describeProfile(activeProfile);
+
   return (
     <Modal open={open} onClose={onClose} widthClass="max-w-3xl" closeOnContentClick>
       <div className="scoring-modal" role="document">
@@ -10,6 +142,9 @@ export default function ScoringInfoModal({ open, onClose }) {
           <div>
             <p className="scoring-modal__eyebrow">How Matching Works</p>
             <h2>Compatibility Score Breakdown</h2>
+            <p className="scoring-modal__profile">
+              Profile: <strong>{activeProfile.label}</strong> · {activeProfile.description}
+            </p>
           </div>
           <button className="scoring-modal__close" onClick={onClose} aria-label="Close">
             &times;
@@ -21,64 +156,46 @@ export default function ScoringInfoModal({ open, onClose }) {
             <p className="hero-kicker">Step 1 · Safety Gate</p>
             <h3>We screen for safe pairings first.</h3>
             <p>
-              Only dogs with opposite sexes, similar size (within one category), and less than 10 kg
-              difference move on to scoring.
+              {gate} {coiGate}
             </p>
             <div className="hero-pills">
-              <span>Opposite Sexes</span>
-              <span>Size Gap &lt;= 1</span>
-              <span>Weight Gap &lt; 10 kg</span>
+              {pills.map((pill) => (
+                <span key={pill}>{pill}</span>
+              ))}
             </div>
           </div>
         </section>
 
         <section className="scoring-modal__grid">
-          <article className="score-card">
-            <div className="score-card__badge">20 pts max</div>
-            <h3>Breed Compatibility</h3>
-            <ul>
-              <li>Exact same breed earns the full 20 pts.</li>
-              <li>Same AKC group earns 10 pts.</li>
-              <li>
-                Related lineage groups (toy + sporting + non-sporting, herding + working, etc.) earn
-                15 pts.
-              </li>
-            </ul>
-          </article>
-          <article className="score-card">
-            <div className="score-card__badge">42 pts max</div>
-            <h3>Physical Traits</h3>
-            <ul>
-              <li>Gender pairing adds 15 pts when the safety gate is passed.</li>
-              <li>Perfect size match adds 15 pts, one-step difference adds 8 pts.</li>
-              <li>Weight adds up to 10 pts (minus 0.8 for every kg difference).</li>
-              <li>Matching coat adds 5 pts; matching color adds 2 pts.</li>
-            </ul>
-          </article>
-          <article className="score-card">
-            <div className="score-card__badge">18 pts max</div>
-            <h3>Age & Temperament</h3>
-            <ul>
-              <li>Age points = 10 - (1.5 × years apart), bottoming out at zero.</li>
-              <li>Temperament adds +4 for matching activity, +2 sociability, +2 trainability.</li>
-            </ul>
-          </article>
+          {cards
+            .filter((card) => card.max > 0)
+            .map((card) => (
+              <article key={card.title} className="score-card">
+                <div className="score-card__badge">{card.max} pts max</div>
+                <h3>{card.title}</h3>
+                <ul>
+                  {card.lines.map((line) => (
+                    <li key={line}>{line}</li>
+                  ))}
+                </ul>
+              </article>
+            ))}
         </section>
 
         <section className="scoring-modal__deductions">
           <h3>Deductions</h3>
           <div className="deduction-cards">
-            <article>
-              <p className="deduction-value">-5 pts</p>
-              <p>Size is one category off.</p>
-            </article>
-            <article>
-              <p className="deduction-value">-5 pts</p>
-              <p>Weight differs between 5 kg and 9.9 kg.</p>
-            </article>
+            {deductionCards.map((card) => (
+              <article key={card.text}>
+                <p className="deduction-value">{card.value}</p>
+                <p>{card.text}</p>
+              </article>
+            ))}
           </div>
           <p className="scoring-modal__note">
-            Bigger gaps are treated as deal breakers, so the match never appears on this list.
+            Pairs that fail the safety gate are treated as deal breakers, so the match never appears
+            on this list. Missing information earns no points, and dogs without a recorded pedigree
+            show their COI as unknown. Sizes are ranked {SIZE_ORDER.join(" → ")}.
           </p>
         </section>
       </div>
@@ -3,6 +3,7 @@ import { Link } from "react-router-dom";
 
 import "./Sidebar.css"; // warm dog-lover theme
 import supabase from "../lib/supabaseClient";
+import { processSavedSearchAlerts } from "../lib/savedSearches";
 
 const MESSAGE_READ_COLUMNS = ["read_at", "is_read"];
 const MESSAGE_READ_STORAGE_KEY = "dabreeder_message_read_column";
@@ -165,6 +166,11 @@ export default function Sidebar({ open, onClose, user, onLogout }) {
 
     const fetchCounts = async () => {
       try {
+        // Turn queued saved search alerts into notifications before counting them
+        await processSavedSearchAlerts(user.id).catch((err) =>
+          console.warn("Saved search alerts failed", err)
+        );
+
         // Notifications count
         const { count: notifCount } = await supabase
           .from("notifications")
@@ -305,6 +311,13 @@ export default function Sidebar({ open, onClose, user, onLogout }) {
               disabled={!loggedIn}
               onClick={onClose}
             />
+            <NavItem
+              label="Stud Listings"
+              icon={<HeartIcon />}
+              to="/studs"
+              disabled={!loggedIn}
+              onClick={onClose}
+            />
             <NavItem
               label="My Matches"
               icon={<SparklesIcon />}
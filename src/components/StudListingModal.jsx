@@ -0,0 +1,253 @@
+import React, { useEffect, useState } from "react";
+import Modal from "./Modal";
+import { HEALTH_CLEARANCE_LABELS } from "../utils/healthClearances";
+import { STUD_FEE_TYPES, STUD_SERVICE_METHODS, validateStudListing } from "../utils/studListing";
+
+const INPUT_CLASS =
+  "w-full rounded-xl border-2 border-orange-100 bg-white px-4 py-3 text-slate-700 placeholder-slate-400 focus:border-orange-400 focus:outline-none focus:ring-0 transition-colors";
+const LABEL_CLASS = "text-xs font-bold uppercase tracking-wider text-amber-900";
+const CHECK_CLASS = "flex items-center gap-2 text-sm text-slate-700 cursor-pointer";
+
+const EMPTY_LISTING = {
+  fee_type: "fee",
+  fee_amount: "",
+  pick_terms: "",
+  required_clearances: [],
+  service_methods: ["natural"],
+  available_from: "",
+  available_until: "",
+  notes: "",
+  is_active: true,
+};
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+
+/**
+ * Publish or edit a male dog's stud listing. `onSubmit` receives the listing draft.
+ */
+export default function StudListingModal({ open, onClose, onSubmit, initial, dogName }) {
+  const [form, setForm] = useState(EMPTY_LISTING);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setForm(
+      initial
+        ? {
+            ...EMPTY_LISTING,
+            ...initial,
+            fee_amount: initial.fee_amount ?? "",
+            pick_terms: initial.pick_terms || "",
+            available_from: initial.available_from || "",
+            available_until: initial.available_until || "",
+            notes: initial.notes || "",
+          }
+        : EMPTY_LISTING
+    );
+  }, [open, initial]);
+
+  const set = (patch) => setForm((v) => ({ ...v, ...patch }));
+  const showFee = form.fee_type === "fee" || form.fee_type === "fee_and_pick";
+  const showPick = form.fee_type === "pick_of_litter" || form.fee_type === "fee_and_pick";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    const problem = validateStudListing(form);
+    if (problem) {
+      window.dispatchEvent(
+        new CustomEvent("toast", { detail: { message: problem, type: "error" } })
+      );
+      return;
+    }
+    setBusy(true);
+    try {
+      await onSubmit(form);
+      onClose();
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to save stud listing", type: "error" },
+        })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={busy ? undefined : onClose} widthClass="max-w-2xl">
+      <form onSubmit={handleSubmit} className="p-8 space-y-5">
+        <div>
+          <h2 className="text-2xl font-extrabold text-amber-900">
+            {initial ? "Edit stud listing" : "List at stud"}
+          </h2>
+          <p className="text-sm text-slate-600 mt-1">
+            Published listings appear on the Stud Listings page and on {dogName || "your dog"}'s
+            Find Match card.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="stud-fee-type">
+              Terms <span className="text-rose-600">*</span>
+            </label>
+            <select
+              id="stud-fee-type"
+              value={form.fee_type}
+              onChange={(e) => set({ fee_type: e.target.value })}
+              className={INPUT_CLASS}
+            >
+              {Object.entries(STUD_FEE_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {showFee && (
+            <div className="space-y-2">
+              <label className={LABEL_CLASS} htmlFor="stud-fee-amount">
+                Fee (₱) <span className="text-rose-600">*</span>
+              </label>
+              <input
+                id="stud-fee-amount"
+                type="number"
+                min="1"
+                step="100"
+                value={form.fee_amount}
+                onChange={(e) => set({ fee_amount: e.target.value })}
+                className={INPUT_CLASS}
+              />
+            </div>
+          )}
+        </div>
+
+        {showPick && (
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="stud-pick-terms">
+              Pick-of-litter terms
+            </label>
+            <input
+              id="stud-pick-terms"
+              type="text"
+              maxLength={200}
+              value={form.pick_terms}
+              onChange={(e) => set({ pick_terms: e.target.value })}
+              className={INPUT_CLASS}
+              placeholder="e.g. First pick female, chosen at 7 weeks"
+            />
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <span className={LABEL_CLASS}>Service methods *</span>
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(STUD_SERVICE_METHODS).map(([value, label]) => (
+              <label key={value} className={CHECK_CLASS}>
+                <input
+                  type="checkbox"
+                  checked={form.service_methods.includes(value)}
+                  onChange={() => set({ service_methods: toggle(form.service_methods, value) })}
+                  className="accent-orange-500 cursor-pointer w-4 h-4"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <span className={LABEL_CLASS}>Clearances required of the female</span>
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(HEALTH_CLEARANCE_LABELS).map(([value, label]) => (
+              <label key={value} className={CHECK_CLASS}>
+                <input
+                  type="checkbox"
+                  checked={form.required_clearances.includes(value)}
+                  onChange={() =>
+                    set({ required_clearances: toggle(form.required_clearances, value) })
+                  }
+                  className="accent-orange-500 cursor-pointer w-4 h-4"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="stud-available-from">
+              Available from
+            </label>
+            <input
+              id="stud-available-from"
+              type="date"
+              value={form.available_from}
+              onChange={(e) => set({ available_from: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </div>
+          <div className="space-y-2">
+            <label className={LABEL_CLASS} htmlFor="stud-available-until">
+              Available until
+            </label>
+            <input
+              id="stud-available-until"
+              type="date"
+              value={form.available_until}
+              onChange={(e) => set({ available_until: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className={LABEL_CLASS} htmlFor="stud-notes">
+            Notes
+          </label>
+          <textarea
+            id="stud-notes"
+            rows={3}
+            maxLength={1000}
+            value={form.notes}
+            onChange={(e) => set({ notes: e.target.value })}
+            className={INPUT_CLASS}
+            placeholder="Travel, boarding, repeat-service policy..."
+          />
+        </div>
+
+        <label className={CHECK_CLASS}>
+          <input
+            type="checkbox"
+            checked={form.is_active}
+            onChange={(e) => set({ is_active: e.target.checked })}
+            className="accent-orange-500 cursor-pointer w-4 h-4"
+          />
+          Published
+        </label>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-orange-50 text-sm font-bold text-amber-900 hover:bg-orange-100 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-6 py-3 rounded-xl bg-linear-to-r from-orange-400 to-amber-500 text-sm font-bold uppercase tracking-wide text-white shadow-lg hover:from-orange-500 hover:to-amber-600 disabled:opacity-50 transition-all"
+          >
+            {busy ? "Saving…" : "Save listing"}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { HEALTH_CLEARANCE_LABELS } from "../utils/healthClearances";
+import { STUD_SERVICE_METHODS, formatStudAvailability, formatStudFee } from "../utils/studListing";
+
+/**
+ * Definition list of a stud listing's terms, shared by the dog profile and the browse page.
+ */
+export default function StudTerms({ listing }) {
+  const rows = [
+    ["Terms", formatStudFee(listing)],
+    listing.pick_terms ? ["Pick of litter", listing.pick_terms] : null,
+    [
+      "Service",
+      (listing.service_methods || []).map((m) => STUD_SERVICE_METHODS[m] || m).join(", "),
+    ],
+    [
+      "Female needs",
+      (listing.required_clearances || []).map((k) => HEALTH_CLEARANCE_LABELS[k] || k).join(", ") ||
+        "No specific clearances",
+    ],
+    ["Availability", formatStudAvailability(listing)],
+    listing.notes ? ["Notes", listing.notes] : null,
+  ].filter(Boolean);
+
+  return (
+    <dl className="grid grid-cols-1 sm:grid-cols-[10rem_1fr] gap-x-4 gap-y-2 text-sm">
+      {rows.map(([label, value]) => (
+        <React.Fragment key={label}>
+          <dt className="font-bold text-amber-900">{label}</dt>
+          <dd className="text-slate-700">{value}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+}
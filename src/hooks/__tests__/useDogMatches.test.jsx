@@ -19,9 +19,13 @@ vi.mock("../../lib/supabaseClient", () => ({
 
 vi.mock("../../lib/matches", () => ({
   acceptMatchRequest: (...args) => acceptMatchRequest(...args),
+  addDisputeStatement: vi.fn(),
+  confirmMatchOutcome: vi.fn(),
+  disputeMatchOutcome: vi.fn(),
   fetchMatchesForUser: (...args) => fetchMatchesForUser(...args),
   mapMatchRecord: (row) => row,
   submitMatchOutcome: vi.fn(),
+  transitionMatch: vi.fn(),
   updateMatchStatus: vi.fn(),
 }));
 
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import useMcpDogMatches from "../useMcpDogMatches";
+
+const callDogMatchTool = vi.fn();
+
+vi.mock("../../lib/mcp", () => ({
+  callDogMatchTool: (...args) => callDogMatchTool(...args),
+}));
+
+describe("useMcpDogMatches", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("loads the match requests from the MCP server", async () => {
+    callDogMatchTool.mockResolvedValue({
+      matches: [
+        { id: "m1", status: "pending" },
+        { id: "m2", status: "completed_success" },
+      ],
+    });
+
+    const { result } = renderHook(() => useMcpDogMatches("u1"));
+
+    await waitFor(() => expect(result.current.matches).toHaveLength(2));
+    expect(callDogMatchTool).toHaveBeenCalledWith("list_match_requests");
+    expect(result.current.pendingMatches.map((m) => m.id)).toEqual(["m1"]);
+    expect(result.current.summary.successes).toBe(1);
+  });
+
+  it("maps status changes to respond_to_request and reloads", async () => {
+    callDogMatchTool.mockImplementation(async (name) =>
+      name === "list_match_requests" ? { matches: [] } : { match: { id: "m1" } }
+    );
+
+    const { result } = renderHook(() => useMcpDogMatches("u1"));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    await act(async () => {
+      await result.current.updateStatus("m1", "declined");
+    });
+
+    expect(callDogMatchTool).toHaveBeenCalledWith("respond_to_request", {
+      match_id: "m1",
+      action: "decline",
+    });
+    await waitFor(() =>
+      expect(
+        callDogMatchTool.mock.calls.filter(([name]) => name === "list_match_requests")
+      ).toHaveLength(2)
+    );
+  });
+
+  it("sends outcomes with the record_outcome argument names", async () => {
+    callDogMatchTool.mockImplementation(async (name) =>
+      name === "list_match_requests" ? { matches: [] } : { outcome: { id: "o1" } }
+    );
+
+    const { result } = renderHook(() => useMcpDogMatches("u1"));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    await act(async () => {
+      await result.current.submitOutcome({
+        matchId: "m1",
+        outcome: "success",
+        verifiedDogId: 7,
+        litterSize: "5",
+        notes: "Five healthy puppies",
+      });
+    });
+
+    expect(callDogMatchTool).toHaveBeenCalledWith("record_outcome", {
+      match_id: "m1",
+      dog_id: 7,
+      outcome: "success",
+      litter_size: 5,
+      notes: "Five healthy puppies",
+    });
+  });
+});
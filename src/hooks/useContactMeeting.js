@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+import { fetchMeetingForContact } from "../lib/meetings";
+
+/**
+ * The confirmed breeding appointment for a chat contact, or null when none is set.
+ */
+export default function useContactMeeting(contactId) {
+  const [meeting, setMeeting] = useState(null);
+
+  useEffect(() => {
+    setMeeting(null);
+    if (!contactId) return;
+
+    let cancelled = false;
+
+    async function loadMeeting() {
+      try {
+        const result = await fetchMeetingForContact(contactId);
+        if (!cancelled) setMeeting(result);
+      } catch (e) {
+        if (!cancelled) console.error("❌ Failed to load meeting:", e);
+      }
+    }
+
+    loadMeeting();
+    return () => {
+      cancelled = true;
+    };
+  }, [contactId]);
+
+  return meeting;
+}
@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useState } from "react";
+import { deleteLitter, listLittersForDog, promotePuppy, saveLitter } from "../lib/litters";
+
+/**
+ * Load the litters a dog sired or whelped and expose helpers for the parents' owners to
+ * record litters and promote puppies to dog profiles. Pass a falsy `dogId` to skip loading.
+ */
+export default function useDogLitters(dogId) {
+  const [litters, setLitters] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!dogId) {
+      setLitters([]);
+      return;
+    }
+
+    let cancelled = false;
+
+    async function loadLitters() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await listLittersForDog(dogId);
+        if (!cancelled) setLitters(result);
+      } catch (e) {
+        if (!cancelled) {
+          console.error("❌ Failed to load litters:", e);
+          setError(e);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadLitters();
+    return () => {
+      cancelled = true;
+    };
+  }, [dogId, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((k) => k + 1), []);
+
+  const save = useCallback(async (draft) => {
+    const saved = await saveLitter(draft);
+    setLitters((prev) =>
+      [saved, ...prev.filter((litter) => litter.id !== saved.id)].sort((a, b) =>
+        b.whelped_on.localeCompare(a.whelped_on)
+      )
+    );
+    return saved;
+  }, []);
+
+  const remove = useCallback(async (litter) => {
+    await deleteLitter(litter);
+    setLitters((prev) => prev.filter((l) => l.id !== litter.id));
+  }, []);
+
+  const promote = useCallback(async (puppy, litter) => {
+    const newDogId = await promotePuppy(puppy, litter);
+    setLitters((prev) =>
+      prev.map((l) =>
+        l.id === litter.id
+          ? {
+              ...l,
+              puppies: l.puppies.map((p) => (p.id === puppy.id ? { ...p, dog_id: newDogId } : p)),
+            }
+          : l
+      )
+    );
+    return newDogId;
+  }, []);
+
+  return { litters, loading, error, refetch, save, remove, promote };
+}
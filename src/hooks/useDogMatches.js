@@ -3,9 +3,13 @@ import supabase from "../lib/supabaseClient";
 import { AuthContext } from "../context/AuthContext";
 import {
   acceptMatchRequest,
+  addDisputeStatement,
+  confirmMatchOutcome,
+  disputeMatchOutcome,
   fetchMatchesForUser,
   mapMatchRecord,
   submitMatchOutcome,
+  transitionMatch,
   updateMatchStatus,
 } from "../lib/matches";
 import {
@@ -194,6 +198,8 @@ export default function useDogMatches(options = {}) {
           break;
         case "declined":
         case "cancelled":
+        case "expired":
+        case "superseded":
           totals.declines += 1;
           break;
         default:
@@ -228,6 +234,15 @@ export default function useDogMatches(options = {}) {
     [cacheKey, load]
   );
 
+  const transition = useCallback(
+    async (matchId, action) => {
+      await transitionMatch(matchId, action);
+      deleteMatchesCacheEntry(cacheKey);
+      await load(true);
+    },
+    [cacheKey, load]
+  );
+
   const acceptMatch = useCallback(
     async (matchId) => {
       await acceptMatchRequest(matchId);
@@ -246,6 +261,28 @@ export default function useDogMatches(options = {}) {
     [cacheKey, load]
   );
 
+  const confirmOutcome = useCallback(
+    async (outcomeId) => {
+      await confirmMatchOutcome(outcomeId);
+      deleteMatchesCacheEntry(cacheKey);
+      await load(true);
+    },
+    [cacheKey, load]
+  );
+
+  const disputeOutcome = useCallback(
+    async (outcomeId, statement) => {
+      await disputeMatchOutcome(outcomeId, statement);
+      deleteMatchesCacheEntry(cacheKey);
+      await load(true);
+    },
+    [cacheKey, load]
+  );
+
+  const addStatement = useCallback(async (disputeId, statement) => {
+    await addDisputeStatement(disputeId, statement);
+  }, []);
+
   return {
     matches,
     pendingMatches: grouped.pending,
@@ -258,6 +295,10 @@ export default function useDogMatches(options = {}) {
     refetch,
     acceptMatch,
     updateStatus: changeStatus,
+    transition,
     submitOutcome: recordOutcome,
+    confirmOutcome,
+    disputeOutcome,
+    addStatement,
   };
 }
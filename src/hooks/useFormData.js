@@ -4,6 +4,8 @@ import { safeGetUser } from "../lib/auth";
 import { upsertUserProfile } from "../lib/profile";
 import { normalizeAge, whitelistPayload, coerceNumbers } from "../utils/form";
 import { DOG_ALLOWED_COLUMNS } from "../lib/dogs";
+import { checkBreedStandard, resolveBreed } from "../utils/breedRegistry";
+import { normalizeComposition } from "../utils/breedComposition";
 import { uploadFileToBucket, listPathsUnder, deletePathsFromBucket } from "../lib/storage";
 import { notifyDogsInvalidate } from "../lib/dogEvents";
 import {
@@ -16,9 +18,12 @@ const initialData = {
   name: "",
   gender: "",
   breed: "",
+  breed_id: "", // Canonical id from utils/breedRegistry; empty for breeds it doesn't know
+  breed_composition: [], // Crossbreeds: [{ breed_id, percent }], remainder is unknown ancestry
   age: "", // UI uses `age`; we'll map to age_years on submit
   // months removed from UI
   pedigree_certified: false,
+  registration_number: "",
   dna_tested: false,
   vaccinated: false,
   hip_elbow_tested: false,
@@ -33,6 +38,10 @@ const initialData = {
   // coat_color removed: not present in DB schema for some projects
   coat_type: "",
   color: "",
+  color_genotype: {}, // Known coat color loci, e.g. { E: "E/e" }
+  breed_standard_override: false, // Owner confirmed size/weight outside the breed standard
+  province: "", // Where the dog is kept; resolved to coordinates via utils/phGazetteer
+  city: "",
   activity_level: "",
   sociability: "",
   trainability: "",
@@ -40,6 +49,19 @@ const initialData = {
   documents: [], // Array of { file: File, category: string }
 };
 
+// Size/weight outside the breed standard only saves once the owner confirms it; confirmed
+// outliers keep the warnings so admins can review them.
+function applyBreedStandard(dogPayload, confirmed) {
+  const warnings = checkBreedStandard(dogPayload);
+  if (warnings.length && !confirmed) {
+    throw new Error(
+      "Size or weight is outside the breed standard. Check the values or confirm they are correct."
+    );
+  }
+  dogPayload.breed_standard_override = warnings.length > 0;
+  dogPayload.breed_standard_warnings = warnings.length ? warnings.map((w) => w.message) : null;
+}
+
 export function useFormData() {
   const [data, setData] = useState(initialData);
   const [submitting, setSubmitting] = useState(false);
@@ -197,7 +219,7 @@ export function useFormData() {
       delete src.photo;
 
       // Map UI age (years only) -> age_years; fallback to legacy `age` field
-      const age = normalizeAge(src.age_years, src.age);
+      const age = normalizeAge(src.age_years, src.age, src);
       if (age.error) throw new Error(age.error);
       if (age.age_years !== undefined) src.age_years = age.age_years;
 
@@ -207,6 +229,17 @@ export function useFormData() {
 
       // Whitelist dog table columns to avoid unknown-column errors
       const dogPayload = whitelistPayload(src, DOG_ALLOWED_COLUMNS);
+      // Blank registration numbers are stored as NULL so they don't collide on the unique index
+      if (typeof dogPayload.registration_number === "string") {
+        dogPayload.registration_number = dogPayload.registration_number.trim() || null;
+      }
+      // Store the canonical breed name and id; unrecognised free text keeps a null id
+      const breed = resolveBreed(dogPayload.breed);
+      dogPayload.breed_id = breed ? breed.id : null;
+      if (breed) dogPayload.breed = breed.name;
+      applyBreedStandard(dogPayload, src.breed_standard_override === true);
+      const composition = normalizeComposition(dogPayload.breed_composition);
+      dogPayload.breed_composition = composition.length ? composition : null;
 
       // Attach user_id (requires authenticated session if RLS policies rely on it)
       try {
@@ -357,7 +390,7 @@ export function useFormData() {
         delete src.photo;
 
         // Map UI age (years only) -> age_years if provided
-        const age2 = normalizeAge(src.age_years, src.age);
+        const age2 = normalizeAge(src.age_years, src.age, src);
         if (age2.error) throw new Error(age2.error);
         if (age2.age_years !== undefined) src.age_years = age2.age_years;
         delete src.age; // legacy field
@@ -365,6 +398,15 @@ export function useFormData() {
 
         // Whitelist dog table columns
         const dogPayload = whitelistPayload(src, DOG_ALLOWED_COLUMNS);
+        if (typeof dogPayload.registration_number === "string") {
+          dogPayload.registration_number = dogPayload.registration_number.trim() || null;
+        }
+        const breed2 = resolveBreed(dogPayload.breed);
+        dogPayload.breed_id = breed2 ? breed2.id : null;
+        if (breed2) dogPayload.breed = breed2.name;
+        applyBreedStandard(dogPayload, src.breed_standard_override === true);
+        const composition2 = normalizeComposition(dogPayload.breed_composition);
+        dogPayload.breed_composition = composition2.length ? composition2 : null;
 
         // Convert numeric fields
         const coerced2 = coerceNumbers(dogPayload, ["weight_kg", "age_years"]);
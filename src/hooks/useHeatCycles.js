@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  addProgesteroneTest,
+  createHeatCycle,
+  deleteHeatCycle,
+  deleteProgesteroneTest,
+  listHeatCycles,
+} from "../lib/heatCycles";
+import { predictHeat } from "../utils/heatCycle";
+
+/**
+ * Load a female dog's heat log and its breeding-window prediction, with helpers for editing
+ * the log. Pass a falsy `dogId` (e.g. for male dogs) to skip loading.
+ */
+export default function useHeatCycles(dogId) {
+  const [cycles, setCycles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!dogId) {
+      setCycles([]);
+      return;
+    }
+
+    let cancelled = false;
+
+    async function loadCycles() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await listHeatCycles(dogId);
+        if (!cancelled) setCycles(result);
+      } catch (e) {
+        if (!cancelled) {
+          console.error("❌ Failed to load heat cycles:", e);
+          setError(e);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadCycles();
+    return () => {
+      cancelled = true;
+    };
+  }, [dogId, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((k) => k + 1), []);
+  const prediction = useMemo(() => predictHeat(cycles), [cycles]);
+
+  const addCycle = useCallback(
+    async (cycle) => {
+      await createHeatCycle({ ...cycle, dogId });
+      refetch();
+    },
+    [dogId, refetch]
+  );
+
+  const removeCycle = useCallback(
+    async (id) => {
+      await deleteHeatCycle(id);
+      refetch();
+    },
+    [refetch]
+  );
+
+  const addTest = useCallback(
+    async (test) => {
+      await addProgesteroneTest(test);
+      refetch();
+    },
+    [refetch]
+  );
+
+  const removeTest = useCallback(
+    async (id) => {
+      await deleteProgesteroneTest(id);
+      refetch();
+    },
+    [refetch]
+  );
+
+  return {
+    cycles,
+    prediction,
+    loading,
+    error,
+    refetch,
+    addCycle,
+    removeCycle,
+    addTest,
+    removeTest,
+  };
+}
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useState } from "react";
+import { approveAgreement, getAgreementForMatch, saveAgreementTerms } from "../lib/agreements";
+
+/**
+ * Load a breeding request's agreement and expose helpers to save new terms and approve the
+ * current version. Pass a falsy `match` to skip loading.
+ */
+export default function useMatchAgreement(match) {
+  const matchId = match?.id || null;
+  const [agreement, setAgreement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!matchId) {
+      setAgreement(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    async function loadAgreement() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await getAgreementForMatch(matchId);
+        if (!cancelled) setAgreement(result);
+      } catch (e) {
+        if (!cancelled) {
+          console.error("❌ Failed to load agreement:", e);
+          setError(e);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadAgreement();
+    return () => {
+      cancelled = true;
+    };
+  }, [matchId, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((k) => k + 1), []);
+
+  const save = useCallback(
+    async (terms) => {
+      const saved = await saveAgreementTerms(match, terms);
+      setAgreement(saved);
+      return saved;
+    },
+    [match]
+  );
+
+  const approve = useCallback(
+    async (version) => {
+      const approved = await approveAgreement(match, version);
+      setAgreement(approved);
+      return approved;
+    },
+    [match]
+  );
+
+  return { agreement, loading, error, refetch, save, approve };
+}
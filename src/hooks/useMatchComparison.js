@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useState } from "react";
+import { fetchMatchComparison } from "../lib/matchCompare";
+
+/**
+ * Load the selected dog and the candidates picked for side-by-side comparison, each scored
+ * with the given profile. `candidateIds` is keyed by its joined value, so a new array with
+ * the same ids doesn't refetch.
+ */
+export default function useMatchComparison(dogId, candidateIds, profile) {
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const idsKey = (candidateIds || []).join(",");
+
+  useEffect(() => {
+    if (!dogId || !idsKey) {
+      setComparison(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    async function loadComparison() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await fetchMatchComparison({
+          dogId,
+          candidateIds: idsKey.split(","),
+          profile,
+        });
+        if (!cancelled) setComparison(result);
+      } catch (e) {
+        if (!cancelled) {
+          console.error("❌ Failed to load match comparison:", e);
+          setError(e);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadComparison();
+    return () => {
+      cancelled = true;
+    };
+  }, [dogId, idsKey, profile, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((k) => k + 1), []);
+
+  return { comparison, loading, error, refetch };
+}
@@ -1,54 +1,115 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
+import { callDogMatchTool } from "../lib/mcp";
 
-// MCP server integration for My Matches
+// Target statuses mapped to the respond_to_request actions that reach them
+const STATUS_ACTIONS = {
+  accepted: "accept",
+  awaiting_confirmation: "accept",
+  declined: "decline",
+  cancelled: "cancel",
+};
+
+const HISTORY_STATUSES = [
+  "declined",
+  "cancelled",
+  "expired",
+  "superseded",
+  "completed_success",
+  "completed_failed",
+];
+
+// My Matches through the MCP server (mcp/server.js) instead of querying Supabase directly.
+// Matches are the list_match_requests summaries: `{ id, status, direction, my_dog,
+// partner_dog, actions, requires_response, awaiting_my_outcome, outcome, ... }`.
 export default function useMcpDogMatches(userId) {
   const [matches, setMatches] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
 
-  // Example MCP fetch (replace with real MCP API call)
-  const fetchMatches = useCallback(async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      // TODO: Replace with MCP server API call
-      setMatches([]); // Placeholder
-    } catch (err) {
-      setError(err);
+  useEffect(() => {
+    if (!userId) {
       setMatches([]);
-    } finally {
-      setLoading(false);
+      return undefined;
     }
-  }, []);
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    callDogMatchTool("list_match_requests")
+      .then((data) => {
+        if (!cancelled) setMatches(data?.matches || []);
+      })
+      .catch((e) => {
+        console.error("❌ Failed to load matches from the MCP server:", e);
+        if (!cancelled) {
+          setError(e);
+          setMatches([]);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, reloadKey]);
 
-  useEffect(() => {
-    if (userId) fetchMatches();
-  }, [userId, fetchMatches]);
+  const refetch = useCallback(() => setReloadKey((key) => key + 1), []);
 
-  // Actions: Accept, Decline, Cancel, Record Outcome
-  const updateMatchStatus = async () => {
-    // TODO: Implement MCP server API call for updating match status
-    return true;
-  };
+  // action: "accept", "decline" or "cancel"
+  const respond = useCallback(
+    async (matchId, action) => {
+      const data = await callDogMatchTool("respond_to_request", { match_id: matchId, action });
+      refetch();
+      return data?.match || null;
+    },
+    [refetch]
+  );
 
-  const submitMatchOutcome = async () => {
-    // TODO: Implement MCP server API call for submitting match outcome
-    return true;
-  };
+  const updateStatus = useCallback(
+    async (matchId, status) => {
+      const action = STATUS_ACTIONS[status];
+      if (!action) throw new Error("Unsupported match status");
+      return respond(matchId, action);
+    },
+    [respond]
+  );
+
+  const submitOutcome = useCallback(
+    async ({ matchId, outcome, verifiedDogId, litterSize = null, notes = null }) => {
+      const args = { match_id: matchId, dog_id: verifiedDogId, outcome };
+      if (litterSize !== null && litterSize !== "") args.litter_size = Number(litterSize);
+      if (notes) args.notes = notes;
+      const data = await callDogMatchTool("record_outcome", args);
+      refetch();
+      return data?.outcome || null;
+    },
+    [refetch]
+  );
 
-  // Filtered lists
-  const pendingMatches = useMemo(() => matches.filter(m => m.status === "pending"), [matches]);
-  const awaitingConfirmationMatches = useMemo(() => matches.filter(m => m.status === "awaiting_confirmation"), [matches]);
-  const historyMatches = useMemo(() => matches.filter(m => ["declined","cancelled","completed_success","completed_failed"].includes(m.status)), [matches]);
+  const pendingMatches = useMemo(() => matches.filter((m) => m.status === "pending"), [matches]);
+  const awaitingConfirmationMatches = useMemo(
+    () => matches.filter((m) => m.status === "awaiting_confirmation"),
+    [matches]
+  );
+  const historyMatches = useMemo(
+    () => matches.filter((m) => HISTORY_STATUSES.includes(m.status)),
+    [matches]
+  );
 
-  const summary = useMemo(() => ({
-    total: matches.length,
-    pending: pendingMatches.length,
-    awaitingConfirmation: awaitingConfirmationMatches.length,
-    successes: matches.filter(m => m.status === "completed_success").length,
-    failures: matches.filter(m => m.status === "completed_failed").length,
-    declines: matches.filter(m => ["declined","cancelled"].includes(m.status)).length,
-  }), [matches, pendingMatches, awaitingConfirmationMatches]);
+  const summary = useMemo(
+    () => ({
+      total: matches.length,
+      pending: pendingMatches.length,
+      awaitingConfirmation: awaitingConfirmationMatches.length,
+      successes: matches.filter((m) => m.status === "completed_success").length,
+      failures: matches.filter((m) => m.status === "completed_failed").length,
+      declines: matches.filter((m) =>
+        ["declined", "cancelled", "expired", "superseded"].includes(m.status)
+      ).length,
+    }),
+    [matches, pendingMatches, awaitingConfirmationMatches]
+  );
 
   return {
     matches,
@@ -58,8 +119,9 @@ export default function useMcpDogMatches(userId) {
     summary,
     loading,
     error,
-    refetch: fetchMatches,
-    updateStatus: updateMatchStatus,
-    submitOutcome: submitMatchOutcome,
+    refetch,
+    respond,
+    updateStatus,
+    submitOutcome,
   };
 }
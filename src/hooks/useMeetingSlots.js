@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  acceptMeetingSlot,
+  listMeetingSlots,
+  proposeMeetingSlots,
+  sendDueMeetingReminders,
+  withdrawMeetingSlot,
+} from "../lib/meetings";
+
+/**
+ * Load the meeting slots for a set of requests (keyed by match id) and expose helpers to
+ * propose, accept and withdraw them. Due appointment reminders are sent on first load.
+ */
+export default function useMeetingSlots(matchIds) {
+  const [slotsByMatch, setSlotsByMatch] = useState(() => new Map());
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const idsKey = Array.from(new Set((matchIds || []).filter(Boolean).map(String)))
+    .sort()
+    .join(",");
+
+  useEffect(() => {
+    sendDueMeetingReminders().catch((e) => {
+      console.error("❌ Failed to send meeting reminders:", e);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!idsKey) {
+      setSlotsByMatch(new Map());
+      return;
+    }
+
+    let cancelled = false;
+
+    async function loadSlots() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await listMeetingSlots(idsKey.split(","));
+        if (!cancelled) setSlotsByMatch(result);
+      } catch (e) {
+        if (!cancelled) {
+          console.error("❌ Failed to load meeting slots:", e);
+          setError(e);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadSlots();
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((k) => k + 1), []);
+
+  const propose = useCallback(
+    async (matchId, slots) => {
+      const created = await proposeMeetingSlots(matchId, slots);
+      refetch();
+      return created;
+    },
+    [refetch]
+  );
+
+  const accept = useCallback(
+    async (slot) => {
+      const accepted = await acceptMeetingSlot(slot);
+      refetch();
+      return accepted;
+    },
+    [refetch]
+  );
+
+  const withdraw = useCallback(
+    async (slot) => {
+      await withdrawMeetingSlot(slot.id);
+      refetch();
+    },
+    [refetch]
+  );
+
+  return { slotsByMatch, loading, error, refetch, propose, accept, withdraw };
+}
@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useState } from "react";
+import { createExternalAncestor, fetchPedigree, setPedigreeParent } from "../lib/pedigree";
+import { PEDIGREE_GENERATIONS } from "../utils/pedigree";
+
+/**
+ * Load a dog's pedigree tree and expose helpers for editing parent links.
+ */
+export default function usePedigree(dogId, { generations = PEDIGREE_GENERATIONS } = {}) {
+  const [tree, setTree] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!dogId) {
+      setTree(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    async function loadPedigree() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await fetchPedigree(dogId, { generations });
+        if (!cancelled) setTree(result);
+      } catch (e) {
+        if (!cancelled) {
+          console.error("❌ Failed to load pedigree:", e);
+          setError(e);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadPedigree();
+    return () => {
+      cancelled = true;
+    };
+  }, [dogId, generations, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((k) => k + 1), []);
+
+  const linkParent = useCallback(
+    async ({ child, role, parent }) => {
+      await setPedigreeParent({ child, role, parent });
+      refetch();
+    },
+    [refetch]
+  );
+
+  const addExternalParent = useCallback(
+    async ({ child, role, ancestor }) => {
+      const created = await createExternalAncestor({
+        ...ancestor,
+        gender: role === "sire" ? "male" : "female",
+      });
+      await setPedigreeParent({ child, role, parent: { kind: "ancestor", id: created.id } });
+      refetch();
+      return created;
+    },
+    [refetch]
+  );
+
+  const clearParent = useCallback(
+    async ({ child, role }) => {
+      await setPedigreeParent({ child, role, parent: null });
+      refetch();
+    },
+    [refetch]
+  );
+
+  return { tree, loading, error, refetch, linkParent, addExternalParent, clearParent };
+}
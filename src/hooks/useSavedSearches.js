@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useState } from "react";
+import { deleteSavedSearch, listSavedSearches, updateSavedSearch } from "../lib/savedSearches";
+
+/**
+ * Load the user's saved Find Match searches and expose edit/delete helpers.
+ */
+export default function useSavedSearches(userId) {
+  const [searches, setSearches] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!userId) {
+      setSearches([]);
+      return;
+    }
+
+    let cancelled = false;
+
+    async function loadSearches() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await listSavedSearches(userId);
+        if (!cancelled) setSearches(result);
+      } catch (e) {
+        if (!cancelled) {
+          console.error("❌ Failed to load saved searches:", e);
+          setError(e);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadSearches();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((k) => k + 1), []);
+
+  const updateSearch = useCallback(async (searchId, changes) => {
+    const updated = await updateSavedSearch(searchId, changes);
+    setSearches((prev) => prev.map((s) => (s.id === searchId ? updated : s)));
+    return updated;
+  }, []);
+
+  const removeSearch = useCallback(async (searchId) => {
+    await deleteSavedSearch(searchId);
+    setSearches((prev) => prev.filter((s) => s.id !== searchId));
+  }, []);
+
+  return { searches, loading, error, refetch, updateSearch, removeSearch };
+}
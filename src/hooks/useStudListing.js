@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useState } from "react";
+import { deleteStudListing, getStudListingForDog, saveStudListing } from "../lib/studListings";
+
+/**
+ * Load a male dog's stud listing and expose helpers for the owner to save or remove it.
+ * Pass a falsy `dogId` (e.g. for female dogs) to skip loading.
+ */
+export default function useStudListing(dogId) {
+  const [listing, setListing] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!dogId) {
+      setListing(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    async function loadListing() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await getStudListingForDog(dogId);
+        if (!cancelled) setListing(result);
+      } catch (e) {
+        if (!cancelled) {
+          console.error("❌ Failed to load stud listing:", e);
+          setError(e);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadListing();
+    return () => {
+      cancelled = true;
+    };
+  }, [dogId, reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((k) => k + 1), []);
+
+  const save = useCallback(
+    async (draft) => {
+      const saved = await saveStudListing(dogId, draft);
+      setListing(saved);
+      return saved;
+    },
+    [dogId]
+  );
+
+  const remove = useCallback(async () => {
+    await deleteStudListing(dogId);
+    setListing(null);
+  }, [dogId]);
+
+  return { listing, loading, error, refetch, save, remove };
+}
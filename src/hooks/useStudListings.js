@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from "react";
+import { listStudListings } from "../lib/studListings";
+
+/**
+ * Load the published stud listings for the browse page. Filtering happens on the client
+ * with `filterStudListings`.
+ */
+export default function useStudListings() {
+  const [listings, setListings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadListings() {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await listStudListings();
+        if (!cancelled) setListings(result);
+      } catch (e) {
+        if (!cancelled) {
+          console.error("❌ Failed to load stud listings:", e);
+          setError(e);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadListings();
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey]);
+
+  const refetch = useCallback(() => setReloadKey((k) => k + 1), []);
+
+  return { listings, loading, error, refetch };
+}
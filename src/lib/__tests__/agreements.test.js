@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { DEFAULT_AGREEMENT_TERMS, normalizeAgreementTerms } from "../../utils/breedingAgreement";
+
+const upsert = vi.fn();
+const createNotification = vi.fn();
+let stored = null;
+
+vi.mock("../supabaseClient", () => ({
+  __esModule: true,
+  default: {
+    auth: { getUser: async () => ({ data: { user: { id: "u1" } }, error: null }) },
+    from: () => ({
+      select: () => ({ eq: () => ({ maybeSingle: async () => ({ data: stored, error: null }) }) }),
+      upsert: (row) => {
+        upsert(row);
+        return {
+          select: () => ({
+            single: async () => ({ data: { ...stored, ...row, version: 3 }, error: null }),
+          }),
+        };
+      },
+    }),
+  },
+}));
+vi.mock("../notifications", () => ({ createNotification: (...a) => createNotification(...a) }));
+
+const { saveAgreementTerms } = await import("../agreements");
+
+const match = { id: "m1", requester_user_id: "u1", requested_user_id: "u2" };
+const terms = { ...DEFAULT_AGREEMENT_TERMS, stud_fee: 15000 };
+
+describe("saveAgreementTerms", () => {
+  beforeEach(() => {
+    upsert.mockReset();
+    createNotification.mockReset();
+    stored = {
+      id: "a1",
+      match_id: "m1",
+      terms: normalizeAgreementTerms(terms),
+      version: 2,
+      requester_approved_version: 2,
+      responder_approved_version: 2,
+    };
+  });
+
+  it("keeps the approvals when the terms didn't change", async () => {
+    const saved = await saveAgreementTerms(match, { ...terms, stud_fee: "15000" });
+    expect(saved).toBe(stored);
+    expect(upsert).not.toHaveBeenCalled();
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it("saves changed terms and asks the partner to review them", async () => {
+    const saved = await saveAgreementTerms(match, { ...terms, stud_fee: 20000 });
+    expect(upsert).toHaveBeenCalledWith({
+      match_id: "m1",
+      terms: normalizeAgreementTerms({ ...terms, stud_fee: 20000 }),
+    });
+    expect(saved.version).toBe(3);
+    expect(createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: "u2", type: "agreement_updated" })
+    );
+  });
+
+  it("creates the agreement when none exists yet", async () => {
+    stored = null;
+    await saveAgreementTerms(match, terms);
+    expect(upsert).toHaveBeenCalledTimes(1);
+  });
+});
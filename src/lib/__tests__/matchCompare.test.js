@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+let dogRows = [];
+let docRows = [];
+
+vi.mock("../supabaseClient", () => ({
+  __esModule: true,
+  default: {
+    from: (table) => ({
+      select: () => ({
+        in:
+          table === "dog_documents"
+            ? () => ({ order: async () => ({ data: docRows, error: null }) })
+            : async () => ({ data: dogRows, error: null }),
+      }),
+    }),
+  },
+}));
+vi.mock("../pedigree", () => ({ fetchPedigrees: async () => new Map() }));
+
+const { compareUrl, fetchMatchComparison, parseCompareIds } = await import("../matchCompare");
+
+const lab = {
+  breed: "Labrador Retriever",
+  age_years: 4,
+  size: "large",
+  weight_kg: 30,
+  coat_type: "short",
+  color: "yellow",
+};
+
+describe("matchCompare", () => {
+  beforeEach(() => {
+    dogRows = [
+      { ...lab, id: 1, name: "Max", gender: "male" },
+      { ...lab, id: 2, name: "Bella", gender: "female" },
+      { ...lab, id: 3, name: "Luna", gender: "female", size: "small", weight_kg: 8 },
+      { ...lab, id: 4, name: "Hidden", gender: "female", is_visible: false },
+    ];
+    docRows = [
+      { id: 10, dog_id: 2, category: "pedigree" },
+      { id: 11, dog_id: 2, category: "health" },
+    ];
+  });
+
+  it("parses at most four unique numeric ids and builds the compare link", () => {
+    const params = new URLSearchParams("compare=5,5,x,6,7,8,9");
+    expect(parseCompareIds(params)).toEqual(["5", "6", "7", "8"]);
+    expect(compareUrl({ dogId: 1, profile: "balanced", candidateIds: ["5", "6"] })).toBe(
+      "/find-match/compare?dog=1&profile=balanced&compare=5%2C6"
+    );
+  });
+
+  it("scores candidates in the requested order and attaches their documents", async () => {
+    const result = await fetchMatchComparison({
+      dogId: 1,
+      candidateIds: ["3", "2", "4", "99"],
+      profile: "balanced",
+    });
+    expect(result.dog.name).toBe("Max");
+    expect(result.candidates.map((c) => c.dog.name)).toEqual(["Luna", "Bella"]);
+    expect(result.candidates[0].details.unsafe).toBe(true);
+    expect(result.candidates[1].details.score).toBeGreaterThan(0);
+    expect(result.candidates[1].documents).toHaveLength(2);
+    expect(result.missingIds).toEqual(["4", "99"]);
+  });
+});
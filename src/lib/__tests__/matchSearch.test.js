@@ -0,0 +1,42 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const rpc = vi.fn();
+vi.mock("../supabaseClient", () => ({
+  __esModule: true,
+  default: { rpc: (...args) => rpc(...args) },
+}));
+
+const { searchMatchCandidates } = await import("../matchSearch");
+
+describe("searchMatchCandidates", () => {
+  beforeEach(() => rpc.mockReset());
+
+  it("passes the profile's hard stops and returns a cursor for full pages", async () => {
+    rpc.mockResolvedValue({ data: [{ id: 9 }, { id: 7 }], error: null });
+    const page = await searchMatchCandidates(1, { profile: "show_quality", limit: 2 });
+    expect(rpc).toHaveBeenCalledWith("search_match_candidates", {
+      p_dog_id: 1,
+      p_block_size_gap: 1,
+      p_block_weight_diff_kg: 8,
+      p_after_id: null,
+      p_limit: 2,
+    });
+    expect(page.nextCursor).toBe(7);
+  });
+
+  it("caps the page size at the RPC's maximum and keeps paginating", async () => {
+    const rows = Array.from({ length: 100 }, (_, i) => ({ id: 500 - i }));
+    rpc.mockResolvedValue({ data: rows, error: null });
+    const page = await searchMatchCandidates(1, { limit: 250 });
+    expect(rpc.mock.calls[0][1].p_limit).toBe(100);
+    expect(page.nextCursor).toBe(401);
+  });
+
+  it("ends pagination on a short page and rethrows RPC errors", async () => {
+    rpc.mockResolvedValueOnce({ data: [{ id: 3 }], error: null });
+    expect((await searchMatchCandidates(1, { cursor: 7, limit: 2 })).nextCursor).toBeNull();
+
+    rpc.mockResolvedValueOnce({ data: null, error: new Error("permission denied") });
+    await expect(searchMatchCandidates(1)).rejects.toThrow("permission denied");
+  });
+});
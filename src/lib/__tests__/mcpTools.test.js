@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+
+const user = { id: "u1" };
+// One row per table; `single`/`maybeSingle` answer with it, `insert` records the payload.
+let tables = {};
+const inserted = vi.fn();
+
+const query = (table) => {
+  let insertedRow = null;
+  const builder = {
+    select: () => builder,
+    eq: () => builder,
+    in: () => builder,
+    insert: (rows) => {
+      inserted(table, rows[0]);
+      insertedRow = { id: "o1", confirmation_status: "pending", ...rows[0] };
+      return builder;
+    },
+    single: async () => ({ data: insertedRow || tables[table] || null, error: null }),
+    maybeSingle: async () => ({ data: tables[table] || null, error: null }),
+  };
+  return builder;
+};
+
+const client = {
+  from: (table) => query(table),
+  auth: { getUser: async () => ({ data: { user }, error: null }) },
+};
+
+vi.mock("../../../mcp/supabaseClient", () => ({
+  __esModule: true,
+  default: client,
+  currentUserContext: () => ({ client, user }),
+}));
+vi.mock("../supabaseClient", () => ({ __esModule: true, default: client }));
+
+const searchMatchCandidates = vi.fn();
+vi.mock("../matchSearch", () => ({
+  searchMatchCandidates: (...a) => searchMatchCandidates(...a),
+}));
+vi.mock("../welfare", () => ({
+  fetchWelfareStatus: async (dogs) =>
+    new Map(dogs.map((dog) => [String(dog.id), { eligible: dog.id !== 12 }])),
+}));
+vi.mock("../pedigree", () => ({ fetchPedigrees: async () => new Map() }));
+vi.mock("../dogQueries", () => ({ fetchDogsForUser: async () => [] }));
+
+const acceptMatchRequest = vi.fn();
+const transitionMatch = vi.fn();
+const fetchMatchesForUser = vi.fn();
+vi.mock("../matches", async (importOriginal) => ({
+  ...(await importOriginal()),
+  acceptMatchRequest: (...a) => acceptMatchRequest(...a),
+  transitionMatch: (...a) => transitionMatch(...a),
+  fetchMatchesForUser: (...a) => fetchMatchesForUser(...a),
+  fetchAwaitingDogIds: async () => new Set(["11"]),
+}));
+
+const { registerDogMatchTools } = await import("../../../mcp/tools");
+
+const lab = {
+  breed: "Labrador Retriever",
+  age_years: 4,
+  size: "large",
+  weight_kg: 30,
+  coat_type: "short",
+  color: "yellow",
+};
+const bella = { ...lab, id: 1, name: "Bella", gender: "female", user_id: "u1" };
+
+const matchRow = (status) => ({
+  id: "m1",
+  status,
+  requester_user_id: "u2",
+  requested_user_id: "u1",
+  requester_dog_id: 2,
+  requested_dog_id: 1,
+  requester_dog: { ...lab, id: 2, name: "Duke", gender: "male" },
+  requested_dog: bella,
+});
+
+let mcp;
+
+const call = async (name, args) => {
+  const response = await mcp.callTool({ name, arguments: args });
+  if (response.isError) throw new Error(response.content[0].text);
+  return response.structuredContent;
+};
+
+describe("MCP dog match tools", () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    tables = {};
+    const server = new McpServer({ name: "test", version: "0.0.0" });
+    registerDogMatchTools(server);
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    mcp = new Client({ name: "test-client", version: "0.0.0" });
+    await mcp.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await mcp.close();
+  });
+
+  describe("find_matches", () => {
+    it("refuses dogs that belong to another owner", async () => {
+      tables.dogs = { ...bella, user_id: "u2" };
+      await expect(call("find_matches", { dog_id: 1 })).rejects.toThrow(/your own dogs/);
+      expect(searchMatchCandidates).not.toHaveBeenCalled();
+    });
+
+    it("leaves out dogs awaiting an outcome and dogs the welfare rules rule out", async () => {
+      tables.dogs = bella;
+      searchMatchCandidates.mockResolvedValue({
+        rows: [10, 11, 12].map((id) => ({ ...lab, id, name: `Dog ${id}`, gender: "male" })),
+      });
+      const { matches } = await call("find_matches", { dog_id: 1, profile: "balanced" });
+      expect(searchMatchCandidates).toHaveBeenCalledWith(1, { profile: "balanced" });
+      expect(matches.map((match) => match.id)).toEqual([10]);
+    });
+  });
+
+  describe("respond_to_request", () => {
+    beforeEach(() => fetchMatchesForUser.mockResolvedValue([matchRow("pending")]));
+
+    it("accepts through acceptMatchRequest", async () => {
+      const { match } = await call("respond_to_request", { match_id: "m1", action: "accept" });
+      expect(acceptMatchRequest).toHaveBeenCalledWith("m1");
+      expect(transitionMatch).not.toHaveBeenCalled();
+      expect(match).toMatchObject({ id: "m1", direction: "received" });
+    });
+
+    it("declines and cancels through transitionMatch", async () => {
+      await call("respond_to_request", { match_id: "m1", action: "decline" });
+      await call("respond_to_request", { match_id: "m1", action: "cancel" });
+      expect(transitionMatch.mock.calls).toEqual([
+        ["m1", "decline"],
+        ["m1", "cancel"],
+      ]);
+      expect(acceptMatchRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("record_outcome", () => {
+    beforeEach(() => {
+      tables.dogs = bella;
+      tables.dog_match_requests = matchRow("awaiting_confirmation");
+      fetchMatchesForUser.mockResolvedValue([matchRow("awaiting_confirmation")]);
+    });
+
+    it("records a success with its litter size and notes", async () => {
+      const { outcome } = await call("record_outcome", {
+        match_id: "m1",
+        dog_id: 1,
+        outcome: "success",
+        litter_size: 5,
+        notes: "Five healthy puppies",
+      });
+      expect(inserted).toHaveBeenCalledWith(
+        "dog_match_outcomes",
+        expect.objectContaining({ outcome: "success", litter_size: 5, verified_by_dog_id: 1 })
+      );
+      expect(outcome).toMatchObject({ id: "o1", litter_size: 5, confirmation_status: "pending" });
+    });
+
+    it("applies the outcome rules before saving", async () => {
+      await expect(
+        call("record_outcome", { match_id: "m1", dog_id: 1, outcome: "success", litter_size: 0 })
+      ).rejects.toThrow(/litter size must be at least 1/);
+      tables.dogs = { ...bella, user_id: "u2" };
+      await expect(
+        call("record_outcome", { match_id: "m1", dog_id: 1, outcome: "failed" })
+      ).rejects.toThrow(/your own dog/);
+      expect(inserted).not.toHaveBeenCalled();
+    });
+  });
+
+  it("rejects input that doesn't match the tool's schema", async () => {
+    await expect(call("respond_to_request", { match_id: "m1", action: "approve" })).rejects.toThrow(
+      /validation/i
+    );
+    await expect(call("find_matches", { dog_id: 1, limit: 500 })).rejects.toThrow(/validation/i);
+    await expect(
+      call("record_outcome", { match_id: "m1", dog_id: 1, outcome: "pregnant" })
+    ).rejects.toThrow(/validation/i);
+    expect(acceptMatchRequest).not.toHaveBeenCalled();
+    expect(transitionMatch).not.toHaveBeenCalled();
+    expect(searchMatchCandidates).not.toHaveBeenCalled();
+    expect(inserted).not.toHaveBeenCalled();
+  });
+});
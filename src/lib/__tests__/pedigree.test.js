@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// Rows by table; `in` and `eq` look them up by id, `update` records the patch.
+let tables = {};
+const update = vi.fn();
+
+const rowsFor = (table, ids) =>
+  (tables[table] || []).filter((row) => ids.map(String).includes(String(row.id)));
+
+vi.mock("../supabaseClient", () => ({
+  __esModule: true,
+  default: {
+    from: (table) => ({
+      select: () => ({
+        in: async (_column, ids) => ({ data: rowsFor(table, ids), error: null }),
+        eq: (_column, id) => ({
+          maybeSingle: async () => ({ data: rowsFor(table, [id])[0] || null, error: null }),
+        }),
+      }),
+      update: (patch) => {
+        update(table, patch);
+        return {
+          eq: (_column, id) => ({
+            select: () => ({ single: async () => ({ data: { id }, error: null }) }),
+          }),
+        };
+      },
+    }),
+  },
+}));
+
+const { setPedigreeParent } = await import("../pedigree");
+
+describe("setPedigreeParent", () => {
+  beforeEach(() => {
+    update.mockReset();
+    tables = {
+      dogs: [
+        { id: 1, name: "Rex", gender: "male" },
+        { id: 2, name: "Duke", gender: "male", sire_id: 1 },
+      ],
+      pedigree_ancestors: [
+        { id: "a1", name: "Lady", gender: "female" },
+        { id: "a2", name: "Old Duke", gender: "male", sire_id: 1 },
+      ],
+    };
+  });
+
+  it("links a parent that is not already a descendant", async () => {
+    await setPedigreeParent({
+      child: { kind: "dog", id: 1 },
+      role: "dam",
+      parent: { kind: "ancestor", id: "a1" },
+    });
+    expect(update).toHaveBeenCalledWith("dogs", { dam_id: null, dam_ancestor_id: "a1" });
+  });
+
+  it("rejects a registered dog that descends from the child", async () => {
+    await expect(
+      setPedigreeParent({
+        child: { kind: "dog", id: 1 },
+        role: "sire",
+        parent: { kind: "dog", id: 2 },
+      })
+    ).rejects.toThrow(/loop/);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it("rejects an external ancestor that descends from the child", async () => {
+    await expect(
+      setPedigreeParent({
+        child: { kind: "dog", id: 1 },
+        role: "sire",
+        parent: { kind: "ancestor", id: "a2" },
+      })
+    ).rejects.toThrow(/loop/);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
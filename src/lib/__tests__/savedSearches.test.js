@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const rpc = vi.fn();
+const createNotification = vi.fn();
+const fetchHeatPredictions = vi.fn();
+let pendingAlerts = [];
+
+vi.mock("../supabaseClient", () => ({
+  __esModule: true,
+  default: {
+    from: () => ({
+      select: () => ({ eq: async () => ({ data: pendingAlerts, error: null }) }),
+    }),
+    rpc: (...args) => rpc(...args),
+  },
+}));
+vi.mock("../notifications", () => ({ createNotification: (...a) => createNotification(...a) }));
+vi.mock("../pedigree", () => ({ fetchPedigrees: async () => new Map() }));
+vi.mock("../heatCycles", () => ({ fetchHeatPredictions: (...a) => fetchHeatPredictions(...a) }));
+
+const { processSavedSearchAlerts, savedSearchUrl } = await import("../savedSearches");
+
+const lab = {
+  breed: "Labrador Retriever",
+  age_years: 4,
+  size: "large",
+  weight_kg: 30,
+  coat_type: "short",
+  color: "yellow",
+  is_visible: true,
+};
+
+const newDog = { ...lab, id: 1, name: "Max", gender: "male", user_id: "owner-a" };
+
+const alert = (searchOverrides = {}, dog = newDog) => ({
+  search_id: searchOverrides.id || "s1",
+  dog_id: 1,
+  search: {
+    id: "s1",
+    user_id: "owner-b",
+    dog_id: 2,
+    name: "Labs",
+    profile: "balanced",
+    filter_query: "",
+    min_score: 50,
+    alerts_enabled: true,
+    dog: { ...lab, id: 2, name: "Bella", gender: "female", user_id: "owner-b" },
+    ...searchOverrides,
+  },
+  dog,
+});
+
+describe("processSavedSearchAlerts", () => {
+  beforeEach(() => {
+    rpc.mockReset();
+    createNotification.mockReset();
+    fetchHeatPredictions.mockReset();
+    fetchHeatPredictions.mockResolvedValue(new Map());
+    rpc.mockResolvedValue({ data: true, error: null });
+  });
+
+  it("notifies the owner when the new dog meets their threshold and filters", async () => {
+    pendingAlerts = [
+      alert(),
+      alert({ id: "s2", min_score: 99 }),
+      alert({ id: "s3", filter_query: "size=small" }),
+    ];
+
+    expect(await processSavedSearchAlerts("owner-b")).toBe(1);
+    expect(rpc.mock.calls.map(([, args]) => [args.p_search_id, args.p_send])).toEqual([
+      ["s1", true],
+      ["s2", false],
+      ["s3", false],
+    ]);
+    expect(createNotification).toHaveBeenCalledTimes(1);
+    expect(createNotification.mock.calls[0][0]).toMatchObject({
+      userId: "owner-b",
+      type: "saved_search_match",
+      metadata: { saved_search_id: "s1", dog_id: 1 },
+    });
+  });
+
+  it("checks heat-window filters against the new female's predicted window", async () => {
+    const stud = { ...lab, id: 2, name: "Duke", gender: "male", user_id: "owner-b" };
+    const female = { ...newDog, name: "Daisy", gender: "female" };
+    pendingAlerts = [
+      alert({ filter_query: "heat_days=30", dog: stud }, female),
+      alert({ id: "s2", filter_query: "heat_days=7", dog: stud }, female),
+    ];
+    fetchHeatPredictions.mockResolvedValue(new Map([["1", { daysUntilWindow: 12 }]]));
+
+    expect(await processSavedSearchAlerts("owner-b")).toBe(1);
+    expect(fetchHeatPredictions).toHaveBeenCalledWith([1, 1]);
+    expect(rpc.mock.calls.map(([, args]) => [args.p_search_id, args.p_send])).toEqual([
+      ["s1", true],
+      ["s2", false],
+    ]);
+  });
+
+  it("does not load heat predictions when no search filters on them", async () => {
+    pendingAlerts = [alert()];
+    await processSavedSearchAlerts("owner-b");
+    expect(fetchHeatPredictions).not.toHaveBeenCalled();
+  });
+
+  it("skips alerts that were already settled", async () => {
+    pendingAlerts = [alert()];
+    rpc.mockResolvedValue({ data: false, error: null });
+    expect(await processSavedSearchAlerts("owner-b")).toBe(0);
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it("settles alerts for dogs that are no longer visible without notifying", async () => {
+    pendingAlerts = [alert({}, null), alert({ id: "s2" }, { ...newDog, is_visible: false })];
+    expect(await processSavedSearchAlerts("owner-b")).toBe(0);
+    expect(rpc).toHaveBeenCalledWith("settle_saved_search_alert", {
+      p_search_id: "s1",
+      p_dog_id: 1,
+      p_send: false,
+    });
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it("ignores alerts on other users' searches", async () => {
+    pendingAlerts = [alert()];
+    expect(await processSavedSearchAlerts("owner-c")).toBe(0);
+    expect(rpc).not.toHaveBeenCalled();
+  });
+
+  it("links back to Find Match with the saved filters and minimum score", () => {
+    const url = savedSearchUrl({
+      dog_id: 2,
+      profile: "show_quality",
+      filter_query: "size=large",
+      min_score: 70,
+    });
+    expect(url).toBe("/find-match?size=large&min_score=70&dog=2&profile=show_quality");
+  });
+});
@@ -0,0 +1,103 @@
+import supabase from "./supabaseClient";
+import { createNotification } from "./notifications";
+import { matchParty } from "../utils/matchLifecycle";
+import {
+  agreementApprovals,
+  normalizeAgreementTerms,
+  sameAgreementTerms,
+  validateAgreementTerms,
+} from "../utils/breedingAgreement";
+
+const AGREEMENT_FIELDS =
+  "id, match_id, terms, version, updated_by, requester_approved_version, requester_approved_at, responder_approved_version, responder_approved_at, created_at, updated_at";
+
+async function currentUserId() {
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser();
+  if (error) throw error;
+  if (!user?.id) throw new Error("Not authenticated");
+  return user.id;
+}
+
+async function notifyPartner(match, userId, { title, message, type, agreement }) {
+  const party = matchParty(match, userId);
+  const otherUserId = party === "requester" ? match.requested_user_id : match.requester_user_id;
+  if (!party || !otherUserId) return;
+  try {
+    await createNotification({
+      userId: otherUserId,
+      title,
+      message,
+      type,
+      metadata: { match_id: match.id, version: agreement?.version, url: "/my-matches" },
+    });
+  } catch (err) {
+    console.error("Failed to notify partner about the agreement", err);
+  }
+}
+
+// The request's agreement, or null when none has been drafted.
+export async function getAgreementForMatch(matchId) {
+  const { data, error } = await supabase
+    .from("match_agreements")
+    .select(AGREEMENT_FIELDS)
+    .eq("match_id", matchId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Saves new terms for a request's agreement. Any change creates a new version and clears
+ * both approvals (enforced in the database), so the partner is asked to review again.
+ * Unchanged terms are not written: the approvals stand and the partner isn't notified.
+ */
+export async function saveAgreementTerms(match, terms) {
+  const problem = validateAgreementTerms(terms);
+  if (problem) throw new Error(problem);
+  const userId = await currentUserId();
+  const current = await getAgreementForMatch(match.id);
+  if (current && sameAgreementTerms(current.terms, terms)) return current;
+  const { data, error } = await supabase
+    .from("match_agreements")
+    .upsert(
+      { match_id: match.id, terms: normalizeAgreementTerms(terms) },
+      { onConflict: "match_id" }
+    )
+    .select(AGREEMENT_FIELDS)
+    .single();
+  if (error) throw error;
+  await notifyPartner(match, userId, {
+    title: "Breeding agreement updated",
+    message: `Version ${data.version} of your breeding agreement is ready for your review.`,
+    type: "agreement_updated",
+    agreement: data,
+  });
+  return data;
+}
+
+/**
+ * Approves the version of the agreement the user reviewed. Fails when the terms changed in
+ * the meantime.
+ */
+export async function approveAgreement(match, version) {
+  const userId = await currentUserId();
+  const { data, error } = await supabase.rpc("approve_match_agreement", {
+    p_match_id: match.id,
+    p_version: version,
+  });
+  if (error) throw error;
+  const agreement = Array.isArray(data) ? data[0] : data;
+  const { final } = agreementApprovals(agreement, match, userId);
+  await notifyPartner(match, userId, {
+    title: final ? "Breeding agreement final" : "Breeding agreement approved",
+    message: final
+      ? `Both owners approved version ${agreement.version}. You can print the final agreement.`
+      : `Your match partner approved version ${agreement.version} of the breeding agreement.`,
+    type: "agreement_approved",
+    agreement,
+  });
+  return agreement;
+}
@@ -152,3 +152,104 @@ export async function fetchAdminReports(params = {}) {
     total: ensureCount(count, data?.length || 0),
   };
 }
+
+export async function fetchAdminMatchDisputes(params = {}) {
+  const { status = "all", page = 1, pageSize = 20 } = params;
+
+  const range = buildPaginationRange(page, pageSize);
+
+  let query = supabase.from("match_outcome_disputes").select(
+    `
+        id,
+        status,
+        opened_by,
+        resolution,
+        resolved_outcome,
+        resolved_litter_size,
+        admin_notes,
+        resolved_at,
+        created_at,
+        outcome:dog_match_outcomes(id, outcome, litter_size, notes, verified_at, verified_by_user_id),
+        match:dog_match_requests(
+          id,
+          requester_user_id,
+          requested_user_id,
+          requester_dog:requester_dog_id(id, name, gender, breed),
+          requested_dog:requested_dog_id(id, name, gender, breed)
+        ),
+        statements:match_dispute_statements(id, user_id, notes, evidence_paths, created_at)
+      `,
+    { count: "exact" }
+  );
+
+  if (status !== "all" && status) {
+    query = query.eq("status", status);
+  }
+
+  const { data, error, count } = await query
+    .order("created_at", { ascending: false })
+    .range(range.from, range.to);
+
+  if (error) {
+    throw new Error(error.message || "Failed to load disputes");
+  }
+
+  // Attach owner names so the case reads as "who said what"
+  const userIds = Array.from(
+    new Set((data ?? []).flatMap((d) => [d.match?.requester_user_id, d.match?.requested_user_id]))
+  ).filter(Boolean);
+  let users = [];
+  if (userIds.length) {
+    const { data: userRows, error: usersError } = await supabase
+      .from("users")
+      .select("id, name, email")
+      .in("id", userIds);
+    if (usersError) {
+      throw new Error(usersError.message || "Failed to load dispute parties");
+    }
+    users = userRows ?? [];
+  }
+  const usersById = new Map(users.map((u) => [String(u.id), u]));
+
+  return {
+    data: (data ?? []).map((dispute) => ({
+      ...dispute,
+      statements: [...(dispute.statements ?? [])].sort((a, b) =>
+        a.created_at.localeCompare(b.created_at)
+      ),
+      requester: usersById.get(String(dispute.match?.requester_user_id)) || null,
+      requested: usersById.get(String(dispute.match?.requested_user_id)) || null,
+    })),
+    total: ensureCount(count, data?.length || 0),
+  };
+}
+
+export async function resolveMatchDispute({
+  disputeId,
+  resolution,
+  outcome = null,
+  litterSize = null,
+  adminNotes = "",
+}) {
+  const { data, error } = await supabase.rpc("resolve_match_dispute", {
+    p_dispute_id: disputeId,
+    p_resolution: resolution,
+    p_outcome: resolution === "corrected" ? outcome : null,
+    p_litter_size: resolution === "corrected" && litterSize !== "" ? Number(litterSize) : null,
+    p_admin_notes: adminNotes,
+  });
+  if (error) {
+    throw new Error(error.message || "Failed to resolve dispute");
+  }
+  return data;
+}
+
+export async function createDisputeEvidenceUrl(path, expiresInSeconds = 300) {
+  const { data, error } = await supabase.storage
+    .from("match-dispute-evidence")
+    .createSignedUrl(path, expiresInSeconds);
+  if (error) {
+    throw new Error(error.message || "Failed to open evidence");
+  }
+  return data?.signedUrl;
+}
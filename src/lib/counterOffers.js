@@ -0,0 +1,91 @@
+import supabase from "./supabaseClient";
+import { createNotification } from "./notifications";
+import { assertBreedingAllowed } from "./welfare";
+import { validateCounterOffer } from "../utils/counterOffers";
+import { matchParty } from "../utils/matchLifecycle";
+
+export const COUNTER_OFFER_FIELDS =
+  "id, match_id, proposed_dog_id, proposed_by, message, status, responded_at, new_match_id, created_at, proposed_dog:proposed_dog_id(id, name, breed, gender, image_url)";
+
+async function currentUserId() {
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser();
+  if (error) throw error;
+  if (!user?.id) throw new Error("Not authenticated");
+  return user.id;
+}
+
+async function notifyUser(userId, { title, message, type, matchId }) {
+  if (!userId) return;
+  try {
+    await createNotification({
+      userId,
+      title,
+      message,
+      type,
+      metadata: { match_id: matchId, url: "/my-matches" },
+    });
+  } catch (err) {
+    console.error("Failed to notify about the counter-offer", err);
+  }
+}
+
+/**
+ * Proposes `dog` (one of the responder's own dogs) in place of the requested one on a pending
+ * request. The welfare rules are checked for the new pairing before the requester sees it.
+ */
+export async function proposeCounterOffer(match, { dog, message = "" }) {
+  const userId = await currentUserId();
+  const problem = validateCounterOffer(match, { dog, message }, userId);
+  if (problem) throw new Error(problem);
+  await assertBreedingAllowed([match.requester_dog_id, dog.id]);
+
+  const { data, error } = await supabase
+    .from("match_counter_offers")
+    .insert([{ match_id: match.id, proposed_dog_id: dog.id, message: message.trim() || null }])
+    .select(COUNTER_OFFER_FIELDS)
+    .single();
+  if (error) throw error;
+
+  await notifyUser(match.requester_user_id, {
+    title: "Counter-offer on your breeding request",
+    message: `The owner of ${match.requested_dog?.name || "the dog you requested"} proposes ${dog.name || "another dog"} for ${match.requester_dog?.name || "your dog"} instead. Accept or reject it on My Matches.`,
+    type: "match_counter_offer",
+    matchId: match.id,
+  });
+  return data;
+}
+
+/**
+ * Accepts or rejects the pending counter-offer as the requester. Accepting supersedes the
+ * request with an updated one, already awaiting the outcome, whose id is the returned
+ * offer's `new_match_id`.
+ */
+export async function respondToCounterOffer(match, offer, accept) {
+  const userId = await currentUserId();
+  if (matchParty(match, userId) !== "requester") {
+    throw new Error("Only the owner who sent the request can answer the counter-offer.");
+  }
+  // Re-check: a litter may have been recorded since the offer was made
+  if (accept) await assertBreedingAllowed([match.requester_dog_id, offer.proposed_dog_id]);
+
+  const { data, error } = await supabase.rpc("respond_to_match_counter_offer", {
+    p_offer_id: offer.id,
+    p_accept: Boolean(accept),
+  });
+  if (error) throw error;
+  const updated = Array.isArray(data) ? data[0] : data;
+
+  const proposedName = offer.proposed_dog?.name || "your dog";
+  await notifyUser(match.requested_user_id, {
+    title: accept ? "Counter-offer accepted" : "Counter-offer rejected",
+    message: accept
+      ? `${proposedName} and ${match.requester_dog?.name || "their dog"} are matched. Record the outcome on My Matches once the breeding is done.`
+      : `Your proposal of ${proposedName} was rejected. The original request for ${match.requested_dog?.name || "your dog"} is still open.`,
+    type: accept ? "match_counter_offer_accepted" : "match_counter_offer_rejected",
+    matchId: updated?.new_match_id || match.id,
+  });
+  return updated;
+}
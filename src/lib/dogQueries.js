@@ -1,5 +1,6 @@
 import supabase from "./supabaseClient";
 import { DOG_LIST_COLUMNS } from "./dogs";
+import { resolveBreedId } from "../utils/breedRegistry";
 
 const BASE_SELECT_COLUMNS = Array.from(
   new Set([...DOG_LIST_COLUMNS, "gender", "image_url", "is_visible"])
@@ -15,6 +16,8 @@ export function mapDogRow(row) {
     id: row.id,
     name: row.name || "Unnamed",
     breed: row.breed || "Unknown",
+    breed_id: row.breed_id || resolveBreedId(row.breed),
+    breed_composition: Array.isArray(row.breed_composition) ? row.breed_composition : [],
     age_years: row.age_years ?? null,
     sex: gender,
     gender,
@@ -22,9 +25,19 @@ export function mapDogRow(row) {
     weight_kg: row.weight_kg ?? null,
     coat_type: row.coat_type || null,
     color: row.color || null,
+    color_genotype: row.color_genotype || {},
+    province: row.province || null,
+    city: row.city || null,
     activity_level: row.activity_level || null,
     sociability: row.sociability || null,
     trainability: row.trainability || null,
+    vaccinated: row.vaccinated === true,
+    dna_tested: row.dna_tested === true,
+    hip_elbow_tested: row.hip_elbow_tested === true,
+    heart_tested: row.heart_tested === true,
+    eye_tested: row.eye_tested === true,
+    genetic_panel: row.genetic_panel === true,
+    thyroid_tested: row.thyroid_tested === true,
     image: row.image || row.image_url || null,
     image_url: row.image_url || row.image || null,
     hidden: derivedHidden,
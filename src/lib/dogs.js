@@ -5,10 +5,13 @@ export const DOG_ALLOWED_COLUMNS = [
   "name",
   "gender",
   "breed",
+  "breed_id",
+  "breed_composition",
   "age_years",
   "size",
   "weight_kg",
   "pedigree_certified",
+  "registration_number",
   "dna_tested",
   "vaccinated",
   "hip_elbow_tested",
@@ -18,6 +21,9 @@ export const DOG_ALLOWED_COLUMNS = [
   "thyroid_tested",
   "coat_type",
   "color",
+  "color_genotype",
+  "province",
+  "city",
   "activity_level",
   "sociability",
   "trainability",
@@ -27,14 +33,30 @@ export const DOG_LIST_COLUMNS = [
   "id",
   "name",
   "breed",
+  "breed_id",
+  "breed_composition",
   "gender",
   "age_years",
   "weight_kg",
   "size",
   "color",
+  "coat_type",
+  "color_genotype",
+  "province",
+  "city",
+  "activity_level",
+  "sociability",
+  "trainability",
   "image_url",
   "user_id",
   "created_at",
+  "vaccinated",
+  "dna_tested",
+  "hip_elbow_tested",
+  "heart_tested",
+  "eye_tested",
+  "genetic_panel",
+  "thyroid_tested",
   "match_requests_count",
   "match_accept_count",
   "match_completed_count",
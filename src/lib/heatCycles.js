@@ -0,0 +1,110 @@
+import { format } from "date-fns";
+import supabase from "./supabaseClient";
+import { predictHeat } from "../utils/heatCycle";
+
+const HEAT_CYCLE_FIELDS =
+  "id, dog_id, started_on, ended_on, notes, created_at, progesterone_tests:dog_progesterone_tests(id, heat_cycle_id, tested_on, ng_ml, notes)";
+
+// The owner's local date: the UTC one is still yesterday before 08:00 in the Philippines.
+const todayIso = () => format(new Date(), "yyyy-MM-dd");
+
+function validateDate(value, label) {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error(`Enter the ${label}.`);
+  if (value > todayIso()) throw new Error(`The ${label} can't be in the future.`);
+}
+
+const sortTests = (cycle) => ({
+  ...cycle,
+  progesterone_tests: [...(cycle.progesterone_tests || [])].sort((a, b) =>
+    a.tested_on.localeCompare(b.tested_on)
+  ),
+});
+
+/**
+ * Logged heats for a female dog, newest first, each with its progesterone tests by date.
+ */
+export async function listHeatCycles(dogId) {
+  const { data, error } = await supabase
+    .from("dog_heat_cycles")
+    .select(HEAT_CYCLE_FIELDS)
+    .eq("dog_id", dogId)
+    .order("started_on", { ascending: false });
+  if (error) throw error;
+  return (data || []).map(sortTests);
+}
+
+export async function createHeatCycle({ dogId, startedOn, endedOn = null, notes = "" }) {
+  validateDate(startedOn, "first day of heat");
+  if (endedOn) {
+    validateDate(endedOn, "last day of heat");
+    if (endedOn < startedOn) throw new Error("The heat can't end before it started.");
+  }
+  const { data, error } = await supabase
+    .from("dog_heat_cycles")
+    .insert({
+      dog_id: dogId,
+      started_on: startedOn,
+      ended_on: endedOn,
+      notes: notes.trim() || null,
+    })
+    .select(HEAT_CYCLE_FIELDS)
+    .single();
+  if (error) throw error;
+  return sortTests(data);
+}
+
+export async function deleteHeatCycle(id) {
+  const { error } = await supabase.from("dog_heat_cycles").delete().eq("id", id);
+  if (error) throw error;
+}
+
+export async function addProgesteroneTest({ heatCycleId, testedOn, ngMl, notes = "" }) {
+  validateDate(testedOn, "test date");
+  const value = Number(ngMl);
+  if (ngMl === "" || !Number.isFinite(value) || value < 0 || value > 100) {
+    throw new Error("Progesterone must be a number of ng/mL between 0 and 100.");
+  }
+  const { data, error } = await supabase
+    .from("dog_progesterone_tests")
+    .insert({
+      heat_cycle_id: heatCycleId,
+      tested_on: testedOn,
+      ng_ml: value,
+      notes: notes.trim() || null,
+    })
+    .select("id, heat_cycle_id, tested_on, ng_ml, notes")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteProgesteroneTest(id) {
+  const { error } = await supabase.from("dog_progesterone_tests").delete().eq("id", id);
+  if (error) throw error;
+}
+
+/**
+ * Breeding-window predictions for several dogs at once, keyed by dog id. Dogs without a
+ * logged heat are left out.
+ */
+export async function fetchHeatPredictions(dogIds) {
+  const ids = Array.from(new Set((dogIds || []).map(String)));
+  if (!ids.length) return new Map();
+  const { data, error } = await supabase
+    .from("dog_heat_cycles")
+    .select(HEAT_CYCLE_FIELDS)
+    .in("dog_id", ids);
+  if (error) throw error;
+
+  const byDog = new Map();
+  (data || []).forEach((cycle) => {
+    const key = String(cycle.dog_id);
+    byDog.set(key, [...(byDog.get(key) || []), cycle]);
+  });
+  const predictions = new Map();
+  byDog.forEach((cycles, key) => {
+    const prediction = predictHeat(cycles);
+    if (prediction) predictions.set(key, prediction);
+  });
+  return predictions;
+}
@@ -0,0 +1,219 @@
+import supabase from "./supabaseClient";
+import { createNotification } from "./notifications";
+import { notifyDogsInvalidate } from "./dogEvents";
+import { canPromotePuppy, puppyDogDraft, validateLitter } from "../utils/litters";
+
+const PARENT_FIELDS = "id, name, gender, breed, breed_id, breed_composition, user_id";
+
+const PUPPY_FIELDS =
+  "id, litter_id, position, name, sex, color, markings, birth_weight_grams, status, dog_id";
+
+const LITTER_FIELDS = `id, match_id, sire_id, dam_id, whelped_on, notes, created_by, created_at, updated_at,
+  sire:sire_id(${PARENT_FIELDS}),
+  dam:dam_id(${PARENT_FIELDS}),
+  puppies:litter_puppies(${PUPPY_FIELDS})`;
+
+async function currentUserId() {
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser();
+  if (error) throw error;
+  if (!user?.id) throw new Error("Not authenticated");
+  return user.id;
+}
+
+const sortPuppies = (litter) =>
+  litter && {
+    ...litter,
+    puppies: [...(litter.puppies || [])].sort((a, b) => a.position - b.position),
+  };
+
+const blankToNull = (value) => (typeof value === "string" ? value.trim() || null : value);
+
+/**
+ * Litters the dog sired or whelped, newest first, each with its parents and its puppies in
+ * birth order.
+ */
+export async function listLittersForDog(dogId) {
+  const { data, error } = await supabase
+    .from("litters")
+    .select(LITTER_FIELDS)
+    .or(`sire_id.eq.${dogId},dam_id.eq.${dogId}`)
+    .order("whelped_on", { ascending: false });
+  if (error) throw error;
+  return (data || []).map(sortPuppies);
+}
+
+export async function getLitter(id) {
+  const { data, error } = await supabase
+    .from("litters")
+    .select(LITTER_FIELDS)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return sortPuppies(data) || null;
+}
+
+// The litter recorded for a breeding request, or null.
+export async function getLitterForMatch(matchId) {
+  const { data, error } = await supabase
+    .from("litters")
+    .select(LITTER_FIELDS)
+    .eq("match_id", matchId)
+    .maybeSingle();
+  if (error) throw error;
+  return sortPuppies(data) || null;
+}
+
+async function notifyOtherParent(litter, userId) {
+  const other = [litter.sire, litter.dam].find(
+    (parent) => parent?.user_id && String(parent.user_id) !== String(userId)
+  );
+  if (!other) return;
+  try {
+    await createNotification({
+      userId: other.user_id,
+      title: "Litter recorded",
+      message: `A litter of ${litter.puppies.length} was recorded for ${litter.dam?.name || "the dam"} and ${litter.sire?.name || "the sire"}.`,
+      type: "litter_recorded",
+      metadata: { litter_id: litter.id, match_id: litter.match_id, url: `/dog/${other.id}` },
+    });
+  } catch (err) {
+    console.error("Failed to notify the other parent's owner about the litter", err);
+  }
+}
+
+/**
+ * Creates or updates a litter and its puppies. `puppies` is the full list in birth order:
+ * rows with an `id` are updated, rows without one are added and puppies left out are removed
+ * (promoted puppies can't be removed). Returns the saved litter.
+ */
+export async function saveLitter({
+  id = null,
+  matchId = null,
+  sireId = null,
+  damId,
+  whelpedOn,
+  notes = "",
+  puppies = [],
+}) {
+  const problem = validateLitter({ whelped_on: whelpedOn, puppies });
+  if (problem) throw new Error(problem);
+  if (!damId) throw new Error("Choose the dam of the litter.");
+  const userId = await currentUserId();
+
+  const existing = id ? await getLitter(id) : null;
+  if (id && !existing) throw new Error("Litter not found");
+  const keptIds = new Set(puppies.filter((p) => p.id).map((p) => String(p.id)));
+  const removed = (existing?.puppies || []).filter((p) => !keptIds.has(String(p.id)));
+  const promoted = removed.find((p) => p.dog_id);
+  if (promoted) {
+    throw new Error(
+      `${promoted.name || `Puppy ${promoted.position}`} has a dog profile and can't be removed from the litter.`
+    );
+  }
+
+  const row = {
+    sire_id: sireId,
+    dam_id: damId,
+    whelped_on: whelpedOn,
+    notes: blankToNull(notes),
+  };
+  let litterId = id;
+  if (id) {
+    const { error } = await supabase
+      .from("litters")
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq("id", id);
+    if (error) throw error;
+  } else {
+    const { data, error } = await supabase
+      .from("litters")
+      .insert({ ...row, match_id: matchId, created_by: userId })
+      .select("id")
+      .single();
+    if (error) throw error;
+    litterId = data.id;
+  }
+
+  if (removed.length) {
+    const { error } = await supabase
+      .from("litter_puppies")
+      .delete()
+      .in(
+        "id",
+        removed.map((p) => p.id)
+      );
+    if (error) throw error;
+  }
+
+  const rows = puppies.map((puppy, index) => ({
+    ...(puppy.id ? { id: puppy.id } : {}),
+    litter_id: litterId,
+    position: index + 1,
+    name: blankToNull(puppy.name || ""),
+    sex: puppy.sex,
+    color: blankToNull(puppy.color || ""),
+    markings: blankToNull(puppy.markings || ""),
+    birth_weight_grams:
+      puppy.birth_weight_grams === "" || puppy.birth_weight_grams == null
+        ? null
+        : Number(puppy.birth_weight_grams),
+    status: puppy.status,
+  }));
+  const updates = rows.filter((r) => r.id);
+  const inserts = rows.filter((r) => !r.id);
+  if (updates.length) {
+    const { error } = await supabase.from("litter_puppies").upsert(updates, { onConflict: "id" });
+    if (error) throw error;
+  }
+  if (inserts.length) {
+    const { error } = await supabase.from("litter_puppies").insert(inserts);
+    if (error) throw error;
+  }
+
+  const saved = await getLitter(litterId);
+  if (!id) await notifyOtherParent(saved, userId);
+  return saved;
+}
+
+export async function deleteLitter(litter) {
+  if ((litter?.puppies || []).some((p) => p.dog_id)) {
+    throw new Error("Litters with promoted puppies can't be deleted.");
+  }
+  const { error } = await supabase.from("litters").delete().eq("id", litter.id);
+  if (error) throw error;
+}
+
+/**
+ * Creates a dog profile for a puppy, owned by the signed-in user, with the litter's sire and
+ * dam as its parents, and links it to the puppy. Returns the new dog's id.
+ */
+export async function promotePuppy(puppy, litter) {
+  if (!canPromotePuppy(puppy)) {
+    throw new Error(
+      puppy?.dog_id
+        ? "This puppy already has a dog profile."
+        : "Only living puppies can get a dog profile."
+    );
+  }
+  const userId = await currentUserId();
+  const draft = puppyDogDraft(puppy, { sire: litter.sire, dam: litter.dam, userId });
+  const { data: dog, error } = await supabase.from("dogs").insert(draft).select("id").single();
+  if (error) throw error;
+
+  // Only link a puppy that is still unpromoted, so two owners can't promote it twice.
+  const { data: linked, error: linkError } = await supabase
+    .from("litter_puppies")
+    .update({ dog_id: dog.id })
+    .eq("id", puppy.id)
+    .is("dog_id", null)
+    .select("id");
+  if (linkError || !linked?.length) {
+    await supabase.from("dogs").delete().eq("id", dog.id);
+    throw linkError || new Error("This puppy already has a dog profile.");
+  }
+  notifyDogsInvalidate("puppy_promoted");
+  return dog.id;
+}
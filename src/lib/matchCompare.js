@@ -0,0 +1,89 @@
+import supabase from "./supabaseClient";
+import { fetchPedigrees } from "./pedigree";
+import { calculateMatchDetails } from "../utils/matchmaking";
+import { MATCH_SEARCH_PARAMS } from "../utils/matchFilters";
+
+export const MAX_COMPARE_CANDIDATES = 4;
+export const COMPARE_PARAM = "compare";
+
+/**
+ * Candidate ids from the compare page's `?compare=3,5,7` param, de-duplicated and capped at
+ * MAX_COMPARE_CANDIDATES.
+ */
+export function parseCompareIds(params) {
+  const raw = params.get(COMPARE_PARAM) || "";
+  const ids = raw
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => /^\d+$/.test(id));
+  return Array.from(new Set(ids)).slice(0, MAX_COMPARE_CANDIDATES);
+}
+
+export function compareUrl({ dogId, profile, candidateIds }) {
+  const params = new URLSearchParams();
+  params.set(MATCH_SEARCH_PARAMS.dog, String(dogId));
+  if (profile) params.set(MATCH_SEARCH_PARAMS.profile, profile);
+  params.set(COMPARE_PARAM, candidateIds.slice(0, MAX_COMPARE_CANDIDATES).join(","));
+  return `/find-match/compare?${params.toString()}`;
+}
+
+/**
+ * Loads the selected dog and up to four candidates, scores each candidate against the dog
+ * with the given profile, and attaches the candidate's documents on file.
+ *
+ * @returns {Promise<{dog: object, candidates: {dog: object, details: object, documents:
+ *   object[]}[], missingIds: string[]}>} Candidates keep the order of `candidateIds`;
+ *   ids that no longer resolve to a visible dog are listed in `missingIds`.
+ */
+export async function fetchMatchComparison({ dogId, candidateIds, profile }) {
+  const ids = candidateIds.slice(0, MAX_COMPARE_CANDIDATES).map(String);
+  if (!ids.length) throw new Error("Pick at least one candidate to compare.");
+
+  const [dogsResult, docsResult] = await Promise.all([
+    supabase
+      .from("dogs")
+      .select("*")
+      .in("id", [dogId, ...ids]),
+    supabase.from("dog_documents").select("*").in("dog_id", ids).order("id", { ascending: false }),
+  ]);
+  if (dogsResult.error) throw dogsResult.error;
+  if (docsResult.error) throw docsResult.error;
+
+  const rows = dogsResult.data || [];
+  const byId = new Map(rows.map((row) => [String(row.id), row]));
+  const dog = byId.get(String(dogId));
+  if (!dog) throw new Error("The dog you are matching for could not be found.");
+
+  // Pedigrees only feed the COI check; without them the pairs are scored as unrelated.
+  let trees = new Map();
+  try {
+    trees = await fetchPedigrees([dogId, ...ids]);
+  } catch (err) {
+    console.warn("Compare: pedigrees unavailable", err);
+  }
+  const scoringDog = { ...dog, pedigree: trees.get(String(dogId)) || null };
+
+  const documentsByDog = new Map();
+  (docsResult.data || []).forEach((doc) => {
+    const key = String(doc.dog_id);
+    documentsByDog.set(key, [...(documentsByDog.get(key) || []), doc]);
+  });
+
+  const candidates = [];
+  const missingIds = [];
+  ids.forEach((id) => {
+    const row = byId.get(id);
+    if (!row || row.is_visible === false) {
+      missingIds.push(id);
+      return;
+    }
+    const details = calculateMatchDetails(
+      scoringDog,
+      { ...row, pedigree: trees.get(id) || null },
+      { profile }
+    );
+    candidates.push({ dog: row, details, documents: documentsByDog.get(id) || [] });
+  });
+
+  return { dog, candidates, missingIds };
+}
@@ -0,0 +1,38 @@
+import supabase from "./supabaseClient";
+import { DEFAULT_MATCH_EXPIRY } from "../utils/matchExpiry";
+
+let configPromise = null;
+
+/**
+ * The expiry windows from `match_expiry_config`, loaded once per session. Falls back to
+ * DEFAULT_MATCH_EXPIRY when the table is missing or unreadable.
+ */
+export function fetchMatchExpiryConfig() {
+  if (!configPromise) {
+    configPromise = supabase
+      .from("match_expiry_config")
+      .select("pending_days, awaiting_confirmation_days")
+      .maybeSingle()
+      .then(({ data, error }) => {
+        if (error) throw error;
+        return {
+          pendingDays: data?.pending_days || DEFAULT_MATCH_EXPIRY.pendingDays,
+          awaitingConfirmationDays:
+            data?.awaiting_confirmation_days || DEFAULT_MATCH_EXPIRY.awaitingConfirmationDays,
+        };
+      })
+      .catch((err) => {
+        console.error("Failed to load match expiry config", err);
+        configPromise = null;
+        return DEFAULT_MATCH_EXPIRY;
+      });
+  }
+  return configPromise;
+}
+
+// Expires every overdue request server-side (notifying both owners); returns the count.
+export async function expireOverdueMatches() {
+  const { data, error } = await supabase.rpc("expire_match_requests");
+  if (error) throw error;
+  return data || 0;
+}
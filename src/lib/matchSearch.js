@@ -0,0 +1,41 @@
+import supabase from "./supabaseClient";
+import { getScoringProfile } from "../utils/scoringProfiles";
+
+export const MATCH_SEARCH_PAGE_SIZE = 50;
+
+// The RPC never returns more rows than this (supabase/sql/match_search.sql).
+export const MATCH_SEARCH_MAX_PAGE_SIZE = 100;
+
+/**
+ * Fetches one page of match candidates for a dog from the `search_match_candidates` RPC.
+ * The server only pre-filters (opposite gender, the profile's safe size/weight band, visible
+ * dogs of other owners); ranking is still done with the client-side score.
+ *
+ * @param {string|number} dogId - The dog looking for a match.
+ * @param {{profile?: string|object, cursor?: string|number|null, limit?: number}} [options]
+ *   `limit` is capped at MATCH_SEARCH_MAX_PAGE_SIZE.
+ * @returns {Promise<{rows: object[], nextCursor: string|number|null}>} `nextCursor` is null
+ *   once there are no more candidates.
+ */
+export async function searchMatchCandidates(dogId, options = {}) {
+  const { profile, cursor = null } = options;
+  // Clamped like the RPC does, so a full page is still recognised as one
+  const limit = Math.min(
+    Math.max(Math.trunc(options.limit) || MATCH_SEARCH_PAGE_SIZE, 1),
+    MATCH_SEARCH_MAX_PAGE_SIZE
+  );
+  const { hardStops } = getScoringProfile(profile);
+  const { data, error } = await supabase.rpc("search_match_candidates", {
+    p_dog_id: dogId,
+    p_block_size_gap: hardStops.blockSizeGap,
+    p_block_weight_diff_kg: hardStops.blockWeightDiffKg,
+    p_after_id: cursor,
+    p_limit: limit,
+  });
+  if (error) throw error;
+  const rows = data || [];
+  return {
+    rows,
+    nextCursor: rows.length === limit ? rows[rows.length - 1].id : null,
+  };
+}
@@ -1,4 +1,27 @@
 import supabase from "./supabaseClient";
+import { assertBreedingAllowed } from "./welfare";
+import { expireOverdueMatches, fetchMatchExpiryConfig } from "./matchExpiry";
+import { isMatchOverdue } from "../utils/matchExpiry";
+import { uploadFileToBucket } from "./storage";
+import { outcomeConfirmationState, validateDisputeStatement } from "../utils/outcomeConfirmation";
+import { matchPregnancy } from "../utils/pregnancy";
+import { PREGNANCY_FIELDS } from "./pregnancies";
+import { COUNTER_OFFER_FIELDS } from "./counterOffers";
+import {
+  canAnswerCounterOffer,
+  canCounterOffer,
+  pendingCounterOffer,
+} from "../utils/counterOffers";
+import {
+  ACTIVE_MATCH_STATUSES,
+  MATCH_STATUSES,
+  MatchTransitionError,
+  actionForStatus,
+  availableActions,
+  canTransition,
+  planTransition,
+  planTransitions,
+} from "../utils/matchLifecycle";
 
 const DOG_FIELDS = [
   "id",
@@ -30,27 +53,31 @@ const MATCH_SELECT = `
   cancelled_at,
   awaiting_confirmation_at,
   completed_at,
+  expired_at,
+  superseded_at,
   last_status_changed_at,
   requester_notes,
   responder_notes,
-  dog_match_outcomes(id, outcome, litter_size, notes, verified_at, verified_by_user_id, verified_by_dog_id),
+  previous_request_id,
+  dog_match_outcomes(id, outcome, litter_size, notes, verified_at, verified_by_user_id, verified_by_dog_id, confirmation_status, confirm_by, confirmed_at, auto_confirmed),
+  match_outcome_disputes(id, status, opened_by, resolution, resolved_outcome, resolved_litter_size, admin_notes, resolved_at),
+  litters(id, dam_id, whelped_on),
+  match_pregnancies(${PREGNANCY_FIELDS}),
+  counter_offers:match_counter_offers!match_counter_offers_match_id_fkey(${COUNTER_OFFER_FIELDS}),
+  previous_request:previous_request_id(id, status, requested_at, requester_notes, requested_dog:requested_dog_id(id, name, gender), counter_offers:match_counter_offers!match_counter_offers_match_id_fkey(${COUNTER_OFFER_FIELDS})),
   requester_dog:requester_dog_id(${DOG_FIELDS}),
   requested_dog:requested_dog_id(${DOG_FIELDS})
 `;
 
-const STATUS_SET = new Set([
-  "pending",
-  "accepted",
-  "declined",
-  "cancelled",
-  "awaiting_confirmation",
-  "completed_success",
-  "completed_failed",
-]);
-
-const ACTIVE_STATUS_LIST = ["pending", "accepted", "awaiting_confirmation"];
+const STATUS_SET = new Set(MATCH_STATUSES);
+
+const ACTIVE_STATUS_LIST = ACTIVE_MATCH_STATUSES;
 const ACTIVE_REQUEST_STATUSES = new Set(ACTIVE_STATUS_LIST);
 
+// Columns the lifecycle needs to validate a transition
+const LIFECYCLE_FIELDS =
+  "id, status, requester_user_id, requested_user_id, requester_dog_id, requested_dog_id";
+
 async function lookupDogOwnerId(dogId) {
   if (!dogId) return null;
   const { data, error } = await supabase
@@ -62,11 +89,12 @@ async function lookupDogOwnerId(dogId) {
   return data?.user_id || null;
 }
 
-async function getActiveRequestForContact(contactId) {
-  if (!contactId) return null;
+async function queryActiveRequestForContact(contactId) {
   const { data, error } = await supabase
     .from("dog_match_requests")
-    .select("id, status, requester_dog_id, requested_dog_id, requested_at")
+    .select(
+      "id, status, requester_dog_id, requested_dog_id, requested_at, accepted_at, awaiting_confirmation_at"
+    )
     .eq("contact_id", contactId)
     .in("status", ACTIVE_STATUS_LIST)
     .order("requested_at", { ascending: false })
@@ -75,6 +103,17 @@ async function getActiveRequestForContact(contactId) {
   return Array.isArray(data) && data.length ? data[0] : null;
 }
 
+async function getActiveRequestForContact(contactId) {
+  if (!contactId) return null;
+  const active = await queryActiveRequestForContact(contactId);
+  // A request past its expiry window no longer blocks the chat: expire it and look again.
+  if (active && isMatchOverdue(active, await fetchMatchExpiryConfig())) {
+    await expireOverdueMatches();
+    return queryActiveRequestForContact(contactId);
+  }
+  return active;
+}
+
 export async function createMatchRequest({
   contactId,
   requesterDogId,
@@ -100,6 +139,9 @@ export async function createMatchRequest({
     throw err;
   }
 
+  // Welfare rules (age limits, litter spacing and caps) apply to both dogs
+  await assertBreedingAllowed([requesterDogId, requestedDogId]);
+
   let targetUserId = requestedUserId;
   if (!targetUserId) {
     targetUserId = await lookupDogOwnerId(requestedDogId);
@@ -126,6 +168,14 @@ export async function createMatchRequest({
   return data;
 }
 
+const asList = (rel) => (Array.isArray(rel) ? rel : [rel].filter(Boolean));
+
+async function confirmLapsedOutcomes() {
+  const { data, error } = await supabase.rpc("confirm_lapsed_match_outcomes");
+  if (error) throw error;
+  return data || 0;
+}
+
 export async function fetchMatchesForUser(userId) {
   if (!userId) return [];
   let query = supabase
@@ -136,7 +186,31 @@ export async function fetchMatchesForUser(userId) {
 
   const { data, error } = await query;
   if (error) throw error;
-  return data || [];
+  const rows = data || [];
+  // Expire anything overdue before showing it, so nothing counts down past zero
+  const config = await fetchMatchExpiryConfig();
+  if (rows.some((row) => isMatchOverdue(row, config))) {
+    try {
+      if ((await expireOverdueMatches()) > 0) return fetchMatchesForUser(userId);
+    } catch (err) {
+      console.error("Failed to expire overdue match requests", err);
+    }
+  }
+  // Likewise settle outcomes whose confirmation window has lapsed
+  const now = new Date();
+  const lapsed = rows.some((row) =>
+    asList(row.dog_match_outcomes).some(
+      (o) => o.confirmation_status === "pending" && o.confirm_by && new Date(o.confirm_by) <= now
+    )
+  );
+  if (lapsed) {
+    try {
+      if ((await confirmLapsedOutcomes()) > 0) return fetchMatchesForUser(userId);
+    } catch (err) {
+      console.error("Failed to confirm lapsed match outcomes", err);
+    }
+  }
+  return rows;
 }
 
 export function mapMatchRecord(row, userId) {
@@ -153,16 +227,19 @@ export function mapMatchRecord(row, userId) {
   const isMaleDogOwner = myDogGender === "male";
 
   const userStatus = row.status;
-  const outcomeRel = row.dog_match_outcomes;
-  const outcome = Array.isArray(outcomeRel) ? outcomeRel[0] || null : outcomeRel || null;
+  const outcome = asList(row.dog_match_outcomes)[0] || null;
+  const dispute = asList(row.match_outcome_disputes)[0] || null;
+  const litter = asList(row.litters)[0] || null;
+  const pregnancy = matchPregnancy(row);
   const isCompleted = row.status === "completed_success" || row.status === "completed_failed";
-  const isHistory = isCompleted || row.status === "declined" || row.status === "cancelled";
-  const requiresResponse = row.status === "pending" && !myselfIsRequester;
-  const canCancel =
-    myselfIsRequester &&
-    (row.status === "pending" ||
-      row.status === "accepted" ||
-      row.status === "awaiting_confirmation");
+  const isHistory =
+    isCompleted ||
+    row.status === "declined" ||
+    row.status === "cancelled" ||
+    row.status === "expired" ||
+    row.status === "superseded";
+  const requiresResponse = canTransition(row, "accept", userId);
+  const canCancel = canTransition(row, "cancel", userId);
 
   return {
     ...row,
@@ -173,7 +250,15 @@ export function mapMatchRecord(row, userId) {
     isMaleDogOwner, // Add this flag to identify male dog owners
     requiresResponse,
     canCancel,
+    actions: availableActions(row, userId),
     outcome,
+    outcomeConfirmation: outcomeConfirmationState(outcome, userId),
+    dispute,
+    litter,
+    pregnancy,
+    counterOffer: pendingCounterOffer(row),
+    canCounterOffer: canCounterOffer(row, userId),
+    canAnswerCounterOffer: canAnswerCounterOffer(row, userId),
     userStatus,
     direction: myselfIsRequester ? "sent" : "received",
     isCompleted,
@@ -181,50 +266,87 @@ export function mapMatchRecord(row, userId) {
   };
 }
 
-export async function updateMatchStatus(matchId, status) {
-  if (!matchId) throw new Error("matchId is required");
-  if (!STATUS_SET.has(status)) throw new Error("Unsupported match status");
-  const timestampFields = {
-    accepted: "accepted_at",
-    declined: "declined_at",
-    cancelled: "cancelled_at",
-    awaiting_confirmation: "awaiting_confirmation_at",
-  };
-  const patch = { status };
-  const tsField = timestampFields[status];
-  if (tsField) patch[tsField] = new Date().toISOString();
-  if (status === "completed_success" || status === "completed_failed") {
-    patch.completed_at = new Date().toISOString();
-  }
+async function loadLifecycleRow(matchId) {
   const { data, error } = await supabase
     .from("dog_match_requests")
-    .update(patch)
+    .select(LIFECYCLE_FIELDS)
     .eq("id", matchId)
-    .select()
-    .single();
+    .maybeSingle();
   if (error) throw error;
+  if (!data) throw new Error("Match not found");
   return data;
 }
 
-export async function acceptMatchRequest(matchId) {
-  if (!matchId) throw new Error("matchId is required");
-  const now = new Date().toISOString();
-  const patch = {
-    status: "awaiting_confirmation",
-    accepted_at: now,
-    awaiting_confirmation_at: now,
-    last_status_changed_at: now,
-  };
+async function currentUserId() {
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser();
+  if (error) throw error;
+  if (!user?.id) throw new Error("Not authenticated");
+  return user.id;
+}
+
+// Writes a planned transition. The update only lands if the status is still the one it was
+// planned from, so two owners acting at once can't both win.
+async function applyTransition(matchId, plan) {
   const { data, error } = await supabase
     .from("dog_match_requests")
-    .update(patch)
+    .update(plan.patch)
     .eq("id", matchId)
+    .eq("status", plan.from)
     .select()
-    .single();
+    .maybeSingle();
   if (error) throw error;
+  if (!data) {
+    throw new MatchTransitionError(
+      "STALE_STATUS",
+      "This request was updated by the other owner. Refresh and try again.",
+      plan
+    );
+  }
   return data;
 }
 
+/**
+ * Applies a lifecycle action (see MATCH_TRANSITIONS in utils/matchLifecycle) as the signed-in
+ * user. Throws MatchTransitionError when the action isn't allowed.
+ */
+export async function transitionMatch(matchId, action) {
+  if (!matchId) throw new Error("matchId is required");
+  const [row, userId] = await Promise.all([loadLifecycleRow(matchId), currentUserId()]);
+  return applyTransition(matchId, planTransition(row, action, { userId }));
+}
+
+// Status-based entry point kept for existing callers; maps the target status to its action.
+export async function updateMatchStatus(matchId, status) {
+  if (!matchId) throw new Error("matchId is required");
+  if (!STATUS_SET.has(status)) throw new Error("Unsupported match status");
+  const [row, userId] = await Promise.all([loadLifecycleRow(matchId), currentUserId()]);
+  const action = actionForStatus(row, status);
+  if (!action) {
+    throw new MatchTransitionError(
+      "ILLEGAL_TRANSITION",
+      `A ${row.status.replace("_", " ")} request can't move to ${status.replace("_", " ")}.`,
+      { from: row.status, to: status }
+    );
+  }
+  return applyTransition(matchId, planTransition(row, action, { userId }));
+}
+
+/**
+ * Accepts a pending request and opens it for outcome confirmation: `accept` followed by
+ * `await_outcome`, written as one update that stamps both timestamps.
+ */
+export async function acceptMatchRequest(matchId) {
+  if (!matchId) throw new Error("matchId is required");
+  const [row, userId] = await Promise.all([loadLifecycleRow(matchId), currentUserId()]);
+  const plan = planTransitions(row, ["accept", "await_outcome"], { userId });
+  // Re-check at acceptance: a litter may have been recorded since the request was sent
+  await assertBreedingAllowed([row.requester_dog_id, row.requested_dog_id]);
+  return applyTransition(matchId, plan);
+}
+
 export async function fetchAwaitingDogIds(dogIds) {
   if (!Array.isArray(dogIds) || dogIds.length === 0) return new Set();
   const filtered = Array.from(new Set(dogIds.filter(Boolean).map((id) => String(id))));
@@ -279,7 +401,7 @@ export async function submitMatchOutcome({
   // 2) Ensure the verifying dog is part of the match
   const { data: match, error: matchErr } = await supabase
     .from("dog_match_requests")
-    .select("id, requester_dog_id, requested_dog_id, status")
+    .select(LIFECYCLE_FIELDS)
     .eq("id", matchId)
     .single();
   if (matchErr) throw matchErr;
@@ -290,6 +412,11 @@ export async function submitMatchOutcome({
   ) {
     throw new Error("Selected dog is not part of this match");
   }
+  // Outcomes close the request, so it must be awaiting confirmation. The status itself moves
+  // to completed_* in the database when the outcome row is inserted.
+  planTransition(match, outcome === "success" ? "complete_success" : "complete_failed", {
+    userId: user.id,
+  });
 
   // 3) Enforce gender-based permissions consistent with RLS
   const dogGender = (dog.gender || "").toString().toLowerCase();
@@ -336,3 +463,65 @@ export async function submitMatchOutcome({
   if (insertError) throw insertError;
   return data;
 }
+
+// The owner who didn't record the outcome confirms it, so it counts toward breeding stats.
+export async function confirmMatchOutcome(outcomeId) {
+  const { error } = await supabase.rpc("respond_to_match_outcome", {
+    p_outcome_id: outcomeId,
+    p_response: "confirm",
+  });
+  if (error) throw error;
+}
+
+async function uploadDisputeEvidence(disputeId, files) {
+  const uploads = await Promise.all(
+    files.map((file, i) =>
+      uploadFileToBucket({
+        bucket: "match-dispute-evidence",
+        path: `${disputeId}/${Date.now()}_${i}_${file.name}`,
+        file,
+      })
+    )
+  );
+  return uploads.map((upload) => upload.path);
+}
+
+/**
+ * Disputes a recorded outcome, opening an admin case with the user's statement and evidence
+ * (images or PDFs). Returns the dispute id.
+ */
+export async function disputeMatchOutcome(outcomeId, { notes, files = [] }) {
+  const problem = validateDisputeStatement({ notes, files });
+  if (problem) throw new Error(problem);
+  const { data: disputeId, error } = await supabase.rpc("respond_to_match_outcome", {
+    p_outcome_id: outcomeId,
+    p_response: "dispute",
+    p_notes: notes.trim(),
+  });
+  if (error) throw error;
+  if (files.length) {
+    const paths = await uploadDisputeEvidence(disputeId, files);
+    const userId = await currentUserId();
+    const { error: updateError } = await supabase
+      .from("match_dispute_statements")
+      .update({ evidence_paths: paths })
+      .eq("dispute_id", disputeId)
+      .eq("user_id", userId);
+    if (updateError) throw updateError;
+  }
+  return disputeId;
+}
+
+// Adds a statement (and evidence) to an open dispute; either owner can do this.
+export async function addDisputeStatement(disputeId, { notes, files = [] }) {
+  const problem = validateDisputeStatement({ notes, files });
+  if (problem) throw new Error(problem);
+  const evidencePaths = files.length ? await uploadDisputeEvidence(disputeId, files) : [];
+  const { data, error } = await supabase
+    .from("match_dispute_statements")
+    .insert({ dispute_id: disputeId, notes: notes.trim(), evidence_paths: evidencePaths })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
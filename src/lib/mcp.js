@@ -0,0 +1,37 @@
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import supabase from "./supabaseClient";
+
+// The DaBreeder MCP server (`npm run mcp:http`, see mcp/server.js).
+export const MCP_SERVER_URL = import.meta.env.VITE_MCP_SERVER_URL || "http://localhost:8787/mcp";
+
+async function accessToken() {
+  const {
+    data: { session },
+    error,
+  } = await supabase.auth.getSession();
+  if (error) throw error;
+  if (!session?.access_token) throw new Error("Not authenticated");
+  return session.access_token;
+}
+
+/**
+ * Calls one of the MCP server's tools as the signed-in user and returns its structured
+ * result. Tool errors (failed validation, lifecycle rules) are thrown with the server's
+ * message.
+ */
+export async function callDogMatchTool(name, args = {}) {
+  const transport = new StreamableHTTPClientTransport(new URL(MCP_SERVER_URL), {
+    requestInit: { headers: { Authorization: `Bearer ${await accessToken()}` } },
+  });
+  const client = new Client({ name: "dabreeder-web", version: "0.1.0" });
+  await client.connect(transport);
+  try {
+    const result = await client.callTool({ name, arguments: args });
+    const text = result.content?.find((part) => part.type === "text")?.text;
+    if (result.isError) throw new Error(text || `The ${name} tool failed`);
+    return result.structuredContent ?? (text ? JSON.parse(text) : null);
+  } finally {
+    await client.close();
+  }
+}
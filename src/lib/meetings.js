@@ -0,0 +1,161 @@
+import supabase from "./supabaseClient";
+import { createNotification } from "./notifications";
+import { matchParty } from "../utils/matchLifecycle";
+import {
+  MAX_PROPOSED_SLOTS,
+  canScheduleMeeting,
+  confirmedMeeting,
+  formatMeetingSlot,
+  validateMeetingSlot,
+} from "../utils/meetingSchedule";
+
+const SLOT_FIELDS =
+  "id, match_id, proposed_by, starts_at, duration_minutes, location, notes, status, responded_at, created_at";
+
+async function currentUserId() {
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser();
+  if (error) throw error;
+  if (!user?.id) throw new Error("Not authenticated");
+  return user.id;
+}
+
+/**
+ * Meeting slots for the given requests, keyed by match id and sorted by start time. Declined
+ * and withdrawn slots are left out.
+ */
+export async function listMeetingSlots(matchIds) {
+  const ids = Array.from(new Set((matchIds || []).filter(Boolean).map(String)));
+  const slots = new Map(ids.map((id) => [id, []]));
+  if (!ids.length) return slots;
+  const { data, error } = await supabase
+    .from("match_meeting_slots")
+    .select(SLOT_FIELDS)
+    .in("match_id", ids)
+    .in("status", ["proposed", "accepted"])
+    .order("starts_at", { ascending: true });
+  if (error) throw error;
+  (data || []).forEach((slot) => slots.get(String(slot.match_id))?.push(slot));
+  return slots;
+}
+
+/**
+ * Proposes up to MAX_PROPOSED_SLOTS meeting times for an awaiting_confirmation request and
+ * lets the other owner know.
+ */
+export async function proposeMeetingSlots(matchId, slots) {
+  const list = (slots || []).filter(Boolean);
+  if (!list.length) throw new Error("Propose at least one time.");
+  if (list.length > MAX_PROPOSED_SLOTS) {
+    throw new Error(`Propose up to ${MAX_PROPOSED_SLOTS} times at once.`);
+  }
+  const problem = list.map((slot) => validateMeetingSlot(slot)).find(Boolean);
+  if (problem) throw new Error(problem);
+
+  const [{ data: match, error: matchError }, userId] = await Promise.all([
+    supabase
+      .from("dog_match_requests")
+      .select("id, status, requester_user_id, requested_user_id")
+      .eq("id", matchId)
+      .maybeSingle(),
+    currentUserId(),
+  ]);
+  if (matchError) throw matchError;
+  if (!match) throw new Error("Match not found");
+  const party = matchParty(match, userId);
+  if (!party) throw new Error("You're not part of this request.");
+  if (!canScheduleMeeting(match)) {
+    throw new Error("Meetings can only be scheduled once the request is accepted.");
+  }
+
+  const rows = list.map((slot) => ({
+    match_id: matchId,
+    proposed_by: userId,
+    starts_at: new Date(slot.starts_at).toISOString(),
+    duration_minutes: Number(slot.duration_minutes) || undefined,
+    location: String(slot.location).trim(),
+    notes: slot.notes?.trim() || null,
+  }));
+  const { data, error } = await supabase
+    .from("match_meeting_slots")
+    .insert(rows)
+    .select(SLOT_FIELDS);
+  if (error) throw error;
+
+  const otherUserId = party === "requester" ? match.requested_user_id : match.requester_user_id;
+  if (otherUserId) {
+    try {
+      await createNotification({
+        userId: otherUserId,
+        title: "New meeting times proposed",
+        message:
+          rows.length === 1
+            ? `Your match partner proposed meeting on ${formatMeetingSlot(rows[0])}.`
+            : `Your match partner proposed ${rows.length} meeting times. Pick one in My Matches.`,
+        type: "meeting_proposed",
+        metadata: { match_id: matchId, url: "/my-matches" },
+      });
+    } catch (err) {
+      console.error("Failed to notify partner about meeting times", err);
+    }
+  }
+  return data || [];
+}
+
+// Accepts the other owner's proposal; the remaining proposals for the request are declined.
+export async function acceptMeetingSlot(slot) {
+  const { data, error } = await supabase.rpc("accept_meeting_slot", { p_slot_id: slot.id });
+  if (error) throw error;
+  const accepted = Array.isArray(data) ? data[0] : data;
+  if (slot.proposed_by) {
+    try {
+      await createNotification({
+        userId: slot.proposed_by,
+        title: "Meeting confirmed",
+        message: `Your breeding appointment is set for ${formatMeetingSlot(accepted || slot)}.`,
+        type: "meeting_confirmed",
+        metadata: { match_id: slot.match_id, slot_id: slot.id, url: "/my-matches" },
+      });
+    } catch (err) {
+      console.error("Failed to notify proposer about the confirmed meeting", err);
+    }
+  }
+  return accepted;
+}
+
+export async function withdrawMeetingSlot(slotId) {
+  const { error } = await supabase
+    .from("match_meeting_slots")
+    .update({ status: "withdrawn", responded_at: new Date().toISOString() })
+    .eq("id", slotId)
+    .eq("status", "proposed");
+  if (error) throw error;
+}
+
+/**
+ * The confirmed appointment for the chat's awaiting_confirmation request, or null.
+ */
+export async function fetchMeetingForContact(contactId) {
+  if (!contactId) return null;
+  const { data: requests, error } = await supabase
+    .from("dog_match_requests")
+    .select("id")
+    .eq("contact_id", contactId)
+    .eq("status", "awaiting_confirmation")
+    .order("requested_at", { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  const matchId = requests?.[0]?.id;
+  if (!matchId) return null;
+  const slots = await listMeetingSlots([matchId]);
+  return confirmedMeeting(slots.get(String(matchId)));
+}
+
+// Sends the 24-hour and 2-hour reminders that are due; returns how many went out.
+export async function sendDueMeetingReminders() {
+  const { data, error } = await supabase.rpc("send_meeting_reminders");
+  if (error) throw error;
+  return data || 0;
+}
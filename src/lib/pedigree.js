@@ -0,0 +1,220 @@
+import supabase from "./supabaseClient";
+import {
+  PARENT_ROLES,
+  PEDIGREE_GENERATIONS,
+  buildPedigreeTree,
+  containsFilterValue,
+  nodeKey,
+  parentPatch,
+  parentRef,
+  roleForGender,
+  treeContains,
+} from "../utils/pedigree";
+
+const PARENT_COLUMNS = ["sire_id", "dam_id", "sire_ancestor_id", "dam_ancestor_id"];
+
+const PEDIGREE_DOG_FIELDS = [
+  "id",
+  "name",
+  "breed",
+  "gender",
+  "color",
+  "image_url",
+  "user_id",
+  "registration_number",
+  ...PARENT_COLUMNS,
+].join(", ");
+
+const ANCESTOR_FIELDS = [
+  "id",
+  "name",
+  "registration_number",
+  "breed",
+  "gender",
+  "color",
+  "created_by",
+  ...PARENT_COLUMNS,
+].join(", ");
+
+const TABLE_BY_KIND = {
+  dog: { table: "dogs", fields: PEDIGREE_DOG_FIELDS },
+  ancestor: { table: "pedigree_ancestors", fields: ANCESTOR_FIELDS },
+};
+
+// Keeps `in.(...)` filters well under PostgREST's URL length limit.
+const ID_CHUNK_SIZE = 100;
+
+async function loadRows(kind, ids) {
+  if (!ids.length) return [];
+  const { table, fields } = TABLE_BY_KIND[kind];
+  const rows = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(fields)
+      .in("id", ids.slice(i, i + ID_CHUNK_SIZE));
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+// Loads the trees rooted at registered dogs or external ancestors, keyed by nodeKey().
+async function loadPedigreeTrees(roots, generations) {
+  const result = new Map();
+  if (!roots.length) return result;
+
+  const rows = new Map();
+  let frontier = roots;
+  for (let depth = 0; depth <= generations && frontier.length; depth += 1) {
+    const pending = { dog: new Set(), ancestor: new Set() };
+    frontier.forEach((ref) => {
+      const key = nodeKey(ref.kind, ref.id);
+      if (!rows.has(key)) pending[ref.kind].add(String(ref.id));
+    });
+    const [dogRows, ancestorRows] = await Promise.all([
+      loadRows("dog", Array.from(pending.dog)),
+      loadRows("ancestor", Array.from(pending.ancestor)),
+    ]);
+    const loaded = [
+      ...dogRows.map((row) => ({ kind: "dog", row })),
+      ...ancestorRows.map((row) => ({ kind: "ancestor", row })),
+    ];
+    loaded.forEach(({ kind, row }) => rows.set(nodeKey(kind, row.id), row));
+    frontier = [];
+    if (depth < generations) {
+      loaded.forEach(({ row }) => {
+        PARENT_ROLES.forEach((role) => {
+          const ref = parentRef(row, role);
+          if (ref) frontier.push(ref);
+        });
+      });
+    }
+  }
+
+  const lookup = (ref) => rows.get(nodeKey(ref.kind, ref.id)) || null;
+  roots.forEach((ref) => {
+    result.set(nodeKey(ref.kind, ref.id), buildPedigreeTree(ref, lookup, generations));
+  });
+  return result;
+}
+
+/**
+ * Loads pedigrees for several dogs at once.
+ * Rows are fetched one generation at a time (two queries per generation) rather than per dog,
+ * so the cost stays flat no matter how many dogs are requested.
+ *
+ * @returns {Promise<Map<string, object>>} Map of dog id (string) -> pedigree tree.
+ */
+export async function fetchPedigrees(dogIds, { generations = PEDIGREE_GENERATIONS } = {}) {
+  const ids = Array.from(new Set((dogIds || []).filter(Boolean).map((id) => String(id))));
+  const trees = await loadPedigreeTrees(
+    ids.map((id) => ({ kind: "dog", id })),
+    generations
+  );
+  const result = new Map();
+  ids.forEach((id) => result.set(id, trees.get(nodeKey("dog", id)) || null));
+  return result;
+}
+
+export async function fetchPedigree(dogId, options) {
+  if (!dogId) return null;
+  const trees = await fetchPedigrees([dogId], options);
+  return trees.get(String(dogId)) || null;
+}
+
+export async function createExternalAncestor({
+  name,
+  registrationNumber = null,
+  breed = null,
+  gender,
+  color = null,
+}) {
+  const trimmed = (name || "").trim();
+  if (!trimmed) throw new Error("Ancestor name is required");
+  if (!["male", "female"].includes(gender)) {
+    throw new Error("Ancestor gender must be male or female");
+  }
+  const payload = {
+    name: trimmed,
+    registration_number: (registrationNumber || "").trim() || null,
+    breed: breed || null,
+    gender,
+    color: color || null,
+  };
+  const { data, error } = await supabase
+    .from("pedigree_ancestors")
+    .insert(payload)
+    .select(ANCESTOR_FIELDS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+async function lookupGender(ref) {
+  const { table } = TABLE_BY_KIND[ref.kind];
+  const { data, error } = await supabase
+    .from(table)
+    .select("id, gender")
+    .eq("id", ref.id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new Error("Parent record not found");
+  return data.gender || null;
+}
+
+/**
+ * Points the sire or dam of a dog (or external ancestor) at another record.
+ * Pass `parent: null` to clear the link.
+ */
+export async function setPedigreeParent({ child, role, parent }) {
+  if (!child?.kind || !child?.id) throw new Error("child is required");
+  if (!PARENT_ROLES.includes(role)) throw new Error("Parent role must be sire or dam");
+
+  if (parent) {
+    if (parent.kind === child.kind && String(parent.id) === String(child.id)) {
+      throw new Error("A dog cannot be its own parent");
+    }
+    const gender = await lookupGender(parent);
+    if (gender && roleForGender(gender) !== role) {
+      throw new Error(
+        role === "sire" ? "The sire must be a male dog" : "The dam must be a female dog"
+      );
+    }
+    // Reject links that would make the child one of its own ancestors, whichever kind of
+    // record the parent is.
+    const ref = { kind: parent.kind, id: String(parent.id) };
+    const trees = await loadPedigreeTrees([ref], PEDIGREE_GENERATIONS);
+    if (treeContains(trees.get(nodeKey(ref.kind, ref.id)), nodeKey(child.kind, child.id))) {
+      throw new Error("This link would create a loop in the pedigree");
+    }
+  }
+
+  const { table } = TABLE_BY_KIND[child.kind] || {};
+  if (!table) throw new Error("Unsupported pedigree record");
+  const { data, error } = await supabase
+    .from(table)
+    .update(parentPatch(role, parent))
+    .eq("id", child.id)
+    .select("id")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function searchRegisteredDogs({ term, gender = null, excludeId = null, limit = 8 }) {
+  const cleaned = (term || "").trim();
+  if (cleaned.length < 2) return [];
+  const value = containsFilterValue(cleaned);
+  let query = supabase
+    .from("dogs")
+    .select("id, name, breed, gender, image_url, registration_number")
+    .or(`name.ilike.${value},registration_number.ilike.${value}`)
+    .order("name", { ascending: true })
+    .limit(limit);
+  if (gender) query = query.eq("gender", gender);
+  if (excludeId) query = query.neq("id", excludeId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,73 @@
+import supabase from "./supabaseClient";
+import { createNotification } from "./notifications";
+import { litterParents } from "../utils/litters";
+import { formatPregnancyDay, expectedWhelpingDate, validatePregnancy } from "../utils/pregnancy";
+
+export const PREGNANCY_FIELDS =
+  "id, match_id, dam_id, mated_on, ultrasound_on, ultrasound_result, xray_on, xray_puppy_count, notes, reminded_milestones, created_at, updated_at";
+
+async function currentUserId() {
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser();
+  if (error) throw error;
+  if (!user?.id) throw new Error("Not authenticated");
+  return user.id;
+}
+
+const blankToNull = (value) => (value === "" || value === undefined ? null : value);
+
+/**
+ * Starts or updates the pregnancy tracker of an awaiting_confirmation request. Only the
+ * owner of the female can write it (enforced in the database). The stud's owner is told when
+ * tracking starts.
+ */
+export async function savePregnancy(match, draft) {
+  const problem = validatePregnancy(draft);
+  if (problem) throw new Error(problem);
+  if (match?.status !== "awaiting_confirmation") {
+    throw new Error("Pregnancies can only be tracked while the outcome is pending.");
+  }
+  const { dam, sire } = litterParents(match);
+  if (!dam) throw new Error("This request has no female dog to track.");
+  const userId = await currentUserId();
+  if (String(dam.user_id) !== String(userId)) {
+    throw new Error(`Only the owner of ${dam.name || "the female"} can track the pregnancy.`);
+  }
+
+  const row = {
+    match_id: match.id,
+    dam_id: dam.id,
+    mated_on: draft.mated_on,
+    ultrasound_on: blankToNull(draft.ultrasound_on),
+    ultrasound_result: blankToNull(draft.ultrasound_result),
+    xray_on: blankToNull(draft.xray_on),
+    xray_puppy_count:
+      draft.xray_puppy_count === "" || draft.xray_puppy_count == null
+        ? null
+        : Number(draft.xray_puppy_count),
+    notes: draft.notes?.trim() || null,
+  };
+  const { data, error } = await supabase
+    .from("match_pregnancies")
+    .upsert(row, { onConflict: "match_id" })
+    .select(PREGNANCY_FIELDS)
+    .single();
+  if (error) throw error;
+
+  if (!draft.id && sire?.user_id && String(sire.user_id) !== String(userId)) {
+    try {
+      await createNotification({
+        userId: sire.user_id,
+        title: "Pregnancy tracking started",
+        message: `${dam.name || "The female"} was mated on ${formatPregnancyDay(data.mated_on)}. Whelping is expected around ${formatPregnancyDay(expectedWhelpingDate(data.mated_on))}.`,
+        type: "pregnancy_started",
+        metadata: { match_id: match.id, url: "/my-matches" },
+      });
+    } catch (err) {
+      console.error("Failed to notify the stud owner about the pregnancy", err);
+    }
+  }
+  return data;
+}
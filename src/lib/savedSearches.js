@@ -0,0 +1,206 @@
+import supabase from "./supabaseClient";
+import { createNotification } from "./notifications";
+import { fetchHeatPredictions } from "./heatCycles";
+import { fetchPedigrees } from "./pedigree";
+import { calculateMatchDetails } from "../utils/matchmaking";
+import {
+  applyMatchFilters,
+  filtersToQuery,
+  findMatchUrl,
+  parseMatchFilters,
+} from "../utils/matchFilters";
+import { getScoringProfile } from "../utils/scoringProfiles";
+
+const SAVED_SEARCH_FIELDS =
+  "id, user_id, dog_id, name, profile, filter_query, min_score, alerts_enabled, last_alert_at, created_at, updated_at, dog:dogs(id, name, breed, image_url)";
+
+export const DEFAULT_ALERT_SCORE = 70;
+
+/**
+ * Filters stored on a saved search, with its minimum score applied.
+ */
+export function savedSearchFilters(search) {
+  return {
+    ...parseMatchFilters(new URLSearchParams(search?.filter_query || "")),
+    minScore: search?.min_score ?? null,
+  };
+}
+
+export function savedSearchUrl(search) {
+  return findMatchUrl({
+    dogId: search.dog_id,
+    profile: search.profile,
+    filters: savedSearchFilters(search),
+  });
+}
+
+function validateSearch({ name, minScore }) {
+  if (!name || !name.trim()) throw new Error("Give this search a name.");
+  const score = Number(minScore);
+  if (!Number.isInteger(score) || score < 0 || score > 100) {
+    throw new Error("Minimum score must be a whole number between 0 and 100.");
+  }
+}
+
+export async function listSavedSearches(userId) {
+  const { data, error } = await supabase
+    .from("saved_match_searches")
+    .select(SAVED_SEARCH_FIELDS)
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Saves the current Find Match search. The minimum score is kept in its own column (it is
+ * also the alert threshold), so it is left out of the stored filter query.
+ */
+export async function createSavedSearch({
+  dogId,
+  name,
+  profile,
+  filters,
+  minScore = DEFAULT_ALERT_SCORE,
+  alertsEnabled = true,
+}) {
+  if (!dogId) throw new Error("Select one of your dogs before saving a search.");
+  validateSearch({ name, minScore });
+  const { data, error } = await supabase
+    .from("saved_match_searches")
+    .insert({
+      dog_id: dogId,
+      name: name.trim(),
+      profile: getScoringProfile(profile).id,
+      filter_query: filtersToQuery({ ...filters, minScore: null }),
+      min_score: Number(minScore),
+      alerts_enabled: alertsEnabled,
+    })
+    .select(SAVED_SEARCH_FIELDS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function updateSavedSearch(searchId, { name, profile, minScore, alertsEnabled }) {
+  validateSearch({ name, minScore });
+  const patch = {
+    name: name.trim(),
+    min_score: Number(minScore),
+    alerts_enabled: alertsEnabled,
+    updated_at: new Date().toISOString(),
+  };
+  if (profile) patch.profile = getScoringProfile(profile).id;
+  const { data, error } = await supabase
+    .from("saved_match_searches")
+    .update(patch)
+    .eq("id", searchId)
+    .select(SAVED_SEARCH_FIELDS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteSavedSearch(searchId) {
+  const { error } = await supabase.from("saved_match_searches").delete().eq("id", searchId);
+  if (error) throw error;
+}
+
+const PENDING_ALERT_FIELDS =
+  "search_id, dog_id, search:search_id(id, user_id, dog_id, name, profile, filter_query, min_score, alerts_enabled, dog:dog_id(*)), dog:dog_id(*)";
+
+/**
+ * Works through the user's pending saved search alerts. A trigger queues one whenever another
+ * owner lists a dog (or makes one visible) of the opposite gender to a saved search's dog;
+ * here the dog is scored against the user's own search and filters, and the user is notified
+ * when it passes. Each alert is settled on the server first, so it is only sent once.
+ *
+ * @returns {Promise<number>} How many notifications were sent.
+ */
+export async function processSavedSearchAlerts(userId) {
+  if (!userId) return 0;
+  const { data: alerts, error } = await supabase
+    .from("saved_search_alerts")
+    .select(PENDING_ALERT_FIELDS)
+    .eq("status", "pending");
+  if (error) throw error;
+  const own = (alerts || []).filter((alert) => String(alert.search?.user_id) === String(userId));
+  if (!own.length) return 0;
+
+  // Pedigrees are only used for the COI check; without them the pair is scored as unrelated.
+  let trees = new Map();
+  try {
+    const ids = own.flatMap((alert) => [alert.dog?.id, alert.search.dog?.id]).filter(Boolean);
+    trees = await fetchPedigrees(Array.from(new Set(ids)));
+  } catch (err) {
+    console.warn("Saved search alerts: pedigrees unavailable", err);
+  }
+  const withPedigree = (dog) => ({ ...dog, pedigree: trees.get(String(dog.id)) || null });
+
+  // Breeding-window predictions for female dogs on searches with a heat filter, as on Find
+  // Match. Without them the heat filter finds no match.
+  let heat = new Map();
+  const femaleIds = own
+    .filter(
+      (alert) =>
+        savedSearchFilters(alert.search).heatWithinDays !== null &&
+        String(alert.dog?.gender || alert.dog?.sex || "").toLowerCase() === "female"
+    )
+    .map((alert) => alert.dog.id);
+  if (femaleIds.length) {
+    try {
+      heat = await fetchHeatPredictions(femaleIds);
+    } catch (err) {
+      console.warn("Saved search alerts: heat predictions unavailable", err);
+    }
+  }
+
+  let sent = 0;
+  for (const { search, dog, dog_id: dogId } of own) {
+    let matched = false;
+    let score = 0;
+    let filters = null;
+    // The dog may have been hidden or deleted, or the search muted, since it was queued
+    if (search.alerts_enabled && dog && dog.is_visible !== false && search.dog) {
+      const searchDog = withPedigree(search.dog);
+      const prediction = heat.get(String(dog.id)) || null;
+      const candidate = {
+        ...withPedigree(dog),
+        heatWindowDays: prediction ? prediction.daysUntilWindow : null,
+      };
+      const details = calculateMatchDetails(searchDog, candidate, { profile: search.profile });
+      score = details.score;
+      filters = savedSearchFilters(search);
+      matched =
+        score > 0 &&
+        applyMatchFilters(
+          [{ ...candidate, score, distanceKm: details.distanceKm }],
+          filters,
+          searchDog
+        ).length > 0;
+    }
+
+    const { data: claimed, error: claimError } = await supabase.rpc("settle_saved_search_alert", {
+      p_search_id: search.id,
+      p_dog_id: dogId,
+      p_send: matched,
+    });
+    if (claimError) throw claimError;
+    if (!claimed || !matched) continue;
+
+    await createNotification({
+      userId,
+      title: `New match for ${search.dog.name}`,
+      message: `${dog.name} (${dog.breed || "Unknown breed"}) scores ${score}% for your saved search "${search.name}".`,
+      type: "saved_search_match",
+      metadata: {
+        saved_search_id: search.id,
+        dog_id: dog.id,
+        score,
+        url: findMatchUrl({ dogId: search.dog.id, profile: search.profile, filters }),
+      },
+    });
+    sent += 1;
+  }
+  return sent;
+}
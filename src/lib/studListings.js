@@ -0,0 +1,95 @@
+import { format } from "date-fns";
+import supabase from "./supabaseClient";
+import { isStudListingAvailable, validateStudListing } from "../utils/studListing";
+
+const STUD_LISTING_FIELDS =
+  "id, dog_id, user_id, fee_type, fee_amount, pick_terms, required_clearances, service_methods, available_from, available_until, notes, is_active, created_at, updated_at";
+
+const LISTING_WITH_DOG = `${STUD_LISTING_FIELDS}, dog:dogs(id, name, breed, gender, age_years, size, weight_kg, image_url, province, city, male_success_rate, is_visible, user_id)`;
+
+/**
+ * Published listings whose dog is visible, newest first, each with its `dog`. Listings past
+ * their availability are left out.
+ */
+export async function listStudListings() {
+  const { data, error } = await supabase
+    .from("stud_listings")
+    .select(LISTING_WITH_DOG)
+    .eq("is_active", true)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  const today = format(new Date(), "yyyy-MM-dd");
+  return (data || []).filter(
+    (listing) =>
+      listing.dog &&
+      listing.dog.is_visible !== false &&
+      (!listing.available_until || listing.available_until >= today)
+  );
+}
+
+// The dog's listing, published or not, or null when it has never been listed.
+export async function getStudListingForDog(dogId) {
+  const { data, error } = await supabase
+    .from("stud_listings")
+    .select(STUD_LISTING_FIELDS)
+    .eq("dog_id", dogId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Creates or updates the listing for a male dog; a dog has at most one listing.
+ */
+export async function saveStudListing(dogId, listing) {
+  const problem = validateStudListing(listing);
+  if (problem) throw new Error(problem);
+  const feeRequired = listing.fee_type === "fee" || listing.fee_type === "fee_and_pick";
+  const { data, error } = await supabase
+    .from("stud_listings")
+    .upsert(
+      {
+        dog_id: dogId,
+        fee_type: listing.fee_type,
+        fee_amount: feeRequired ? Number(listing.fee_amount) : null,
+        pick_terms: listing.pick_terms?.trim() || null,
+        required_clearances: listing.required_clearances || [],
+        service_methods: listing.service_methods,
+        available_from: listing.available_from || null,
+        available_until: listing.available_until || null,
+        notes: listing.notes?.trim() || null,
+        is_active: listing.is_active !== false,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "dog_id" }
+    )
+    .select(STUD_LISTING_FIELDS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteStudListing(dogId) {
+  const { error } = await supabase.from("stud_listings").delete().eq("dog_id", dogId);
+  if (error) throw error;
+}
+
+/**
+ * Listings available today for the given dogs, keyed by dog id. Used to show stud terms on
+ * Find Match cards.
+ */
+export async function fetchActiveStudListings(dogIds) {
+  const ids = Array.from(new Set((dogIds || []).map(String)));
+  if (!ids.length) return new Map();
+  const { data, error } = await supabase
+    .from("stud_listings")
+    .select(STUD_LISTING_FIELDS)
+    .in("dog_id", ids)
+    .eq("is_active", true);
+  if (error) throw error;
+  return new Map(
+    (data || [])
+      .filter((listing) => isStudListingAvailable(listing))
+      .map((listing) => [String(listing.dog_id), listing])
+  );
+}
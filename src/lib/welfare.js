@@ -0,0 +1,85 @@
+import supabase from "./supabaseClient";
+import { describeWelfare, evaluateWelfare } from "../utils/welfareRules";
+
+const WELFARE_DOG_FIELDS = "id, name, gender, size, age_years";
+
+/**
+ * Litter history for the given dogs, keyed by dog id: `[{ whelped_on, match_id }]`, newest
+ * first. Recorded litters (supabase/sql/litters.sql) carry their whelping date; a successful
+ * match outcome without a recorded litter still counts, dated by when the outcome was
+ * confirmed.
+ */
+export async function fetchLitterHistory(dogIds) {
+  const ids = Array.from(new Set((dogIds || []).filter(Boolean).map(String)));
+  const history = new Map(ids.map((id) => [id, []]));
+  if (!ids.length) return history;
+  const list = ids.join(",");
+  const [recorded, matches] = await Promise.all([
+    supabase
+      .from("litters")
+      .select("id, match_id, sire_id, dam_id, whelped_on")
+      .or(`sire_id.in.(${list}),dam_id.in.(${list})`),
+    supabase
+      .from("dog_match_requests")
+      .select(
+        "id, requester_dog_id, requested_dog_id, completed_at, dog_match_outcomes(outcome, verified_at)"
+      )
+      .eq("status", "completed_success")
+      .or(`requester_dog_id.in.(${list}),requested_dog_id.in.(${list})`),
+  ]);
+  if (recorded.error) throw recorded.error;
+  if (matches.error) throw matches.error;
+
+  const recordedMatches = new Set();
+  (recorded.data || []).forEach((row) => {
+    if (row.match_id) recordedMatches.add(String(row.match_id));
+    const litter = { whelped_on: row.whelped_on, match_id: row.match_id, litter_id: row.id };
+    [row.sire_id, row.dam_id].forEach((dogId) => {
+      if (dogId) history.get(String(dogId))?.push(litter);
+    });
+  });
+  (matches.data || []).forEach((row) => {
+    if (recordedMatches.has(String(row.id))) return;
+    const outcomes = Array.isArray(row.dog_match_outcomes)
+      ? row.dog_match_outcomes
+      : [row.dog_match_outcomes].filter(Boolean);
+    const success = outcomes.find((o) => o.outcome === "success");
+    const whelpedOn = success?.verified_at || row.completed_at;
+    if (!whelpedOn) return;
+    const litter = { whelped_on: String(whelpedOn).slice(0, 10), match_id: row.id };
+    [row.requester_dog_id, row.requested_dog_id].forEach((dogId) => {
+      history.get(String(dogId))?.push(litter);
+    });
+  });
+  history.forEach((litters) => litters.sort((a, b) => b.whelped_on.localeCompare(a.whelped_on)));
+  return history;
+}
+
+/**
+ * Welfare evaluations (see evaluateWelfare) for dogs that already carry sex, size and age,
+ * keyed by dog id.
+ */
+export async function fetchWelfareStatus(dogs) {
+  const list = (dogs || []).filter((dog) => dog?.id);
+  const litters = await fetchLitterHistory(list.map((dog) => dog.id));
+  return new Map(
+    list.map((dog) => [String(dog.id), evaluateWelfare(dog, litters.get(String(dog.id)))])
+  );
+}
+
+/**
+ * Loads both dogs of a prospective mating and throws when either fails the welfare rules.
+ * The error carries `code: "WELFARE_RULES"` and the failing `evaluations`.
+ */
+export async function assertBreedingAllowed(dogIds) {
+  const ids = Array.from(new Set((dogIds || []).filter(Boolean).map(String)));
+  const { data, error } = await supabase.from("dogs").select(WELFARE_DOG_FIELDS).in("id", ids);
+  if (error) throw error;
+  const status = await fetchWelfareStatus(data || []);
+  const failing = Array.from(status.values()).filter((evaluation) => !evaluation.eligible);
+  if (!failing.length) return;
+  const err = new Error(failing.map(describeWelfare).join(" "));
+  err.code = "WELFARE_RULES";
+  err.evaluations = failing;
+  throw err;
+}
@@ -16,6 +16,8 @@ const AddDogPage = lazy(() => import("./pages/AddDogPage"));
 const DogProfilePage = lazy(() => import("./pages/DogProfilePage"));
 const DogEditPage = lazy(() => import("./pages/DogEditPage"));
 const FindMatchPage = lazy(() => import("./pages/FindMatchPage"));
+const MatchComparePage = lazy(() => import("./pages/MatchComparePage"));
+const StudListingsPage = lazy(() => import("./pages/StudListingsPage"));
 const ChangePasswordPage = lazy(() => import("./pages/ChangePasswordPage"));
 const ForgotPasswordPage = lazy(() => import("./pages/ForgotPasswordPage"));
 const NotFoundPage = lazy(() => import("./pages/NotFound"));
@@ -29,6 +31,7 @@ const AdminDogsPage = lazy(() => import("./pages/AdminDogsPage"));
 const AdminForumPage = lazy(() => import("./pages/AdminForumPage"));
 const AdminMessagesPage = lazy(() => import("./pages/AdminMessagesPage"));
 const AdminReportsPage = lazy(() => import("./pages/AdminReportsPage"));
+const AdminDisputesPage = lazy(() => import("./pages/AdminDisputesPage"));
 // ...existing code...
 const AdminLayout = lazy(() => import("./components/AdminLayout"));
 
@@ -50,6 +53,7 @@ createRoot(document.getElementById("root")).render(
                 <Route path="forum" element={<AdminForumPage />} />
                 <Route path="messages" element={<AdminMessagesPage />} />
                 <Route path="reports" element={<AdminReportsPage />} />
+                <Route path="disputes" element={<AdminDisputesPage />} />
                 // ...existing code...
               </Route>
 
@@ -64,6 +68,8 @@ createRoot(document.getElementById("root")).render(
                 <Route path="dog/:id" element={<DogProfilePage />} />
                 <Route path="dog/:id/edit" element={<DogEditPage />} />
                 <Route path="find-match" element={<FindMatchPage />} />
+                <Route path="find-match/compare" element={<MatchComparePage />} />
+                <Route path="studs" element={<StudListingsPage />} />
                 <Route path="forgot-password" element={<ForgotPasswordPage />} />
                 <Route path="change-password" element={<ChangePasswordPage />} />
                 <Route path="forum" element={<ForumPage />} />
@@ -0,0 +1,362 @@
+import React, { useState } from "react";
+import { format } from "date-fns";
+import { CheckCircle, FileText, Gavel, Paperclip, RefreshCw, Scale } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "../components/ui/button";
+import { Badge } from "../components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "../components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "../components/ui/dialog";
+import { Textarea } from "../components/ui/textarea";
+import { Label } from "../components/ui/label";
+import { Separator } from "../components/ui/separator";
+import { Skeleton } from "../components/ui/skeleton";
+import useAdminGuard from "../hooks/useAdminGuard";
+import { useAdminData } from "../hooks/useAdminData";
+import {
+  createDisputeEvidenceUrl,
+  fetchAdminMatchDisputes,
+  resolveMatchDispute,
+} from "../lib/api/admin";
+import { DISPUTE_RESOLUTIONS } from "../utils/outcomeConfirmation";
+
+const OUTCOME_LABELS = {
+  success: "Success",
+  failed: "No pregnancy",
+  no_show: "Didn't show up",
+};
+
+const STATUS_LABELS = {
+  open: "Open",
+  resolved: "Resolved",
+};
+
+const describeOutcome = (outcome, litterSize) =>
+  outcome === "success"
+    ? `${OUTCOME_LABELS.success} · ${litterSize ?? "?"} puppies`
+    : OUTCOME_LABELS[outcome] || outcome || "—";
+
+function partyName(dispute, userId) {
+  const party =
+    String(dispute.match?.requester_user_id) === String(userId)
+      ? dispute.requester
+      : dispute.requested;
+  return party?.name || party?.email || "Unknown owner";
+}
+
+async function openEvidence(path) {
+  try {
+    const url = await createDisputeEvidenceUrl(path);
+    window.open(url, "_blank", "noopener");
+  } catch (err) {
+    toast.error(err.message);
+  }
+}
+
+function DisputeCard({ dispute, onResolve }) {
+  const dogs = [dispute.match?.requester_dog, dispute.match?.requested_dog].filter(Boolean);
+  const outcome = dispute.outcome;
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-4">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <div className="flex items-center gap-2 mb-1">
+              <Scale className="h-4 w-4" />
+              <h3 className="font-medium">{dogs.map((dog) => dog.name).join(" × ") || "Match"}</h3>
+              <Badge variant={dispute.status === "open" ? "destructive" : "default"}>
+                {STATUS_LABELS[dispute.status] || dispute.status}
+              </Badge>
+            </div>
+            <p className="text-sm text-muted-foreground">
+              Recorded by {partyName(dispute, outcome?.verified_by_user_id)}:{" "}
+              <span className="font-medium text-foreground">
+                {describeOutcome(outcome?.outcome, outcome?.litter_size)}
+              </span>
+              {outcome?.notes && ` — “${outcome.notes}”`}
+            </p>
+            <p className="text-xs text-muted-foreground mt-1">
+              Disputed by {partyName(dispute, dispute.opened_by)} on{" "}
+              {format(new Date(dispute.created_at), "MMM d, yyyy")}
+            </p>
+          </div>
+          {dispute.status === "open" && (
+            <Button size="sm" onClick={() => onResolve(dispute)}>
+              <Gavel className="h-4 w-4 mr-1" />
+              Resolve
+            </Button>
+          )}
+        </div>
+
+        <Separator />
+
+        <div className="space-y-3">
+          {dispute.statements.map((statement) => (
+            <div key={statement.id} className="rounded-lg bg-muted/30 p-3">
+              <div className="text-xs text-muted-foreground mb-1">
+                {partyName(dispute, statement.user_id)} ·{" "}
+                {format(new Date(statement.created_at), "MMM d, yyyy h:mm a")}
+              </div>
+              <p className="text-sm whitespace-pre-line">{statement.notes}</p>
+              {statement.evidence_paths?.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {statement.evidence_paths.map((path) => (
+                    <Button
+                      key={path}
+                      variant="outline"
+                      size="sm"
+                      onClick={() => openEvidence(path)}
+                    >
+                      <Paperclip className="h-3 w-3 mr-1" />
+                      {path
+                        .split("/")
+                        .pop()
+                        .replace(/^\d+_\d+_/, "")}
+                    </Button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {dispute.status === "resolved" && (
+          <div className="rounded-lg bg-green-50 border border-green-200 p-3 text-sm text-green-800">
+            <CheckCircle className="h-4 w-4 inline mr-1" />
+            {dispute.resolution === "upheld" ? "Upheld" : "Corrected to"}{" "}
+            {describeOutcome(dispute.resolved_outcome, dispute.resolved_litter_size)}
+            {dispute.admin_notes && ` — ${dispute.admin_notes}`}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function AdminDisputesPage() {
+  const { checking: authChecking, authorized } = useAdminGuard({ profileSelect: "role" });
+  const [resolving, setResolving] = useState(null);
+  const [form, setForm] = useState({ resolution: "upheld", outcome: "failed", litterSize: "" });
+  const [adminNotes, setAdminNotes] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const {
+    rows: disputes = [],
+    total = 0,
+    filters,
+    loading,
+    isFetching,
+    error,
+    handleFilterChange,
+    refresh,
+  } = useAdminData({
+    queryKey: "admin-match-disputes",
+    fetcher: fetchAdminMatchDisputes,
+    initialFilters: { status: "open" },
+    initialPageSize: 20,
+    enabled: authorized,
+    staleTime: 30_000,
+  });
+
+  const openResolve = (dispute) => {
+    setResolving(dispute);
+    setForm({
+      resolution: "upheld",
+      outcome: dispute.outcome?.outcome || "failed",
+      litterSize: dispute.outcome?.litter_size ?? "",
+    });
+    setAdminNotes("");
+  };
+
+  const handleResolve = async () => {
+    if (!resolving) return;
+    setSaving(true);
+    try {
+      await resolveMatchDispute({
+        disputeId: resolving.id,
+        resolution: form.resolution,
+        outcome: form.outcome,
+        litterSize: form.litterSize,
+        adminNotes,
+      });
+      toast.success("Dispute resolved and both owners notified.");
+      setResolving(null);
+      refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (authChecking || loading) {
+    return (
+      <div className="space-y-4 p-6">
+        <Skeleton className="h-8 w-48" />
+        {[...Array(3)].map((_, i) => (
+          <Skeleton key={i} className="h-40 w-full" />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold tracking-tight">Outcome Disputes</h1>
+          <p className="text-muted-foreground">
+            Breeding outcomes one owner disputed. They don't count toward stats until resolved.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Select
+            value={filters.status}
+            onValueChange={(value) => handleFilterChange({ status: value })}
+          >
+            <SelectTrigger className="w-32">
+              <SelectValue placeholder="Status" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All</SelectItem>
+              {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="sm" onClick={refresh} disabled={isFetching}>
+            <RefreshCw className={`h-4 w-4 mr-2 ${isFetching ? "animate-spin" : ""}`} />
+            Refresh
+          </Button>
+        </div>
+      </div>
+      <Separator />
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Cases ({total})</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error ? (
+            <p className="text-sm text-destructive">{error}</p>
+          ) : disputes.length === 0 ? (
+            <div className="text-center py-12">
+              <FileText className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-muted-foreground">No disputes to review</p>
+            </div>
+          ) : (
+            disputes.map((dispute) => (
+              <DisputeCard key={dispute.id} dispute={dispute} onResolve={openResolve} />
+            ))
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!resolving} onOpenChange={(open) => !open && setResolving(null)}>
+        <DialogContent className="sm:max-w-[500px] p-6">
+          <DialogHeader>
+            <DialogTitle>Resolve dispute</DialogTitle>
+            <DialogDescription>
+              The resolved outcome counts toward both dogs' stats. Both owners are notified.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label>Decision</Label>
+              <Select
+                value={form.resolution}
+                onValueChange={(value) => setForm((f) => ({ ...f, resolution: value }))}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(DISPUTE_RESOLUTIONS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {form.resolution === "corrected" && (
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label>Outcome</Label>
+                  <Select
+                    value={form.outcome}
+                    onValueChange={(value) => setForm((f) => ({ ...f, outcome: value }))}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                {form.outcome === "success" && (
+                  <div className="space-y-2">
+                    <Label htmlFor="dispute-litter-size">Litter size</Label>
+                    <input
+                      id="dispute-litter-size"
+                      type="number"
+                      min="1"
+                      value={form.litterSize}
+                      onChange={(e) => setForm((f) => ({ ...f, litterSize: e.target.value }))}
+                      className="w-full rounded-md border px-3 py-2 text-sm"
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label>
+                Notes
+                <span className="text-muted-foreground text-xs ml-1">(sent to both owners)</span>
+              </Label>
+              <Textarea
+                value={adminNotes}
+                onChange={(e) => setAdminNotes(e.target.value)}
+                placeholder="Explain the decision..."
+                className="min-h-[100px] resize-none"
+              />
+            </div>
+          </div>
+
+          <DialogFooter className="pt-4">
+            <Button variant="outline" onClick={() => setResolving(null)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onClick={handleResolve} disabled={saving}>
+              {saving ? "Saving…" : "Resolve"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
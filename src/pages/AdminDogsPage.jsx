@@ -63,6 +63,7 @@ import { ScrollArea } from "../components/ui/scroll-area";
 import { Separator } from "../components/ui/separator";
 import { formatDistanceToNow } from "date-fns";
 import useAdminGuard from "../hooks/useAdminGuard";
+import { BREED_GROUP_LABELS, resolveBreed } from "../utils/breedRegistry";
 
 export default function AdminDogsPage() {
   const { checking: authChecking, authorized } = useAdminGuard({ profileSelect: "role" });
@@ -70,6 +71,7 @@ export default function AdminDogsPage() {
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState("");
   const [filterDocuments, setFilterDocuments] = useState("all"); // all, verified, pending, none
+  const [filterBreed, setFilterBreed] = useState("all"); // all, unrecognized, override, or a group
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [selectedDog, setSelectedDog] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
@@ -126,7 +128,7 @@ export default function AdminDogsPage() {
   // Reset to first page if filters/search change
   useEffect(() => {
     setCurrentPage(1);
-  }, [searchTerm, filterDocuments]);
+  }, [searchTerm, filterDocuments, filterBreed]);
 
   useEffect(() => {
     if (!authorized) return;
@@ -175,15 +177,29 @@ export default function AdminDogsPage() {
   };
 
   const filteredDogs = dogs.filter((dog) => {
+    const breed = resolveBreed(dog.breed_id || dog.breed);
+
     // Search filter
     const matchesSearch =
       dog.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       dog.breed?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      breed?.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       dog.users?.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
       dog.users?.email?.toLowerCase().includes(searchTerm.toLowerCase());
 
     if (!matchesSearch) return false;
 
+    // Breed filter: free-text breeds the registry can't resolve need a manual look
+    if (filterBreed === "unrecognized" && breed) return false;
+    // Owners who confirmed a size/weight outside the breed standard
+    if (filterBreed === "override" && !dog.breed_standard_override) return false;
+    if (
+      !["all", "unrecognized", "override"].includes(filterBreed) &&
+      breed?.group !== filterBreed
+    ) {
+      return false;
+    }
+
     // Documents filter (use nested dog_documents from fetch)
     const docs = dog.dog_documents || [];
     if (filterDocuments === "none" && docs.length > 0) return false;
@@ -309,7 +325,7 @@ export default function AdminDogsPage() {
       {/* Search and Filters */}
       <Card>
         <CardContent className="pt-6">
-          <div className="flex flex-col space-y-4 md:flex-row md:items-center md:justify-between md:space-y-0">
+          <div className="flex flex-col space-y-4 md:flex-row md:items-center md:justify-between md:space-y-0 md:gap-3">
             <div className="flex-1">
               <Input
                 placeholder="Search by name, breed, or owner..."
@@ -329,6 +345,21 @@ export default function AdminDogsPage() {
                 <SelectItem value="none">No Documents</SelectItem>
               </SelectContent>
             </Select>
+            <Select value={filterBreed} onValueChange={setFilterBreed}>
+              <SelectTrigger className="w-[180px]">
+                <SelectValue placeholder="Filter by breed" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All Breeds</SelectItem>
+                <SelectItem value="unrecognized">Unrecognized Breed</SelectItem>
+                <SelectItem value="override">Breed Standard Overrides</SelectItem>
+                {Object.entries(BREED_GROUP_LABELS).map(([group, label]) => (
+                  <SelectItem key={group} value={group}>
+                    {label} Group
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
           </div>
         </CardContent>
       </Card>
@@ -372,7 +403,7 @@ export default function AdminDogsPage() {
                         <FileText className="h-12 w-12 mb-2 text-muted-foreground/30" />
                         <p className="text-sm font-medium">No dogs found</p>
                         <p className="text-xs">
-                          {searchTerm || filterDocuments !== "all"
+                          {searchTerm || filterDocuments !== "all" || filterBreed !== "all"
                             ? "Try adjusting your search or filters"
                             : "No dogs have been registered yet"}
                         </p>
@@ -400,8 +431,23 @@ export default function AdminDogsPage() {
                             <div className="min-w-0">
                               <p className="font-medium text-foreground truncate">{dog.name}</p>
                               <p className="text-xs text-muted-foreground truncate">
-                                {dog.breed} • {dog.age_years}y • {dog.gender}
+                                {resolveBreed(dog.breed_id || dog.breed)?.name || dog.breed} •{" "}
+                                {dog.age_years}y • {dog.gender}
                               </p>
+                              {!resolveBreed(dog.breed_id || dog.breed) && (
+                                <Badge variant="outline" className="mt-1 text-xs">
+                                  Unrecognized breed
+                                </Badge>
+                              )}
+                              {dog.breed_standard_override && (
+                                <Badge
+                                  variant="outline"
+                                  className="mt-1 text-xs border-amber-300 text-amber-700"
+                                  title={(dog.breed_standard_warnings || []).join("\n")}
+                                >
+                                  Outside breed standard
+                                </Badge>
+                              )}
                             </div>
                           </div>
                         </td>
@@ -8,6 +8,9 @@ import ReportModal from "../components/ReportModal";
 import ConfirmDialog from "../components/ConfirmDialog";
 import { createMatchRequest } from "../lib/matches";
 import LoadingState from "../components/LoadingState";
+import useContactMeeting from "../hooks/useContactMeeting";
+import { downloadIcs } from "../utils/ics";
+import { formatMeetingSlot, meetingIcs, meetingIcsFilename } from "../utils/meetingSchedule";
 import "./ChatPage.css"; // warm dog-lover theme
 
 // Helper: truncate long preview messages for contact list
@@ -93,6 +96,7 @@ export default function ChatPage() {
   // Fetch user's dogs using the hook
   const { dogs: userDogs } = useDogs();
   const activeContact = contacts.find((c) => c.id === activeContactId);
+  const meeting = useContactMeeting(activeContactId);
   const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
 
   // Redirect admins to admin dashboard
@@ -934,6 +938,48 @@ export default function ChatPage() {
                 ? `${myDog.name} & ${otherDog.name} (Owner: ${ownerName})`
                 : `${otherDog.name} (Owner: ${ownerName})`}
             </h3>
+            {meeting && (
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "0.5rem",
+                  marginTop: "0.25rem",
+                  fontSize: "0.8125rem",
+                  fontWeight: 700,
+                  color: "#b45309",
+                }}
+              >
+                <span
+                  style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+                >
+                  Appointment: {formatMeetingSlot(meeting)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() =>
+                    downloadIcs(
+                      meetingIcsFilename(meeting),
+                      meetingIcs(meeting, { dogNames: [myDog?.name, otherDog.name] })
+                    )
+                  }
+                  title="Download calendar file (.ics)"
+                  style={{
+                    flexShrink: 0,
+                    padding: "0.125rem 0.625rem",
+                    borderRadius: 12,
+                    border: "2px solid #fdba74",
+                    background: "#ffffff",
+                    color: "#c2410c",
+                    fontSize: "0.75rem",
+                    fontWeight: 800,
+                    cursor: "pointer",
+                  }}
+                >
+                  .ics
+                </button>
+              </div>
+            )}
           </div>
           <div
             className="chat-thread-actions"
@@ -9,6 +9,7 @@ import Step3Traits from "../stepComponents/Step3Traits";
 import DocumentManager from "../components/DocumentManager";
 import supabase from "../lib/supabaseClient";
 import { listDogDocuments, mapDogDocumentsToForm, removeDocumentsByIds } from "../lib/dogDocuments";
+import { checkBreedStandard, resolveBreedId } from "../utils/breedRegistry";
 import "./DogEditPage.css"; // warm dog-lover theme
 
 export default function DogEditPage() {
@@ -111,11 +112,17 @@ export default function DogEditPage() {
               name: dog.name || "",
               gender: dog.gender || "",
               breed: dog.breed || "",
+              breed_id: dog.breed_id || resolveBreedId(dog.breed) || "",
+              breed_standard_override: dog.breed_standard_override === true,
+              breed_composition: Array.isArray(dog.breed_composition) ? dog.breed_composition : [],
               age: dog.age_years || "", // Map database age_years to UI age field
               age_years: dog.age_years || "",
               size: dog.size || "",
               weight_kg: dog.weight_kg || "",
               color: dog.color || "",
+              color_genotype: dog.color_genotype || {},
+              province: dog.province || "",
+              city: dog.city || "",
               coat_type: dog.coat_type || "",
               activity_level: dog.activity_level || "",
               sociability: dog.sociability || "",
@@ -125,6 +132,7 @@ export default function DogEditPage() {
               vaccinated: dog.vaccinated || false,
               dna_tested: dog.dna_tested || false,
               pedigree_certified: dog.pedigree_certified || false,
+              registration_number: dog.registration_number || "",
               hip_elbow_tested: dog.hip_elbow_tested || false,
               heart_tested: dog.heart_tested || false,
               eye_tested: dog.eye_tested || false,
@@ -140,11 +148,17 @@ export default function DogEditPage() {
               name: dog.name || "",
               gender: dog.gender || "",
               breed: dog.breed || "",
+              breed_id: dog.breed_id || resolveBreedId(dog.breed) || "",
+              breed_standard_override: dog.breed_standard_override === true,
+              breed_composition: Array.isArray(dog.breed_composition) ? dog.breed_composition : [],
               age: dog.age_years || "", // Map database age_years to UI age field
               age_years: dog.age_years || "",
               size: dog.size || "",
               weight_kg: dog.weight_kg || "",
               color: dog.color || "",
+              color_genotype: dog.color_genotype || {},
+              province: dog.province || "",
+              city: dog.city || "",
               coat_type: dog.coat_type || "",
               activity_level: dog.activity_level || "",
               sociability: dog.sociability || "",
@@ -154,6 +168,7 @@ export default function DogEditPage() {
               vaccinated: dog.vaccinated || false,
               dna_tested: dog.dna_tested || false,
               pedigree_certified: dog.pedigree_certified || false,
+              registration_number: dog.registration_number || "",
               hip_elbow_tested: dog.hip_elbow_tested || false,
               heart_tested: dog.heart_tested || false,
               eye_tested: dog.eye_tested || false,
@@ -170,11 +185,17 @@ export default function DogEditPage() {
             name: dog.name || "",
             gender: dog.gender || "",
             breed: dog.breed || "",
+            breed_id: dog.breed_id || resolveBreedId(dog.breed) || "",
+            breed_standard_override: dog.breed_standard_override === true,
+            breed_composition: Array.isArray(dog.breed_composition) ? dog.breed_composition : [],
             age: dog.age_years || "", // Map database age_years to UI age field
             age_years: dog.age_years || "",
             size: dog.size || "",
             weight_kg: dog.weight_kg || "",
             color: dog.color || "",
+            color_genotype: dog.color_genotype || {},
+            province: dog.province || "",
+            city: dog.city || "",
             coat_type: dog.coat_type || "",
             activity_level: dog.activity_level || "",
             sociability: dog.sociability || "",
@@ -184,6 +205,7 @@ export default function DogEditPage() {
             vaccinated: dog.vaccinated || false,
             dna_tested: dog.dna_tested || false,
             pedigree_certified: dog.pedigree_certified || false,
+            registration_number: dog.registration_number || "",
             hip_elbow_tested: dog.hip_elbow_tested || false,
             heart_tested: dog.heart_tested || false,
             eye_tested: dog.eye_tested || false,
@@ -251,6 +273,11 @@ export default function DogEditPage() {
       if (!form.data.name || !form.data.gender) {
         throw new Error("Name and gender are required fields");
       }
+      if (checkBreedStandard(form.data).length && !form.data.breed_standard_override) {
+        throw new Error(
+          "Size or weight is outside the breed standard. Confirm the measurements under Weight to save anyway."
+        );
+      }
 
       // Validate required documents
       const requiredCategories = getRequiredCategories(form.data);
@@ -469,7 +496,11 @@ export default function DogEditPage() {
               </p>
             </div>
             <div className="dog-edit-section-body">
-              <Step2Health data={form.data} updateCheckbox={form.updateCheckbox} />
+              <Step2Health
+                data={form.data}
+                updateField={form.updateField}
+                updateCheckbox={form.updateCheckbox}
+              />
 
               {/* Conditional Documents Section */}
               {(form.data.vaccinated ||
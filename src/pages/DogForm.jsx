@@ -1,6 +1,9 @@
 import React, { useState, useMemo, useEffect } from "react";
 import { FaArrowLeft, FaArrowRight } from "react-icons/fa";
 import useFormData from "../hooks/useFormData";
+import { checkBreedStandard } from "../utils/breedRegistry";
+import { compositionTotal } from "../utils/breedComposition";
+import { breedingAgeRange } from "../utils/welfareRules";
 import Step1DogInfo from "../stepComponents/Step1DogInfo";
 import Step2Health from "../stepComponents/Step2Health";
 import Step3Traits from "../stepComponents/Step3Traits";
@@ -76,16 +79,20 @@ export default function DogForm({ onSubmitted }) {
     const errors = {};
     if (!data.name || !data.name.trim()) errors.name = "Dog name is required";
     if (!data.gender) errors.gender = "Gender is required";
-    // Age (years only now) must be between 2 and 7
+    // Age (years only now) must be within the breeding range for the dog's sex
+    const ageRange = breedingAgeRange(data);
     if (!data.age_years) {
-      errors.age_years = "Age (2-7 years) is required";
+      errors.age_years = `Age (${ageRange.min}-${ageRange.max} years) is required`;
     } else {
       const yrs = parseInt(data.age_years, 10);
-      if (isNaN(yrs) || yrs < 2 || yrs > 7) {
-        errors.age_years = "Age must be a whole number between 2 and 7";
+      if (isNaN(yrs) || yrs < ageRange.min || yrs > ageRange.max) {
+        errors.age_years = `Age must be a whole number between ${ageRange.min} and ${ageRange.max}`;
       }
     }
     if (!data.breed || !data.breed.trim()) errors.breed = "Breed is required";
+    if (compositionTotal(data.breed_composition) > 100) {
+      errors.breed_composition = "Breed composition cannot add up to more than 100%";
+    }
     // Photo is now required
     if (!data.photo) errors.photo = "Dog photo is required";
     return errors;
@@ -102,6 +109,9 @@ export default function DogForm({ onSubmitted }) {
         errors.weight_kg = "Weight must be between 1.5 and 91 kg";
       }
     }
+    if (checkBreedStandard(data).length && !data.breed_standard_override) {
+      errors.breed_standard = "Confirm the size and weight to continue";
+    }
     if (!data.coat_type) errors.coat_type = "Coat type is required";
     if (!data.color) errors.color = "Color/markings are required";
     if (!data.activity_level) errors.activity_level = "Activity level is required";
@@ -163,7 +173,13 @@ export default function DogForm({ onSubmitted }) {
       <Step3Traits data={form.data} updateField={form.updateField} errors={stepErrors} />
     );
   else if (step === 3)
-    StepComponent = <Step2Health data={form.data} updateCheckbox={form.updateCheckbox} />;
+    StepComponent = (
+      <Step2Health
+        data={form.data}
+        updateField={form.updateField}
+        updateCheckbox={form.updateCheckbox}
+      />
+    );
   else
     StepComponent = (
       <Step4Documents
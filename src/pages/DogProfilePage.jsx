@@ -2,6 +2,10 @@ import React, { useState, useEffect, useMemo } from "react";
 import { useParams, useNavigate, useLocation, Link } from "react-router-dom";
 import useDogProfile from "../hooks/useDogProfile";
 import useDogMatches from "../hooks/useDogMatches";
+import usePedigree from "../hooks/usePedigree";
+import useHeatCycles from "../hooks/useHeatCycles";
+import useStudListing from "../hooks/useStudListing";
+import useDogLitters from "../hooks/useDogLitters";
 // ...existing code...
 import ReportModal from "../components/ReportModal";
 import { useAuth } from "../hooks/useAuth";
@@ -10,6 +14,15 @@ import supabase from "../lib/supabaseClient";
 
 import "./DogProfilePage.css"; // warm dog-lover theme
 import LoadingState from "../components/LoadingState";
+import PedigreeTree from "../components/PedigreeTree";
+import HeatCycleCard from "../components/HeatCycleCard";
+import StudTerms from "../components/StudTerms";
+import StudListingModal from "../components/StudListingModal";
+import DogLitters from "../components/DogLitters";
+import LitterModal from "../components/LitterModal";
+import ConfirmDialog from "../components/ConfirmDialog";
+import { formatLocation } from "../utils/distance";
+import { declaredComposition, formatComposition } from "../utils/breedComposition";
 
 export default function DogProfilePage() {
   const { id } = useParams();
@@ -18,6 +31,22 @@ export default function DogProfilePage() {
   const { dog, photoUrl, loading, error } = useDogProfile(id);
   const { historyMatches, loading: matchesLoading, error: matchesError } = useDogMatches();
   const { user } = useAuth();
+  const {
+    tree: pedigreeTree,
+    loading: pedigreeLoading,
+    error: pedigreeError,
+    linkParent,
+    addExternalParent,
+    clearParent,
+  } = usePedigree(dog?.id);
+  const isFemale = String(dog?.gender || dog?.sex || "").toLowerCase() === "female";
+  const heat = useHeatCycles(isFemale ? dog?.id : null);
+  const isMale = String(dog?.gender || dog?.sex || "").toLowerCase() === "male";
+  const stud = useStudListing(isMale ? dog?.id : null);
+  const [studModalOpen, setStudModalOpen] = useState(false);
+  const litters = useDogLitters(dog?.id);
+  const [litterModalOpen, setLitterModalOpen] = useState(false);
+  const [removingStud, setRemovingStud] = useState(false);
   const [reportOpen, setReportOpen] = useState(false);
   const [outcomeDetails, setOutcomeDetails] = useState(null);
   const [outcomeLoading, setOutcomeLoading] = useState(false);
@@ -71,6 +100,23 @@ export default function DogProfilePage() {
 
   const isOwner = user && dog && user.id === dog.user_id;
 
+  const handleRemoveStudListing = async () => {
+    try {
+      await stud.remove();
+      window.dispatchEvent(
+        new CustomEvent("toast", { detail: { message: "Stud listing removed", type: "success" } })
+      );
+    } catch (err) {
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: err.message || "Failed to remove stud listing", type: "error" },
+        })
+      );
+    } finally {
+      setRemovingStud(false);
+    }
+  };
+
   if (loading && !dog) {
     return <LoadingState message="Loading profile..." minHeight={140} />;
   }
@@ -101,12 +147,7 @@ export default function DogProfilePage() {
           <button
             onClick={() => {
               if (location.state?.fromFindMatch) {
-                navigate("/find-match", {
-                  state: {
-                    selectedDog: location.state.selectedDog,
-                    potentialMatches: location.state.potentialMatches,
-                  },
-                });
+                navigate(`/find-match${location.state.findMatchSearch || ""}`);
               } else {
                 navigate("/my-dog");
               }
@@ -132,12 +173,7 @@ export default function DogProfilePage() {
                   <button
                     onClick={() => {
                       if (location.state?.fromFindMatch) {
-                        navigate("/find-match", {
-                          state: {
-                            selectedDog: location.state.selectedDog,
-                            potentialMatches: location.state.potentialMatches,
-                          },
-                        });
+                        navigate(`/find-match${location.state.findMatchSearch || ""}`);
                       } else {
                         navigate("/my-dog");
                       }
@@ -156,6 +192,11 @@ export default function DogProfilePage() {
                   <div className="flex flex-col">
                     <span className="dog-profile-name">{dog.name}</span>
                     <span className="dog-profile-breed">{dog.breed || "Breed not specified"}</span>
+                    {declaredComposition(dog).length > 0 && (
+                      <span className="dog-profile-breed text-xs">
+                        {formatComposition(declaredComposition(dog))}
+                      </span>
+                    )}
                   </div>
                   {/* ...existing code... */}
                 </div>
@@ -286,6 +327,10 @@ export default function DogProfilePage() {
                         <dt className="dog-profile-info-label">Coat Type</dt>
                         <dd className="dog-profile-info-value">{dog.coat_type || "—"}</dd>
                       </div>
+                      <div className="dog-profile-info-item">
+                        <dt className="dog-profile-info-label">Location</dt>
+                        <dd className="dog-profile-info-value">{formatLocation(dog) || "—"}</dd>
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -416,6 +461,156 @@ export default function DogProfilePage() {
             </div>
           </div>
 
+          {/* Pedigree */}
+          <div className="dog-profile-card mt-8">
+            <div className="dog-profile-card-header">
+              <div>
+                <h2 className="dog-profile-card-title">Pedigree</h2>
+                <p className="dog-profile-card-subtitle">
+                  {dog.registration_number
+                    ? `Registration No. ${dog.registration_number}`
+                    : "Sire and dam lineage"}
+                </p>
+              </div>
+            </div>
+            <div className="dog-profile-card-body">
+              {pedigreeLoading && !pedigreeTree ? (
+                <div className="text-gray-500">Loading pedigree...</div>
+              ) : pedigreeError ? (
+                <div className="text-rose-600 text-sm">Unable to load the pedigree right now.</div>
+              ) : (
+                <PedigreeTree
+                  tree={pedigreeTree}
+                  userId={user?.id}
+                  onLinkDog={linkParent}
+                  onAddExternal={addExternalParent}
+                  onClearParent={clearParent}
+                />
+              )}
+            </div>
+          </div>
+
+          {/* Heat cycle & breeding window (females only) */}
+          {isFemale && (
+            <div className="dog-profile-card mt-8">
+              <div className="dog-profile-card-header">
+                <div>
+                  <h2 className="dog-profile-card-title">Breeding Availability</h2>
+                  <p className="dog-profile-card-subtitle">Heat cycle log and next window</p>
+                </div>
+              </div>
+              <div className="dog-profile-card-body">
+                {heat.loading && !heat.cycles.length ? (
+                  <div className="text-gray-500">Loading heat cycles...</div>
+                ) : heat.error ? (
+                  <div className="text-rose-600 text-sm">Unable to load heat cycles right now.</div>
+                ) : (
+                  <HeatCycleCard
+                    cycles={heat.cycles}
+                    prediction={heat.prediction}
+                    isOwner={isOwner}
+                    onAddCycle={heat.addCycle}
+                    onRemoveCycle={heat.removeCycle}
+                    onAddTest={heat.addTest}
+                    onRemoveTest={heat.removeTest}
+                  />
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Stud service (males; visitors only see published listings) */}
+          {isMale && (isOwner || stud.listing?.is_active) && (
+            <div className="dog-profile-card mt-8">
+              <div className="dog-profile-card-header">
+                <div>
+                  <h2 className="dog-profile-card-title">Stud Service</h2>
+                  <p className="dog-profile-card-subtitle">
+                    {stud.listing
+                      ? stud.listing.is_active
+                        ? "Available at stud"
+                        : "Listing saved as a draft"
+                      : "Not listed at stud"}
+                  </p>
+                </div>
+                {isOwner && (
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      className="dog-profile-edit-btn"
+                      onClick={() => setStudModalOpen(true)}
+                    >
+                      {stud.listing ? "Edit listing" : "List at stud"}
+                    </button>
+                    {stud.listing && (
+                      <button
+                        type="button"
+                        className="dog-profile-report-btn"
+                        onClick={() => setRemovingStud(true)}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+              <div className="dog-profile-card-body">
+                {stud.loading && !stud.listing ? (
+                  <div className="text-gray-500">Loading stud listing...</div>
+                ) : stud.error ? (
+                  <div className="text-rose-600 text-sm">
+                    Unable to load the stud listing right now.
+                  </div>
+                ) : stud.listing ? (
+                  <StudTerms listing={stud.listing} />
+                ) : (
+                  <div className="text-gray-500">
+                    Publish a stud listing so breeders can find {dog.name} on the Stud Listings
+                    page.
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Litters (both parents show the litters they produced) */}
+          <div className="dog-profile-card mt-8">
+            <div className="dog-profile-card-header">
+              <div>
+                <h2 className="dog-profile-card-title">Litters</h2>
+                <p className="dog-profile-card-subtitle">
+                  {isFemale ? "Litters whelped" : "Litters sired"} and their puppies
+                </p>
+              </div>
+              {isOwner && isFemale && (
+                <button
+                  type="button"
+                  className="dog-profile-edit-btn"
+                  onClick={() => setLitterModalOpen(true)}
+                >
+                  Record litter
+                </button>
+              )}
+            </div>
+            <div className="dog-profile-card-body">
+              {litters.loading && !litters.litters.length ? (
+                <div className="text-gray-500">Loading litters...</div>
+              ) : litters.error ? (
+                <div className="text-rose-600 text-sm">Unable to load litters right now.</div>
+              ) : (
+                <DogLitters
+                  dog={dog}
+                  litters={litters.litters}
+                  userId={user?.id}
+                  onSave={litters.save}
+                  onRemove={litters.remove}
+                  onPromote={litters.promote}
+                  onPromoted={(newDogId) => navigate(`/dog/${newDogId}`)}
+                />
+              )}
+            </div>
+          </div>
+
           {/* Breed Success Insights */}
           <div className="dog-profile-card mt-8">
             <div className="dog-profile-card-header">
@@ -716,6 +911,42 @@ export default function DogProfilePage() {
           }}
         />
 
+        {isOwner && isFemale && (
+          <LitterModal
+            open={litterModalOpen}
+            onClose={() => setLitterModalOpen(false)}
+            title={`Puppies whelped by ${dog.name}. Litters from a breeding request can be recorded from My Matches with the sire linked.`}
+            onSubmit={(form) =>
+              litters.save({
+                damId: dog.id,
+                whelpedOn: form.whelped_on,
+                notes: form.notes,
+                puppies: form.puppies,
+              })
+            }
+          />
+        )}
+
+        {isOwner && isMale && (
+          <>
+            <StudListingModal
+              open={studModalOpen}
+              onClose={() => setStudModalOpen(false)}
+              onSubmit={stud.save}
+              initial={stud.listing}
+              dogName={dog.name}
+            />
+            <ConfirmDialog
+              isOpen={removingStud}
+              onClose={() => setRemovingStud(false)}
+              onConfirm={handleRemoveStudListing}
+              title="Remove stud listing?"
+              message={`${dog.name} will no longer appear on the Stud Listings page or show stud terms on Find Match.`}
+              confirmText="Remove"
+            />
+          </>
+        )}
+
         {/* Outcome Details Modal - warm theme */}
         <Modal
           open={!!outcomeDetails}
@@ -1,8 +1,15 @@
 import React, { useState, useEffect, useRef, useContext, useMemo, useCallback } from "react";
 import supabase from "../lib/supabaseClient";
-import { safeGetUser } from "../lib/auth";
-import { calculateMatchScore } from "../utils/matchmaking";
-import { Link, useLocation, useNavigate } from "react-router-dom";
+import { calculateMatchDetails } from "../utils/matchmaking";
+import { formatCoi } from "../utils/coi";
+import { formatDistance, formatLocation } from "../utils/distance";
+import { declaredComposition, formatComposition } from "../utils/breedComposition";
+import {
+  DEFAULT_SCORING_PROFILE,
+  SCORING_PROFILES,
+  SCORING_PROFILE_OPTIONS,
+} from "../utils/scoringProfiles";
+import { Link, useLocation, useNavigate, useSearchParams } from "react-router-dom";
 
 import { AuthContext } from "../context/AuthContext";
 import { createCache } from "../lib/cache";
@@ -11,11 +18,55 @@ import useDogs from "../hooks/useDogs";
 import LoadingState from "../components/LoadingState";
 import { ensureContact } from "../lib/chat";
 import { fetchAwaitingDogIds } from "../lib/matches";
+import { fetchPedigrees } from "../lib/pedigree";
+import { fetchHeatPredictions } from "../lib/heatCycles";
+import { boostUpcomingHeat, describeHeatWindow } from "../utils/heatCycle";
+import { fetchActiveStudListings } from "../lib/studListings";
+import { fetchWelfareStatus } from "../lib/welfare";
+import { describeStudTerms, missingStudRequirements } from "../utils/studListing";
+import { HEALTH_CLEARANCE_LABELS } from "../utils/healthClearances";
+import { searchMatchCandidates } from "../lib/matchSearch";
+import { MAX_COMPARE_CANDIDATES, compareUrl } from "../lib/matchCompare";
+import {
+  DEFAULT_MATCH_FILTERS,
+  MATCH_SEARCH_PARAMS,
+  applyMatchFilters,
+  countActiveFilters,
+  parseMatchFilters,
+  writeMatchFilters,
+} from "../utils/matchFilters";
 import ScoringInfoModal from "../components/ScoringInfoModal";
+import LitterColorModal from "../components/LitterColorModal";
+import MatchFilterPanel from "../components/MatchFilterPanel";
+import SavedSearchModal from "../components/SavedSearchModal";
+import { DEFAULT_ALERT_SCORE, createSavedSearch } from "../lib/savedSearches";
 import "./FindMatchPage.css"; // warm dog-lover theme
 
 // Shared invalidation timestamp is managed inside useDogs; keep usage here only for matches caching.
 
+const PROFILE_COOKIE = "findmatch_scoring_profile";
+
+function readSavedScoringProfile() {
+  try {
+    const saved = getCookie(PROFILE_COOKIE);
+    return saved && SCORING_PROFILES[saved] ? saved : DEFAULT_SCORING_PROFILE;
+  } catch {
+    return DEFAULT_SCORING_PROFILE;
+  }
+}
+
+const matchesCacheKey = (dogId, profileId) => `matches:${dogId}:${profileId}`;
+
+// Debug logger for this page
+const FM_LOG = (...args) => console.log("🔎 [FindMatch]", ...args);
+
+// Tooltip listing the clearances a stud asks for that the selected female doesn't have.
+function studRequirementNote(listing, dog) {
+  const missing = missingStudRequirements(listing, dog);
+  if (!missing.length) return undefined;
+  return `${dog.name} still needs: ${missing.map((key) => HEALTH_CLEARANCE_LABELS[key] || key).join(", ")}`;
+}
+
 export default function FindMatchPage() {
   const location = useLocation();
   const navigate = useNavigate();
@@ -33,8 +84,6 @@ export default function FindMatchPage() {
     document.title = "Find Matches 🐾 | DaBreeder";
   }, []);
 
-  // Debug logger for this page
-  const FM_LOG = (...args) => console.log("🔎 [FindMatch]", ...args);
   const MATCHES_TTL = 15 * 60 * 1000; // 15 minutes
   const matchesCache = useRef(
     createCache("match-cache", {
@@ -51,15 +100,26 @@ export default function FindMatchPage() {
           id: d.id,
           name: d.name,
           breed: d.breed,
+          breed_composition: d.breed_composition || null,
           gender: d.gender || d.sex || null,
           sex: d.sex || d.gender || null,
           size: d.size || null,
           weight_kg: d.weight_kg ?? null,
           coat_type: d.coat_type || null,
           color: d.color || null,
+          color_genotype: d.color_genotype || {},
+          province: d.province || null,
+          city: d.city || null,
           activity_level: d.activity_level || null,
           sociability: d.sociability || null,
           trainability: d.trainability || null,
+          vaccinated: d.vaccinated === true,
+          dna_tested: d.dna_tested === true,
+          hip_elbow_tested: d.hip_elbow_tested === true,
+          heart_tested: d.heart_tested === true,
+          eye_tested: d.eye_tested === true,
+          genetic_panel: d.genetic_panel === true,
+          thyroid_tested: d.thyroid_tested === true,
           image_url: d.image || d.image_url || null,
           hidden: typeof d.hidden === "boolean" ? d.hidden : d.is_visible === false,
           is_visible: d.is_visible ?? true,
@@ -67,18 +127,31 @@ export default function FindMatchPage() {
         })),
     [myDogs]
   );
+  // The selected dog, scoring profile and filters live in the query string so a search can be
+  // bookmarked or shared. The profile cookie only supplies the default for new searches.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const urlDogId = searchParams.get(MATCH_SEARCH_PARAMS.dog);
+  const urlProfile = searchParams.get(MATCH_SEARCH_PARAMS.profile);
+  const scoringProfile = useMemo(
+    () => (urlProfile && SCORING_PROFILES[urlProfile] ? urlProfile : readSavedScoringProfile()),
+    [urlProfile]
+  );
+  const filters = useMemo(() => parseMatchFilters(searchParams), [searchParams]);
   const [selectedDog, setSelectedDog] = useState(null);
-  const selectedDogIdRef = useRef(null);
-  const [potentialMatches, setPotentialMatches] = useState([]);
   const [allMatches, setAllMatches] = useState([]); // Store all matches
   const [displayCount, setDisplayCount] = useState(3); // How many to show
-  const [breedFilter, setBreedFilter] = useState("mixed"); // "same" or "mixed"
+  const [nextCursor, setNextCursor] = useState(null); // Server cursor for the next page
+  const [loadingMore, setLoadingMore] = useState(false);
   // Split loading states so selecting a dog doesn't reload the dog grid/card
   const [matchesLoading, setMatchesLoading] = useState(false);
   // Simplified loading UI (no long-load hints)
   const [error, setError] = useState(null);
   const [contactingDogId, setContactingDogId] = useState(null);
   const [showScoringInfo, setShowScoringInfo] = useState(false);
+  const [colorPreviewDog, setColorPreviewDog] = useState(null);
+  // Candidates ticked for the compare view; the selection belongs to one selected dog
+  const [compareSelection, setCompareSelection] = useState({ dogId: null, ids: [] });
+  const [showSaveSearch, setShowSaveSearch] = useState(false);
   const matchesRequestIdRef = useRef(0);
   const filterUnavailableMatches = useCallback(async (matches) => {
     if (!Array.isArray(matches) || matches.length === 0) return matches || [];
@@ -91,241 +164,320 @@ export default function FindMatchPage() {
       return matches;
     }
   }, []);
-  useEffect(() => {
-    // Clear match cache on mount to ensure updated calculation logic is used
-    if (matchesCache.current) {
-      matchesCache.current.clear();
-      FM_LOG("Match cache cleared on mount");
+  // Pedigrees feed the inbreeding (COI) check. If they can't be loaded the matches are still
+  // scored, the COI just shows as unknown.
+  const attachPedigrees = useCallback(async (dog, candidates) => {
+    try {
+      const trees = await fetchPedigrees([dog.id, ...candidates.map((m) => m.id)]);
+      return {
+        dog: { ...dog, pedigree: trees.get(String(dog.id)) || null },
+        candidates: candidates.map((m) => ({ ...m, pedigree: trees.get(String(m.id)) || null })),
+      };
+    } catch (err) {
+      console.error("Failed to load pedigrees", err);
+      return { dog, candidates };
     }
-    // Restore state if coming back from a profile page
-    if (location.state) {
-      const { selectedDog: savedSelectedDog } = location.state;
-      if (savedSelectedDog) {
-        FM_LOG("restore: selectedDog from navigation state", {
-          id: savedSelectedDog.id,
-          name: savedSelectedDog.name,
-        });
-        setSelectedDog(savedSelectedDog);
-        selectedDogIdRef.current = savedSelectedDog.id;
-        try {
-          setCookie("findmatch_selected_dog", String(savedSelectedDog.id), {
-            days: 7,
-          });
-        } catch (err) {
-          void err;
-        }
-        // Also restore previously computed matches if provided or cached
-        const stateMatches = location.state?.potentialMatches;
-        if (Array.isArray(stateMatches) && stateMatches.length > 0) {
-          FM_LOG("restore: potentialMatches from state", stateMatches.length);
-          setAllMatches(stateMatches);
-          setPotentialMatches(stateMatches.slice(0, 3));
-          setDisplayCount(3);
-          setMatchesLoading(false);
-        } else {
-          try {
-            const cached = matchesCache.current.get(`matches:${savedSelectedDog.id}`);
-            if (Array.isArray(cached) && cached.length > 0) {
-              FM_LOG("restore: potentialMatches from cache", cached.length);
-              setAllMatches(cached);
-              setPotentialMatches(cached.slice(0, 3));
-              setDisplayCount(3);
-              setMatchesLoading(false);
-            }
-          } catch (err) {
-            void err;
-          }
-        }
-      }
+  }, []);
+  // Breeding-window predictions for female candidates. Without them the heat filter simply
+  // finds no match, as with any other missing value.
+  const loadHeatPredictions = useCallback(async (candidates) => {
+    const femaleIds = candidates
+      .filter((m) => String(m.gender || m.sex || "").toLowerCase() === "female")
+      .map((m) => m.id);
+    try {
+      return await fetchHeatPredictions(femaleIds);
+    } catch (err) {
+      console.error("Failed to load heat predictions", err);
+      return new Map();
     }
-    // Try restoring selected dog from cookie on mount
+  }, []);
+  // Stud terms for male candidates with a listing available today; cards simply omit them
+  // when the listings can't be loaded.
+  const loadStudListings = useCallback(async (candidates) => {
+    const maleIds = candidates
+      .filter((m) => String(m.gender || m.sex || "").toLowerCase() === "male")
+      .map((m) => m.id);
     try {
-      const sid = getCookie("findmatch_selected_dog");
-      if (sid) selectedDogIdRef.current = sid;
+      return await fetchActiveStudListings(maleIds);
     } catch (err) {
-      void err;
+      console.error("Failed to load stud listings", err);
+      return new Map();
     }
-  }, [location.state]);
-
-  // If a dog id was restored from cookie, select it once dogs are available
-  useEffect(() => {
-    if (!dogsLoading && selectedDogIdRef.current && !selectedDog && userDogs.length) {
-      const match = userDogs.find((d) => String(d.id) === String(selectedDogIdRef.current));
-      if (match) setSelectedDog(match);
+  }, []);
+  // Welfare rules (age limits, litter spacing and caps). If the litter history can't be
+  // loaded nobody is hidden; the request itself is still checked in createMatchRequest.
+  const loadWelfare = useCallback(async (candidates) => {
+    try {
+      return await fetchWelfareStatus(candidates);
+    } catch (err) {
+      console.error("Failed to load welfare status", err);
+      return new Map();
     }
-  }, [dogsLoading, userDogs, selectedDog]);
-
+  }, []);
+  const scoreCandidates = useCallback(
+    async (dog, candidates, profileId) => {
+      const [
+        { dog: scoringDog, candidates: withPedigrees },
+        heatPredictions,
+        studListings,
+        welfare,
+      ] = await Promise.all([
+        attachPedigrees(dog, candidates),
+        loadHeatPredictions(candidates),
+        loadStudListings(candidates),
+        loadWelfare(candidates),
+      ]);
+      return withPedigrees
+        .filter((match) => welfare.get(String(match.id))?.eligible !== false) // Welfare rules
+        .map((match) => {
+          const { score, coi, commonAncestors, healthFlags, distanceKm } = calculateMatchDetails(
+            scoringDog,
+            match,
+            { profile: profileId }
+          );
+          // Trees are only needed for scoring; keep them out of state and the session cache
+          const { pedigree: _pedigree, ...rest } = match;
+          const heat = heatPredictions.get(String(match.id)) || null;
+          return {
+            ...rest,
+            score,
+            coi,
+            commonAncestors: (commonAncestors || []).map((a) => a.name),
+            healthFlags: healthFlags || [],
+            distanceKm,
+            heatWindowDays: heat ? heat.daysUntilWindow : null,
+            heatWindow: heat ? heat.window : null,
+            studListing: studListings.get(String(match.id)) || null,
+          };
+        })
+        .filter((match) => match.score > 0) // Only show compatible matches
+        .sort((a, b) => b.score - a.score); // Sort by score descending
+    },
+    [attachPedigrees, loadHeatPredictions, loadStudListings, loadWelfare]
+  );
   // Removed focus/visibility-based auto refresh; we rely on global invalidation from add/edit/delete only
 
   // Removed long-loading detector and retry UI for a cleaner experience
 
-  // Filter matches based on breedFilter
-  const getFilteredMatches = (matches, selectedDog, filterType) => {
-    if (!selectedDog) return [];
-    if (filterType === "same") {
-      return matches.filter((m) => m.breed === selectedDog.breed);
-    }
-    return matches;
+  const filteredMatches = useMemo(() => {
+    const matches = applyMatchFilters(allMatches, filters, selectedDog);
+    return filters.heatFirst ? boostUpcomingHeat(matches) : matches;
+  }, [allMatches, filters, selectedDog]);
+  const potentialMatches = useMemo(
+    () => filteredMatches.slice(0, displayCount),
+    [filteredMatches, displayCount]
+  );
+
+  const updateSearchParams = (mutate, options) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      mutate(next);
+      return next;
+    }, options);
+  };
+
+  const handleFiltersChange = (nextFilters) => {
+    setSearchParams((prev) => writeMatchFilters(prev, nextFilters), { replace: true });
+    setDisplayCount(3);
   };
 
   const handleBreedFilterChange = (e) => {
-    const value = e.target.value;
-    setBreedFilter(value);
-    // Update displayed matches when filter changes
-    setPotentialMatches(getFilteredMatches(allMatches, selectedDog, value).slice(0, displayCount));
+    handleFiltersChange({ ...filters, breed: e.target.value });
   };
 
-  const handleSelectDog = async (dog) => {
-    FM_LOG("selectDog:", { id: dog.id, name: dog.name });
-    setSelectedDog(dog);
-    selectedDogIdRef.current = dog.id;
-    try {
-      setCookie("findmatch_selected_dog", String(dog.id), { days: 7 });
-    } catch (err) {
-      void err;
-    }
-    setMatchesLoading(true);
-    setError(null);
-    // Keep existing matches visible during fetch for better UX
-
-    const { data: userRes } = await safeGetUser();
-    const user = userRes?.user || null;
-    FM_LOG("matches: fetching for dog", { id: dog.id, userId: user?.id });
-
-    // Try a robust query sequence that adapts to schema and RLS
-    function buildQuery({ visibilityFilter, orderBy, includeUserId }) {
-      let q = supabase.from("dogs").select("*").limit(200);
-      if (orderBy) q = q.order(orderBy, { ascending: false });
-      // Exclude my own dogs when possible (and column exists)
-      if (includeUserId && user?.id) q = q.neq("user_id", user.id);
-      // Filter out hidden dogs using whichever column exists on this deployment
-      if (visibilityFilter === "is_visible") q = q.eq("is_visible", true);
-      if (visibilityFilter === "hidden") q = q.eq("hidden", false);
-      return q;
-    }
+  const saveSearchInitial = useMemo(
+    () => ({
+      name: selectedDog ? `${selectedDog.name} matches` : "",
+      minScore: filters.minScore ?? DEFAULT_ALERT_SCORE,
+    }),
+    [selectedDog, filters.minScore]
+  );
 
-    async function runAdaptiveMatchesQuery() {
-      // Start optimistic and then adapt based on specific error messages
-      let opts = {
-        visibilityFilter: "is_visible",
-        orderBy: null,
-        includeUserId: true,
-      };
-      for (let i = 0; i < 8; i++) {
-        const res = await buildQuery(opts);
-        const resp = await res;
-        if (!resp.error) return resp;
-        const em = (resp.error.message || resp.error.details || "").toLowerCase();
-        // Switch visibility filtering strategy based on available columns
-        if (
-          opts.visibilityFilter === "is_visible" &&
-          /is_visible/.test(em) &&
-          /does not exist|42703|column/.test(em)
-        ) {
-          opts.visibilityFilter = "hidden";
-          continue;
-        }
-        if (
-          opts.visibilityFilter === "hidden" &&
-          /hidden/.test(em) &&
-          /does not exist|42703|column/.test(em)
-        ) {
-          opts.visibilityFilter = null;
-          continue;
-        }
-        // Drop user_id filter if column missing
-        if (opts.includeUserId && /user_id/.test(em) && /does not exist|42703|column/.test(em)) {
-          opts.includeUserId = false;
-          continue;
-        }
-        // No ordering used initially to avoid 400s from unknown order columns
-        // No known remediation left
-        return resp;
-      }
-      // Fallback: last attempt without any optional filters/order
-      return await buildQuery({
-        visibilityFilter: null,
-        orderBy: null,
-        includeUserId: false,
-      });
-    }
+  const handleSaveSearch = async ({ name, minScore, alertsEnabled }) => {
+    await createSavedSearch({
+      dogId: selectedDog?.id,
+      name,
+      profile: scoringProfile,
+      filters,
+      minScore,
+      alertsEnabled,
+    });
+    window.dispatchEvent(
+      new CustomEvent("toast", {
+        detail: { message: `Saved "${name.trim()}" to My Dogs`, type: "success" },
+      })
+    );
+  };
 
-    const myReq = ++matchesRequestIdRef.current;
-    // Cache-first: if we have cached matches for this dog, use them
-    const cached = matchesCache.current.get(`matches:${dog.id}`);
-    if (cached && Array.isArray(cached) && cached.length > 0) {
-      // Recalculate scores for cached matches using latest logic
-      const rescored = cached
-        .map((match) => ({
-          ...match,
-          score: calculateMatchScore(dog, match),
-        }))
-        .filter((match) => match.score > 0)
-        .sort((a, b) => b.score - a.score);
-      const filteredCached = await filterUnavailableMatches(rescored);
-      FM_LOG("matches: using rescored cached", filteredCached.length, "(raw:", cached.length, ")");
-      setAllMatches(filteredCached);
-      setPotentialMatches(getFilteredMatches(filteredCached, dog, breedFilter).slice(0, 3));
-      setDisplayCount(3); // Reset display count
-      setMatchesLoading(false);
-      return;
-    }
+  const compareIds = compareSelection.dogId === urlDogId ? compareSelection.ids : [];
+
+  const toggleCompare = (matchId) => {
+    const id = String(matchId);
+    const next = compareIds.includes(id)
+      ? compareIds.filter((c) => c !== id)
+      : compareIds.length < MAX_COMPARE_CANDIDATES
+        ? [...compareIds, id]
+        : compareIds;
+    setCompareSelection({ dogId: urlDogId, ids: next });
+  };
+
+  const handleOpenCompare = () => {
+    navigate(compareUrl({ dogId: urlDogId, profile: scoringProfile, candidateIds: compareIds }), {
+      state: { findMatchSearch: location.search },
+    });
+  };
 
-    let resp = await runAdaptiveMatchesQuery();
+  const handleDogCardClick = (dog) => {
+    if (String(dog.id) === String(urlDogId)) return;
+    updateSearchParams((next) => next.set(MATCH_SEARCH_PARAMS.dog, String(dog.id)));
+  };
 
-    if (resp.error) {
-      const msg = (resp.error.message || "").toLowerCase();
-      FM_LOG("matches: final error", msg);
-      if (msg.includes("permission denied") || msg.includes("not allowed")) {
-        setError(
-          "Permission denied when reading other dogs. If RLS is ON, add a read policy to allow public profiles (e.g., hidden = false)."
+  const handleSelectDog = useCallback(
+    async (dog, profileId) => {
+      FM_LOG("selectDog:", { id: dog.id, name: dog.name });
+      setSelectedDog(dog);
+      setMatchesLoading(true);
+      setError(null);
+      // Keep existing matches visible during fetch for better UX
+
+      FM_LOG("matches: fetching for dog", { id: dog.id });
+
+      const myReq = ++matchesRequestIdRef.current;
+      // Cache-first: if we have cached matches for this dog, use them
+      const cached = matchesCache.current.get(matchesCacheKey(dog.id, profileId));
+      if (cached && Array.isArray(cached.matches) && cached.matches.length > 0) {
+        // Recalculate scores for cached matches using latest logic
+        const rescored = await scoreCandidates(dog, cached.matches, profileId);
+        const filteredCached = await filterUnavailableMatches(rescored);
+        FM_LOG(
+          "matches: using rescored cached",
+          filteredCached.length,
+          "(raw:",
+          cached.matches.length,
+          ")"
         );
+        setAllMatches(filteredCached);
+        setNextCursor(cached.nextCursor ?? null);
+        setDisplayCount(3); // Reset display count
+        setMatchesLoading(false);
+        return;
+      }
+
+      let page;
+      try {
+        page = await searchMatchCandidates(dog.id, { profile: profileId });
+      } catch (err) {
+        const msg = (err?.message || "").toLowerCase();
+        FM_LOG("matches: final error", msg);
+        if (matchesRequestIdRef.current !== myReq) return;
+        if (msg.includes("permission denied") || msg.includes("not allowed")) {
+          setError(
+            "Permission denied when reading other dogs. If RLS is ON, add a read policy to allow public profiles (e.g., hidden = false)."
+          );
+        } else {
+          setError(err?.message || "Failed to load matches");
+        }
+        setMatchesLoading(false);
+        return;
+      }
+
+      FM_LOG("matches: fetched rows", page.rows.length);
+      const scoredMatches = await scoreCandidates(dog, page.rows, profileId);
+
+      FM_LOG("matches: scored", {
+        total: page.rows.length,
+        shown: scoredMatches.length,
+        top: scoredMatches.map((m) => ({ id: m.id, score: m.score })).slice(0, 3),
+      });
+      const availableMatches = await filterUnavailableMatches(scoredMatches);
+      if (matchesRequestIdRef.current === myReq) {
+        setAllMatches(availableMatches);
+        setNextCursor(page.nextCursor);
+        setDisplayCount(3); // Reset display count
+        try {
+          matchesCache.current.set(matchesCacheKey(dog.id, profileId), {
+            matches: scoredMatches,
+            nextCursor: page.nextCursor,
+          });
+        } catch (err) {
+          void err;
+        }
+        setMatchesLoading(false);
+        FM_LOG("matches: done");
       } else {
-        setError(resp.error.message);
+        FM_LOG("matches: stale result discarded");
       }
-      setMatchesLoading(false);
-      return;
-    }
+    },
+    [scoreCandidates, filterUnavailableMatches]
+  );
 
-    const rows = resp.data || [];
-    const selectedGenderValue = (dog.gender || dog.sex || "").toString().toLowerCase();
-    const genderFilteredRows = selectedGenderValue
-      ? rows.filter((match) => {
-          const matchGender = (match.gender || match.sex || "").toString().toLowerCase();
-          return matchGender ? matchGender !== selectedGenderValue : true;
-        })
-      : rows;
-    FM_LOG("matches: fetched rows", rows.length);
-    const scoredMatches = genderFilteredRows
-      .map((match) => ({
-        ...match,
-        score: calculateMatchScore(dog, match),
-      }))
-      .filter((match) => match.score > 0) // Only show compatible matches
-      .sort((a, b) => b.score - a.score); // Sort by score descending
-
-    FM_LOG("matches: scored", {
-      total: rows.length,
-      shown: scoredMatches.length,
-      top: scoredMatches.map((m) => ({ id: m.id, score: m.score })).slice(0, 3),
-    });
-    const availableMatches = await filterUnavailableMatches(scoredMatches);
-    if (matchesRequestIdRef.current === myReq) {
-      setAllMatches(availableMatches);
-      setPotentialMatches(getFilteredMatches(availableMatches, dog, breedFilter).slice(0, 3));
-      setDisplayCount(3); // Reset display count
+  // Fetches the next page of candidates from the server, scores it and merges it into the
+  // ranked list.
+  const loadMoreCandidates = async () => {
+    if (!selectedDog || !nextCursor) return;
+    const dog = selectedDog;
+    const profileId = scoringProfile;
+    const myReq = matchesRequestIdRef.current;
+    setLoadingMore(true);
+    try {
+      const page = await searchMatchCandidates(dog.id, { profile: profileId, cursor: nextCursor });
+      const scored = await scoreCandidates(dog, page.rows, profileId);
+      const available = await filterUnavailableMatches(scored);
+      if (matchesRequestIdRef.current !== myReq) return;
+      const seen = new Set(allMatches.map((m) => String(m.id)));
+      const merged = [...allMatches, ...available.filter((m) => !seen.has(String(m.id)))].sort(
+        (a, b) => b.score - a.score
+      );
+      FM_LOG("matches: loaded more", {
+        fetched: page.rows.length,
+        added: merged.length - allMatches.length,
+      });
+      setAllMatches(merged);
+      setNextCursor(page.nextCursor);
       try {
-        matchesCache.current.set(`matches:${dog.id}`, scoredMatches);
+        const key = matchesCacheKey(dog.id, profileId);
+        const cachedPage = matchesCache.current.get(key);
+        const cachedSeen = new Set((cachedPage?.matches || []).map((m) => String(m.id)));
+        matchesCache.current.set(key, {
+          matches: [
+            ...(cachedPage?.matches || []),
+            ...scored.filter((m) => !cachedSeen.has(String(m.id))),
+          ],
+          nextCursor: page.nextCursor,
+        });
       } catch (err) {
         void err;
       }
-      setMatchesLoading(false);
-      FM_LOG("matches: done");
-    } else {
-      FM_LOG("matches: stale result discarded");
+    } catch (err) {
+      console.error("Failed to load more matches", err);
+      window.dispatchEvent(
+        new CustomEvent("toast", {
+          detail: { message: "Couldn't load more matches. Please try again.", type: "error" },
+        })
+      );
+    } finally {
+      setLoadingMore(false);
     }
   };
 
+  // Load matches whenever the dog or profile in the URL changes (including back/forward).
+  const loadedSearchRef = useRef(null);
+  useEffect(() => {
+    if (dogsLoading) return;
+    if (!urlDogId) {
+      loadedSearchRef.current = null;
+      setSelectedDog(null);
+      return;
+    }
+    const searchKey = `${urlDogId}:${scoringProfile}`;
+    if (loadedSearchRef.current === searchKey) return;
+    const dog = userDogs.find((d) => String(d.id) === String(urlDogId));
+    if (!dog) return;
+    loadedSearchRef.current = searchKey;
+    FM_LOG("restore: selected dog from URL", { id: dog.id, profile: scoringProfile });
+    handleSelectDog(dog, scoringProfile);
+  }, [dogsLoading, urlDogId, scoringProfile, userDogs, handleSelectDog]);
+
   const handleContact = async (match) => {
     if (!authUser) {
       window.dispatchEvent(
@@ -421,12 +573,23 @@ export default function FindMatchPage() {
     }
   };
 
-  const handleViewMore = () => {
+  const handleProfileChange = (e) => {
+    const value = e.target.value;
+    try {
+      setCookie(PROFILE_COOKIE, value, { days: 30 });
+    } catch (err) {
+      void err;
+    }
+    updateSearchParams((next) => next.set(MATCH_SEARCH_PARAMS.profile, value), {
+      replace: true,
+    });
+  };
+
+  const handleViewMore = async () => {
     const newCount = displayCount + 3;
+    // Pull more candidates from the server once the loaded ones are all on screen
+    if (filteredMatches.length < newCount && nextCursor) await loadMoreCandidates();
     setDisplayCount(newCount);
-    setPotentialMatches(
-      getFilteredMatches(allMatches, selectedDog, breedFilter).slice(0, newCount)
-    );
   };
 
   return (
@@ -467,7 +630,7 @@ export default function FindMatchPage() {
                 <div
                   key={dog.id}
                   className={`dog-card ${selectedDog?.id === dog.id ? "selected" : ""}`}
-                  onClick={() => handleSelectDog(dog)}
+                  onClick={() => handleDogCardClick(dog)}
                 >
                   <img
                     src={dog.image_url || "/shibaPor.jpg"}
@@ -508,40 +671,60 @@ export default function FindMatchPage() {
           <div className="content-section">
             <div className="matches-header">
               <h2 className="section-title">Matches for {selectedDog.name}</h2>
+              <div className="filter-group">
+                <label
+                  htmlFor="scoring-profile"
+                  style={{ fontWeight: "bold", marginRight: "0.5rem", color: "#4B5563" }}
+                >
+                  Scoring profile:
+                </label>
+                <select
+                  id="scoring-profile"
+                  className="profile-select"
+                  value={scoringProfile}
+                  onChange={handleProfileChange}
+                >
+                  {SCORING_PROFILE_OPTIONS.map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
               <div className="filter-group">
                 <label style={{ fontWeight: "bold", marginRight: "1rem", color: "#4B5563" }}>
                   Filter:
                 </label>
-                <label className={"filter-label" + (breedFilter === "same" ? " active" : "")}>
+                <label className={"filter-label" + (filters.breed === "same" ? " active" : "")}>
                   <input
                     type="radio"
                     name="breedFilter"
                     value="same"
-                    checked={breedFilter === "same"}
+                    checked={filters.breed === "same"}
                     onChange={handleBreedFilterChange}
                     style={{ accentColor: "#6366F1", marginRight: "0.5rem" }}
                   />
                   <span
                     style={{
-                      color: breedFilter === "same" ? "#6366F1" : "#4B5563",
+                      color: filters.breed === "same" ? "#6366F1" : "#4B5563",
                       fontWeight: "500",
                     }}
                   >
                     Same Breed
                   </span>
                 </label>
-                <label className={"filter-label" + (breedFilter === "mixed" ? " active" : "")}>
+                <label className={"filter-label" + (filters.breed === "mixed" ? " active" : "")}>
                   <input
                     type="radio"
                     name="breedFilter"
                     value="mixed"
-                    checked={breedFilter === "mixed"}
+                    checked={filters.breed === "mixed"}
                     onChange={handleBreedFilterChange}
                     style={{ accentColor: "#6366F1", marginRight: "0.5rem" }}
                   />
                   <span
                     style={{
-                      color: breedFilter === "mixed" ? "#6366F1" : "#4B5563",
+                      color: filters.breed === "mixed" ? "#6366F1" : "#4B5563",
                       fontWeight: "500",
                     }}
                   >
@@ -551,6 +734,13 @@ export default function FindMatchPage() {
               </div>
             </div>
 
+            <MatchFilterPanel
+              filters={filters}
+              onChange={handleFiltersChange}
+              onReset={() => handleFiltersChange(DEFAULT_MATCH_FILTERS)}
+              onSaveSearch={() => setShowSaveSearch(true)}
+            />
+
             {matchesLoading && <LoadingState message="Finding matches..." minHeight={120} />}
 
             {error && (
@@ -561,7 +751,11 @@ export default function FindMatchPage() {
 
             {!matchesLoading && potentialMatches.length === 0 && !error && (
               <div className="empty-state">
-                <p>No compatible matches found at this time.</p>
+                <p>
+                  {allMatches.length > 0 && countActiveFilters(filters) > 0
+                    ? "No matches fit these filters yet. Clear some filters or view more candidates."
+                    : "No compatible matches found at this time."}
+                </p>
               </div>
             )}
 
@@ -587,7 +781,12 @@ export default function FindMatchPage() {
                         <div className="match-details">
                           <div className="detail-item">
                             <span className="detail-label">Breed</span>
-                            <span className="detail-value capitalize">{match.breed}</span>
+                            <span
+                              className="detail-value capitalize"
+                              title={formatComposition(declaredComposition(match)) || undefined}
+                            >
+                              {match.breed}
+                            </span>
                           </div>
                           <div className="detail-item">
                             <span className="detail-label">Age</span>
@@ -597,6 +796,61 @@ export default function FindMatchPage() {
                             <span className="detail-label">Gender</span>
                             <span className="detail-value capitalize">{match.gender}</span>
                           </div>
+                          <div className="detail-item">
+                            <span className="detail-label">Distance</span>
+                            <span className="detail-value" title={formatLocation(match)}>
+                              {formatDistance(match.distanceKm)}
+                            </span>
+                          </div>
+                          {match.heatWindow && (
+                            <div className="detail-item">
+                              <span className="detail-label">Availability</span>
+                              <span
+                                className="detail-value"
+                                title={`${match.heatWindow.start} – ${match.heatWindow.end}`}
+                              >
+                                {describeHeatWindow({ daysUntilWindow: match.heatWindowDays })}
+                              </span>
+                            </div>
+                          )}
+                          {match.studListing && (
+                            <div className="detail-item">
+                              <span className="detail-label">Stud terms</span>
+                              <span
+                                className="detail-value"
+                                title={studRequirementNote(match.studListing, selectedDog)}
+                              >
+                                {describeStudTerms(match.studListing)}
+                              </span>
+                            </div>
+                          )}
+                          <div className="detail-item">
+                            <span className="detail-label">Litter COI</span>
+                            <span
+                              className="detail-value"
+                              title={
+                                match.commonAncestors?.length
+                                  ? `Shared ancestors: ${match.commonAncestors.slice(0, 3).join(", ")}`
+                                  : "No shared ancestors in the recorded pedigrees"
+                              }
+                            >
+                              {formatCoi(match.coi)}
+                            </span>
+                          </div>
+                          <div className="detail-item">
+                            <span className="detail-label">Health Clearances</span>
+                            <span
+                              className={
+                                "detail-value" + (match.healthFlags?.length ? " warning" : "")
+                              }
+                            >
+                              {match.healthFlags?.includes("neither_tested")
+                                ? "Neither dog tested"
+                                : match.healthFlags?.includes("one_untested")
+                                  ? "Only one dog tested"
+                                  : "Both dogs tested"}
+                            </span>
+                          </div>
                         </div>
 
                         <div className="card-actions">
@@ -604,13 +858,19 @@ export default function FindMatchPage() {
                             to={`/dog/${match.id}`}
                             state={{
                               fromFindMatch: true,
-                              selectedDog: selectedDog,
-                              potentialMatches: potentialMatches,
+                              findMatchSearch: location.search,
                             }}
                             className="view-profile-btn"
                           >
                             View Profile
                           </Link>
+                          <button
+                            type="button"
+                            className="view-profile-btn"
+                            onClick={() => setColorPreviewDog(match)}
+                          >
+                            Puppy Colors
+                          </button>
                           <button
                             className="contact-btn"
                             onClick={() => handleContact(match)}
@@ -619,24 +879,55 @@ export default function FindMatchPage() {
                             {contactingDogId === match.id ? "Opening chat..." : "Contact Owner"}
                           </button>
                         </div>
+                        <label className="compare-toggle">
+                          <input
+                            type="checkbox"
+                            checked={compareIds.includes(String(match.id))}
+                            disabled={
+                              !compareIds.includes(String(match.id)) &&
+                              compareIds.length >= MAX_COMPARE_CANDIDATES
+                            }
+                            onChange={() => toggleCompare(match.id)}
+                          />
+                          Compare
+                        </label>
                       </div>
                     </div>
                   ))}
                 </div>
 
+                {compareIds.length > 0 && (
+                  <div className="compare-bar">
+                    <span>
+                      {compareIds.length} of {MAX_COMPARE_CANDIDATES} selected to compare
+                    </span>
+                    <button
+                      type="button"
+                      className="compare-clear-btn"
+                      onClick={() => setCompareSelection({ dogId: urlDogId, ids: [] })}
+                    >
+                      Clear
+                    </button>
+                    <button type="button" className="primary-btn" onClick={handleOpenCompare}>
+                      Compare
+                    </button>
+                  </div>
+                )}
+
                 {/* View More button */}
-                {displayCount < getFilteredMatches(allMatches, selectedDog, breedFilter).length && (
+                {(displayCount < filteredMatches.length || nextCursor) && (
                   <div style={{ display: "flex", justifyContent: "center", marginTop: "2rem" }}>
                     <button
                       className="primary-btn"
                       onClick={handleViewMore}
+                      disabled={loadingMore}
                       style={{
                         padding: "0.75rem 2rem",
                         fontSize: "1rem",
                         fontWeight: "500",
                       }}
                     >
-                      View More
+                      {loadingMore ? "Loading..." : "View More"}
                     </button>
                   </div>
                 )}
@@ -645,7 +936,23 @@ export default function FindMatchPage() {
           </div>
         )}
       </div>
-      <ScoringInfoModal open={showScoringInfo} onClose={() => setShowScoringInfo(false)} />
+      <ScoringInfoModal
+        open={showScoringInfo}
+        onClose={() => setShowScoringInfo(false)}
+        profile={scoringProfile}
+      />
+      <SavedSearchModal
+        open={showSaveSearch}
+        onClose={() => setShowSaveSearch(false)}
+        onSubmit={handleSaveSearch}
+        initial={saveSearchInitial}
+      />
+      <LitterColorModal
+        open={!!colorPreviewDog}
+        onClose={() => setColorPreviewDog(null)}
+        dogA={selectedDog}
+        dogB={colorPreviewDog}
+      />
     </>
   );
 }
@@ -0,0 +1,337 @@
+import React, { useEffect, useMemo } from "react";
+import { Link, useLocation, useSearchParams } from "react-router-dom";
+import useMatchComparison from "../hooks/useMatchComparison";
+import LoadingState from "../components/LoadingState";
+import { COMPARE_PARAM, parseCompareIds } from "../lib/matchCompare";
+import { MATCH_SEARCH_PARAMS, findMatchUrl } from "../utils/matchFilters";
+import { HEALTH_CLEARANCE_LABELS } from "../utils/healthClearances";
+import { SCORING_COMPONENTS, getScoringProfile } from "../utils/scoringProfiles";
+import { formatCoi } from "../utils/coi";
+import { formatDistance, formatLocation } from "../utils/distance";
+import { declaredComposition, formatComposition } from "../utils/breedComposition";
+import "./FindMatchPage.css";
+import "./MatchComparePage.css";
+
+const COMPONENT_LABELS = {
+  gender: "Gender",
+  breed: "Breed",
+  age: "Age",
+  size: "Size",
+  weight: "Weight",
+  coat: "Coat",
+  color: "Color",
+  temperament: "Temperament",
+  health: "Health",
+};
+
+const DOCUMENT_CATEGORIES = [
+  { category: "pedigree", label: "Pedigree certificate" },
+  { category: "vaccination", label: "Vaccination records" },
+  { category: "dna", label: "DNA test results" },
+  { category: "health", label: "Health test results" },
+];
+
+const UNSAFE_LABELS = {
+  size: "Size gap",
+  weight: "Weight gap",
+  gender: "Same sex",
+  coi: "Litter COI",
+  merle: "Merle × merle",
+};
+
+const FLAG_LABELS = {
+  neither_tested: "Neither dog tested",
+  one_untested: "Only one dog tested",
+};
+
+const text = (value, suffix = "") =>
+  value === null || value === undefined || value === "" ? "—" : `${value}${suffix}`;
+const check = (value) => (value === true ? "✓" : "—");
+const isMale = (dog) => String(dog.gender || dog.sex || "").toLowerCase() === "male";
+
+function formatRate(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  const n = Number(value);
+  if (!Number.isFinite(n)) return "—";
+  // male_success_rate is stored as a 0–1 ratio
+  return `${Math.round(n * 100)}%`;
+}
+
+function documentCount(entry, category) {
+  return entry.documents.filter((doc) => (doc.category || "misc") === category).length;
+}
+
+/**
+ * Row definitions for the comparison table. `value` renders a cell; `rank`, when present,
+ * returns a number (higher is better) used to highlight the leading candidate(s).
+ */
+function buildSections(profile) {
+  return [
+    {
+      title: "Overview",
+      rows: [
+        {
+          label: "Match score",
+          value: (e) => (e.details.unsafe ? "Blocked" : `${e.details.score}%`),
+          rank: (e) => e.details.score,
+        },
+        { label: "Breed", value: (e) => text(e.dog.breed) },
+        {
+          label: "Composition",
+          value: (e) => formatComposition(declaredComposition(e.dog)) || "—",
+        },
+        { label: "Gender", value: (e) => text(e.dog.gender || e.dog.sex) },
+        { label: "Age", value: (e) => text(e.dog.age_years, " years") },
+        { label: "Size", value: (e) => text(e.dog.size) },
+        { label: "Weight", value: (e) => text(e.dog.weight_kg, " kg") },
+        { label: "Location", value: (e) => formatLocation(e.dog) || "—" },
+        {
+          label: "Distance",
+          value: (e) => formatDistance(e.details.distanceKm),
+          rank: (e) => (e.details.distanceKm === null ? null : -e.details.distanceKm),
+        },
+      ],
+    },
+    {
+      title: "Traits",
+      rows: [
+        { label: "Coat type", value: (e) => text(e.dog.coat_type) },
+        { label: "Color", value: (e) => text(e.dog.color) },
+        { label: "Activity level", value: (e) => text(e.dog.activity_level) },
+        { label: "Sociability", value: (e) => text(e.dog.sociability) },
+        { label: "Trainability", value: (e) => text(e.dog.trainability) },
+      ],
+    },
+    {
+      title: "Health clearances",
+      rows: [
+        ...Object.entries(HEALTH_CLEARANCE_LABELS).map(([key, label]) => ({
+          label,
+          value: (e) => check(e.dog[key]),
+        })),
+        {
+          label: "Missing for breed",
+          value: (e) => {
+            const missing = e.details.missingClearances?.dogB || [];
+            return missing.length
+              ? missing.map((key) => HEALTH_CLEARANCE_LABELS[key] || key).join(", ")
+              : "—";
+          },
+        },
+        {
+          label: "Pair flags",
+          value: (e) =>
+            e.details.healthFlags.map((flag) => FLAG_LABELS[flag] || flag).join(", ") || "—",
+        },
+      ],
+    },
+    {
+      title: "Documents on file",
+      rows: DOCUMENT_CATEGORIES.map(({ category, label }) => ({
+        label,
+        value: (e) => {
+          const count = documentCount(e, category);
+          return count ? `✓${count > 1 ? ` (${count})` : ""}` : "—";
+        },
+      })),
+    },
+    {
+      title: "Breeding record",
+      rows: [
+        {
+          label: "Stud success rate",
+          value: (e) => (isMale(e.dog) ? formatRate(e.dog.male_success_rate) : "n/a"),
+        },
+        {
+          label: "Successful matings",
+          value: (e) => (isMale(e.dog) ? "n/a" : text(e.dog.female_successful_matings ?? 0)),
+        },
+        { label: "Completed matches", value: (e) => text(e.dog.match_completed_count ?? 0) },
+      ],
+    },
+    {
+      title: `Score breakdown · ${profile.label}`,
+      rows: [
+        ...SCORING_COMPONENTS.map((key) => ({
+          label: COMPONENT_LABELS[key] || key,
+          value: (e) => `${e.details.breakdown[key]} / ${profile.weights[key]}`,
+          rank: (e) => e.details.breakdown[key],
+        })),
+        { label: "Size deduction", value: (e) => `-${e.details.sizeDeduction}` },
+        { label: "Weight deduction", value: (e) => `-${e.details.weightDeduction}` },
+        { label: "COI deduction", value: (e) => `-${e.details.coiDeduction}` },
+        { label: "Distance deduction", value: (e) => `-${e.details.distanceDeduction}` },
+        {
+          label: "Litter COI",
+          value: (e) => formatCoi(e.details.coi),
+          rank: (e) => (e.details.coi === null ? null : -e.details.coi),
+        },
+        {
+          label: "Hard stops",
+          value: (e) =>
+            e.details.unsafeReasons.map((r) => UNSAFE_LABELS[r] || r).join(", ") || "None",
+        },
+      ],
+    },
+  ];
+}
+
+// Indexes of the entries holding the best rank, or none when every entry ties.
+function leaders(entries, rank) {
+  if (!rank || entries.length < 2) return new Set();
+  const ranks = entries.map(rank);
+  const known = ranks.filter((r) => r !== null && r !== undefined);
+  if (!known.length) return new Set();
+  const best = Math.max(...known);
+  if (known.length === entries.length && known.every((r) => r === best)) return new Set();
+  return new Set(ranks.flatMap((r, i) => (r === best ? [i] : [])));
+}
+
+export default function MatchComparePage() {
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const dogId = searchParams.get(MATCH_SEARCH_PARAMS.dog);
+  const profileId = searchParams.get(MATCH_SEARCH_PARAMS.profile);
+  const candidateIds = useMemo(() => parseCompareIds(searchParams), [searchParams]);
+  const profile = getScoringProfile(profileId);
+  const { comparison, loading, error } = useMatchComparison(dogId, candidateIds, profile.id);
+
+  useEffect(() => {
+    document.title = "Compare Matches 🐾 | DaBreeder";
+  }, []);
+
+  const backTo =
+    location.state?.findMatchSearch !== undefined
+      ? `/find-match${location.state.findMatchSearch}`
+      : dogId
+        ? findMatchUrl({ dogId, profile: profileId })
+        : "/find-match";
+
+  const sections = useMemo(() => buildSections(profile), [profile]);
+  const entries = comparison?.candidates || [];
+
+  const handleRemove = (id) => {
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        const remaining = candidateIds.filter((c) => c !== String(id));
+        if (remaining.length) next.set(COMPARE_PARAM, remaining.join(","));
+        else next.delete(COMPARE_PARAM);
+        return next;
+      },
+      { replace: true, state: location.state }
+    );
+  };
+
+  return (
+    <div className="find-match-container">
+      <div className="header-section">
+        <h1 className="page-title">Compare Matches</h1>
+        <p className="page-description">
+          {comparison?.dog
+            ? `Candidates side by side for ${comparison.dog.name}`
+            : "Candidates side by side"}
+        </p>
+      </div>
+
+      <div className="content-section">
+        <div className="matches-header">
+          <h2 className="section-title">Side-by-side</h2>
+          <Link to={backTo} className="view-profile-btn compare-back-btn">
+            ← Back to matches
+          </Link>
+        </div>
+
+        {!dogId || !candidateIds.length ? (
+          <div className="empty-state">
+            <p>Tick up to four candidates on Find Matches to compare them here.</p>
+            <Link to={backTo} className="primary-btn">
+              Find Matches
+            </Link>
+          </div>
+        ) : loading && !comparison ? (
+          <LoadingState message="Loading candidates..." minHeight={200} />
+        ) : error ? (
+          <div className="error-state">
+            <p>{error.message || "We couldn't load this comparison."}</p>
+          </div>
+        ) : comparison ? (
+          <>
+            {comparison.missingIds.length > 0 && (
+              <p className="compare-note">
+                {comparison.missingIds.length === 1
+                  ? "One candidate is no longer available and was left out."
+                  : `${comparison.missingIds.length} candidates are no longer available and were left out.`}
+              </p>
+            )}
+            <div className="compare-scroll">
+              <table className="compare-table">
+                <thead>
+                  <tr>
+                    <th scope="col" className="compare-label-col">
+                      <span className="sr-only">Attribute</span>
+                    </th>
+                    {entries.map((entry) => (
+                      <th key={entry.dog.id} scope="col" className="compare-dog">
+                        <img
+                          src={entry.dog.image_url || "/shibaPor.jpg"}
+                          alt={entry.dog.name}
+                          className="compare-dog-image"
+                        />
+                        <Link
+                          to={`/dog/${entry.dog.id}`}
+                          state={{
+                            fromFindMatch: true,
+                            findMatchSearch: location.state?.findMatchSearch,
+                          }}
+                          className="compare-dog-name"
+                        >
+                          {entry.dog.name}
+                        </Link>
+                        <button
+                          type="button"
+                          className="compare-remove-btn"
+                          onClick={() => handleRemove(entry.dog.id)}
+                          aria-label={`Remove ${entry.dog.name} from comparison`}
+                        >
+                          Remove
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                {sections.map((section) => (
+                  <tbody key={section.title}>
+                    <tr className="compare-section-row">
+                      <th scope="colgroup" colSpan={entries.length + 1}>
+                        {section.title}
+                      </th>
+                    </tr>
+                    {section.rows.map((row) => {
+                      const best = leaders(entries, row.rank);
+                      return (
+                        <tr key={row.label}>
+                          <th scope="row" className="compare-label-col">
+                            {row.label}
+                          </th>
+                          {entries.map((entry, index) => (
+                            <td
+                              key={entry.dog.id}
+                              className={"compare-cell" + (best.has(index) ? " best" : "")}
+                            >
+                              {row.value(entry)}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                ))}
+              </table>
+            </div>
+          </>
+        ) : null}
+      </div>
+    </div>
+  );
+}
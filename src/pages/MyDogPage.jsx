@@ -1,5 +1,6 @@
 import { useState, useEffect } from "react";
 import MyDogs from "../components/MyDogs";
+import SavedSearches from "../components/SavedSearches";
 import { useAuth } from "../hooks/useAuth";
 import { Navigate, useNavigate } from "react-router-dom";
 import LoadingState from "../components/LoadingState";
@@ -30,7 +31,9 @@ export default function MyDogPage() {
 
   return (
     <div className="flex-1">
-      <MyDogs key={dashboardKey} onAddDog={goToAddDog} userId={user.id} />
+      <MyDogs key={dashboardKey} onAddDog={goToAddDog} userId={user.id}>
+        <SavedSearches userId={user.id} />
+      </MyDogs>
     </div>
   );
 }
@@ -0,0 +1,166 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import useStudListings from "../hooks/useStudListings";
+import LoadingState from "../components/LoadingState";
+import StudTerms from "../components/StudTerms";
+import { PH_PROVINCES } from "../utils/phGazetteer";
+import { formatLocation } from "../utils/distance";
+import {
+  DEFAULT_STUD_FILTERS,
+  STUD_FEE_TYPES,
+  STUD_SERVICE_METHODS,
+  filterStudListings,
+} from "../utils/studListing";
+import "./FindMatchPage.css";
+import "./StudListingsPage.css";
+
+export default function StudListingsPage() {
+  const { listings, loading, error, refetch } = useStudListings();
+  const [filters, setFilters] = useState(DEFAULT_STUD_FILTERS);
+
+  useEffect(() => {
+    document.title = "Stud Listings 🐾 | DaBreeder";
+  }, []);
+
+  const visible = useMemo(() => filterStudListings(listings, filters), [listings, filters]);
+  const update = (patch) => setFilters((f) => ({ ...f, ...patch }));
+
+  return (
+    <div className="find-match-container">
+      <div className="header-section">
+        <h1 className="page-title">Stud Listings</h1>
+        <p className="page-description">Males offered at stud and the terms their owners ask</p>
+      </div>
+
+      <div className="content-section">
+        <div className="stud-filters">
+          <label>
+            Search
+            <input
+              type="search"
+              placeholder="Name or breed"
+              value={filters.search}
+              onChange={(e) => update({ search: e.target.value })}
+            />
+          </label>
+          <label>
+            Terms
+            <select value={filters.feeType} onChange={(e) => update({ feeType: e.target.value })}>
+              <option value="">Any</option>
+              {Object.entries(STUD_FEE_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Service
+            <select value={filters.method} onChange={(e) => update({ method: e.target.value })}>
+              <option value="">Any</option>
+              {Object.entries(STUD_SERVICE_METHODS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Max fee (₱)
+            <input
+              type="number"
+              min="0"
+              step="500"
+              placeholder="Any"
+              value={filters.maxFee ?? ""}
+              onChange={(e) =>
+                update({ maxFee: e.target.value === "" ? null : Number(e.target.value) })
+              }
+            />
+          </label>
+          <label>
+            Available on
+            <input
+              type="date"
+              value={filters.availableOn}
+              onChange={(e) => update({ availableOn: e.target.value })}
+            />
+          </label>
+          <label>
+            Province
+            <select value={filters.province} onChange={(e) => update({ province: e.target.value })}>
+              <option value="">Anywhere</option>
+              {PH_PROVINCES.map((province) => (
+                <option key={province} value={province}>
+                  {province}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            className="stud-filters__reset"
+            onClick={() => setFilters(DEFAULT_STUD_FILTERS)}
+          >
+            Clear filters
+          </button>
+        </div>
+
+        {loading && !listings.length ? (
+          <LoadingState message="Loading stud listings..." minHeight={200} />
+        ) : error ? (
+          <div className="error-state">
+            <p>We couldn't load stud listings.</p>
+            <button type="button" className="primary-btn" onClick={refetch}>
+              Try again
+            </button>
+          </div>
+        ) : !visible.length ? (
+          <div className="empty-state">
+            <p>
+              {listings.length
+                ? "No listings match these filters."
+                : "No males are listed at stud yet."}
+            </p>
+          </div>
+        ) : (
+          <div className="matches-grid">
+            {visible.map((listing) => (
+              <div key={listing.id} className="match-card">
+                <div className="card-image-wrapper">
+                  <img
+                    src={listing.dog.image_url || "/shibaPor.jpg"}
+                    alt={listing.dog.name}
+                    className="match-image"
+                    loading="lazy"
+                  />
+                </div>
+                <div className="card-content">
+                  <h3 className="match-name">{listing.dog.name}</h3>
+                  <div className="match-details">
+                    <div className="detail-item">
+                      <span className="detail-label">Breed</span>
+                      <span className="detail-value capitalize">{listing.dog.breed}</span>
+                    </div>
+                    <div className="detail-item">
+                      <span className="detail-label">Location</span>
+                      <span className="detail-value">{formatLocation(listing.dog) || "—"}</span>
+                    </div>
+                  </div>
+                  <div className="stud-card-terms">
+                    <StudTerms listing={listing} />
+                  </div>
+                  <div className="card-actions">
+                    <Link to={`/dog/${listing.dog.id}`} className="view-profile-btn">
+                      View Profile
+                    </Link>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import { BREEDS } from "../utils/breedRegistry";
+import { compositionTotal, formatComposition } from "../utils/breedComposition";
+
+/**
+ * Optional breed composition for crossbreeds, e.g. 50% Labrador Retriever / 25% Poodle. Shares
+ * left unassigned count as unknown ancestry. Rows without a breed or a share are not stored.
+ */
+export default function BreedCompositionFields({ value, onChange }) {
+  const rows = Array.isArray(value) ? value : [];
+  const [open, setOpen] = useState(rows.length > 0);
+  const total = compositionTotal(rows);
+  const filled = rows.filter((row) => row.breed_id && Number(row.percent) > 0);
+
+  const updateRow = (index, patch) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+  };
+  const addRow = () => onChange([...rows, { breed_id: "", percent: Math.max(100 - total, 0) }]);
+  const removeRow = (index) => onChange(rows.filter((_, i) => i !== index));
+
+  return (
+    <div className="check-block">
+      <h4 className="check-section-title">
+        <button type="button" onClick={() => setOpen((v) => !v)} aria-expanded={open}>
+          {open ? "▾" : "▸"} Breed Composition (Crossbreeds, Optional)
+          {filled.length > 0 ? ` · ${formatComposition(filled)}` : ""}
+        </button>
+      </h4>
+      {open && (
+        <>
+          <p className="text-xs text-slate-500">
+            For Aspins, doodles and other crosses, list the breeds you know and their share.
+            Whatever is left of 100% counts as unknown. Matching compares how much ancestry two dogs
+            share.
+          </p>
+          {rows.map((row, index) => (
+            <div key={index} className="form-row">
+              <div className="field" style={{ flex: 2 }}>
+                <label htmlFor={`composition-breed-${index}`}>Breed</label>
+                <select
+                  id={`composition-breed-${index}`}
+                  className="select-input"
+                  value={row.breed_id || ""}
+                  onChange={(e) => updateRow(index, { breed_id: e.target.value })}
+                >
+                  <option value="">Select breed</option>
+                  {BREEDS.map((breed) => (
+                    <option key={breed.id} value={breed.id}>
+                      {breed.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field" style={{ flex: 1 }}>
+                <label htmlFor={`composition-percent-${index}`}>Share (%)</label>
+                <input
+                  id={`composition-percent-${index}`}
+                  type="number"
+                  min="1"
+                  max="100"
+                  step="1"
+                  className="text-input"
+                  value={row.percent ?? ""}
+                  onChange={(e) => updateRow(index, { percent: e.target.value })}
+                />
+              </div>
+              <button
+                type="button"
+                className="add-more-btn self-end"
+                onClick={() => removeRow(index)}
+                aria-label="Remove breed"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center justify-between gap-2 text-xs">
+            <button type="button" className="add-more-btn" onClick={addRow} disabled={total >= 100}>
+              + Add breed
+            </button>
+            <span className={total > 100 ? "field-error" : "text-slate-500"}>
+              {total > 100
+                ? `Shares add up to ${total}%, more than 100%.`
+                : `Unknown: ${100 - total}%`}
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
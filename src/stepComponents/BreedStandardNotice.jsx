@@ -0,0 +1,45 @@
+import React from "react";
+import { checkBreedStandard, resolveBreed } from "../utils/breedRegistry";
+
+/**
+ * Typical size and weight for the selected breed, with a warning when the entered values fall
+ * outside it. With `showOverride` the owner can confirm the values are correct; the form
+ * refuses to save out-of-standard values until they do.
+ */
+export default function BreedStandardNotice({ data, updateField, showOverride = false }) {
+  const breed = resolveBreed(data.breed_id || data.breed);
+  if (!breed) return null;
+  const warnings = checkBreedStandard(data);
+
+  return (
+    <div className="mt-2 text-xs">
+      <p className="text-slate-500">
+        Breed standard: {breed.weightKg.min}–{breed.weightKg.max} kg · {breed.sizes.join(" or ")}
+      </p>
+      {warnings.length > 0 && (
+        <div
+          role="alert"
+          className="mt-2 rounded-lg border border-amber-300 bg-amber-50 p-3 text-amber-800"
+        >
+          <ul className="list-disc pl-4 space-y-1">
+            {warnings.map((warning) => (
+              <li key={warning.field}>{warning.message}</li>
+            ))}
+          </ul>
+          {showOverride && (
+            <label className="mt-2 flex items-start gap-2 font-medium">
+              <input
+                type="checkbox"
+                checked={data.breed_standard_override === true}
+                onChange={(e) => updateField("breed_standard_override", e.target.checked)}
+              />
+              <span>
+                These measurements are correct. Save anyway; our team may review the profile.
+              </span>
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { COLOR_LOCI, genotypeOptions } from "../utils/colorGenetics";
+
+/**
+ * Optional per-locus coat color genotype inputs. Loci left on "Unknown" are not stored.
+ */
+export default function ColorGenotypeFields({ value, onChange }) {
+  const genotype = value && typeof value === "object" ? value : {};
+  const knownCount = COLOR_LOCI.filter((locus) => genotype[locus.id]).length;
+  const [open, setOpen] = useState(knownCount > 0);
+
+  const handleLocusChange = (locusId, next) => {
+    const updated = { ...genotype };
+    if (next) updated[locusId] = next;
+    else delete updated[locusId];
+    onChange(updated);
+  };
+
+  return (
+    <div className="check-block">
+      <h4 className="check-section-title">
+        <button type="button" onClick={() => setOpen((v) => !v)} aria-expanded={open}>
+          {open ? "▾" : "▸"} Color Genetics (Optional)
+          {knownCount > 0 ? ` · ${knownCount} of ${COLOR_LOCI.length} loci known` : ""}
+        </button>
+      </h4>
+      {open && (
+        <>
+          <p className="text-xs text-slate-500">
+            Enter genotypes from a DNA color test. Leave a locus on "Unknown" if it hasn't been
+            tested; litter predictions will say which loci are missing instead of guessing.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {COLOR_LOCI.map((locus) => (
+              <div key={locus.id} className="field">
+                <label htmlFor={`color-locus-${locus.id}`}>
+                  {locus.id} · {locus.name}
+                </label>
+                <select
+                  id={`color-locus-${locus.id}`}
+                  className="select-input"
+                  value={genotype[locus.id] || ""}
+                  onChange={(e) => handleLocusChange(locus.id, e.target.value)}
+                  title={locus.help}
+                >
+                  <option value="">Unknown</option>
+                  {genotypeOptions(locus.id).map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,221 +1,9 @@
 import React, { useState, useRef } from "react";
-
-// Complete list of dog breeds organized by groups
-const allBreeds = [
-  // Herding Group
-  "Australian Cattle Dog",
-  "Australian Kelpie",
-  "Australian Shepherd",
-  "Bearded Collie",
-  "Beauceron",
-  "Belgian Laekenois",
-  "Belgian Malinois",
-  "Belgian Sheepdog",
-  "Belgian Tervuren",
-  "Berger Picard (Berger Picard)",
-  "Border Collie",
-  "Briard",
-  "Catalan Sheepdog",
-  "Collie (Rough)",
-  "Czeslovakan Wolfdog",
-  "Dutch Shepherd",
-  "German Shepherd Dog",
-  "Hrvatski Ovcar (Croatian Sheepdog)",
-  "Komondor",
-  "Kuvasz",
-  "Old English Sheepdog",
-  "Puli",
-  "Pumi",
-  "Saarloos Wolfdog",
-  "Shetland Sheepdog",
-  "Schipperke",
-  "Welsh Corgi Cardigan",
-  "Welsh Corgi Pembroke",
-
-  // Working Group
-  "Anatolian Shepherd Dog",
-  "Bernese Mountain Dog",
-  "Boxer",
-  "Bulldog",
-  "Bullmastiff",
-  "Caucasian Shepherd Dog",
-  "Central Asia Shepherd Dog",
-  "Chinese Shar-Pei",
-  "Dobermann",
-  "Dogo Argentino",
-  "Dogo Canario",
-  "Dogo de Bordeaux",
-  "Fila Brasileiro",
-  "Giant Schnauzer",
-  "Great Dane",
-  "Great Pyrenees",
-  "Mastiff",
-  "Miniature Pinscher",
-  "Miniature Schnauzer",
-  "Neapolitan Mastiff",
-  "Newfoundland",
-  "Rottweiler",
-  "St Bernard",
-  "Tosa Inu",
-
-  // Terrier Group
-  "Airedale Terrier",
-  "Am Staffordshire Terrier",
-  "Australian Terrier",
-  "Bedlington Terrier",
-  "Border Terrier",
-  "Bull Terrier",
-  "Cairn Terrier",
-  "Dandie Dinmont Terrier",
-  "Fox Terrier (Smooth)",
-  "Fox Terrier (Wirehaired)",
-  "Irish Terrier",
-  "Jack Russell Terrier",
-  "Kerry Blue Terrier",
-  "Lakeland Terrier",
-  "Manchester Terrier",
-  "Miniature Bull Terrier",
-  "Norwich Terrier",
-  "Parson Russell Terrier",
-  "Scottish Terrier",
-  "Sealyham Terrier",
-  "Skye Terrier",
-  "Welsh Terrier",
-  "West Highland White Terrier",
-  "Yorkshire Terrier",
-
-  // Dachshund Group
-  "Dachshund (Std-Smooth)",
-  "Dachshund (Std-Wirehaired)",
-
-  // Spitz Group
-  "Akita",
-  "Alaskan Malamute",
-  "Basenji",
-  "Chow Chow",
-  "German Spitz",
-  "Gronlandshund (Greenland Dog)",
-  "Japanese Spitz",
-  "Keeshond",
-  "Norwegian Elkhound",
-  "Pomeranian",
-  "Samoyed",
-  "Shiba Inu",
-  "Siberian Husky",
-
-  // Hounds
-  "Alpine Dachsbracke",
-  "American Foxhound",
-  "Basset Artesien Normand (Artesian-Norman Basset)",
-  "Basset Bleu de Gascogne (Blue Gascony Basset)",
-  "Basset Fauve de Bretagne (Fawn Brittany Basset)",
-  "Basset Hound",
-  "Bavarian Mountain Scenthound",
-  "Beagle",
-  "Billy",
-  "Black and Tan Coonhound",
-  "Bloodhound",
-  "Dalmatian",
-  "Deutsche Bracke (German Hound)",
-  "Drever (Swedish Dachsbracke)",
-  "Dunker (Norwegian Hound)",
-  "English Foxhound",
-  "Grand Basset Griffon Vendeen",
-  "Grand Griffon Vendeen",
-  "Hamiltonstovare (Hamilton Hound)",
-  "Hanoverian Scenthound",
-  "Harrier",
-  "Italian Hound",
-  "Ogar Polski (Polish Hound)",
-  "Otterhound",
-  "Petit Basset Griffon Vendeen (Petit Basset Griffon Vendeen)",
-  "Petit Chien Courant Suisse (Small Swiss Hound)",
-  "Rhodesian Ridgeback",
-  "Schillerstovare (Schiller Hound)",
-  "Serbian Hound",
-  "Serbian Tri Color Hound",
-  "Slovensky Kopov (Slovakian Hound)",
-  "Smalandstovare (Smaland Hound)",
-  "Spanish Hound",
-  "Suomenajokoira (Finnish Hound)",
-  "Swiss Hound",
-  "Westphalian Dachsbracke",
-
-  // Pointing Dogs
-  "Bracco Italiano (Italian Pointing Dogs)",
-  "Brittany Spaniel",
-  "English Pointer",
-  "English Setter",
-  "German Shorthaired Pointer",
-  "German Wirehaired Pointer",
-  "Gordon Setter",
-  "Griffon, Wirehaired Pointer",
-  "Irish Setter",
-  "Irish Red & White Setter",
-  "Pointer",
-  "Vizsla",
-  "Weimaraner",
-
-  // Retrievers & Water Dogs
-  "Am Cocker Spaniel",
-  "American Water Spaniel",
-  "Barbet (French Water Dog)",
-  "Chesapeake Bay Retriever",
-  "Clumber Spaniel",
-  "Curly Coated Retriever",
-  "Deutscher Wachtelhund (German Spaniel)",
-  "English Cocker Spaniel",
-  "English Springer Spaniel",
-  "Field Spaniel",
-  "Flat Coated Retriever",
-  "Golden Retriever",
-  "Irish Water Spaniel",
-  "Labrador Retriever",
-  "Lagotto Romagnolo (Romagna Water Dog)",
-  "Dederlandse Kooikerhondje",
-  "Nova Scotia Duck Tolling Retriever",
-  "Perro de Agua Español (Spanish Waterdog)",
-  "Portuguese Water Dog",
-  "Sussex Spaniel",
-  "Welsh Springer Spaniel",
-  "Wetterhound (Frisian Water Dog)",
-
-  // Toy & Companion Dogs
-  "Affenpinscher",
-  "Aspin",
-  "Bichon Frise",
-  "Bolognese",
-  "Boston Terrier",
-  "Coton de Tulear",
-  "Cavalier King Charles Spaniel",
-  "Chihuahua",
-  "Chinese Crested Dog",
-  "French Bulldog",
-  "Griffon (Brussels)",
-  "Havanese",
-  "Japanese Chin",
-  "Lhasa Apso",
-  "Maltese",
-  "Papillon",
-  "Pekingese",
-  "Poodle",
-  "Pug",
-  "Shih Tzu",
-
-  // Sight Hounds
-  "Afghan Hound",
-  "Azawakh",
-  "Borzoi",
-  "Chart Polski (Polish Greyhound)",
-  "Deerhound",
-  "Galgo Español (Spanish Greyhound)",
-  "Irish Wolfhound",
-  "Italian Greyhound",
-  "Magyar Agar (Hungarian Greyhound)",
-  "Saluki",
-  "Sloughi (Arabian Greyhound)",
-  "Whippet",
-].sort();
+import { PH_PROVINCES, citiesForProvince } from "../utils/phGazetteer";
+import { searchBreeds } from "../utils/breedRegistry";
+import { breedingAgeRange } from "../utils/welfareRules";
+import BreedStandardNotice from "./BreedStandardNotice";
+import BreedCompositionFields from "./BreedCompositionFields";
 
 export default function Step1DogInfo({
   data,
@@ -229,10 +17,12 @@ export default function Step1DogInfo({
   const fileInputRef = useRef(null);
   const breedContainerRef = useRef(null);
 
-  // Filter breeds based on search
-  const filteredBreeds = allBreeds.filter((breed) =>
-    breed.toLowerCase().includes(breedSearch.toLowerCase())
-  );
+  const cityOptions = citiesForProvince(data.province);
+  const ageRange = breedingAgeRange(data);
+  if (data.city && !cityOptions.includes(data.city)) cityOptions.unshift(data.city);
+
+  // Search the breed registry by name, alias or common misspelling
+  const filteredBreeds = searchBreeds(breedSearch);
 
   // Close dropdown when clicking outside
   React.useEffect(() => {
@@ -248,7 +38,8 @@ export default function Step1DogInfo({
   }, []);
 
   const handleBreedSelect = (breed) => {
-    updateField("breed", breed);
+    updateField("breed", breed.name);
+    updateField("breed_id", breed.id);
     setBreedSearch("");
     setShowBreedDropdown(false);
   };
@@ -311,8 +102,8 @@ export default function Step1DogInfo({
           <input
             id="dog-age-years"
             type="number"
-            min="2"
-            max="7"
+            min={ageRange.min}
+            max={ageRange.max}
             step="1"
             className="text-input"
             value={data.age_years || ""}
@@ -320,7 +111,9 @@ export default function Step1DogInfo({
               const v = e.target.value;
               if (v === "") return updateField("age_years", "");
               const n = parseInt(v, 10);
-              if (!isNaN(n) && n >= 2 && n <= 7) updateField("age_years", String(n));
+              if (!isNaN(n) && n >= ageRange.min && n <= ageRange.max) {
+                updateField("age_years", String(n));
+              }
             }}
             placeholder="Enter dog age"
           />
@@ -345,6 +138,7 @@ export default function Step1DogInfo({
                 setShowBreedDropdown(true);
                 if (data.breed && e.target.value !== "") {
                   updateField("breed", "");
+                  updateField("breed_id", "");
                 }
               }}
               onFocus={() => {
@@ -352,6 +146,7 @@ export default function Step1DogInfo({
                 if (data.breed) {
                   setBreedSearch("");
                   updateField("breed", "");
+                  updateField("breed_id", "");
                 }
               }}
               style={{
@@ -364,12 +159,12 @@ export default function Step1DogInfo({
                   <>
                     {filteredBreeds.slice(0, 10).map((breed) => (
                       <button
-                        key={breed}
+                        key={breed.id}
                         type="button"
                         className="breed-option"
                         onClick={() => handleBreedSelect(breed)}
                       >
-                        {breed}
+                        {breed.name}
                       </button>
                     ))}
                     {filteredBreeds.length > 10 && (
@@ -385,6 +180,55 @@ export default function Step1DogInfo({
               </div>
             )}
           </div>
+          <BreedStandardNotice data={data} updateField={updateField} />
+        </div>
+      </div>
+
+      <BreedCompositionFields
+        value={data.breed_composition}
+        onChange={(next) => updateField("breed_composition", next)}
+      />
+
+      {/* Location: used for match distance, resolved offline through the PH gazetteer */}
+      <div className="form-row">
+        <div className="field">
+          <label htmlFor="dog-province">Province</label>
+          <select
+            id="dog-province"
+            className="select-input"
+            value={data.province || ""}
+            onChange={(e) => {
+              updateField("province", e.target.value);
+              updateField("city", "");
+            }}
+          >
+            <option value="">Select province</option>
+            {PH_PROVINCES.map((province) => (
+              <option key={province} value={province}>
+                {province}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="field">
+          <label htmlFor="dog-city">City / Municipality</label>
+          <select
+            id="dog-city"
+            className="select-input"
+            value={data.city || ""}
+            disabled={!data.province}
+            onChange={(e) => updateField("city", e.target.value)}
+          >
+            <option value="">
+              {data.province ? "Other / not listed" : "Select a province first"}
+            </option>
+            {cityOptions.map((city) => (
+              <option key={city} value={city}>
+                {city}
+              </option>
+            ))}
+          </select>
         </div>
       </div>
 
@@ -1,6 +1,6 @@
 import React from "react";
 
-export default function Step2Health({ data, updateCheckbox }) {
+export default function Step2Health({ data, updateCheckbox, updateField }) {
   return (
     <div className="step step-2">
       {/* Primary Health Certifications */}
@@ -14,6 +14,19 @@ export default function Step2Health({ data, updateCheckbox }) {
           />{" "}
           Pedigree Certified
         </label>
+        {updateField && (
+          <div className="field">
+            <label htmlFor="dog-registration-number">Registration Number (Optional)</label>
+            <input
+              id="dog-registration-number"
+              type="text"
+              className="text-input"
+              value={data.registration_number || ""}
+              onChange={(e) => updateField("registration_number", e.target.value)}
+              placeholder="e.g. PCCI or kennel club registration"
+            />
+          </div>
+        )}
         <label className="check-item">
           <input
             type="checkbox"
@@ -7,6 +7,8 @@ import {
   sociabilityOptions,
   trainabilityOptions,
 } from "../utils/traitOptions";
+import ColorGenotypeFields from "./ColorGenotypeFields";
+import BreedStandardNotice from "./BreedStandardNotice";
 
 function Select({ label, value, onChange, options, placeholder = "Select..." }) {
   return (
@@ -80,6 +82,8 @@ export default function Step3Traits({ data, updateField, errors = {} }) {
             )}
         </div>
       </div>
+      <BreedStandardNotice data={data} updateField={updateField} showOverride />
+      {errors.breed_standard && <div className="field-error">{errors.breed_standard}</div>}
 
       {/* Coat and Color */}
       <div className="form-row">
@@ -107,6 +111,11 @@ export default function Step3Traits({ data, updateField, errors = {} }) {
         </div>
       </div>
 
+      <ColorGenotypeFields
+        value={data.color_genotype}
+        onChange={(next) => updateField("color_genotype", next)}
+      />
+
       {/* Behavioral Traits */}
       <div className="field">
         <Select
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import {
+  compositionFor,
+  compositionOverlap,
+  formatComposition,
+  isMixedComposition,
+  normalizeComposition,
+} from "../breedComposition";
+
+describe("breedComposition", () => {
+  it("normalizes ids, merges duplicates and drops empty rows", () => {
+    expect(
+      normalizeComposition([
+        { breed_id: "Poodle", percent: "25" },
+        { breed_id: "labrador_retriever", percent: 50 },
+        { breed_id: "poodle", percent: 10 },
+        { breed_id: "", percent: 15 },
+        { breed_id: "maltese", percent: 0 },
+      ])
+    ).toEqual([
+      { breed_id: "labrador_retriever", percent: 50 },
+      { breed_id: "poodle", percent: 35 },
+    ]);
+  });
+
+  it("rejects shares over 100%", () => {
+    expect(() =>
+      normalizeComposition([
+        { breed_id: "poodle", percent: 60 },
+        { breed_id: "maltese", percent: 50 },
+      ])
+    ).toThrow(/more than 100%/);
+  });
+
+  it("falls back to the dog's single breed", () => {
+    expect(compositionFor({ breed: "Lab" })).toEqual([
+      { breed_id: "labrador_retriever", percent: 100 },
+    ]);
+    expect(compositionFor({ breed: "Snow Unicorn" })).toEqual([]);
+    expect(isMixedComposition(compositionFor({ breed: "Lab" }))).toBe(false);
+    expect(isMixedComposition([{ breed_id: "poodle", percent: 75 }])).toBe(true);
+  });
+
+  it("measures shared ancestry by breed and by group", () => {
+    const doodle = [
+      { breed_id: "labrador_retriever", percent: 50 },
+      { breed_id: "poodle", percent: 25 },
+    ];
+    const golden = [{ breed_id: "golden_retriever", percent: 100 }];
+    expect(compositionOverlap(doodle, doodle)).toEqual({ breed: 0.75, group: 0.75 });
+    expect(compositionOverlap(doodle, golden)).toEqual({ breed: 0, group: 0.5 });
+    expect(formatComposition(doodle)).toBe("50% Labrador Retriever · 25% Poodle · 25% unknown");
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from "vitest";
+import {
+  BREEDS,
+  breedDisplayName,
+  checkBreedStandard,
+  getBreedGroup,
+  normalizeBreedKey,
+  resolveBreedId,
+  searchBreeds,
+  sizeForWeight,
+} from "../breedRegistry";
+
+describe("resolveBreedId", () => {
+  it("resolves ids, names and aliases to the canonical id", () => {
+    expect(resolveBreedId("labrador_retriever")).toBe("labrador_retriever");
+    expect(resolveBreedId("Labrador Retriever")).toBe("labrador_retriever");
+    expect(resolveBreedId("Lab")).toBe("labrador_retriever");
+    expect(resolveBreedId("St. Bernard")).toBe("saint_bernard");
+    expect(resolveBreedId("Am Staffordshire Terrier")).toBe("american_staffordshire_terrier");
+  });
+
+  it("resolves the misspellings stored by the old breed picker", () => {
+    expect(resolveBreedId("Dederlandse Kooikerhondje")).toBe("nederlandse_kooikerhondje");
+    expect(resolveBreedId("Czeslovakan Wolfdog")).toBe("czechoslovakian_wolfdog");
+  });
+
+  it("ignores case, accents and punctuation", () => {
+    expect(normalizeBreedKey("  Löwchen!  ")).toBe("lowchen");
+    expect(resolveBreedId("saint-BERNARD")).toBe("saint_bernard");
+  });
+
+  it("returns null for breeds it doesn't know", () => {
+    expect(resolveBreedId("Snow Unicorn")).toBeNull();
+    expect(resolveBreedId("")).toBeNull();
+    expect(breedDisplayName("Snow Unicorn")).toBe("Snow Unicorn");
+  });
+});
+
+describe("breed metadata", () => {
+  it("keeps matcher groups for legacy strings", () => {
+    expect(getBreedGroup("dederlandse kooikerhondje")).toBe("sporting");
+    expect(getBreedGroup("Aspin")).toBe("native");
+  });
+
+  it("derives the size options from the standard weight range", () => {
+    expect(sizeForWeight(9.9)).toBe("small");
+    expect(sizeForWeight(10)).toBe("medium");
+    expect(sizeForWeight(0)).toBeNull();
+    const lab = BREEDS.find((b) => b.id === "labrador_retriever");
+    expect(lab.sizes).toEqual(["large"]);
+    const aspin = BREEDS.find((b) => b.id === "aspin");
+    expect(aspin.sizes).toEqual(["small", "medium"]);
+  });
+
+  it("has unique ids and no alias claimed by two breeds", () => {
+    const ids = BREEDS.map((b) => b.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    const owners = new Map();
+    BREEDS.forEach((breed) => {
+      [breed.name, ...breed.aliases].forEach((label) => {
+        const key = normalizeBreedKey(label);
+        expect(owners.get(key) ?? breed.id).toBe(breed.id);
+        owners.set(key, breed.id);
+      });
+    });
+  });
+});
+
+describe("searchBreeds", () => {
+  it("lists name prefixes before other matches, including aliases", () => {
+    const results = searchBreeds("lab").map((b) => b.id);
+    expect(results[0]).toBe("labrador_retriever");
+    expect(searchBreeds("askal").map((b) => b.id)).toEqual(["aspin"]);
+  });
+});
+
+describe("checkBreedStandard", () => {
+  it("warns when weight or size falls outside the breed standard", () => {
+    const warnings = checkBreedStandard({ breed: "Chihuahua", size: "large", weight_kg: "40" });
+    expect(warnings.map((w) => w.field)).toEqual(["weight_kg", "size"]);
+    expect(warnings[0].message).toMatch(/40 kg is outside the typical Chihuahua range/);
+  });
+
+  it("allows some margin around the standard range", () => {
+    expect(checkBreedStandard({ breed: "Labrador", size: "large", weight_kg: 38 })).toEqual([]);
+    expect(checkBreedStandard({ breed: "Labrador", weight_kg: 44 })).toHaveLength(1);
+  });
+
+  it("skips unknown breeds and missing values", () => {
+    expect(checkBreedStandard({ breed: "Snow Unicorn", size: "giant", weight_kg: 2 })).toEqual([]);
+    expect(checkBreedStandard({ breed: "Chihuahua", size: "", weight_kg: "" })).toEqual([]);
+  });
+});
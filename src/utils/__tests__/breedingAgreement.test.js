@@ -0,0 +1,153 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_AGREEMENT_TERMS,
+  agreementApprovals,
+  agreementClauses,
+  agreementDogNames,
+  normalizeAgreementTerms,
+  renderAgreementHtml,
+  sameAgreementTerms,
+  termsFromStudListing,
+  validateAgreementTerms,
+} from "../breedingAgreement";
+
+const match = { id: "m1", requester_user_id: "u1", requested_user_id: "u2" };
+
+const agreement = (patch = {}) => ({
+  version: 2,
+  terms: { ...DEFAULT_AGREEMENT_TERMS, stud_fee: 15000, puppies_owed: 1 },
+  requester_approved_version: null,
+  responder_approved_version: null,
+  ...patch,
+});
+
+describe("termsFromStudListing", () => {
+  it("carries the fee, pick and clearances over from the listing", () => {
+    const terms = termsFromStudListing({
+      fee_type: "fee_and_pick",
+      fee_amount: 20000,
+      pick_terms: "First pick male",
+      required_clearances: ["hip_elbow_tested"],
+    });
+    expect(terms.stud_fee).toBe(20000);
+    expect(terms.puppies_owed).toBe(1);
+    expect(terms.pick_terms).toBe("First pick male");
+    expect(terms.health_guarantees).toEqual(["hip_elbow_tested"]);
+  });
+
+  it("falls back to the template without a listing", () => {
+    expect(termsFromStudListing(null)).toEqual(DEFAULT_AGREEMENT_TERMS);
+  });
+});
+
+describe("validateAgreementTerms", () => {
+  it("accepts the template", () => {
+    expect(validateAgreementTerms(DEFAULT_AGREEMENT_TERMS)).toBeNull();
+  });
+
+  it("rejects bad values", () => {
+    expect(validateAgreementTerms({ ...DEFAULT_AGREEMENT_TERMS, stud_fee: -1 })).toMatch(/fee/);
+    expect(validateAgreementTerms({ ...DEFAULT_AGREEMENT_TERMS, puppies_owed: 1.5 })).toMatch(
+      /Puppies owed/
+    );
+    expect(
+      validateAgreementTerms({ ...DEFAULT_AGREEMENT_TERMS, return_service_terms: " " })
+    ).toMatch(/return service/);
+    expect(
+      validateAgreementTerms({ ...DEFAULT_AGREEMENT_TERMS, health_guarantees: ["x"] })
+    ).toMatch(/Unknown/);
+  });
+
+  it("normalizes numbers and drops return terms when there is no return service", () => {
+    const terms = normalizeAgreementTerms({
+      ...DEFAULT_AGREEMENT_TERMS,
+      stud_fee: "12000",
+      puppies_owed: "2",
+      return_service: false,
+    });
+    expect(terms.stud_fee).toBe(12000);
+    expect(terms.puppies_owed).toBe(2);
+    expect(terms.return_service_terms).toBe("");
+  });
+
+  it("treats terms that normalize the same as unchanged", () => {
+    const stored = normalizeAgreementTerms({
+      ...DEFAULT_AGREEMENT_TERMS,
+      stud_fee: 12000,
+      pick_terms: "First pick male",
+    });
+    expect(
+      sameAgreementTerms(stored, {
+        ...DEFAULT_AGREEMENT_TERMS,
+        stud_fee: "12000",
+        pick_terms: " First pick male ",
+      })
+    ).toBe(true);
+    expect(sameAgreementTerms(stored, { ...stored, stud_fee: 15000 })).toBe(false);
+    expect(sameAgreementTerms(null, stored)).toBe(false);
+  });
+});
+
+describe("agreementApprovals", () => {
+  it("only counts approvals of the current version", () => {
+    const state = agreementApprovals(
+      agreement({ requester_approved_version: 1, responder_approved_version: 2 }),
+      match,
+      "u1"
+    );
+    expect(state).toEqual({
+      version: 2,
+      approvedByMe: false,
+      approvedByPartner: true,
+      final: false,
+    });
+  });
+
+  it("is final once both owners approved the same version", () => {
+    const state = agreementApprovals(
+      agreement({ requester_approved_version: 2, responder_approved_version: 2 }),
+      match,
+      "u2"
+    );
+    expect(state.final).toBe(true);
+  });
+});
+
+describe("agreement documents", () => {
+  it("names the stud and dam and writes the clauses", () => {
+    const names = agreementDogNames({
+      myDog: { name: "Bella", gender: "Female" },
+      partnerDog: { name: "Rex", gender: "male" },
+    });
+    expect(names).toEqual({ studName: "Rex", damName: "Bella" });
+    const clauses = agreementClauses(agreement().terms, names);
+    expect(clauses.map((c) => c.title)).toEqual([
+      "Stud fee",
+      "Puppies owed",
+      "Return service",
+      "Health guarantees",
+    ]);
+    expect(clauses[0].text).toContain("₱15,000");
+    expect(clauses[1].text).toContain("1 puppy");
+  });
+
+  it("marks unapproved versions as drafts and escapes text", () => {
+    const html = renderAgreementHtml(
+      agreement({ terms: { ...agreement().terms, additional_terms: "<b>No resale</b>" } }),
+      { studName: "Rex", damName: "Bella" }
+    );
+    expect(html).toContain("DRAFT");
+    expect(html).toContain("&lt;b&gt;No resale&lt;/b&gt;");
+
+    const final = renderAgreementHtml(
+      agreement({
+        requester_approved_version: 2,
+        responder_approved_version: 2,
+        requester_approved_at: "2026-10-01T12:00:00Z",
+        responder_approved_at: "2026-10-02T12:00:00Z",
+      }),
+      { studName: "Rex", damName: "Bella" }
+    );
+    expect(final).toContain("Approved by both owners on October 2, 2026 (version 2).");
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { calculateLitterCoi, formatCoi } from "../coi";
+import { buildPedigreeTree } from "../pedigree";
+import { calculateMatchDetails } from "../matchmaking";
+
+// Flat rows keyed like the `dogs` table; parents are registered dogs.
+const rows = {
+  1: { id: 1, name: "Grandsire", gender: "male" },
+  2: { id: 2, name: "Granddam A", gender: "female" },
+  3: { id: 3, name: "Granddam B", gender: "female" },
+  4: { id: 4, name: "Sire", gender: "male", sire_id: 1, dam_id: 2 },
+  5: { id: 5, name: "Dam", gender: "female", sire_id: 1, dam_id: 3 },
+  6: { id: 6, name: "Full sister", gender: "female", sire_id: 1, dam_id: 2 },
+  7: { id: 7, name: "Outcross", gender: "female" },
+  8: { id: 8, name: "Son", gender: "male", sire_id: 4, dam_id: 7 },
+  9: { id: 9, name: "Daughter", gender: "female", sire_id: 4, dam_id: 7 },
+  10: { id: 10, name: "Inbred son", gender: "male", sire_id: 8, dam_id: 9 },
+};
+const lookup = (ref) => rows[ref.id] || null;
+const tree = (id) => buildPedigreeTree({ kind: "dog", id }, lookup);
+
+const baseDog = { size: "medium", weight_kg: 20, breed: "Beagle", age_years: 3 };
+
+describe("coi utils", () => {
+  it("returns null when a pedigree is missing", () => {
+    expect(calculateLitterCoi(tree(4), null)).toBeNull();
+  });
+
+  it("is zero for unrelated dogs", () => {
+    expect(calculateLitterCoi(tree(4), tree(7)).coi).toBe(0);
+  });
+
+  it("gives 12.5% for half-siblings", () => {
+    const result = calculateLitterCoi(tree(4), tree(5));
+    expect(result.coi).toBeCloseTo(0.125);
+    expect(result.commonAncestors.map((a) => a.name)).toEqual(["Grandsire"]);
+  });
+
+  it("gives 25% for full siblings", () => {
+    expect(calculateLitterCoi(tree(4), tree(6)).coi).toBeCloseTo(0.25);
+  });
+
+  it("accounts for an inbred common ancestor", () => {
+    // Son x Daughter are full siblings, so the inbred son has F = 0.25.
+    // Inbred son x Daughter: kinship = (f(Son, Daughter) + f(Daughter, Daughter)) / 2
+    //   = (0.25 + 0.5) / 2 = 0.375
+    expect(calculateLitterCoi(tree(10), tree(9)).coi).toBeCloseTo(0.375);
+  });
+
+  it("formats COI as a percentage", () => {
+    expect(formatCoi(null)).toBe("Unknown");
+    expect(formatCoi(0)).toBe("0%");
+    expect(formatCoi(0.125)).toBe("12.5%");
+    expect(formatCoi(0.03125)).toBe("3.13%");
+  });
+
+  it("blocks half-sibling pairs in matchmaking by default", () => {
+    const sire = { ...baseDog, gender: "male", pedigree: tree(4) };
+    const dam = { ...baseDog, gender: "female", pedigree: tree(5) };
+    const details = calculateMatchDetails(sire, dam);
+    expect(details.unsafe).toBe(true);
+    expect(details.unsafeReasons).toContain("coi");
+    expect(details.score).toBe(0);
+  });
+
+  it("penalizes instead of blocking when configured", () => {
+    const sire = { ...baseDog, gender: "male", pedigree: tree(4) };
+    const dam = { ...baseDog, gender: "female", pedigree: tree(5) };
+    const outcross = { ...baseDog, gender: "female", pedigree: tree(7) };
+    const options = { coi: { mode: "penalize", penalty: 30 } };
+    const related = calculateMatchDetails(sire, dam, options);
+    const unrelated = calculateMatchDetails(sire, outcross, options);
+    expect(related.unsafe).toBe(false);
+    expect(related.coiDeduction).toBe(30);
+    expect(unrelated.score - related.score).toBe(30);
+  });
+});
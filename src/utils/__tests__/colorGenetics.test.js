@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { isDoubleMerleRisk, parseGenotype, predictLitterColors } from "../colorGenetics";
+import { calculateMatchDetails } from "../matchmaking";
+
+const probabilityOf = (colors, label) => colors.find((c) => c.label === label)?.probability || 0;
+
+describe("colorGenetics", () => {
+  it("normalises allele order by dominance", () => {
+    expect(parseGenotype("A", "at/Ay")).toEqual(["Ay", "at"]);
+    expect(parseGenotype("E", "E/x")).toBeNull();
+  });
+
+  it("follows Mendelian ratios for a carrier × carrier cross", () => {
+    const carrier = { color_genotype: { E: "E/e", K: "KB/KB" } };
+    const { colors, unknownLoci } = predictLitterColors(carrier, carrier);
+    expect(probabilityOf(colors, "Red/Yellow")).toBeCloseTo(0.25);
+    expect(probabilityOf(colors, "Black")).toBeCloseTo(0.75);
+    expect(unknownLoci).toEqual(["A", "B", "D", "M"]);
+  });
+
+  it("reports which dog is missing a locus instead of guessing", () => {
+    const known = { color_genotype: { B: "B/b" } };
+    const { colors, loci } = predictLitterColors(known, {});
+    expect(colors).toEqual([]);
+    expect(loci.find((l) => l.id === "B").unknownFor).toEqual(["dogB"]);
+  });
+
+  it("warns on merle × merle, inferring merle from the coat color", () => {
+    const merle = { color: "merle" };
+    const typed = { color_genotype: { M: "M/m" } };
+    const { warnings, inferred } = predictLitterColors(merle, typed);
+    expect(inferred.dogA).toEqual(["M"]);
+    expect(warnings[0]).toMatchObject({ code: "double_merle", probability: 0.25 });
+    expect(isDoubleMerleRisk(merle, typed)).toBe(true);
+    expect(isDoubleMerleRisk(merle, { color: "black" })).toBe(false);
+  });
+
+  it("blocks merle × merle pairs in matchmaking", () => {
+    const base = { breed: "Border Collie", size: "medium", weight_kg: 18, color: "merle" };
+    const details = calculateMatchDetails(
+      { ...base, gender: "male" },
+      { ...base, gender: "female" }
+    );
+    expect(details.unsafe).toBe(true);
+    expect(details.unsafeReasons).toContain("merle");
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from "vitest";
+import {
+  canAnswerCounterOffer,
+  canCounterOffer,
+  counterOfferCandidates,
+  negotiationTrail,
+  validateCounterOffer,
+} from "../counterOffers";
+
+const request = (overrides = {}) => ({
+  id: "m1",
+  status: "pending",
+  requester_user_id: "u-req",
+  requested_user_id: "u-resp",
+  requester_dog_id: 1,
+  requested_dog_id: 2,
+  requested_at: "2026-10-01T08:00:00.000Z",
+  requester_dog: { id: 1, name: "Rex", gender: "male" },
+  requested_dog: { id: 2, name: "Bella", gender: "female" },
+  counter_offers: [],
+  ...overrides,
+});
+
+const offer = (overrides = {}) => ({
+  id: "o1",
+  match_id: "m1",
+  proposed_dog_id: 3,
+  proposed_dog: { id: 3, name: "Luna", gender: "female" },
+  status: "pending",
+  message: "Luna's hips scored better",
+  created_at: "2026-10-02T08:00:00.000Z",
+  ...overrides,
+});
+
+const kennel = [
+  { id: 2, name: "Bella", gender: "female", user_id: "u-resp" },
+  { id: 3, name: "Luna", gender: "female", user_id: "u-resp" },
+  { id: 4, name: "Max", gender: "male", user_id: "u-resp" },
+];
+
+describe("counter-offer permissions", () => {
+  it("lets only the responder counter a pending request, one offer at a time", () => {
+    expect(canCounterOffer(request(), "u-resp")).toBe(true);
+    expect(canCounterOffer(request(), "u-req")).toBe(false);
+    expect(canCounterOffer(request({ status: "accepted" }), "u-resp")).toBe(false);
+    expect(canCounterOffer(request({ counter_offers: [offer()] }), "u-resp")).toBe(false);
+    expect(
+      canCounterOffer(request({ counter_offers: [offer({ status: "rejected" })] }), "u-resp")
+    ).toBe(true);
+  });
+
+  it("lets only the requester answer a pending offer", () => {
+    const countered = request({ counter_offers: [offer()] });
+    expect(canAnswerCounterOffer(countered, "u-req")).toBe(true);
+    expect(canAnswerCounterOffer(countered, "u-resp")).toBe(false);
+    expect(canAnswerCounterOffer(request(), "u-req")).toBe(false);
+  });
+});
+
+describe("counterOfferCandidates", () => {
+  it("offers the responder's other dogs of the requested dog's sex", () => {
+    expect(counterOfferCandidates(request(), kennel).map((dog) => dog.name)).toEqual(["Luna"]);
+  });
+});
+
+describe("validateCounterOffer", () => {
+  it("accepts another dog of the same sex", () => {
+    expect(validateCounterOffer(request(), { dog: kennel[1] }, "u-resp")).toBeNull();
+  });
+
+  it("rejects the requested dog, the other sex and someone else's dog", () => {
+    expect(validateCounterOffer(request(), { dog: kennel[0] }, "u-resp")).toMatch(/already/);
+    expect(validateCounterOffer(request(), { dog: kennel[2] }, "u-resp")).toMatch(/female/);
+    expect(
+      validateCounterOffer(request(), { dog: { ...kennel[1], user_id: "u-x" } }, "u-resp")
+    ).toMatch(/your own/);
+    expect(validateCounterOffer(request(), { dog: null }, "u-resp")).toMatch(/Choose/);
+    expect(validateCounterOffer(request(), { dog: kennel[1] }, "u-req")).toMatch(/received/);
+  });
+});
+
+describe("negotiationTrail", () => {
+  it("is empty for a request that was never countered", () => {
+    expect(negotiationTrail(request())).toEqual([]);
+  });
+
+  it("lists the request and its counter-offers oldest first", () => {
+    const trail = negotiationTrail(
+      request({
+        counter_offers: [
+          offer({ id: "o2", created_at: "2026-10-03T08:00:00.000Z" }),
+          offer({ status: "rejected", proposed_dog: { id: 5, name: "Daisy" } }),
+        ],
+      })
+    );
+    expect(trail.map((step) => [step.kind, step.dogName, step.status])).toEqual([
+      ["request", "Bella", "pending"],
+      ["counter_offer", "Daisy", "rejected"],
+      ["counter_offer", "Luna", "pending"],
+    ]);
+  });
+
+  it("follows the updated request back to the original one", () => {
+    const original = request({
+      status: "superseded",
+      counter_offers: [offer({ status: "accepted", new_match_id: "m2" })],
+    });
+    const updated = request({
+      id: "m2",
+      status: "awaiting_confirmation",
+      requested_dog_id: 3,
+      requested_dog: { id: 3, name: "Luna", gender: "female" },
+      accepted_at: "2026-10-04T08:00:00.000Z",
+      previous_request: original,
+      counter_offers: [],
+    });
+    expect(negotiationTrail(updated).map((step) => [step.kind, step.dogName])).toEqual([
+      ["request", "Bella"],
+      ["counter_offer", "Luna"],
+      ["updated_request", "Luna"],
+    ]);
+    expect(negotiationTrail(original).at(-1)).toMatchObject({
+      status: "accepted",
+      newMatchId: "m2",
+    });
+  });
+});
@@ -23,6 +23,13 @@ describe("form utils", () => {
     const res = normalizeAge(3);
     expect(res.age_years).toBe(3);
   });
+  it("normalizeAge applies the breeding age range for the dog's sex and size", () => {
+    expect(normalizeAge(1, undefined, { gender: "male", size: "small" }).age_years).toBe(1);
+    expect(normalizeAge(2, undefined, { gender: "female", size: "giant" }).error).toMatch(
+      /at least 3 years/
+    );
+    expect(normalizeAge(9, undefined, { gender: "male" }).age_years).toBe(9);
+  });
   it("normalizeAge falls back to legacy float string", () => {
     const res = normalizeAge(undefined, "4.9");
     expect(res.age_years).toBe(4);
@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { evaluateHealthClearances, relevantClearances } from "../healthClearances";
+
+describe("relevantClearances", () => {
+  it("adds the breed group's and the size's clearances to the base set", () => {
+    expect(relevantClearances({ group: "working", size: "Giant" }).sort()).toEqual(
+      ["genetic_panel", "heart_tested", "hip_elbow_tested", "vaccinated"].sort()
+    );
+    expect(relevantClearances({ group: "toy", size: "small" }).sort()).toEqual(
+      ["eye_tested", "genetic_panel", "heart_tested", "vaccinated"].sort()
+    );
+  });
+
+  it("asks unknown breeds for the general screening set", () => {
+    expect(relevantClearances({ group: null, size: "medium" }).sort()).toEqual(
+      ["eye_tested", "genetic_panel", "hip_elbow_tested", "vaccinated"].sort()
+    );
+  });
+});
+
+describe("evaluateHealthClearances", () => {
+  const hound = { vaccinated: true, genetic_panel: true, eye_tested: true, thyroid_tested: true };
+
+  it("gives the full points when both dogs hold every relevant clearance", () => {
+    const report = evaluateHealthClearances(hound, hound, {
+      groupA: "hound",
+      groupB: "hound",
+      maxPoints: 15,
+    });
+    expect(report.score).toBe(15);
+    expect(report.flags).toEqual([]);
+    expect(report.dogA.missing).toEqual([]);
+  });
+
+  it("is limited by the dog with the weaker coverage", () => {
+    const partial = { vaccinated: true, genetic_panel: true };
+    const report = evaluateHealthClearances(hound, partial, { groupA: "hound", groupB: "hound" });
+    expect(report.score).toBe(5);
+    expect(report.dogB.missing.sort()).toEqual(["eye_tested", "thyroid_tested"]);
+    expect(report.flags).toEqual([]);
+  });
+
+  it("flags a pair where only one dog has been screened", () => {
+    const report = evaluateHealthClearances(hound, { vaccinated: true }, { groupA: "hound" });
+    expect(report.flags).toEqual(["one_untested"]);
+  });
+
+  it("flags pairs where neither dog has any screening", () => {
+    const vaccinatedOnly = { vaccinated: true };
+    const report = evaluateHealthClearances(vaccinatedOnly, vaccinatedOnly, {
+      groupA: "terrier",
+      groupB: "terrier",
+    });
+    expect(report.flags).toEqual(["neither_tested"]);
+    expect(report.score).toBeCloseTo(3.3);
+  });
+
+  it("judges each dog by its own breed group", () => {
+    const herding = { vaccinated: true, genetic_panel: true, hip_elbow_tested: true };
+    const report = evaluateHealthClearances(herding, hound, {
+      groupA: "herding",
+      groupB: "hound",
+    });
+    expect(report.dogA.missing).toEqual(["eye_tested"]);
+    expect(report.dogB.missing).toEqual([]);
+    expect(report.score).toBe(7.5);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { boostUpcomingHeat, describeHeatWindow, predictHeat } from "../heatCycle";
+
+const today = new Date(2026, 9, 1); // 2026-10-01
+
+describe("predictHeat", () => {
+  it("returns null without a logged heat", () => {
+    expect(predictHeat([], today)).toBeNull();
+  });
+
+  it("projects the next heat from the average logged interval", () => {
+    const prediction = predictHeat(
+      [{ started_on: "2026-06-30" }, { started_on: "2026-01-01" }],
+      today
+    );
+    expect(prediction).toMatchObject({
+      lastStart: "2026-06-30",
+      intervalDays: 180,
+      intervalBasis: "history",
+      inHeat: false,
+      nextStart: "2026-12-27",
+      window: { start: "2027-01-05", end: "2027-01-10", basis: "cycle" },
+      daysUntilWindow: 96,
+    });
+  });
+
+  it("ignores implausible intervals and skips heats that were never logged", () => {
+    const prediction = predictHeat(
+      [{ started_on: "2025-01-01" }, { started_on: "2025-02-01" }],
+      today
+    );
+    expect(prediction.intervalBasis).toBe("default");
+    expect(prediction.nextStart).toBe("2027-01-22");
+  });
+
+  it("uses the current heat, and progesterone once it reaches ovulation level", () => {
+    const current = { started_on: "2026-09-25", progesterone_tests: [] };
+    expect(predictHeat([current], today)).toMatchObject({
+      inHeat: true,
+      window: { start: "2026-10-04", end: "2026-10-09", basis: "cycle" },
+      daysUntilWindow: 3,
+    });
+
+    const tested = {
+      ...current,
+      progesterone_tests: [
+        { tested_on: "2026-09-28", ng_ml: 1.8 },
+        { tested_on: "2026-09-30", ng_ml: 6.2 },
+      ],
+    };
+    const prediction = predictHeat([tested], today);
+    expect(prediction.window).toEqual({
+      start: "2026-10-02",
+      end: "2026-10-05",
+      basis: "progesterone",
+    });
+    expect(describeHeatWindow(prediction)).toBe("Breeding window in 1 day");
+  });
+});
+
+describe("boostUpcomingHeat", () => {
+  it("moves upcoming windows first, soonest first, keeping the rest in order", () => {
+    const matches = [
+      { id: 1, heatWindowDays: null },
+      { id: 2, heatWindowDays: 90 },
+      { id: 3, heatWindowDays: 12 },
+      { id: 4, heatWindowDays: 0 },
+    ];
+    expect(boostUpcomingHeat(matches).map((m) => m.id)).toEqual([4, 3, 1, 2]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { buildIcsEvent, escapeIcsText, formatIcsDate } from "../ics";
+
+const event = (overrides = {}) => ({
+  uid: "slot-1@dabreeder",
+  start: "2026-10-24T02:00:00.000Z",
+  end: "2026-10-24T03:30:00.000Z",
+  summary: "Breeding appointment",
+  now: new Date("2026-10-19T00:00:00.000Z"),
+  ...overrides,
+});
+
+// RFC 5545 unfolding: a CRLF followed by a single space joins the lines.
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+
+describe("formatIcsDate", () => {
+  it("writes UTC timestamps", () => {
+    expect(formatIcsDate("2026-01-02T03:04:05.000Z")).toBe("20260102T030405Z");
+    expect(formatIcsDate(new Date("2026-12-31T23:59:59.000Z"))).toBe("20261231T235959Z");
+  });
+});
+
+describe("escapeIcsText", () => {
+  it("escapes backslashes, separators and newlines", () => {
+    expect(escapeIcsText("a;b,c\nd\\e")).toBe("a\\;b\\,c\\nd\\\\e");
+    expect(escapeIcsText("line one\r\nline two")).toBe("line one\\nline two");
+  });
+
+  it("treats missing values as empty text", () => {
+    expect(escapeIcsText(null)).toBe("");
+    expect(escapeIcsText(undefined)).toBe("");
+  });
+});
+
+describe("buildIcsEvent", () => {
+  it("writes one event with CRLF line endings", () => {
+    const ics = buildIcsEvent(event({ location: "Happy Paws, Quezon City" }));
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics).toContain("\r\nDTSTART:20261024T020000Z\r\n");
+    expect(ics).toContain("\r\nDTEND:20261024T033000Z\r\n");
+    expect(ics).toContain("\r\nLOCATION:Happy Paws\\, Quezon City\r\n");
+    expect(ics.replace(/\r\n/g, "")).not.toMatch(/\n/);
+  });
+
+  it("leaves out an empty location and description", () => {
+    const ics = buildIcsEvent(event());
+    expect(ics).not.toContain("LOCATION:");
+    expect(ics).not.toContain("\r\nDESCRIPTION:");
+  });
+
+  it("adds a display alarm for each reminder offset", () => {
+    const ics = buildIcsEvent(event({ alarmsMinutesBefore: [1440, 120] }));
+    expect(ics.match(/BEGIN:VALARM/g)).toHaveLength(2);
+    expect(ics).toContain("TRIGGER:-PT1440M");
+    expect(ics).toContain("TRIGGER:-PT120M");
+  });
+
+  it("folds long lines at 75 characters without losing text", () => {
+    const description = "Bring the health certificates; ".repeat(10).trim();
+    const ics = buildIcsEvent(event({ description }));
+    const lines = ics.split("\r\n");
+    lines.forEach((line) => expect(line.length).toBeLessThanOrEqual(75));
+    const continued = lines.filter((line) => line.startsWith(" "));
+    expect(continued.length).toBeGreaterThan(0);
+    expect(unfold(ics)).toContain(`DESCRIPTION:${escapeIcsText(description)}\r\n`);
+  });
+});
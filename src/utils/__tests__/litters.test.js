@@ -0,0 +1,140 @@
+import { describe, it, expect } from "vitest";
+import {
+  MIXED_BREED_NAME,
+  canPromotePuppy,
+  canRecordLitter,
+  emptyPuppy,
+  formatBirthWeight,
+  litterParents,
+  puppyBreed,
+  puppyDogDraft,
+  summarizeLitter,
+  validateLitter,
+  validatePuppy,
+} from "../litters";
+
+const lab = (extra = {}) => ({
+  breed: "Labrador Retriever",
+  breed_id: "labrador_retriever",
+  ...extra,
+});
+
+describe("validateLitter", () => {
+  const puppies = [
+    { ...emptyPuppy("male"), birth_weight_grams: "420" },
+    { ...emptyPuppy(), name: "Mocha" },
+  ];
+
+  it("accepts a past whelping date with valid puppies", () => {
+    expect(validateLitter({ whelped_on: "2026-09-01", puppies }, "2026-10-19")).toBeNull();
+  });
+
+  it("rejects missing or future dates and empty litters", () => {
+    expect(validateLitter({ whelped_on: "", puppies }, "2026-10-19")).toMatch(/whelping date/);
+    expect(validateLitter({ whelped_on: "2026-10-20", puppies }, "2026-10-19")).toMatch(/future/);
+    expect(validateLitter({ whelped_on: "2026-09-01", puppies: [] }, "2026-10-19")).toMatch(
+      /at least one/
+    );
+  });
+
+  it("names the puppy that fails", () => {
+    const bad = [...puppies, { ...emptyPuppy(), birth_weight_grams: "12.5" }];
+    expect(validateLitter({ whelped_on: "2026-09-01", puppies: bad }, "2026-10-19")).toMatch(
+      /Puppy 3/
+    );
+    expect(validatePuppy({ ...emptyPuppy(), name: "Mocha", sex: "" })).toMatch(/Mocha/);
+    expect(validatePuppy({ ...emptyPuppy(), status: "sold" })).toMatch(/kept or placed/);
+  });
+});
+
+describe("litter summaries", () => {
+  it("counts sexes and statuses", () => {
+    const summary = summarizeLitter([
+      { sex: "male", status: "kept" },
+      { sex: "female", status: "placed" },
+      { sex: "female", status: "deceased" },
+    ]);
+    expect(summary).toEqual({ total: 3, males: 1, females: 2, kept: 1, placed: 1, deceased: 1 });
+  });
+
+  it("formats birth weights", () => {
+    expect(formatBirthWeight(450)).toBe("450 g");
+    expect(formatBirthWeight(1250)).toBe("1.25 kg");
+    expect(formatBirthWeight(null)).toBe("—");
+  });
+});
+
+describe("puppyBreed", () => {
+  it("keeps the breed of two purebred parents", () => {
+    expect(puppyBreed(lab({ id: 1 }), lab({ id: 2 }))).toEqual({
+      breed: "Labrador Retriever",
+      breed_id: "labrador_retriever",
+      breed_composition: null,
+    });
+  });
+
+  it("averages the parents' ancestry for a cross", () => {
+    const poodle = { id: 2, breed: "Poodle", breed_id: "poodle" };
+    expect(puppyBreed(lab({ id: 1 }), poodle)).toEqual({
+      breed: MIXED_BREED_NAME,
+      breed_id: null,
+      breed_composition: [
+        { breed_id: "labrador_retriever", percent: 50 },
+        { breed_id: "poodle", percent: 50 },
+      ],
+    });
+  });
+
+  it("uses the dam's breed when the sire is unknown", () => {
+    expect(puppyBreed(null, lab())).toMatchObject({ breed: "Labrador Retriever" });
+  });
+});
+
+describe("puppy promotion", () => {
+  const sire = lab({ id: 11, name: "Rex", gender: "male" });
+  const dam = lab({ id: 12, name: "Bella", gender: "female" });
+
+  it("drafts a dog linked to both parents", () => {
+    const draft = puppyDogDraft(
+      { position: 2, name: "", sex: "female", color: " Yellow " },
+      { sire, dam, userId: "user-1" }
+    );
+    expect(draft).toMatchObject({
+      user_id: "user-1",
+      name: "Bella puppy 2",
+      gender: "female",
+      age_years: 0,
+      color: "Yellow",
+      breed: "Labrador Retriever",
+      sire_id: 11,
+      dam_id: 12,
+    });
+  });
+
+  it("only promotes living puppies without a profile", () => {
+    expect(canPromotePuppy({ status: "kept", dog_id: null })).toBe(true);
+    expect(canPromotePuppy({ status: "placed", dog_id: 99 })).toBe(false);
+    expect(canPromotePuppy({ status: "deceased", dog_id: null })).toBe(false);
+  });
+});
+
+describe("litters from matches", () => {
+  const match = {
+    status: "completed_success",
+    requester_dog: { id: 1, gender: "Male" },
+    requested_dog: { id: 2, gender: "female" },
+    outcome: { outcome: "success", confirmation_status: "confirmed" },
+  };
+
+  it("finds the sire and dam whichever side they are on", () => {
+    expect(litterParents(match)).toEqual({ sire: match.requester_dog, dam: match.requested_dog });
+  });
+
+  it("only records litters for counted successful outcomes", () => {
+    expect(canRecordLitter(match)).toBe(true);
+    expect(
+      canRecordLitter({ ...match, outcome: { ...match.outcome, confirmation_status: "disputed" } })
+    ).toBe(false);
+    expect(canRecordLitter({ ...match, status: "completed_failed" })).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { formatExpiryCountdown, isMatchOverdue, matchExpiresAt } from "../matchExpiry";
+
+const config = { pendingDays: 14, awaitingConfirmationDays: 30 };
+
+describe("matchExpiresAt", () => {
+  it("counts pending requests from when they were sent", () => {
+    const match = { status: "pending", requested_at: "2026-10-01T00:00:00.000Z" };
+    expect(matchExpiresAt(match, config).toISOString()).toBe("2026-10-15T00:00:00.000Z");
+  });
+
+  it("counts awaiting_confirmation requests from when they were accepted", () => {
+    const match = {
+      status: "awaiting_confirmation",
+      requested_at: "2026-09-01T00:00:00.000Z",
+      awaiting_confirmation_at: "2026-09-10T00:00:00.000Z",
+    };
+    expect(matchExpiresAt(match, config).toISOString()).toBe("2026-10-10T00:00:00.000Z");
+  });
+
+  it("keeps requests with a tracked pregnancy open until after the whelping window", () => {
+    const match = {
+      status: "awaiting_confirmation",
+      awaiting_confirmation_at: "2026-09-01T00:00:00.000Z",
+      pregnancy: { mated_on: "2026-09-05" },
+    };
+    expect(matchExpiresAt(match, config).toDateString()).toBe(
+      new Date("2026-11-26T12:00:00").toDateString()
+    );
+    match.pregnancy.ultrasound_result = "not_pregnant";
+    expect(matchExpiresAt(match, config).toISOString()).toBe("2026-10-01T00:00:00.000Z");
+  });
+
+  it("returns null for statuses that don't expire", () => {
+    expect(matchExpiresAt({ status: "declined", requested_at: "2026-10-01" }, config)).toBeNull();
+  });
+});
+
+describe("isMatchOverdue", () => {
+  it("is true once the window has passed", () => {
+    const match = { status: "pending", requested_at: "2026-10-01T00:00:00.000Z" };
+    expect(isMatchOverdue(match, config, new Date("2026-10-14T23:59:00.000Z"))).toBe(false);
+    expect(isMatchOverdue(match, config, new Date("2026-10-15T00:00:00.000Z"))).toBe(true);
+  });
+});
+
+describe("formatExpiryCountdown", () => {
+  const now = new Date("2026-10-01T00:00:00.000Z");
+  const at = (ms) => new Date(now.getTime() + ms);
+
+  it("uses the largest sensible unit", () => {
+    expect(formatExpiryCountdown(at(3.5 * 86400000), now)).toBe("Expires in 3 days");
+    expect(formatExpiryCountdown(at(30 * 3600000), now)).toBe("Expires in 30 hours");
+    expect(formatExpiryCountdown(at(3600000), now)).toBe("Expires in 1 hour");
+    expect(formatExpiryCountdown(at(90000), now)).toBe("Expires in 1 minute");
+    expect(formatExpiryCountdown(at(-1), now)).toBe("Expiring now");
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_MATCH_FILTERS,
+  applyMatchFilters,
+  countActiveFilters,
+  parseMatchFilters,
+  writeMatchFilters,
+} from "../matchFilters";
+
+const selectedDog = { id: 1, breed: "Poodle" };
+const matches = [
+  {
+    id: 2,
+    breed: "poodle",
+    size: "small",
+    age_years: 3,
+    weight_kg: 6,
+    score: 80,
+    distanceKm: 12,
+    heatWindowDays: 40,
+  },
+  {
+    id: 3,
+    breed: "Maltese",
+    size: "small",
+    age_years: 5,
+    weight_kg: 4,
+    score: 60,
+    distanceKm: 240,
+    heatWindowDays: 0,
+  },
+  {
+    id: 4,
+    breed: "Poodle",
+    size: "medium",
+    age_years: null,
+    weight_kg: 12,
+    score: 72,
+    eye_tested: true,
+  },
+];
+
+describe("matchFilters", () => {
+  it("round-trips filters through the query string and keeps other params", () => {
+    const filters = {
+      ...DEFAULT_MATCH_FILTERS,
+      breed: "same",
+      sizes: ["small", "medium"],
+      ageMin: 2,
+      health: ["eye_tested"],
+      heatWithinDays: 30,
+      heatFirst: true,
+      minScore: 70,
+    };
+    const params = writeMatchFilters(new URLSearchParams("dog=1&profile=show_quality"), filters);
+    expect(params.get("dog")).toBe("1");
+    expect(params.get("size")).toBe("small,medium");
+    expect(params.has("weight_min")).toBe(false);
+    expect(params.get("heat_first")).toBe("1");
+    expect(parseMatchFilters(params)).toEqual(filters);
+    expect(countActiveFilters(filters)).toBe(7);
+  });
+
+  it("drops invalid values from hand-edited URLs", () => {
+    const filters = parseMatchFilters(new URLSearchParams("size=tiny,small&age_min=abc&breed=x"));
+    expect(filters.sizes).toEqual(["small"]);
+    expect(filters.ageMin).toBeNull();
+    expect(filters.breed).toBe("mixed");
+  });
+
+  it("applies breed, range, score and clearance filters", () => {
+    const ids = (filters) =>
+      applyMatchFilters(matches, { ...DEFAULT_MATCH_FILTERS, ...filters }, selectedDog).map(
+        (m) => m.id
+      );
+    expect(ids({})).toEqual([2, 3, 4]);
+    expect(ids({ breed: "same" })).toEqual([2, 4]);
+    expect(ids({ ageMin: 4 })).toEqual([3]); // unknown age doesn't pass a range
+    expect(ids({ minScore: 70, health: ["eye_tested"] })).toEqual([4]);
+    expect(ids({ sizes: ["small"], weightMax: 5 })).toEqual([3]);
+    expect(ids({ maxDistance: 50 })).toEqual([2]); // unknown distance doesn't pass either
+    expect(ids({ heatWithinDays: 30 })).toEqual([3]);
+  });
+
+  it("treats breed aliases as the same breed", () => {
+    const shepherds = [
+      { id: 5, breed: "GSD" },
+      { id: 6, breed: "Alsatian", breed_id: "german_shepherd_dog" },
+      { id: 7, breed: "Belgian Malinois" },
+      { id: 8, breed: null },
+    ];
+    const same = { ...DEFAULT_MATCH_FILTERS, breed: "same" };
+    expect(
+      applyMatchFilters(shepherds, same, { id: 1, breed: "German Shepherd" }).map((m) => m.id)
+    ).toEqual([5, 6]);
+  });
+});
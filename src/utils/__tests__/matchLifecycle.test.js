@@ -0,0 +1,121 @@
+import { describe, it, expect } from "vitest";
+import {
+  MatchTransitionError,
+  actionForStatus,
+  availableActions,
+  planTransition,
+  planTransitions,
+} from "../matchLifecycle";
+
+const now = new Date("2026-10-01T08:00:00.000Z");
+const match = (status) => ({
+  id: "m1",
+  status,
+  requester_user_id: "u-req",
+  requested_user_id: "u-resp",
+});
+
+function expectTransitionError(fn, code) {
+  try {
+    fn();
+  } catch (err) {
+    expect(err).toBeInstanceOf(MatchTransitionError);
+    expect(err.code).toBe(code);
+    return;
+  }
+  throw new Error("expected a MatchTransitionError");
+}
+
+describe("planTransition", () => {
+  it("builds the update with the transition's timestamps", () => {
+    expect(planTransition(match("pending"), "decline", { userId: "u-resp", now })).toEqual({
+      from: "pending",
+      to: "declined",
+      patch: {
+        status: "declined",
+        declined_at: now.toISOString(),
+        last_status_changed_at: now.toISOString(),
+      },
+    });
+  });
+
+  it("rejects transitions from the wrong status", () => {
+    expectTransitionError(
+      () => planTransition(match("declined"), "complete_success", { userId: "u-resp" }),
+      "ILLEGAL_TRANSITION"
+    );
+    expectTransitionError(() => planTransition(match("cancelled"), "cancel"), "ILLEGAL_TRANSITION");
+  });
+
+  it("checks which party may trigger the transition", () => {
+    expectTransitionError(
+      () => planTransition(match("pending"), "accept", { userId: "u-req" }),
+      "FORBIDDEN_PARTY"
+    );
+    expectTransitionError(
+      () => planTransition(match("accepted"), "cancel", { userId: "u-resp" }),
+      "FORBIDDEN_PARTY"
+    );
+    expectTransitionError(
+      () => planTransition(match("awaiting_confirmation"), "complete_failed", { userId: "u-x" }),
+      "FORBIDDEN_PARTY"
+    );
+  });
+
+  it("only lets the system expire requests", () => {
+    expectTransitionError(
+      () => planTransition(match("pending"), "expire", { userId: "u-req" }),
+      "FORBIDDEN_PARTY"
+    );
+    expect(planTransition(match("awaiting_confirmation"), "expire", { now }).patch).toMatchObject({
+      status: "expired",
+      expired_at: now.toISOString(),
+    });
+  });
+
+  it("only supersedes pending requests through an accepted counter-offer", () => {
+    expectTransitionError(
+      () => planTransition(match("pending"), "supersede", { userId: "u-req" }),
+      "FORBIDDEN_PARTY"
+    );
+    expectTransitionError(
+      () => planTransition(match("superseded"), "cancel", { userId: "u-req" }),
+      "ILLEGAL_TRANSITION"
+    );
+  });
+
+  it("rejects unknown actions", () => {
+    expectTransitionError(() => planTransition(match("pending"), "teleport"), "UNKNOWN_ACTION");
+  });
+});
+
+describe("planTransitions", () => {
+  it("passes through accepted on the way to awaiting confirmation", () => {
+    const plan = planTransitions(match("pending"), ["accept", "await_outcome"], {
+      userId: "u-resp",
+      now,
+    });
+    expect(plan.from).toBe("pending");
+    expect(plan.to).toBe("awaiting_confirmation");
+    expect(plan.patch).toMatchObject({
+      status: "awaiting_confirmation",
+      accepted_at: now.toISOString(),
+      awaiting_confirmation_at: now.toISOString(),
+    });
+  });
+});
+
+describe("availableActions", () => {
+  it("offers each party only its own actions", () => {
+    expect(availableActions(match("pending"), "u-resp")).toEqual(["accept", "decline"]);
+    expect(availableActions(match("pending"), "u-req")).toEqual(["cancel"]);
+    expect(availableActions(match("completed_success"), "u-req")).toEqual([]);
+  });
+});
+
+describe("actionForStatus", () => {
+  it("finds the transition to a target status", () => {
+    expect(actionForStatus(match("pending"), "declined")).toBe("decline");
+    expect(actionForStatus(match("declined"), "completed_success")).toBeNull();
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from "vitest";
+import {
+  breedCompatibilityScore,
+  calculateMatchDetails,
+  calculateMatchScore,
+} from "../matchmaking";
+import { SCORING_PROFILES, maxProfileScore } from "../scoringProfiles";
+
+const male = {
+  gender: "male",
+  breed: "Labrador Retriever",
+  age_years: 4,
+  size: "large",
+  weight_kg: 30,
+  coat_type: "short",
+  color: "yellow",
+  activity_level: "high",
+  sociability: "friendly",
+  trainability: "easy",
+  vaccinated: true,
+  genetic_panel: true,
+  hip_elbow_tested: true,
+  eye_tested: true,
+  thyroid_tested: true,
+};
+const female = { ...male, gender: "female" };
+
+describe("matchmaking", () => {
+  it("gives an identical, fully cleared pair the full score", () => {
+    expect(calculateMatchScore(male, female)).toBe(100);
+  });
+
+  it("keeps every profile's weights summing to 100", () => {
+    Object.keys(SCORING_PROFILES).forEach((id) => {
+      expect(maxProfileScore(id)).toBe(100);
+    });
+  });
+
+  // Pinned so changes to the default profile are deliberate. The pre-profile scorer gave these
+  // pairs 86 and 85; see the note on SCORING_PROFILES.balanced.
+  it("pins the balanced score of reference pairs", () => {
+    const uncleared = {
+      gender: "male",
+      breed: "Labrador Retriever",
+      age_years: 3,
+      size: "large",
+      weight_kg: 30,
+      coat_type: "short",
+      color: "yellow",
+      activity_level: "high",
+      sociability: "friendly",
+      trainability: "easy",
+    };
+    const partner = {
+      ...uncleared,
+      gender: "female",
+      age_years: 5,
+      weight_kg: 27,
+      color: "black",
+      trainability: "moderate",
+    };
+    expect(calculateMatchScore(uncleared, partner)).toBe(75);
+    expect(
+      calculateMatchScore(
+        { breed: "Beagle", gender: "male" },
+        { breed: "Beagle", gender: "female" }
+      )
+    ).toBe(35);
+  });
+
+  it("scores breed compatibility with the profile's breed weight", () => {
+    expect(breedCompatibilityScore("GSD", "German Shepherd")).toBe(20);
+    expect(breedCompatibilityScore("GSD", "German Shepherd", "show_quality")).toBe(30);
+    expect(breedCompatibilityScore("Beagle", "German Shepherd", "companion_temperament")).toBe(0);
+  });
+
+  it("reports every hard stop that applies", () => {
+    const details = calculateMatchDetails(male, { ...male, size: "small", weight_kg: 8 });
+    expect(details.unsafe).toBe(true);
+    expect(details.unsafeReasons).toEqual(["size", "weight", "gender"]);
+    expect(details.score).toBe(0);
+  });
+
+  it("uses the profile's hard stops", () => {
+    const mediumFemale = { ...female, size: "medium", weight_kg: 27 };
+    expect(calculateMatchDetails(male, mediumFemale).unsafe).toBe(false);
+    expect(calculateMatchDetails(male, mediumFemale, { profile: "show_quality" }).unsafe).toBe(
+      true
+    );
+  });
+
+  it("does not award points for traits that don't match", () => {
+    const { breakdown } = calculateMatchDetails(male, {
+      ...female,
+      coat_type: "long",
+      color: "black",
+      activity_level: "low",
+    });
+    expect(breakdown.coat).toBe(0);
+    expect(breakdown.color).toBe(0);
+    expect(breakdown.temperament).toBe(4);
+  });
+
+  it("weights components by profile", () => {
+    const { breakdown } = calculateMatchDetails(male, female, { profile: "working_ability" });
+    expect(breakdown.temperament).toBe(25);
+    expect(breakdown.coat).toBe(0);
+  });
+
+  it("flags pairs where neither dog has health testing", () => {
+    const untested = {
+      vaccinated: true,
+      genetic_panel: false,
+      hip_elbow_tested: false,
+      eye_tested: false,
+      thyroid_tested: false,
+    };
+    const details = calculateMatchDetails({ ...male, ...untested }, { ...female, ...untested });
+    expect(details.healthFlags).toEqual(["neither_tested"]);
+    expect(details.breakdown.health).toBeLessThan(SCORING_PROFILES.balanced.weights.health);
+  });
+
+  it("reports the distance between dogs and deducts for long trips", () => {
+    const manila = { ...male, province: "Metro Manila", city: "Manila" };
+    const nearby = calculateMatchDetails(manila, {
+      ...female,
+      province: "Metro Manila",
+      city: "Quezon City",
+    });
+    expect(nearby.distanceKm).toBeGreaterThan(5);
+    expect(nearby.distanceKm).toBeLessThan(15);
+    expect(nearby.score).toBe(100);
+
+    const cebu = { ...female, province: "Cebu", city: "Cebu City" };
+    const far = calculateMatchDetails(manila, cebu);
+    expect(far.distanceKm).toBeGreaterThan(500);
+    expect(far.distanceDeduction).toBe(SCORING_PROFILES.balanced.distance.maxPenalty);
+    expect(far.score).toBe(90);
+    expect(calculateMatchDetails(manila, cebu, { profile: "show_quality" }).score).toBe(95);
+
+    expect(calculateMatchDetails(manila, female).distanceKm).toBeNull();
+  });
+
+  it("scores crossbreeds by the weighted overlap of their compositions", () => {
+    const doodle = {
+      ...male,
+      breed: "Labradoodle",
+      breed_composition: [
+        { breed_id: "labrador_retriever", percent: 50 },
+        { breed_id: "poodle", percent: 50 },
+      ],
+    };
+    const doodleFemale = { ...doodle, gender: "female" };
+    expect(
+      calculateMatchDetails({ ...doodle, breed_composition: null }, doodleFemale).breakdown.breed
+    ).toBe(0);
+    expect(calculateMatchDetails(doodle, doodleFemale).breakdown.breed).toBe(20);
+    // Half the ancestry matches breed for breed
+    expect(calculateMatchDetails(doodle, female).breakdown.breed).toBe(10);
+
+    // Unknown shares never overlap; a shared group counts at the same-group rate
+    const halfLab = {
+      ...male,
+      breed: "Aspin",
+      breed_composition: [{ breed_id: "labrador_retriever", percent: 50 }],
+    };
+    const golden = { ...female, breed: "Golden Retriever" };
+    expect(calculateMatchDetails(halfLab, golden).breakdown.breed).toBe(5);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import {
+  canScheduleMeeting,
+  confirmedMeeting,
+  meetingEnd,
+  meetingIcs,
+  validateMeetingSlot,
+} from "../meetingSchedule";
+
+const now = new Date("2026-10-19T00:00:00.000Z");
+const slot = {
+  id: "slot-1",
+  starts_at: "2026-10-24T02:00:00.000Z",
+  duration_minutes: 90,
+  location: "Happy Paws Clinic, Quezon City",
+  status: "accepted",
+};
+
+describe("validateMeetingSlot", () => {
+  it("accepts a future slot with a location", () => {
+    expect(validateMeetingSlot(slot, now)).toBeNull();
+  });
+
+  it("rejects past times, odd durations and missing locations", () => {
+    expect(validateMeetingSlot({ ...slot, starts_at: "2026-10-18T00:00:00.000Z" }, now)).toMatch(
+      /future/
+    );
+    expect(validateMeetingSlot({ ...slot, starts_at: null }, now)).toMatch(/date and time/);
+    expect(validateMeetingSlot({ ...slot, duration_minutes: 5 }, now)).toMatch(/15 minutes/);
+    expect(validateMeetingSlot({ ...slot, location: "  " }, now)).toMatch(/where/);
+  });
+});
+
+describe("meeting helpers", () => {
+  it("only schedules requests awaiting confirmation", () => {
+    expect(canScheduleMeeting({ status: "awaiting_confirmation" })).toBe(true);
+    expect(canScheduleMeeting({ status: "pending" })).toBe(false);
+  });
+
+  it("finds the accepted slot and its end time", () => {
+    expect(confirmedMeeting([{ id: "a", status: "proposed" }, slot])).toBe(slot);
+    expect(confirmedMeeting([{ id: "a", status: "proposed" }])).toBeNull();
+    expect(meetingEnd(slot).toISOString()).toBe("2026-10-24T03:30:00.000Z");
+  });
+});
+
+describe("meetingIcs", () => {
+  it("writes an event with both reminders as alarms", () => {
+    const ics = meetingIcs(slot, { dogNames: ["Rex", "Bella"], now });
+    const lines = ics.split("\r\n");
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(lines).toContain("UID:meeting-slot-1@dabreeder");
+    expect(lines).toContain("DTSTART:20261024T020000Z");
+    expect(lines).toContain("DTEND:20261024T033000Z");
+    expect(lines).toContain("SUMMARY:Breeding appointment: Rex & Bella");
+    expect(lines).toContain("LOCATION:Happy Paws Clinic\\, Quezon City");
+    expect(lines).toContain("TRIGGER:-PT1440M");
+    expect(lines).toContain("TRIGGER:-PT120M");
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+
+  it("folds long lines", () => {
+    const ics = meetingIcs({ ...slot, location: "x".repeat(200) }, { now });
+    ics.split("\r\n").forEach((line) => expect(line.length).toBeLessThanOrEqual(75));
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import {
+  countsTowardStats,
+  outcomeConfirmationState,
+  validateDisputeStatement,
+} from "../outcomeConfirmation";
+
+const now = new Date("2026-10-19T12:00:00.000Z");
+const pending = {
+  id: "o1",
+  outcome: "success",
+  verified_by_user_id: "female-owner",
+  confirmation_status: "pending",
+  confirm_by: "2026-10-25T00:00:00.000Z",
+};
+
+describe("countsTowardStats", () => {
+  it("counts confirmed, resolved and legacy outcomes only", () => {
+    expect(countsTowardStats({ confirmation_status: "confirmed" })).toBe(true);
+    expect(countsTowardStats({ confirmation_status: "resolved" })).toBe(true);
+    expect(countsTowardStats({ outcome: "success" })).toBe(true);
+    expect(countsTowardStats({ confirmation_status: "pending" })).toBe(false);
+    expect(countsTowardStats({ confirmation_status: "disputed" })).toBe(false);
+    expect(countsTowardStats(null)).toBe(false);
+  });
+});
+
+describe("outcomeConfirmationState", () => {
+  it("lets the other owner respond before the deadline", () => {
+    const state = outcomeConfirmationState(pending, "male-owner", now);
+    expect(state.canRespond).toBe(true);
+    expect(state.recordedByMe).toBe(false);
+    expect(state.deadline.toISOString()).toBe("2026-10-25T00:00:00.000Z");
+  });
+
+  it("doesn't let the recorder confirm their own outcome", () => {
+    const state = outcomeConfirmationState(pending, "female-owner", now);
+    expect(state.canRespond).toBe(false);
+    expect(state.label).toBe("Awaiting confirmation");
+  });
+
+  it("reads a lapsed pending outcome as confirmed", () => {
+    const state = outcomeConfirmationState(
+      pending,
+      "male-owner",
+      new Date("2026-10-26T00:00:00.000Z")
+    );
+    expect(state.status).toBe("confirmed");
+    expect(state.canRespond).toBe(false);
+    expect(state.deadline).toBeNull();
+  });
+});
+
+describe("validateDisputeStatement", () => {
+  const file = (type, size = 1000) => ({ name: "x", type, size });
+
+  it("requires notes and checks evidence files", () => {
+    expect(validateDisputeStatement({ notes: " " })).toMatch(/Describe/);
+    expect(validateDisputeStatement({ notes: "Vet says no", files: [file("image/png")] })).toBe(
+      null
+    );
+    expect(validateDisputeStatement({ notes: "x", files: [file("text/plain")] })).toMatch(
+      /images or PDFs/
+    );
+    expect(
+      validateDisputeStatement({ notes: "x", files: [file("application/pdf", 11 * 1024 * 1024)] })
+    ).toMatch(/10 MB/);
+    expect(
+      validateDisputeStatement({ notes: "x", files: Array(6).fill(file("image/jpeg")) })
+    ).toMatch(/up to 5/);
+  });
+});
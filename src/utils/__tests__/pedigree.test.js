@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildPedigreeTree,
+  containsFilterValue,
+  countKnownAncestors,
+  nodeKey,
+  parentPatch,
+  parentRef,
+  pedigreeColumns,
+  roleForGender,
+  treeContains,
+} from "../pedigree";
+
+// Registered dogs and external ancestors, keyed the way lookup() resolves refs.
+const rows = {
+  "dog:1": { id: 1, name: "Rex", gender: "male", sire_id: 2, dam_ancestor_id: "a1" },
+  "dog:2": { id: 2, name: "Duke", gender: "male", user_id: "u1", sire_ancestor_id: "a2" },
+  "ancestor:a1": { id: "a1", name: "Lady", gender: "female", created_by: "u2" },
+  "ancestor:a2": { id: "a2", name: "Old Duke", gender: "male" },
+};
+const lookup = (ref) => rows[nodeKey(ref.kind, ref.id)] || null;
+
+describe("parent links", () => {
+  it("prefers a registered dog over an external ancestor", () => {
+    expect(parentRef({ sire_id: 4, sire_ancestor_id: "a9" }, "sire")).toEqual({
+      kind: "dog",
+      id: 4,
+    });
+    expect(parentRef({ dam_id: "", dam_ancestor_id: "a9" }, "dam")).toEqual({
+      kind: "ancestor",
+      id: "a9",
+    });
+    expect(parentRef({}, "sire")).toBeNull();
+    expect(parentRef({ sire_id: 4 }, "uncle")).toBeNull();
+  });
+
+  it("builds the column patch for a role and clears the other kind", () => {
+    expect(parentPatch("dam", { kind: "ancestor", id: "a1" })).toEqual({
+      dam_id: null,
+      dam_ancestor_id: "a1",
+    });
+    expect(parentPatch("sire", null)).toEqual({ sire_id: null, sire_ancestor_id: null });
+    expect(() => parentPatch("uncle", null)).toThrow(/sire or dam/);
+  });
+
+  it("maps genders to parent roles", () => {
+    expect(roleForGender("Male")).toBe("sire");
+    expect(roleForGender("female")).toBe("dam");
+    expect(roleForGender(null)).toBeNull();
+  });
+});
+
+describe("buildPedigreeTree", () => {
+  it("walks registered dogs and external ancestors alike", () => {
+    const tree = buildPedigreeTree({ kind: "dog", id: 1 }, lookup);
+    expect(tree.name).toBe("Rex");
+    expect(tree.sire).toMatchObject({ key: "dog:2", owner_id: "u1" });
+    expect(tree.dam).toMatchObject({ key: "ancestor:a1", owner_id: "u2" });
+    expect(tree.sire.sire.name).toBe("Old Duke");
+    expect(countKnownAncestors(tree)).toBe(3);
+  });
+
+  it("stops at the requested number of generations", () => {
+    const tree = buildPedigreeTree({ kind: "dog", id: 1 }, lookup, 1);
+    expect(tree.sire.sire).toBeNull();
+    expect(countKnownAncestors(tree)).toBe(2);
+  });
+
+  it("does not follow a loop back to a dog already in the line", () => {
+    const looped = {
+      "dog:1": { id: 1, name: "A", sire_id: 2 },
+      "dog:2": { id: 2, name: "B", sire_id: 1 },
+    };
+    const tree = buildPedigreeTree({ kind: "dog", id: 1 }, (ref) => looped[`dog:${ref.id}`]);
+    expect(tree.sire.name).toBe("B");
+    expect(tree.sire.sire).toBeNull();
+  });
+
+  it("finds keys anywhere in the tree", () => {
+    const tree = buildPedigreeTree({ kind: "dog", id: 1 }, lookup);
+    expect(treeContains(tree, "ancestor:a2")).toBe(true);
+    expect(treeContains(tree, "dog:1")).toBe(true);
+    expect(treeContains(tree, "dog:9")).toBe(false);
+  });
+});
+
+describe("pedigreeColumns", () => {
+  it("doubles the slots each generation and keeps empty ones", () => {
+    const tree = buildPedigreeTree({ kind: "dog", id: 1 }, lookup);
+    const columns = pedigreeColumns(tree, 3);
+    expect(columns.map((column) => column.length)).toEqual([2, 4, 8]);
+    expect(columns[0].map((slot) => slot.node?.name)).toEqual(["Duke", "Lady"]);
+    expect(columns[1][2]).toMatchObject({ node: null, role: "sire", child: { name: "Lady" } });
+    expect(columns[2].every((slot) => slot.node === null)).toBe(true);
+  });
+});
+
+describe("containsFilterValue", () => {
+  it("quotes the term so PostgREST reserved characters stay inside it", () => {
+    expect(containsFilterValue("PCCI.123, (B)")).toBe('"%PCCI.123, (B)%"');
+  });
+
+  it("escapes quotes and backslashes", () => {
+    expect(containsFilterValue('Rex "Jr" \\ 2')).toBe('"%Rex \\"Jr\\" \\\\ 2%"');
+  });
+});
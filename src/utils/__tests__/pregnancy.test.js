@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import {
+  formatWhelpingCountdown,
+  outcomePrefill,
+  pregnancyHoldUntil,
+  pregnancyTimeline,
+  suggestedMatingDate,
+  validatePregnancy,
+} from "../pregnancy";
+
+const day = (iso) => new Date(`${iso}T12:00:00`);
+const pregnancy = { mated_on: "2026-09-01", reminded_milestones: [] };
+
+describe("pregnancyTimeline", () => {
+  it("dates the whelping 63 days after the mating", () => {
+    const timeline = pregnancyTimeline(pregnancy, day("2026-10-01"));
+    expect(timeline.dueOn).toBe("2026-11-03");
+    expect(timeline.day).toBe(30);
+    expect(timeline.daysLeft).toBe(33);
+  });
+
+  it("marks milestones past, current and upcoming", () => {
+    const timeline = pregnancyTimeline(pregnancy, day("2026-10-01"));
+    const states = Object.fromEntries(timeline.milestones.map((m) => [m.key, m.state]));
+    expect(states).toEqual({
+      ultrasound: "current",
+      xray: "upcoming",
+      temperature: "upcoming",
+      whelping: "upcoming",
+    });
+    const xray = timeline.milestones.find((m) => m.key === "xray");
+    expect([xray.startsOn, xray.endsOn]).toEqual(["2026-10-26", "2026-10-31"]);
+  });
+
+  it("counts down to the due date", () => {
+    const at = (iso) => formatWhelpingCountdown(pregnancyTimeline(pregnancy, day(iso)));
+    expect(at("2026-10-31")).toBe("Whelping expected in 3 days");
+    expect(at("2026-11-02")).toBe("Whelping expected tomorrow");
+    expect(at("2026-11-03")).toBe("Whelping expected today");
+    expect(at("2026-11-05")).toBe("2 days past the due date");
+  });
+});
+
+describe("pregnancy helpers", () => {
+  it("holds the request open until 14 days after the whelping window", () => {
+    expect(pregnancyHoldUntil(pregnancy).toDateString()).toBe(day("2026-11-22").toDateString());
+    expect(pregnancyHoldUntil({ ...pregnancy, ultrasound_result: "not_pregnant" })).toBeNull();
+  });
+
+  it("suggests the appointment day once it has passed", () => {
+    const meeting = { starts_at: "2026-09-01T02:00:00.000Z" };
+    expect(suggestedMatingDate(meeting, new Date("2026-09-10T00:00:00.000Z"))).toMatch(
+      /^2026-09-0[12]$/
+    );
+    expect(suggestedMatingDate(meeting, new Date("2026-08-30T00:00:00.000Z"))).toBe("");
+  });
+
+  it("validates dates and the X-ray count", () => {
+    const today = day("2026-10-19");
+    expect(validatePregnancy({ mated_on: "2026-09-01" }, today)).toBeNull();
+    expect(validatePregnancy({ mated_on: "" }, today)).toMatch(/mating date/);
+    expect(validatePregnancy({ mated_on: "2026-10-20" }, today)).toMatch(/future/);
+    expect(
+      validatePregnancy({ mated_on: "2026-09-01", ultrasound_on: "2026-08-30" }, today)
+    ).toMatch(/before the mating/);
+    expect(validatePregnancy({ mated_on: "2026-09-01", xray_puppy_count: "3.5" }, today)).toMatch(
+      /whole number/
+    );
+  });
+});
+
+describe("outcomePrefill", () => {
+  it("pre-fills a success with the X-ray count", () => {
+    expect(
+      outcomePrefill({ ...pregnancy, ultrasound_result: "pregnant", xray_puppy_count: 6 })
+    ).toEqual({
+      outcome: "success",
+      litterSize: "6",
+      notes: "Mated on Sep 1, 2026. Ultrasound: pregnant. X-ray count: 6 puppies.",
+    });
+  });
+
+  it("pre-fills no pregnancy after a negative ultrasound", () => {
+    expect(outcomePrefill({ ...pregnancy, ultrasound_result: "not_pregnant" })).toMatchObject({
+      outcome: "failed",
+      litterSize: "0",
+    });
+    expect(outcomePrefill(null)).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_STUD_FILTERS,
+  describeStudTerms,
+  filterStudListings,
+  isStudListingAvailable,
+  missingStudRequirements,
+  validateStudListing,
+} from "../studListing";
+
+const listing = (overrides = {}) => ({
+  fee_type: "fee",
+  fee_amount: 15000,
+  service_methods: ["natural"],
+  required_clearances: [],
+  is_active: true,
+  ...overrides,
+});
+
+describe("validateStudListing", () => {
+  it("accepts a complete listing", () => {
+    expect(validateStudListing(listing())).toBeNull();
+    expect(validateStudListing(listing({ fee_type: "pick_of_litter", fee_amount: "" }))).toBeNull();
+  });
+
+  it("requires a positive fee when the terms include one", () => {
+    expect(validateStudListing(listing({ fee_amount: "" }))).toMatch(/enter the stud fee/i);
+    expect(validateStudListing(listing({ fee_type: "fee_and_pick", fee_amount: 0 }))).toMatch(
+      /more than zero/
+    );
+  });
+
+  it("rejects missing or unknown service methods and clearances", () => {
+    expect(validateStudListing(listing({ service_methods: [] }))).toMatch(/at least one/);
+    expect(validateStudListing(listing({ service_methods: ["mail"] }))).toMatch(/Unknown service/);
+    expect(validateStudListing(listing({ required_clearances: ["xray"] }))).toMatch(
+      /Unknown health/
+    );
+  });
+
+  it("rejects availability that ends before it starts", () => {
+    expect(
+      validateStudListing(listing({ available_from: "2026-11-01", available_until: "2026-10-01" }))
+    ).toMatch(/can't end before/);
+  });
+});
+
+describe("isStudListingAvailable", () => {
+  it("treats open-ended dates as available and drafts as unavailable", () => {
+    expect(isStudListingAvailable(listing(), "2026-10-01")).toBe(true);
+    expect(isStudListingAvailable(listing({ is_active: false }), "2026-10-01")).toBe(false);
+  });
+
+  it("respects the availability range", () => {
+    const ranged = listing({ available_from: "2026-10-10", available_until: "2026-12-31" });
+    expect(isStudListingAvailable(ranged, "2026-10-01")).toBe(false);
+    expect(isStudListingAvailable(ranged, "2026-10-10")).toBe(true);
+    expect(isStudListingAvailable(ranged, "2027-01-01")).toBe(false);
+  });
+});
+
+describe("describeStudTerms", () => {
+  it("summarises the fee and service methods", () => {
+    expect(describeStudTerms(listing({ service_methods: ["natural", "ai_chilled"] }))).toBe(
+      "₱15,000 fee · Natural, AI (chilled)"
+    );
+    expect(describeStudTerms(listing({ fee_type: "pick_of_litter", fee_amount: null }))).toBe(
+      "Pick of litter · Natural"
+    );
+  });
+});
+
+describe("missingStudRequirements", () => {
+  it("lists the clearances the female doesn't have", () => {
+    const stud = listing({ required_clearances: ["hip_elbow_tested", "eye_tested"] });
+    expect(missingStudRequirements(stud, { hip_elbow_tested: true })).toEqual(["eye_tested"]);
+    expect(missingStudRequirements(null, {})).toEqual([]);
+  });
+});
+
+describe("filterStudListings", () => {
+  const listings = [
+    listing({ id: 1, dog: { name: "Rex", breed: "Labrador Retriever", province: "Cebu" } }),
+    listing({
+      id: 2,
+      fee_type: "pick_of_litter",
+      fee_amount: null,
+      service_methods: ["ai_frozen"],
+      dog: { name: "Bruno", breed: "Beagle", province: "Laguna" },
+    }),
+    listing({
+      id: 3,
+      fee_amount: 40000,
+      available_from: "2027-01-01",
+      dog: { name: "Max", breed: "Labrador Retriever", province: "Cebu" },
+    }),
+  ];
+  const ids = (filters) =>
+    filterStudListings(listings, { ...DEFAULT_STUD_FILTERS, ...filters }).map((l) => l.id);
+
+  it("returns everything without filters", () => {
+    expect(ids({})).toEqual([1, 2, 3]);
+  });
+
+  it("filters by search, terms, method and province", () => {
+    expect(ids({ search: "labrador" })).toEqual([1, 3]);
+    expect(ids({ feeType: "pick_of_litter" })).toEqual([2]);
+    expect(ids({ method: "natural" })).toEqual([1, 3]);
+    expect(ids({ province: "Laguna" })).toEqual([2]);
+  });
+
+  it("keeps listings without a cash fee under a maximum fee", () => {
+    expect(ids({ maxFee: 20000 })).toEqual([1, 2]);
+  });
+
+  it("filters by availability on a date", () => {
+    expect(ids({ availableOn: "2026-10-01" })).toEqual([1, 2]);
+    expect(ids({ availableOn: "2027-02-01" })).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { breedingAgeRange, describeWelfare, evaluateWelfare } from "../welfareRules";
+
+const today = new Date(2026, 9, 1); // 2026-10-01
+const female = { name: "Bella", gender: "female", size: "medium", age_years: 4 };
+const male = { name: "Rex", gender: "male", size: "small", age_years: 1 };
+const codes = (evaluation) => evaluation.reasons.map((r) => r.code);
+
+describe("breedingAgeRange", () => {
+  it("uses the sex and size class", () => {
+    expect(breedingAgeRange({ gender: "female", size: "giant" })).toEqual({ min: 3, max: 7 });
+    expect(breedingAgeRange({ gender: "Male", size: "small" })).toEqual({ min: 1, max: 10 });
+  });
+
+  it("falls back to the lowest minimum without a size and the default range without a sex", () => {
+    expect(breedingAgeRange({ gender: "female" })).toEqual({ min: 2, max: 7 });
+    expect(breedingAgeRange({})).toEqual({ min: 2, max: 7 });
+  });
+
+  it("accepts overrides", () => {
+    const rules = { minAgeYears: { female: { giant: 2 } }, maxAgeYears: { female: 6 } };
+    expect(breedingAgeRange({ gender: "female", size: "giant" }, rules)).toEqual({
+      min: 2,
+      max: 6,
+    });
+  });
+});
+
+describe("evaluateWelfare", () => {
+  it("passes dogs within the rules", () => {
+    expect(evaluateWelfare(male, [], { today })).toEqual({
+      eligible: true,
+      reasons: [],
+      nextEligibleOn: null,
+    });
+    expect(evaluateWelfare(female, [{ whelped_on: "2025-06-01" }], { today }).eligible).toBe(true);
+  });
+
+  it("enforces age limits per sex and size", () => {
+    expect(codes(evaluateWelfare({ ...male, size: "large" }, [], { today }))).toEqual([
+      "too_young",
+    ]);
+    expect(codes(evaluateWelfare({ ...female, age_years: 8 }, [], { today }))).toEqual(["too_old"]);
+  });
+
+  it("enforces the rest period and litter spacing, with the date the female is free again", () => {
+    const evaluation = evaluateWelfare(female, [{ whelped_on: "2026-03-01" }], { today });
+    expect(codes(evaluation)).toEqual(["litters_12m", "rest_period"]);
+    expect(evaluation.nextEligibleOn).toBe("2027-03-01");
+    expect(describeWelfare(evaluation)).toMatch(/Bella has already had 1 litter/);
+  });
+
+  it("counts two litters within 24 months", () => {
+    const evaluation = evaluateWelfare(
+      female,
+      [{ whelped_on: "2025-08-01" }, { whelped_on: "2024-11-01" }],
+      { today }
+    );
+    expect(codes(evaluation)).toEqual(["litters_24m"]);
+    expect(evaluation.nextEligibleOn).toBe("2026-11-01");
+  });
+
+  it("caps lifetime litters with no date to wait for", () => {
+    const litters = ["2025-01-01", "2023-06-01", "2022-01-01", "2020-06-01"].map((d) => ({
+      whelped_on: d,
+    }));
+    const evaluation = evaluateWelfare(female, litters, { today });
+    expect(codes(evaluation)).toEqual(["lifetime_cap"]);
+    expect(evaluation.nextEligibleOn).toBeNull();
+  });
+
+  it("ignores litters for males", () => {
+    expect(
+      evaluateWelfare({ ...male, age_years: 3 }, [{ whelped_on: "2026-09-01" }], { today }).eligible
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,104 @@
+import { getBreed, resolveBreed } from "./breedRegistry";
+
+// A composition is stored on dogs.breed_composition as [{ breed_id, percent }], largest share
+// first. Whatever the shares leave of 100% is the unknown part of the dog's ancestry.
+
+const clampPercent = (value) => {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), 100) : 0;
+};
+
+/**
+ * Cleans a composition from the form or the database: resolves breed ids, merges duplicate
+ * breeds and drops empty shares. Throws when the shares add up to more than 100%.
+ */
+export function normalizeComposition(value) {
+  if (!Array.isArray(value)) return [];
+  const shares = new Map();
+  value.forEach((entry) => {
+    const breed = resolveBreed(entry?.breed_id);
+    const percent = clampPercent(entry?.percent);
+    if (!breed || !percent) return;
+    shares.set(breed.id, (shares.get(breed.id) || 0) + percent);
+  });
+  const entries = Array.from(shares, ([breed_id, percent]) => ({ breed_id, percent })).sort(
+    (a, b) => b.percent - a.percent
+  );
+  if (compositionTotal(entries) > 100) {
+    throw new Error("Breed composition cannot add up to more than 100%.");
+  }
+  return entries;
+}
+
+export function compositionTotal(entries) {
+  return (entries || []).reduce((sum, entry) => sum + (Number(entry.percent) || 0), 0);
+}
+
+// The composition the owner entered, ignoring one that doesn't add up.
+export function declaredComposition(dog) {
+  try {
+    return normalizeComposition(dog?.breed_composition);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The dog's declared composition, or 100% of its single breed when it has none. Dogs whose
+ * breed the registry doesn't know have an empty composition.
+ */
+export function compositionFor(dog) {
+  const declared = declaredComposition(dog);
+  if (declared.length) return declared;
+  const breed = resolveBreed(dog?.breed_id || dog?.breed);
+  return breed ? [{ breed_id: breed.id, percent: 100 }] : [];
+}
+
+// More than one breed, or a share of unknown ancestry.
+export function isMixedComposition(entries) {
+  return entries.length > 1 || (entries.length === 1 && compositionTotal(entries) < 100);
+}
+
+function sharesBy(entries, keyFor) {
+  const shares = new Map();
+  entries.forEach((entry) => {
+    const key = keyFor(entry.breed_id);
+    if (key) shares.set(key, (shares.get(key) || 0) + entry.percent / 100);
+  });
+  return shares;
+}
+
+function overlap(a, b) {
+  let total = 0;
+  a.forEach((share, key) => {
+    total += Math.min(share, b.get(key) || 0);
+  });
+  return total;
+}
+
+/**
+ * Weighted overlap of two compositions as fractions of 0–1: `breed` is the ancestry both dogs
+ * share breed for breed, `group` the ancestry they share at breed-group level (which includes
+ * the breed overlap). Unknown shares never overlap.
+ */
+export function compositionOverlap(entriesA, entriesB) {
+  const groupOf = (id) => getBreed(id)?.group || null;
+  return {
+    breed: overlap(
+      sharesBy(entriesA, (id) => id),
+      sharesBy(entriesB, (id) => id)
+    ),
+    group: overlap(sharesBy(entriesA, groupOf), sharesBy(entriesB, groupOf)),
+  };
+}
+
+// "50% Labrador Retriever · 25% Poodle · 25% unknown"
+export function formatComposition(entries) {
+  if (!entries?.length) return "";
+  const parts = entries.map(
+    (entry) => `${entry.percent}% ${getBreed(entry.breed_id)?.name || entry.breed_id}`
+  );
+  const unknown = 100 - compositionTotal(entries);
+  if (unknown > 0) parts.push(`${unknown}% unknown`);
+  return parts.join(" · ");
+}
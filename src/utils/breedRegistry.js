@@ -0,0 +1,405 @@
+// Breed registry: the one list of breeds the app knows about.
+//
+// Every breed has a canonical id (stored in `dogs.breed_id`), a display name, the aliases and
+// common misspellings owners type, its AKC and FCI groups, and a typical adult weight range
+// from the breed standard. `group` is the matcher's grouping (AKC-style, plus "native" for the
+// Aspin); it feeds breed compatibility in matchmaking and the health clearances each breed
+// should hold, so changing it changes scores.
+//
+// Free-text `dogs.breed` strings, including the old picker names, resolve through
+// `resolveBreed`. Ids never change once published; rename the display name instead and keep
+// the old name as an alias.
+
+// FCI nomenclature groups.
+export const FCI_GROUPS = {
+  1: "Sheepdogs and Cattle Dogs",
+  2: "Pinscher and Schnauzer, Molossoid and Swiss Mountain Dogs",
+  3: "Terriers",
+  4: "Dachshunds",
+  5: "Spitz and Primitive Types",
+  6: "Scent Hounds",
+  7: "Pointing Dogs",
+  8: "Retrievers, Flushing Dogs and Water Dogs",
+  9: "Companion and Toy Dogs",
+  10: "Sighthounds",
+};
+
+export const AKC_GROUPS = {
+  sporting: "Sporting",
+  hound: "Hound",
+  working: "Working",
+  terrier: "Terrier",
+  toy: "Toy",
+  "non-sporting": "Non-Sporting",
+  herding: "Herding",
+};
+
+// Matcher groups, with "native" for local breeds no kennel club covers.
+export const BREED_GROUP_LABELS = { ...AKC_GROUPS, native: "Native" };
+
+// Adult weight bands for the size options in traitOptions (upper bound exclusive, kg).
+export const SIZE_WEIGHT_BANDS = [
+  { size: "small", maxKg: 10 },
+  { size: "medium", maxKg: 25 },
+  { size: "large", maxKg: 45 },
+  { size: "giant", maxKg: Infinity },
+];
+
+// [id, name, group, akcGroup | null, fciGroup | null, [minKg, maxKg], aliases]
+// akcGroup/fciGroup are null where that registry doesn't recognise the breed.
+// prettier-ignore
+const BREED_DATA = [
+  // Native
+  ["aspin", "Aspin", "native", null, null, [8, 20], ["Asong Pinoy", "Askal", "Philippine Native Dog"]],
+
+  // Herding
+  ["australian_cattle_dog", "Australian Cattle Dog", "herding", "herding", 1, [15, 22], ["Blue Heeler", "Red Heeler", "Queensland Heeler"]],
+  ["australian_kelpie", "Australian Kelpie", "herding", null, 1, [11, 20], ["Kelpie"]],
+  ["australian_shepherd", "Australian Shepherd", "herding", "herding", 1, [16, 32], ["Aussie", "Australian Sheperd"]],
+  ["bearded_collie", "Bearded Collie", "herding", "herding", 1, [18, 27], ["Beardie"]],
+  ["beauceron", "Beauceron", "herding", "herding", 1, [30, 45], []],
+  ["belgian_laekenois", "Belgian Laekenois", "herding", "herding", 1, [25, 30], ["Laekenois"]],
+  ["belgian_malinois", "Belgian Malinois", "herding", "herding", 1, [20, 30], ["Malinois", "Belgian Malinoise"]],
+  ["belgian_sheepdog", "Belgian Sheepdog", "herding", "herding", 1, [20, 30], ["Groenendael"]],
+  ["belgian_tervuren", "Belgian Tervuren", "herding", "herding", 1, [20, 30], ["Tervuren"]],
+  ["berger_picard", "Berger Picard", "herding", "herding", 1, [23, 32], ["Berger Picard (Berger Picard)", "Picardy Shepherd"]],
+  ["border_collie", "Border Collie", "herding", "herding", 1, [12, 20], []],
+  ["briard", "Briard", "herding", "herding", 1, [25, 45], []],
+  ["catalan_sheepdog", "Catalan Sheepdog", "herding", null, 1, [16, 20], ["Gos d'Atura Catala"]],
+  ["rough_collie", "Rough Collie", "herding", "herding", 1, [18, 34], ["Collie (Rough)", "Collie"]],
+  ["czechoslovakian_wolfdog", "Czechoslovakian Wolfdog", "herding", null, 1, [20, 30], ["Czeslovakan Wolfdog", "Czechoslovak Wolfdog", "Czech Wolfdog"]],
+  ["dutch_shepherd", "Dutch Shepherd", "herding", "herding", 1, [23, 32], []],
+  ["german_shepherd_dog", "German Shepherd Dog", "herding", "herding", 1, [22, 40], ["German Shepherd", "German Sheperd", "GSD", "Alsatian"]],
+  ["croatian_sheepdog", "Croatian Sheepdog", "herding", null, 1, [13, 20], ["Hrvatski Ovcar (Croatian Sheepdog)", "Hrvatski Ovcar"]],
+  ["komondor", "Komondor", "herding", "working", 1, [40, 60], []],
+  ["kuvasz", "Kuvasz", "herding", "working", 1, [30, 52], []],
+  ["old_english_sheepdog", "Old English Sheepdog", "herding", "herding", 1, [27, 45], ["OES", "Bobtail"]],
+  ["puli", "Puli", "herding", "herding", 1, [10, 15], []],
+  ["pumi", "Pumi", "herding", "herding", 1, [8, 15], []],
+  ["saarloos_wolfdog", "Saarloos Wolfdog", "herding", null, 1, [30, 41], []],
+  ["shetland_sheepdog", "Shetland Sheepdog", "herding", "herding", 1, [6, 12], ["Sheltie"]],
+  ["schipperke", "Schipperke", "herding", "non-sporting", 1, [3, 9], []],
+  ["cardigan_welsh_corgi", "Cardigan Welsh Corgi", "herding", "herding", 1, [11, 17], ["Welsh Corgi Cardigan", "Corgi Cardigan"]],
+  ["pembroke_welsh_corgi", "Pembroke Welsh Corgi", "herding", "herding", 1, [10, 14], ["Welsh Corgi Pembroke", "Corgi Pembroke", "Corgi"]],
+
+  // Working
+  ["anatolian_shepherd_dog", "Anatolian Shepherd Dog", "working", "working", 2, [40, 68], ["Anatolian Shepherd"]],
+  ["bernese_mountain_dog", "Bernese Mountain Dog", "working", "working", 2, [32, 52], ["Berner"]],
+  ["boxer", "Boxer", "working", "working", 2, [25, 32], []],
+  ["bulldog", "Bulldog", "working", "non-sporting", 2, [18, 25], ["English Bulldog", "British Bulldog"]],
+  ["bullmastiff", "Bullmastiff", "working", "working", 2, [45, 59], []],
+  ["cane_corso", "Cane Corso", "working", "working", 2, [40, 50], ["Italian Mastiff"]],
+  ["caucasian_shepherd_dog", "Caucasian Shepherd Dog", "working", null, 2, [45, 77], ["Caucasian Ovcharka"]],
+  ["central_asian_shepherd_dog", "Central Asian Shepherd Dog", "working", null, 2, [40, 80], ["Central Asia Shepherd Dog", "Alabai"]],
+  ["chinese_shar_pei", "Chinese Shar-Pei", "working", "non-sporting", 2, [18, 27], ["Shar Pei", "Sharpei"]],
+  ["dobermann", "Dobermann", "working", "working", 2, [27, 45], ["Doberman", "Doberman Pinscher", "Dobberman"]],
+  ["dogo_argentino", "Dogo Argentino", "working", "working", 2, [36, 45], []],
+  ["dogo_canario", "Dogo Canario", "working", null, 2, [40, 65], ["Presa Canario", "Perro de Presa Canario"]],
+  ["dogue_de_bordeaux", "Dogue de Bordeaux", "working", "working", 2, [45, 65], ["Dogo de Bordeaux", "French Mastiff"]],
+  ["fila_brasileiro", "Fila Brasileiro", "working", null, 2, [40, 50], ["Brazilian Mastiff"]],
+  ["giant_schnauzer", "Giant Schnauzer", "working", "working", 2, [25, 48], []],
+  ["great_dane", "Great Dane", "working", "working", 2, [45, 90], []],
+  ["great_pyrenees", "Great Pyrenees", "working", "working", 2, [39, 73], ["Pyrenean Mountain Dog"]],
+  ["mastiff", "Mastiff", "working", "working", 2, [54, 100], ["English Mastiff"]],
+  ["miniature_pinscher", "Miniature Pinscher", "working", "toy", 2, [3.5, 5], ["Min Pin"]],
+  ["miniature_schnauzer", "Miniature Schnauzer", "working", "terrier", 2, [5, 9], ["Miniature Schnauser", "Schnauzer"]],
+  ["neapolitan_mastiff", "Neapolitan Mastiff", "working", "working", 2, [50, 70], []],
+  ["newfoundland", "Newfoundland", "working", "working", 2, [45, 70], ["Newfie"]],
+  ["rottweiler", "Rottweiler", "working", "working", 2, [35, 60], ["Rottie", "Rotweiler", "Rottweiller"]],
+  ["saint_bernard", "Saint Bernard", "working", "working", 2, [54, 82], ["St Bernard", "St. Bernard"]],
+  ["tosa_inu", "Tosa Inu", "working", null, 2, [36, 61], ["Tosa"]],
+
+  // Terriers
+  ["airedale_terrier", "Airedale Terrier", "terrier", "terrier", 3, [18, 29], ["Airedale"]],
+  ["american_bully", "American Bully", "terrier", null, null, [20, 50], ["Bully"]],
+  ["american_pit_bull_terrier", "American Pit Bull Terrier", "terrier", null, null, [14, 27], ["Pit Bull", "Pitbull"]],
+  ["american_staffordshire_terrier", "American Staffordshire Terrier", "terrier", "terrier", 3, [18, 32], ["Am Staffordshire Terrier", "AmStaff"]],
+  ["australian_terrier", "Australian Terrier", "terrier", "terrier", 3, [6, 7], []],
+  ["bedlington_terrier", "Bedlington Terrier", "terrier", "terrier", 3, [8, 10], []],
+  ["border_terrier", "Border Terrier", "terrier", "terrier", 3, [5, 7], []],
+  ["bull_terrier", "Bull Terrier", "terrier", "terrier", 3, [22, 32], []],
+  ["cairn_terrier", "Cairn Terrier", "terrier", "terrier", 3, [6, 8], []],
+  ["dandie_dinmont_terrier", "Dandie Dinmont Terrier", "terrier", "terrier", 3, [8, 11], []],
+  ["smooth_fox_terrier", "Smooth Fox Terrier", "terrier", "terrier", 3, [7, 9], ["Fox Terrier (Smooth)"]],
+  ["wire_fox_terrier", "Wire Fox Terrier", "terrier", "terrier", 3, [7, 9], ["Fox Terrier (Wirehaired)", "Wirehaired Fox Terrier"]],
+  ["irish_terrier", "Irish Terrier", "terrier", "terrier", 3, [11, 12], []],
+  ["jack_russell_terrier", "Jack Russell Terrier", "terrier", null, 3, [5, 8], ["JRT", "Jack Russel Terrier"]],
+  ["kerry_blue_terrier", "Kerry Blue Terrier", "terrier", "terrier", 3, [15, 18], []],
+  ["lakeland_terrier", "Lakeland Terrier", "terrier", "terrier", 3, [7, 8], []],
+  ["manchester_terrier", "Manchester Terrier", "terrier", "terrier", 3, [5, 10], []],
+  ["miniature_bull_terrier", "Miniature Bull Terrier", "terrier", "terrier", 3, [9, 15], []],
+  ["norwich_terrier", "Norwich Terrier", "terrier", "terrier", 3, [5, 6], []],
+  ["parson_russell_terrier", "Parson Russell Terrier", "terrier", "terrier", 3, [6, 8], []],
+  ["scottish_terrier", "Scottish Terrier", "terrier", "terrier", 3, [8, 10], ["Scottie"]],
+  ["sealyham_terrier", "Sealyham Terrier", "terrier", "terrier", 3, [8, 10], []],
+  ["skye_terrier", "Skye Terrier", "terrier", "terrier", 3, [11, 18], []],
+  ["welsh_terrier", "Welsh Terrier", "terrier", "terrier", 3, [9, 10], []],
+  ["west_highland_white_terrier", "West Highland White Terrier", "terrier", "terrier", 3, [6, 10], ["Westie"]],
+  ["yorkshire_terrier", "Yorkshire Terrier", "terrier", "toy", 3, [2, 3.5], ["Yorkie"]],
+
+  // Dachshunds
+  ["dachshund_smooth", "Dachshund (Standard Smooth)", "hound", "hound", 4, [7, 15], ["Dachshund (Std-Smooth)", "Dachshund", "Daschund", "Dachsund"]],
+  ["dachshund_wirehaired", "Dachshund (Standard Wirehaired)", "hound", "hound", 4, [7, 15], ["Dachshund (Std-Wirehaired)", "Wirehaired Dachshund"]],
+
+  // Spitz and primitive types
+  ["akita", "Akita", "non-sporting", "working", 5, [32, 59], ["Akita Inu"]],
+  ["alaskan_malamute", "Alaskan Malamute", "non-sporting", "working", 5, [34, 39], ["Malamute"]],
+  ["basenji", "Basenji", "non-sporting", "hound", 5, [9, 11], []],
+  ["chow_chow", "Chow Chow", "non-sporting", "non-sporting", 5, [20, 32], ["Chow", "Chowchow"]],
+  ["german_spitz", "German Spitz", "non-sporting", null, 5, [7, 18], []],
+  ["greenland_dog", "Greenland Dog", "non-sporting", null, 5, [27, 32], ["Gronlandshund (Greenland Dog)", "Gronlandshund"]],
+  ["japanese_spitz", "Japanese Spitz", "non-sporting", null, 5, [5, 10], []],
+  ["keeshond", "Keeshond", "non-sporting", "non-sporting", 5, [14, 18], []],
+  ["norwegian_elkhound", "Norwegian Elkhound", "non-sporting", "hound", 5, [20, 25], []],
+  ["pomeranian", "Pomeranian", "non-sporting", "toy", 5, [1.4, 3.5], ["Pom", "Pomeranean", "Pomerian"]],
+  ["samoyed", "Samoyed", "non-sporting", "working", 5, [16, 30], ["Samoyed Dog"]],
+  ["shiba_inu", "Shiba Inu", "non-sporting", "non-sporting", 5, [7, 11], ["Shiba"]],
+  ["siberian_husky", "Siberian Husky", "non-sporting", "working", 5, [16, 27], ["Husky", "Siberian Huskey"]],
+
+  // Scent hounds
+  ["alpine_dachsbracke", "Alpine Dachsbracke", "hound", null, 6, [15, 18], []],
+  ["american_foxhound", "American Foxhound", "hound", "hound", 6, [27, 32], []],
+  ["basset_artesien_normand", "Basset Artésien Normand", "hound", null, 6, [15, 20], ["Basset Artesien Normand (Artesian-Norman Basset)"]],
+  ["basset_bleu_de_gascogne", "Basset Bleu de Gascogne", "hound", null, 6, [16, 18], ["Basset Bleu de Gascogne (Blue Gascony Basset)"]],
+  ["basset_fauve_de_bretagne", "Basset Fauve de Bretagne", "hound", null, 6, [16, 18], ["Basset Fauve de Bretagne (Fawn Brittany Basset)"]],
+  ["basset_hound", "Basset Hound", "hound", "hound", 6, [20, 29], ["Basset"]],
+  ["bavarian_mountain_scent_hound", "Bavarian Mountain Scent Hound", "hound", null, 6, [17, 30], ["Bavarian Mountain Scenthound"]],
+  ["beagle", "Beagle", "hound", "hound", 6, [9, 14], ["Beagel"]],
+  ["billy", "Billy", "hound", null, 6, [25, 30], []],
+  ["black_and_tan_coonhound", "Black and Tan Coonhound", "hound", "hound", 6, [29, 45], ["Coonhound"]],
+  ["bloodhound", "Bloodhound", "hound", "hound", 6, [36, 50], []],
+  ["dalmatian", "Dalmatian", "hound", "non-sporting", 6, [20, 32], ["Dalmation"]],
+  ["deutsche_bracke", "Deutsche Bracke", "hound", null, 6, [16, 18], ["Deutsche Bracke (German Hound)"]],
+  ["drever", "Drever", "hound", null, 6, [14, 16], ["Drever (Swedish Dachsbracke)"]],
+  ["dunker", "Dunker", "hound", null, 6, [16, 22], ["Dunker (Norwegian Hound)"]],
+  ["english_foxhound", "English Foxhound", "hound", "hound", 6, [27, 34], []],
+  ["grand_basset_griffon_vendeen", "Grand Basset Griffon Vendéen", "hound", "hound", 6, [18, 20], []],
+  ["grand_griffon_vendeen", "Grand Griffon Vendéen", "hound", null, 6, [30, 35], []],
+  ["hamiltonstovare", "Hamiltonstövare", "hound", null, 6, [23, 27], ["Hamiltonstovare (Hamilton Hound)", "Hamilton Hound"]],
+  ["hanoverian_scent_hound", "Hanoverian Scent Hound", "hound", null, 6, [30, 40], ["Hanoverian Scenthound"]],
+  ["harrier", "Harrier", "hound", "hound", 6, [20, 27], []],
+  ["italian_hound", "Italian Hound", "hound", null, 6, [18, 28], ["Segugio Italiano"]],
+  ["polish_hound", "Polish Hound", "hound", null, 6, [20, 32], ["Ogar Polski (Polish Hound)", "Ogar Polski"]],
+  ["otterhound", "Otterhound", "hound", "hound", 6, [30, 52], []],
+  ["petit_basset_griffon_vendeen", "Petit Basset Griffon Vendéen", "hound", "hound", 6, [15, 20], ["Petit Basset Griffon Vendeen (Petit Basset Griffon Vendeen)", "PBGV"]],
+  ["small_swiss_hound", "Small Swiss Hound", "hound", null, 6, [12, 18], ["Petit Chien Courant Suisse (Small Swiss Hound)", "Petit Chien Courant Suisse"]],
+  ["rhodesian_ridgeback", "Rhodesian Ridgeback", "hound", "hound", 6, [32, 41], ["Ridgeback"]],
+  ["schillerstovare", "Schillerstövare", "hound", null, 6, [18, 25], ["Schillerstovare (Schiller Hound)", "Schiller Hound"]],
+  ["serbian_hound", "Serbian Hound", "hound", null, 6, [18, 24], []],
+  ["serbian_tricolour_hound", "Serbian Tricolour Hound", "hound", null, 6, [20, 25], ["Serbian Tri Color Hound", "Serbian Tricolor Hound"]],
+  ["slovakian_hound", "Slovakian Hound", "hound", null, 6, [15, 20], ["Slovensky Kopov (Slovakian Hound)", "Slovensky Kopov"]],
+  ["smalandsstovare", "Smålandsstövare", "hound", null, 6, [15, 20], ["Smalandstovare (Smaland Hound)", "Smaland Hound"]],
+  ["spanish_hound", "Spanish Hound", "hound", null, 6, [20, 25], ["Sabueso Espanol"]],
+  ["finnish_hound", "Finnish Hound", "hound", null, 6, [20, 35], ["Suomenajokoira (Finnish Hound)", "Suomenajokoira"]],
+  ["swiss_hound", "Swiss Hound", "hound", null, 6, [15, 20], []],
+  ["westphalian_dachsbracke", "Westphalian Dachsbracke", "hound", null, 6, [15, 18], []],
+
+  // Pointing dogs
+  ["bracco_italiano", "Bracco Italiano", "sporting", "sporting", 7, [25, 40], ["Bracco Italiano (Italian Pointing Dogs)", "Italian Pointer"]],
+  ["brittany", "Brittany", "sporting", "sporting", 7, [14, 18], ["Brittany Spaniel"]],
+  ["english_setter", "English Setter", "sporting", "sporting", 7, [20, 36], []],
+  ["german_shorthaired_pointer", "German Shorthaired Pointer", "sporting", "sporting", 7, [20, 32], ["GSP"]],
+  ["german_wirehaired_pointer", "German Wirehaired Pointer", "sporting", "sporting", 7, [23, 32], []],
+  ["gordon_setter", "Gordon Setter", "sporting", "sporting", 7, [20, 36], []],
+  ["wirehaired_pointing_griffon", "Wirehaired Pointing Griffon", "sporting", "sporting", 7, [23, 27], ["Griffon, Wirehaired Pointer", "Korthals Griffon"]],
+  ["irish_setter", "Irish Setter", "sporting", "sporting", 7, [24, 32], ["Red Setter"]],
+  ["irish_red_and_white_setter", "Irish Red and White Setter", "sporting", "sporting", 7, [23, 32], ["Irish Red & White Setter"]],
+  ["pointer", "Pointer", "sporting", "sporting", 7, [20, 34], ["English Pointer"]],
+  ["vizsla", "Vizsla", "sporting", "sporting", 7, [20, 30], ["Hungarian Vizsla"]],
+  ["weimaraner", "Weimaraner", "sporting", "sporting", 7, [25, 40], []],
+
+  // Retrievers, flushing dogs and water dogs
+  ["american_cocker_spaniel", "American Cocker Spaniel", "sporting", "sporting", 8, [9, 14], ["Am Cocker Spaniel", "Cocker Spaniel"]],
+  ["american_water_spaniel", "American Water Spaniel", "sporting", "sporting", null, [11, 20], []],
+  ["barbet", "Barbet", "sporting", "sporting", 8, [17, 28], ["Barbet (French Water Dog)", "French Water Dog"]],
+  ["chesapeake_bay_retriever", "Chesapeake Bay Retriever", "sporting", "sporting", 8, [25, 36], ["Chessie"]],
+  ["clumber_spaniel", "Clumber Spaniel", "sporting", "sporting", 8, [25, 39], []],
+  ["curly_coated_retriever", "Curly-Coated Retriever", "sporting", "sporting", 8, [29, 36], []],
+  ["german_spaniel", "German Spaniel", "sporting", null, 8, [18, 30], ["Deutscher Wachtelhund (German Spaniel)", "Deutscher Wachtelhund"]],
+  ["english_cocker_spaniel", "English Cocker Spaniel", "sporting", "sporting", 8, [12, 15], []],
+  ["english_springer_spaniel", "English Springer Spaniel", "sporting", "sporting", 8, [18, 25], ["Springer Spaniel"]],
+  ["field_spaniel", "Field Spaniel", "sporting", "sporting", 8, [16, 23], []],
+  ["flat_coated_retriever", "Flat-Coated Retriever", "sporting", "sporting", 8, [25, 36], []],
+  ["golden_retriever", "Golden Retriever", "sporting", "sporting", 8, [25, 34], ["Golden", "Golden Retriver"]],
+  ["irish_water_spaniel", "Irish Water Spaniel", "sporting", "sporting", 8, [20, 30], []],
+  ["labrador_retriever", "Labrador Retriever", "sporting", "sporting", 8, [25, 36], ["Labrador", "Lab", "Labrador Retriver"]],
+  ["lagotto_romagnolo", "Lagotto Romagnolo", "sporting", "sporting", 8, [11, 16], ["Lagotto Romagnolo (Romagna Water Dog)", "Lagotto"]],
+  ["nederlandse_kooikerhondje", "Nederlandse Kooikerhondje", "sporting", "sporting", 8, [9, 11], ["Dederlandse Kooikerhondje", "Kooikerhondje", "Kooiker"]],
+  ["nova_scotia_duck_tolling_retriever", "Nova Scotia Duck Tolling Retriever", "sporting", "sporting", 8, [17, 23], ["Toller"]],
+  ["spanish_water_dog", "Spanish Water Dog", "sporting", "herding", 8, [14, 22], ["Perro de Agua Español (Spanish Waterdog)", "Perro de Agua Espanol"]],
+  ["portuguese_water_dog", "Portuguese Water Dog", "sporting", "working", 8, [16, 27], ["PWD"]],
+  ["sussex_spaniel", "Sussex Spaniel", "sporting", "sporting", 8, [16, 23], []],
+  ["welsh_springer_spaniel", "Welsh Springer Spaniel", "sporting", "sporting", 8, [16, 25], []],
+  ["wetterhoun", "Wetterhoun", "sporting", null, 8, [15, 30], ["Wetterhound (Frisian Water Dog)", "Frisian Water Dog"]],
+
+  // Companion and toy dogs
+  ["affenpinscher", "Affenpinscher", "toy", "toy", 2, [3, 6], []],
+  ["bichon_frise", "Bichon Frise", "toy", "non-sporting", 9, [3, 5.5], ["Bichon"]],
+  ["bolognese", "Bolognese", "toy", null, 9, [2.5, 4], []],
+  ["boston_terrier", "Boston Terrier", "toy", "non-sporting", 9, [4.5, 11], []],
+  ["coton_de_tulear", "Coton de Tulear", "toy", "non-sporting", 9, [3.5, 6], []],
+  ["cavalier_king_charles_spaniel", "Cavalier King Charles Spaniel", "toy", "toy", 9, [5.5, 8], ["Cavalier", "CKCS"]],
+  ["chihuahua", "Chihuahua", "toy", "toy", 9, [1.5, 3], ["Chihuahwa", "Chiwawa", "Chiuaua"]],
+  ["chinese_crested", "Chinese Crested", "toy", "toy", 9, [2, 6], ["Chinese Crested Dog"]],
+  ["french_bulldog", "French Bulldog", "toy", "non-sporting", 9, [8, 14], ["Frenchie"]],
+  ["brussels_griffon", "Brussels Griffon", "toy", "toy", 9, [3.5, 6], ["Griffon (Brussels)", "Griffon Bruxellois"]],
+  ["havanese", "Havanese", "toy", "toy", 9, [3, 6], []],
+  ["japanese_chin", "Japanese Chin", "toy", "toy", 9, [1.8, 5], []],
+  ["lhasa_apso", "Lhasa Apso", "toy", "non-sporting", 9, [5.5, 8], ["Lhasa"]],
+  ["maltese", "Maltese", "toy", "toy", 9, [2, 4], ["Maltese Dog"]],
+  ["papillon", "Papillon", "toy", "toy", 9, [2, 5], []],
+  ["pekingese", "Pekingese", "toy", "toy", 9, [3, 6], ["Pekinese"]],
+  // One entry for all varieties (toy to standard), hence the wide range
+  ["poodle", "Poodle", "toy", "non-sporting", 9, [2, 32], ["Toy Poodle", "Miniature Poodle", "Standard Poodle"]],
+  ["pug", "Pug", "toy", "toy", 9, [6, 9], []],
+  ["shih_tzu", "Shih Tzu", "toy", "toy", 9, [4, 7.5], ["Shitzu", "Shitsu", "Shih Tsu"]],
+
+  // Sighthounds
+  ["afghan_hound", "Afghan Hound", "hound", "hound", 10, [23, 27], []],
+  ["azawakh", "Azawakh", "hound", "hound", 10, [15, 25], []],
+  ["borzoi", "Borzoi", "hound", "hound", 10, [27, 48], []],
+  ["chart_polski", "Chart Polski", "hound", null, 10, [25, 35], ["Chart Polski (Polish Greyhound)", "Polish Greyhound"]],
+  ["scottish_deerhound", "Scottish Deerhound", "hound", "hound", 10, [34, 50], ["Deerhound"]],
+  ["galgo_espanol", "Galgo Español", "hound", null, 10, [20, 30], ["Galgo Español (Spanish Greyhound)", "Spanish Greyhound"]],
+  ["greyhound", "Greyhound", "hound", "hound", 10, [27, 40], []],
+  ["irish_wolfhound", "Irish Wolfhound", "hound", "hound", 10, [48, 70], []],
+  ["italian_greyhound", "Italian Greyhound", "hound", "toy", 10, [3.5, 5], ["Iggy"]],
+  ["magyar_agar", "Magyar Agár", "hound", null, 10, [22, 31], ["Magyar Agar (Hungarian Greyhound)", "Hungarian Greyhound"]],
+  ["saluki", "Saluki", "hound", "hound", 10, [16, 29], []],
+  ["sloughi", "Sloughi", "hound", "hound", 10, [18, 28], ["Sloughi (Arabian Greyhound)", "Arabian Greyhound"]],
+  ["whippet", "Whippet", "hound", "hound", 10, [9, 19], []],
+];
+
+/**
+ * Lower-cases, strips accents and punctuation so "Galgo Español", "galgo espanol" and
+ * "GALGO-ESPANOL" share one key.
+ */
+export function normalizeBreedKey(value) {
+  if (typeof value !== "string") return "";
+  return value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+export function sizeForWeight(kg) {
+  const weight = Number(kg);
+  if (!Number.isFinite(weight) || weight <= 0) return null;
+  return SIZE_WEIGHT_BANDS.find((band) => weight < band.maxKg).size;
+}
+
+// Size options an adult of the breed can fall into, based on its weight range.
+function sizesForRange([minKg, maxKg]) {
+  const first = SIZE_WEIGHT_BANDS.findIndex((band) => band.size === sizeForWeight(minKg));
+  const last = SIZE_WEIGHT_BANDS.findIndex((band) => band.size === sizeForWeight(maxKg));
+  return SIZE_WEIGHT_BANDS.slice(first, last + 1).map((band) => band.size);
+}
+
+export const BREEDS = BREED_DATA.map(([id, name, group, akcGroup, fciGroup, weightKg, aliases]) =>
+  Object.freeze({
+    id,
+    name,
+    group,
+    akcGroup,
+    fciGroup,
+    weightKg: { min: weightKg[0], max: weightKg[1] },
+    sizes: sizesForRange(weightKg),
+    aliases,
+  })
+).sort((a, b) => a.name.localeCompare(b.name));
+
+const BY_ID = new Map(BREEDS.map((breed) => [breed.id, breed]));
+const BY_KEY = new Map();
+BREEDS.forEach((breed) => {
+  [breed.id, breed.name, ...breed.aliases].forEach((label) => {
+    const key = normalizeBreedKey(label.replace(/_/g, " "));
+    if (key && !BY_KEY.has(key)) BY_KEY.set(key, breed);
+  });
+});
+
+export function getBreed(id) {
+  return BY_ID.get(id) || null;
+}
+
+/**
+ * Resolves a breed id, display name, alias or known misspelling to its registry entry.
+ * Returns null for anything the registry doesn't know.
+ */
+export function resolveBreed(value) {
+  if (!value) return null;
+  return BY_ID.get(value) || BY_KEY.get(normalizeBreedKey(value)) || null;
+}
+
+export function resolveBreedId(value) {
+  return resolveBreed(value)?.id || null;
+}
+
+// Canonical display name for a stored breed string; unknown breeds are shown as entered.
+export function breedDisplayName(value) {
+  return resolveBreed(value)?.name || value || "";
+}
+
+export function getBreedGroup(value) {
+  return resolveBreed(value)?.group || null;
+}
+
+/**
+ * Picker search: breeds whose name or an alias contains `term`, names that start with it first.
+ */
+export function searchBreeds(term) {
+  const key = normalizeBreedKey(term);
+  if (!key) return BREEDS;
+  const starts = [];
+  const contains = [];
+  BREEDS.forEach((breed) => {
+    const name = normalizeBreedKey(breed.name);
+    if (name.startsWith(key)) starts.push(breed);
+    else if (name.includes(key) || breed.aliases.some((a) => normalizeBreedKey(a).includes(key))) {
+      contains.push(breed);
+    }
+  });
+  return [...starts, ...contains];
+}
+
+// Share of the standard weight range an individual may fall outside before we warn.
+export const BREED_STANDARD_TOLERANCE = 0.15;
+
+const formatKg = (kg) => `${Math.round(kg * 10) / 10}`;
+
+/**
+ * Checks a dog's size and weight against its breed standard.
+ *
+ * @param {{breed?: string, breed_id?: string, size?: string, weight_kg?: number|string}} dog
+ * @returns {{field: "size"|"weight_kg", message: string}[]} One entry per value outside the
+ *   breed's typical range; empty for unknown breeds or when the values look typical.
+ */
+export function checkBreedStandard(dog) {
+  const breed = resolveBreed(dog?.breed_id || dog?.breed);
+  if (!breed) return [];
+  const warnings = [];
+
+  const weight = Number(dog.weight_kg);
+  if (dog.weight_kg !== "" && dog.weight_kg != null && Number.isFinite(weight)) {
+    const low = breed.weightKg.min * (1 - BREED_STANDARD_TOLERANCE);
+    const high = breed.weightKg.max * (1 + BREED_STANDARD_TOLERANCE);
+    if (weight < low || weight > high) {
+      warnings.push({
+        field: "weight_kg",
+        message: `${formatKg(weight)} kg is outside the typical ${breed.name} range of ${breed.weightKg.min}–${breed.weightKg.max} kg.`,
+      });
+    }
+  }
+
+  const size = typeof dog.size === "string" ? dog.size.toLowerCase() : "";
+  if (size && !breed.sizes.includes(size)) {
+    warnings.push({
+      field: "size",
+      message: `A ${breed.name} is usually ${breed.sizes.join(" or ")}, not ${size}.`,
+    });
+  }
+
+  return warnings;
+}
@@ -0,0 +1,233 @@
+// Breeding agreements: the contract terms attached to a breeding request, built from a fixed
+// template (stud fee, puppies owed, return service, health guarantees). Both owners approve
+// a specific version; saving new terms bumps the version, so earlier approvals no longer
+// count. Agreements are stored in `match_agreements` (supabase/sql/match_agreements.sql).
+
+import { format } from "date-fns";
+import { HEALTH_CLEARANCE_LABELS } from "./healthClearances";
+
+export const AGREEMENT_FEE_DUE = {
+  on_mating: "On the day of mating",
+  on_pregnancy: "When pregnancy is confirmed",
+  on_whelping: "When the litter is whelped",
+};
+
+export const DEFAULT_AGREEMENT_TERMS = {
+  stud_fee: "",
+  fee_due: "on_mating",
+  puppies_owed: 0,
+  pick_terms: "",
+  return_service: true,
+  return_service_terms: "One repeat mating at no charge if the female does not conceive.",
+  health_guarantees: [],
+  health_guarantee_notes: "",
+  additional_terms: "",
+};
+
+const MAX_PUPPIES_OWED = 20;
+const FEE_TYPES_WITH_FEE = ["fee", "fee_and_pick"];
+const FEE_TYPES_WITH_PICK = ["pick_of_litter", "fee_and_pick"];
+
+/**
+ * Starting terms for a new agreement. When the stud has a listing its fee, pick terms and
+ * required clearances carry over.
+ */
+export function termsFromStudListing(listing) {
+  if (!listing) return { ...DEFAULT_AGREEMENT_TERMS };
+  return {
+    ...DEFAULT_AGREEMENT_TERMS,
+    stud_fee: FEE_TYPES_WITH_FEE.includes(listing.fee_type) ? (listing.fee_amount ?? "") : "",
+    puppies_owed: FEE_TYPES_WITH_PICK.includes(listing.fee_type) ? 1 : 0,
+    pick_terms: listing.pick_terms || "",
+    health_guarantees: [...(listing.required_clearances || [])],
+  };
+}
+
+/**
+ * Returns the first problem with a terms draft, or null when it can be saved.
+ */
+export function validateAgreementTerms(terms) {
+  if (terms.stud_fee !== "" && terms.stud_fee != null) {
+    const fee = Number(terms.stud_fee);
+    if (!Number.isFinite(fee) || fee < 0) return "The stud fee must be zero or more.";
+  }
+  if (!AGREEMENT_FEE_DUE[terms.fee_due]) return "Choose when the fee is due.";
+  const puppies = Number(terms.puppies_owed);
+  if (!Number.isInteger(puppies) || puppies < 0 || puppies > MAX_PUPPIES_OWED) {
+    return `Puppies owed must be a whole number from 0 to ${MAX_PUPPIES_OWED}.`;
+  }
+  if (terms.return_service && !String(terms.return_service_terms || "").trim()) {
+    return "Describe the return service.";
+  }
+  if ((terms.health_guarantees || []).some((key) => !HEALTH_CLEARANCE_LABELS[key])) {
+    return "Unknown health clearance.";
+  }
+  return null;
+}
+
+// The terms as stored: numbers parsed, text trimmed, unknown keys dropped.
+export function normalizeAgreementTerms(terms) {
+  const fee = terms.stud_fee === "" || terms.stud_fee == null ? null : Number(terms.stud_fee);
+  return {
+    stud_fee: fee,
+    fee_due: terms.fee_due,
+    puppies_owed: Number(terms.puppies_owed) || 0,
+    pick_terms: String(terms.pick_terms || "").trim(),
+    return_service: Boolean(terms.return_service),
+    return_service_terms: terms.return_service ? String(terms.return_service_terms).trim() : "",
+    health_guarantees: [...(terms.health_guarantees || [])],
+    health_guarantee_notes: String(terms.health_guarantee_notes || "").trim(),
+    additional_terms: String(terms.additional_terms || "").trim(),
+  };
+}
+
+// Whether two sets of terms store the same agreement, so saving one over the other would
+// change nothing.
+export function sameAgreementTerms(a, b) {
+  if (!a || !b) return false;
+  return JSON.stringify(normalizeAgreementTerms(a)) === JSON.stringify(normalizeAgreementTerms(b));
+}
+
+const peso = (amount) => `₱${Number(amount).toLocaleString("en-PH")}`;
+
+/**
+ * The contract clauses for a set of terms, as `[{ title, text }]`. `studName` and `damName`
+ * fill in the dogs.
+ */
+export function agreementClauses(terms, { studName = "the stud", damName = "the dam" } = {}) {
+  const t = { ...DEFAULT_AGREEMENT_TERMS, ...terms };
+  const fee = Number(t.stud_fee);
+  const puppies = Number(t.puppies_owed) || 0;
+  const guarantees = (t.health_guarantees || []).map((k) => HEALTH_CLEARANCE_LABELS[k] || k);
+
+  const clauses = [
+    {
+      title: "Stud fee",
+      text:
+        fee > 0
+          ? `The owner of ${damName} pays ${peso(fee)} for the service of ${studName}, due ${AGREEMENT_FEE_DUE[t.fee_due]?.toLowerCase() || t.fee_due}.`
+          : `No stud fee is charged for the service of ${studName}.`,
+    },
+    {
+      title: "Puppies owed",
+      text: puppies
+        ? `The owner of ${studName} receives ${puppies} ${puppies === 1 ? "puppy" : "puppies"} from the litter${t.pick_terms ? ` (${t.pick_terms})` : ""}.`
+        : `No puppies are owed to the owner of ${studName}.`,
+    },
+    {
+      title: "Return service",
+      text: t.return_service ? t.return_service_terms : "No return service is offered.",
+    },
+    {
+      title: "Health guarantees",
+      text: [
+        guarantees.length
+          ? `Both dogs have current ${guarantees.join(", ")} clearances and the owners will share the records before mating.`
+          : "No specific health clearances are guaranteed.",
+        t.health_guarantee_notes,
+      ]
+        .filter(Boolean)
+        .join(" "),
+    },
+  ];
+  if (t.additional_terms) clauses.push({ title: "Additional terms", text: t.additional_terms });
+  return clauses;
+}
+
+// Names of the stud and the dam of a mapped match (see mapMatchRecord), for the clauses.
+export function agreementDogNames(match) {
+  const dogs = [match?.myDog, match?.partnerDog].filter(Boolean);
+  const bySex = (sex) => dogs.find((dog) => String(dog.gender || "").toLowerCase() === sex);
+  return { studName: bySex("male")?.name, damName: bySex("female")?.name };
+}
+
+/**
+ * Approval state of an agreement for the given user: `{ version, approvedByMe,
+ * approvedByPartner, final }`. Only approvals of the current version count.
+ */
+export function agreementApprovals(agreement, match, userId) {
+  if (!agreement) {
+    return { version: null, approvedByMe: false, approvedByPartner: false, final: false };
+  }
+  const version = agreement.version;
+  const requester = agreement.requester_approved_version === version;
+  const responder = agreement.responder_approved_version === version;
+  const iAmRequester = String(match?.requester_user_id) === String(userId);
+  return {
+    version,
+    approvedByMe: iAmRequester ? requester : responder,
+    approvedByPartner: iAmRequester ? responder : requester,
+    final: requester && responder,
+  };
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * A standalone, printable HTML document of the agreement. Until both owners approve the
+ * current version it is marked as a draft.
+ */
+export function renderAgreementHtml(agreement, { studName, damName, now = new Date() } = {}) {
+  const clauses = agreementClauses(agreement.terms, { studName, damName });
+  const final =
+    agreement.requester_approved_version === agreement.version &&
+    agreement.responder_approved_version === agreement.version;
+  const approvedOn = [agreement.requester_approved_at, agreement.responder_approved_at]
+    .filter(Boolean)
+    .sort()
+    .pop();
+  const status = final
+    ? `Approved by both owners on ${format(new Date(approvedOn), "MMMM d, yyyy")} (version ${agreement.version}).`
+    : `DRAFT — version ${agreement.version} has not been approved by both owners.`;
+  const title = `Breeding agreement: ${studName || "Stud"} × ${damName || "Dam"}`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Georgia, serif; color: #1f2937; max-width: 720px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.6; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  .status { font-size: 0.875rem; color: ${final ? "#065f46" : "#b91c1c"}; margin-bottom: 2rem; }
+  h2 { font-size: 1rem; margin: 1.5rem 0 0.25rem; }
+  .signatures { display: flex; gap: 3rem; margin-top: 4rem; }
+  .signatures div { flex: 1; border-top: 1px solid #1f2937; padding-top: 0.5rem; font-size: 0.875rem; }
+  footer { margin-top: 3rem; font-size: 0.75rem; color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="status">${escapeHtml(status)}</div>
+${clauses
+  .map(
+    (clause, i) =>
+      `<h2>${i + 1}. ${escapeHtml(clause.title)}</h2>\n<p>${escapeHtml(clause.text)}</p>`
+  )
+  .join("\n")}
+<div class="signatures">
+  <div>Owner of ${escapeHtml(studName || "the stud")}</div>
+  <div>Owner of ${escapeHtml(damName || "the dam")}</div>
+</div>
+<footer>Generated by DaBreeder on ${escapeHtml(format(now, "MMMM d, yyyy"))}.</footer>
+</body>
+</html>
+`;
+}
+
+// Opens the agreement in a new window and brings up the print dialog (which can save a PDF).
+export function printAgreementHtml(html) {
+  const win = window.open("", "_blank");
+  if (!win) return false;
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+}
@@ -0,0 +1,108 @@
+// Wright's coefficient of inbreeding (COI) for a prospective litter.
+//
+// The litter's COI equals the coefficient of kinship between its sire and dam. Kinship is
+// computed recursively (the "tabular" form of Wright's path method):
+//   f(a, a) = (1 + F_a) / 2
+//   f(a, b) = (f(sire_a, b) + f(dam_a, b)) / 2   where a is not an ancestor of b
+//   F_x     = f(sire_x, dam_x)
+// which sums (1/2)^(n1 + n2 + 1) * (1 + F_A) over every path through a common ancestor A
+// without having to enumerate the paths. Unknown parents contribute nothing, so the result is
+// only as deep as the recorded pedigree.
+
+import { PARENT_ROLES } from "./pedigree";
+
+function collectNodes(tree, nodes) {
+  if (!tree || !tree.key) return;
+  const existing = nodes.get(tree.key);
+  if (!existing) {
+    nodes.set(tree.key, {
+      key: tree.key,
+      name: tree.name,
+      kind: tree.kind,
+      id: tree.id,
+      sire: tree.sire?.key || null,
+      dam: tree.dam?.key || null,
+    });
+  } else {
+    // The same ancestor can show up truncated in one branch and expanded in another.
+    for (const role of PARENT_ROLES) {
+      if (!existing[role] && tree[role]?.key) existing[role] = tree[role].key;
+    }
+  }
+  for (const role of PARENT_ROLES) collectNodes(tree[role], nodes);
+}
+
+function ancestorKeys(key, nodes, out = new Set()) {
+  if (!key || out.has(key)) return out;
+  out.add(key);
+  const node = nodes.get(key);
+  if (node) for (const role of PARENT_ROLES) ancestorKeys(node[role], nodes, out);
+  return out;
+}
+
+/**
+ * Computes the COI of a litter between two dogs from their pedigree trees
+ * (as returned by `buildPedigreeTree`).
+ *
+ * @returns {{coi: number, commonAncestors: Array<{key: string, name: string, kind: string, id: any}>}|null}
+ *   `null` when either pedigree is missing, otherwise the COI as a fraction (0.25 = 25%) and the
+ *   ancestors both parents share, most recent first.
+ */
+export function calculateLitterCoi(sireTree, damTree) {
+  if (!sireTree?.key || !damTree?.key) return null;
+
+  const nodes = new Map();
+  collectNodes(sireTree, nodes);
+  collectNodes(damTree, nodes);
+
+  // Height = longest path to a founder; an ancestor is always lower than its descendants.
+  const heights = new Map();
+  const height = (key, visiting = new Set()) => {
+    if (!key || !nodes.has(key) || visiting.has(key)) return -1;
+    if (heights.has(key)) return heights.get(key);
+    visiting.add(key);
+    const node = nodes.get(key);
+    const value = 1 + Math.max(height(node.sire, visiting), height(node.dam, visiting));
+    visiting.delete(key);
+    heights.set(key, value);
+    return value;
+  };
+
+  const kinshipMemo = new Map();
+  const inbreeding = (key) => {
+    const node = nodes.get(key);
+    return node?.sire && node?.dam ? kinship(node.sire, node.dam) : 0;
+  };
+  function kinship(a, b) {
+    if (!a || !b || !nodes.has(a) || !nodes.has(b)) return 0;
+    if (a === b) return (1 + inbreeding(a)) / 2;
+    const memoKey = a < b ? `${a}|${b}` : `${b}|${a}`;
+    if (kinshipMemo.has(memoKey)) return kinshipMemo.get(memoKey);
+    const [younger, older] = height(a) >= height(b) ? [a, b] : [b, a];
+    const node = nodes.get(younger);
+    const value = (kinship(node.sire, older) + kinship(node.dam, older)) / 2;
+    kinshipMemo.set(memoKey, value);
+    return value;
+  }
+
+  const coi = kinship(sireTree.key, damTree.key);
+
+  const sireLine = ancestorKeys(sireTree.key, nodes);
+  const damLine = ancestorKeys(damTree.key, nodes);
+  const commonAncestors = Array.from(sireLine)
+    .filter((key) => damLine.has(key))
+    .sort((a, b) => height(b) - height(a))
+    .map((key) => {
+      const { name, kind, id } = nodes.get(key);
+      return { key, name, kind, id };
+    });
+
+  return { coi, commonAncestors };
+}
+
+export function formatCoi(coi) {
+  if (coi === null || coi === undefined || !Number.isFinite(coi)) return "Unknown";
+  const pct = coi * 100;
+  if (pct === 0) return "0%";
+  return `${pct < 10 ? pct.toFixed(2) : pct.toFixed(1)}%`;
+}
@@ -0,0 +1,251 @@
+// Locus-based coat color genetics for predicting litters.
+//
+// Genotypes are stored per dog in `dogs.color_genotype` as `{ E: "E/e", K: "ky/ky", ... }`.
+// A missing locus means the owner doesn't know it; the predictor reports those loci instead of
+// guessing. The only exception is merle, which is visible, so a dog whose color is "merle" and
+// whose M locus is unknown is treated as M/m.
+
+// Alleles are listed from most to least dominant.
+export const COLOR_LOCI = [
+  {
+    id: "E",
+    name: "Extension",
+    alleles: ["E", "e"],
+    help: "e/e dogs are red/yellow and can't show black pigment in the coat.",
+  },
+  {
+    id: "K",
+    name: "Dominant black",
+    alleles: ["KB", "kbr", "ky"],
+    help: "KB gives a solid coat, kbr brindle, ky lets the A locus pattern show.",
+  },
+  {
+    id: "A",
+    name: "Agouti",
+    alleles: ["Ay", "aw", "at", "a"],
+    help: "Sable/fawn, wild sable, tan points or recessive black.",
+  },
+  {
+    id: "B",
+    name: "Brown",
+    alleles: ["B", "b"],
+    help: "b/b turns black pigment into liver/brown.",
+  },
+  {
+    id: "D",
+    name: "Dilute",
+    alleles: ["D", "d"],
+    help: "d/d dilutes black to blue and liver to isabella.",
+  },
+  {
+    id: "M",
+    name: "Merle",
+    alleles: ["M", "m"],
+    help: "M/m is merle. M/M (double merle) carries a high risk of deafness and blindness.",
+  },
+];
+
+const LOCUS_BY_ID = Object.fromEntries(COLOR_LOCI.map((locus) => [locus.id, locus]));
+
+function sortAlleles(locusId, alleles) {
+  const order = LOCUS_BY_ID[locusId].alleles;
+  return [...alleles].sort((x, y) => order.indexOf(x) - order.indexOf(y));
+}
+
+export function formatGenotype(alleles) {
+  return alleles ? alleles.join("/") : "Unknown";
+}
+
+// Every valid genotype for a locus, e.g. ["E/E", "E/e", "e/e"].
+export function genotypeOptions(locusId) {
+  const { alleles } = LOCUS_BY_ID[locusId];
+  const out = [];
+  alleles.forEach((first, i) => {
+    alleles.slice(i).forEach((second) => out.push(`${first}/${second}`));
+  });
+  return out;
+}
+
+export function parseGenotype(locusId, value) {
+  if (!LOCUS_BY_ID[locusId] || typeof value !== "string") return null;
+  const parts = value.split("/").map((part) => part.trim());
+  if (parts.length !== 2) return null;
+  if (!parts.every((allele) => LOCUS_BY_ID[locusId].alleles.includes(allele))) return null;
+  return sortAlleles(locusId, parts);
+}
+
+/**
+ * Reads a dog's known genotype. Returns `{ loci: { E: ["E","e"], ... }, inferred: ["M"] }`
+ * where loci missing from `loci` are unknown.
+ */
+export function resolveGenotype(dog) {
+  const stored =
+    dog?.color_genotype && typeof dog.color_genotype === "object" ? dog.color_genotype : {};
+  const loci = {};
+  const inferred = [];
+  COLOR_LOCI.forEach(({ id }) => {
+    const parsed = parseGenotype(id, stored[id]);
+    if (parsed) loci[id] = parsed;
+  });
+  if (!loci.M && typeof dog?.color === "string" && dog.color.toLowerCase() === "merle") {
+    loci.M = ["M", "m"];
+    inferred.push("M");
+  }
+  return { loci, inferred };
+}
+
+export function isMerle(dog) {
+  const { loci } = resolveGenotype(dog);
+  return !!loci.M && loci.M.includes("M");
+}
+
+// Probability of each offspring genotype at one locus.
+function crossLocus(locusId, parentA, parentB) {
+  const counts = new Map();
+  for (const a of parentA) {
+    for (const b of parentB) {
+      const key = formatGenotype(sortAlleles(locusId, [a, b]));
+      counts.set(key, (counts.get(key) || 0) + 0.25);
+    }
+  }
+  return Array.from(counts, ([genotype, probability]) => ({ genotype, probability }));
+}
+
+function dominant(alleles) {
+  return alleles ? alleles[0] : null;
+}
+
+function homozygous(alleles, allele) {
+  return !!alleles && alleles[0] === allele && alleles[1] === allele;
+}
+
+// Names the color of a (possibly partial) genotype. Unknown loci simply add nothing.
+export function describePhenotype(loci) {
+  const parts = [];
+  const pigment = (() => {
+    const brown = homozygous(loci.B, "b");
+    const dilute = homozygous(loci.D, "d");
+    if (brown && dilute) return "Isabella";
+    if (brown) return "Liver";
+    if (dilute) return "Blue";
+    return "Black";
+  })();
+
+  let base;
+  if (homozygous(loci.E, "e")) {
+    base = homozygous(loci.D, "d") ? "Cream/dilute red" : "Red/Yellow";
+  } else {
+    const k = dominant(loci.K);
+    const a = dominant(loci.A);
+    const agoutiPattern = {
+      Ay: "sable/fawn",
+      aw: "wild sable",
+      at: "& tan",
+      a: "",
+    }[a];
+    if (k === "KB") {
+      base = pigment;
+    } else if (k === "kbr") {
+      base = `${pigment} brindle${agoutiPattern && a !== "a" ? ` (${agoutiPattern})` : ""}`;
+    } else if (agoutiPattern !== undefined) {
+      base = agoutiPattern ? `${pigment} ${agoutiPattern}` : pigment;
+    } else {
+      base = pigment;
+    }
+  }
+  parts.push(base);
+
+  if (loci.M) {
+    if (homozygous(loci.M, "M")) parts.unshift("Double merle");
+    else if (loci.M.includes("M")) {
+      parts.unshift(homozygous(loci.E, "e") ? "Cryptic merle" : "Merle");
+    }
+  }
+  return parts.join(" ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Predicts the coat colors of a litter between two dogs.
+ *
+ * @returns {{
+ *   colors: Array<{label: string, probability: number}>,
+ *   loci: Array<{id: string, name: string, known: boolean, outcomes: Array, unknownFor: string[]}>,
+ *   unknownLoci: string[],
+ *   inferred: {dogA: string[], dogB: string[]},
+ *   warnings: Array<{code: string, message: string, probability: number}>,
+ * }}
+ */
+export function predictLitterColors(dogA, dogB) {
+  const a = resolveGenotype(dogA);
+  const b = resolveGenotype(dogB);
+
+  const loci = COLOR_LOCI.map(({ id, name }) => {
+    const unknownFor = [];
+    if (!a.loci[id]) unknownFor.push("dogA");
+    if (!b.loci[id]) unknownFor.push("dogB");
+    const known = unknownFor.length === 0;
+    return {
+      id,
+      name,
+      known,
+      unknownFor,
+      outcomes: known ? crossLocus(id, a.loci[id], b.loci[id]) : [],
+    };
+  });
+
+  // Combine the known loci into full offspring genotypes.
+  let combos = [{ loci: {}, probability: 1 }];
+  loci
+    .filter((locus) => locus.known)
+    .forEach((locus) => {
+      const next = [];
+      combos.forEach((combo) => {
+        locus.outcomes.forEach(({ genotype, probability }) => {
+          next.push({
+            loci: { ...combo.loci, [locus.id]: parseGenotype(locus.id, genotype) },
+            probability: combo.probability * probability,
+          });
+        });
+      });
+      combos = next;
+    });
+
+  const byLabel = new Map();
+  combos.forEach(({ loci: genotype, probability }) => {
+    const label = describePhenotype(genotype);
+    byLabel.set(label, (byLabel.get(label) || 0) + probability);
+  });
+  // Merle alone says nothing about the base color, so it isn't enough for a prediction.
+  const hasBaseColorData = loci.some((locus) => locus.known && locus.id !== "M");
+  const colors = hasBaseColorData
+    ? Array.from(byLabel, ([label, probability]) => ({ label, probability })).sort(
+        (x, y) => y.probability - x.probability
+      )
+    : [];
+
+  const warnings = [];
+  const mLocus = loci.find((locus) => locus.id === "M");
+  const doubleMerle = mLocus.outcomes.find((o) => o.genotype === "M/M");
+  if (doubleMerle) {
+    warnings.push({
+      code: "double_merle",
+      probability: doubleMerle.probability,
+      message: `Merle × merle: about ${Math.round(
+        doubleMerle.probability * 100
+      )}% of puppies will be double merle (M/M), which carries a high risk of deafness and eye defects.`,
+    });
+  }
+
+  return {
+    colors,
+    loci,
+    unknownLoci: loci.filter((locus) => !locus.known).map((locus) => locus.id),
+    inferred: { dogA: a.inferred, dogB: b.inferred },
+    warnings,
+  };
+}
+
+// True when both dogs are (known or visibly) merle.
+export function isDoubleMerleRisk(dogA, dogB) {
+  return isMerle(dogA) && isMerle(dogB);
+}
@@ -0,0 +1,134 @@
+// Counter-offers on pending breeding requests: the owner who received the request proposes
+// another of their dogs instead, and the requester accepts or rejects it. Accepting replaces
+// the request with an updated one that links back through `previous_request_id` (see
+// supabase/sql/match_counter_offers.sql).
+
+import { matchParty } from "./matchLifecycle";
+
+export const COUNTER_OFFER_STATUS_LABELS = {
+  pending: "Waiting for an answer",
+  accepted: "Accepted",
+  rejected: "Rejected",
+  withdrawn: "Withdrawn",
+};
+
+export const MAX_COUNTER_OFFER_MESSAGE = 1000;
+
+const asList = (rel) => (Array.isArray(rel) ? rel : [rel].filter(Boolean));
+const normalizeGender = (value) => (typeof value === "string" ? value.trim().toLowerCase() : "");
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+// The request's counter-offers, oldest first.
+export function counterOffersOf(match) {
+  return asList(match?.counter_offers).slice().sort(byCreatedAt);
+}
+
+export function pendingCounterOffer(match) {
+  return counterOffersOf(match).find((offer) => offer.status === "pending") || null;
+}
+
+// Only the owner who received a pending request can counter it, one offer at a time.
+export function canCounterOffer(match, userId) {
+  return (
+    match?.status === "pending" &&
+    matchParty(match, userId) === "responder" &&
+    !pendingCounterOffer(match)
+  );
+}
+
+export function canAnswerCounterOffer(match, userId) {
+  return (
+    match?.status === "pending" &&
+    matchParty(match, userId) === "requester" &&
+    Boolean(pendingCounterOffer(match))
+  );
+}
+
+/**
+ * The responder's dogs that could stand in for the requested one: same sex, not the dog
+ * already requested. `dogs` is the responder's own kennel.
+ */
+export function counterOfferCandidates(match, dogs) {
+  const requested = match?.requested_dog;
+  const gender = normalizeGender(requested?.gender);
+  return (dogs || []).filter(
+    (dog) =>
+      dog &&
+      String(dog.id) !== String(match?.requested_dog_id ?? requested?.id) &&
+      (!gender || normalizeGender(dog.gender) === gender)
+  );
+}
+
+/**
+ * Checks a counter-offer before it is sent. Returns an error message or null.
+ */
+export function validateCounterOffer(match, { dog, message } = {}, userId) {
+  if (match?.status !== "pending") return "Only pending requests can be countered.";
+  if (matchParty(match, userId) !== "responder") {
+    return "Only the owner who received this request can propose another dog.";
+  }
+  if (pendingCounterOffer(match)) return "A counter-offer is already waiting for an answer.";
+  if (!dog?.id) return "Choose the dog you'd like to propose.";
+  if (String(dog.id) === String(match.requested_dog_id ?? match.requested_dog?.id)) {
+    return `${dog.name || "That dog"} is already the one requested.`;
+  }
+  if (dog.user_id && String(dog.user_id) !== String(userId)) {
+    return "You can only propose one of your own dogs.";
+  }
+  const gender = normalizeGender(match.requested_dog?.gender);
+  if (gender && normalizeGender(dog.gender) !== gender) {
+    return `Propose a ${gender} dog in place of ${match.requested_dog?.name || "the requested dog"}.`;
+  }
+  if ((message || "").length > MAX_COUNTER_OFFER_MESSAGE) {
+    return `Keep the message under ${MAX_COUNTER_OFFER_MESSAGE} characters.`;
+  }
+  return null;
+}
+
+/**
+ * The negotiation behind a request, oldest first: the original request, each counter-offer
+ * and, once one was accepted, the updated request. Each step is `{ key, kind, at, dogName,
+ * status, message }` with `kind` "request", "counter_offer" or "updated_request". Empty
+ * when the request was never countered.
+ */
+export function negotiationTrail(match) {
+  if (!match) return [];
+  const origin = match.previous_request || null;
+  const source = origin || match;
+  const offers = counterOffersOf(source);
+  if (!origin && offers.length === 0) return [];
+
+  const trail = [
+    {
+      key: `request-${source.id}`,
+      kind: "request",
+      at: source.requested_at,
+      dogName: source.requested_dog?.name || "the requested dog",
+      status: origin ? "superseded" : source.status,
+      message: source.requester_notes || null,
+    },
+  ];
+  offers.forEach((offer) => {
+    trail.push({
+      key: `offer-${offer.id}`,
+      kind: "counter_offer",
+      at: offer.created_at,
+      dogName: offer.proposed_dog?.name || "another dog",
+      status: offer.status,
+      message: offer.message || null,
+      respondedAt: offer.responded_at || null,
+      newMatchId: offer.new_match_id || null,
+    });
+  });
+  if (origin) {
+    trail.push({
+      key: `request-${match.id}`,
+      kind: "updated_request",
+      at: match.accepted_at || match.requested_at,
+      dogName: match.requested_dog?.name || "the proposed dog",
+      status: match.status,
+      message: null,
+    });
+  }
+  return trail;
+}
@@ -0,0 +1,34 @@
+import { locationCoordinates } from "./phGazetteer";
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance between two `{ lat, lng }` points.
+export function haversineKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Straight-line distance between two dogs' recorded province/city, rounded to the nearest km.
+ * Returns null when either location is missing or not in the gazetteer.
+ */
+export function dogDistanceKm(dogA, dogB) {
+  const a = locationCoordinates({ province: dogA?.province, city: dogA?.city });
+  const b = locationCoordinates({ province: dogB?.province, city: dogB?.city });
+  if (!a || !b) return null;
+  return Math.round(haversineKm(a, b));
+}
+
+export function formatDistance(km) {
+  if (km === null || km === undefined) return "Unknown";
+  return km < 1 ? "< 1 km" : `${km} km`;
+}
+
+export function formatLocation(dog) {
+  return [dog?.city, dog?.province].filter(Boolean).join(", ");
+}
@@ -1,5 +1,7 @@
 // Small helpers for form parsing and normalization
 
+import { breedingAgeRange } from "./welfareRules";
+
 export function parseIntOrNull(value) {
   if (value === undefined || value === null || value === "") return null;
   const n = parseInt(value, 10);
@@ -12,10 +14,11 @@ export function parseFloatOrNull(value) {
   return Number.isNaN(n) ? null : n;
 }
 
-// Normalize UI age (years only) to DB field and enforce breeding range (2–7 years)
-// Signature simplified (months removed). Accepts either explicit years (integer) or a legacy
-// string/float value via legacyAge. Returns { age_years } or { error }.
-export function normalizeAge(years, legacyAge) {
+// Normalize UI age (years only) to DB field and enforce the breeding age range for the dog's
+// sex and size (see breedingAgeRange in ./welfareRules; 2–7 years when the sex is unknown).
+// Accepts either explicit years (integer) or a legacy string/float value via legacyAge.
+// Returns { age_years } or { error }.
+export function normalizeAge(years, legacyAge, dog = {}) {
   // Prefer explicit years input
   let ageYears = parseIntOrNull(years);
 
@@ -30,12 +33,13 @@ export function normalizeAge(years, legacyAge) {
     return { age_years: undefined };
   }
 
-  // Validation: breeding-eligible range 2–7 inclusive
-  if (ageYears < 2) {
-    return { error: "Age must be at least 2 years for breeding." };
+  // Validation: breeding-eligible range, inclusive
+  const { min, max } = breedingAgeRange(dog);
+  if (ageYears < min) {
+    return { error: `Age must be at least ${min} ${min === 1 ? "year" : "years"} for breeding.` };
   }
-  if (ageYears > 7) {
-    return { error: "Age must not exceed 7 years for breeding." };
+  if (ageYears > max) {
+    return { error: `Age must not exceed ${max} years for breeding.` };
   }
 
   return { age_years: ageYears };
@@ -0,0 +1,83 @@
+// Health clearances that matter for a dog, based on its breed group and size.
+// The keys are the boolean health columns on `dogs`.
+
+export const HEALTH_CLEARANCE_LABELS = {
+  vaccinated: "Vaccinated",
+  dna_tested: "DNA Tested",
+  hip_elbow_tested: "Hip/Elbow",
+  heart_tested: "Heart",
+  eye_tested: "Eye",
+  genetic_panel: "Genetic Panel",
+  thyroid_tested: "Thyroid",
+};
+
+// Every breeding dog should have these regardless of breed.
+const BASE_CLEARANCES = ["vaccinated", "genetic_panel"];
+
+const GROUP_CLEARANCES = {
+  herding: ["hip_elbow_tested", "eye_tested"],
+  working: ["hip_elbow_tested", "heart_tested"],
+  sporting: ["hip_elbow_tested", "eye_tested", "thyroid_tested"],
+  hound: ["eye_tested", "thyroid_tested"],
+  terrier: ["eye_tested"],
+  toy: ["heart_tested", "eye_tested"],
+  "non-sporting": ["eye_tested"],
+  native: [],
+};
+
+const SIZE_CLEARANCES = {
+  small: [],
+  medium: [],
+  large: ["hip_elbow_tested"],
+  giant: ["hip_elbow_tested", "heart_tested"],
+};
+
+// Clearances that count as "tested" when deciding whether a dog has any screening at all.
+const SCREENING_CLEARANCES = Object.keys(HEALTH_CLEARANCE_LABELS).filter(
+  (key) => key !== "vaccinated"
+);
+
+export function relevantClearances({ group, size } = {}) {
+  const normalizedSize = typeof size === "string" ? size.toLowerCase() : null;
+  const keys = new Set(BASE_CLEARANCES);
+  (GROUP_CLEARANCES[group] || []).forEach((key) => keys.add(key));
+  (SIZE_CLEARANCES[normalizedSize] || []).forEach((key) => keys.add(key));
+  // Unknown breeds get the general screening set so they aren't rewarded for missing data.
+  if (!group) ["hip_elbow_tested", "eye_tested"].forEach((key) => keys.add(key));
+  return Array.from(keys);
+}
+
+function clearanceCoverage(dog, group) {
+  const required = relevantClearances({ group, size: dog?.size });
+  const held = required.filter((key) => dog?.[key] === true);
+  const missing = required.filter((key) => dog?.[key] !== true);
+  const screened = SCREENING_CLEARANCES.some((key) => dog?.[key] === true);
+  return {
+    required,
+    held,
+    missing,
+    screened,
+    coverage: required.length ? held.length / required.length : 1,
+  };
+}
+
+/**
+ * Scores a pair on the health clearances relevant to each dog's breed.
+ *
+ * @param {object} dogA
+ * @param {object} dogB
+ * @param {{groupA?: string|null, groupB?: string|null, maxPoints?: number}} [options]
+ * @returns {{score: number, flags: string[], dogA: object, dogB: object}}
+ *   `score` is out of `maxPoints`; `flags` contains "neither_tested" when no screening has been
+ *   recorded for either dog and "one_untested" when only one of them has been screened.
+ */
+export function evaluateHealthClearances(dogA, dogB, { groupA, groupB, maxPoints = 10 } = {}) {
+  const a = clearanceCoverage(dogA, groupA || null);
+  const b = clearanceCoverage(dogB, groupB || null);
+  const flags = [];
+  if (!a.screened && !b.screened) flags.push("neither_tested");
+  else if (!a.screened || !b.screened) flags.push("one_untested");
+  // Both dogs need their clearances, so the weaker side limits the pair.
+  const score = Math.round(maxPoints * Math.min(a.coverage, b.coverage) * 10) / 10;
+  return { score, flags, dogA: a, dogB: b };
+}
@@ -0,0 +1,126 @@
+// Heat-cycle predictions for female dogs.
+//
+// The next heat is projected from the average interval between logged heats (falling back to
+// a typical six months), and the breeding window is the part of a heat when a mating is most
+// likely to take. A progesterone result at the ovulation level overrides the day-count
+// estimate for the current heat.
+
+import { addDays, differenceInCalendarDays, format, parseISO } from "date-fns";
+
+export const DEFAULT_HEAT_INTERVAL_DAYS = 180;
+// Intervals outside this range are treated as a missed log entry or a typo, not a cycle.
+export const PLAUSIBLE_INTERVAL_DAYS = { min: 90, max: 400 };
+export const HEAT_LENGTH_DAYS = 21;
+// Days after the first day of heat when she is usually receptive and fertile.
+export const BREEDING_WINDOW_DAYS = { from: 9, to: 14 };
+// Progesterone (ng/mL) around ovulation; the eggs are fertile about 2–5 days later.
+export const OVULATION_PROGESTERONE_NG_ML = 5;
+const POST_OVULATION_WINDOW_DAYS = { from: 2, to: 5 };
+// How far ahead FindMatchPage counts a window as "coming up".
+export const UPCOMING_WINDOW_DAYS = 30;
+
+const toDate = (value) => (value instanceof Date ? value : parseISO(String(value)));
+const isoDate = (date) => format(date, "yyyy-MM-dd");
+
+function averageInterval(starts) {
+  const intervals = [];
+  for (let i = 1; i < starts.length; i += 1) {
+    const days = differenceInCalendarDays(starts[i], starts[i - 1]);
+    if (days >= PLAUSIBLE_INTERVAL_DAYS.min && days <= PLAUSIBLE_INTERVAL_DAYS.max) {
+      intervals.push(days);
+    }
+  }
+  if (!intervals.length) return null;
+  return Math.round(intervals.reduce((sum, days) => sum + days, 0) / intervals.length);
+}
+
+function windowFromProgesterone(cycle) {
+  const tests = (cycle.progesterone_tests || [])
+    .filter((test) => Number(test.ng_ml) >= OVULATION_PROGESTERONE_NG_ML)
+    .map((test) => toDate(test.tested_on))
+    .sort((a, b) => a - b);
+  if (!tests.length) return null;
+  return {
+    start: addDays(tests[0], POST_OVULATION_WINDOW_DAYS.from),
+    end: addDays(tests[0], POST_OVULATION_WINDOW_DAYS.to),
+    basis: "progesterone",
+  };
+}
+
+function windowFromStart(start) {
+  return {
+    start: addDays(start, BREEDING_WINDOW_DAYS.from),
+    end: addDays(start, BREEDING_WINDOW_DAYS.to),
+    basis: "cycle",
+  };
+}
+
+/**
+ * Predicts the current or next breeding window from a female's heat log.
+ *
+ * @param {{started_on: string, progesterone_tests?: {tested_on: string, ng_ml: number}[]}[]}
+ *   cycles - Logged heats, in any order.
+ * @param {Date} [today]
+ * @returns {null | {lastStart: string, intervalDays: number, intervalBasis: "history"|"default",
+ *   inHeat: boolean, nextStart: string, window: {start: string, end: string, basis:
+ *   "progesterone"|"cycle"}, daysUntilWindow: number}} Null when no heat has been logged.
+ *   `daysUntilWindow` is 0 while the window is open.
+ */
+export function predictHeat(cycles, today = new Date()) {
+  const logged = (cycles || [])
+    .filter((cycle) => cycle?.started_on)
+    .map((cycle) => ({ ...cycle, start: toDate(cycle.started_on) }))
+    .sort((a, b) => a.start - b.start);
+  if (!logged.length) return null;
+
+  const history = averageInterval(logged.map((cycle) => cycle.start));
+  const intervalDays = history || DEFAULT_HEAT_INTERVAL_DAYS;
+  const last = logged[logged.length - 1];
+  const sinceLast = differenceInCalendarDays(today, last.start);
+
+  let nextStart = addDays(last.start, intervalDays);
+  let window = null;
+  const inHeat = sinceLast >= 0 && sinceLast < HEAT_LENGTH_DAYS;
+  if (inHeat) {
+    window = windowFromProgesterone(last) || windowFromStart(last.start);
+    if (differenceInCalendarDays(window.end, today) < 0) window = null;
+  }
+  if (!window) {
+    // Skip heats that should already have happened but were never logged
+    while (differenceInCalendarDays(addDays(nextStart, BREEDING_WINDOW_DAYS.to), today) < 0) {
+      nextStart = addDays(nextStart, intervalDays);
+    }
+    window = windowFromStart(nextStart);
+  }
+
+  return {
+    lastStart: isoDate(last.start),
+    intervalDays,
+    intervalBasis: history ? "history" : "default",
+    inHeat,
+    nextStart: isoDate(nextStart),
+    window: { start: isoDate(window.start), end: isoDate(window.end), basis: window.basis },
+    daysUntilWindow: Math.max(0, differenceInCalendarDays(window.start, today)),
+  };
+}
+
+// "Breeding window open now" / "Breeding window in 12 days"
+export function describeHeatWindow(prediction) {
+  if (!prediction) return "";
+  const days = prediction.daysUntilWindow;
+  if (days === 0) return "Breeding window open now";
+  return `Breeding window in ${days} day${days === 1 ? "" : "s"}`;
+}
+
+/**
+ * Moves candidates whose breeding window opens within `withinDays` ahead of the rest, soonest
+ * first. Everyone else keeps their order.
+ */
+export function boostUpcomingHeat(matches, withinDays = UPCOMING_WINDOW_DAYS) {
+  const isUpcoming = (match) =>
+    match.heatWindowDays !== null &&
+    match.heatWindowDays !== undefined &&
+    match.heatWindowDays <= withinDays;
+  const upcoming = matches.filter(isUpcoming).sort((a, b) => a.heatWindowDays - b.heatWindowDays);
+  return [...upcoming, ...matches.filter((match) => !isUpcoming(match))];
+}
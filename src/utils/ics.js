@@ -0,0 +1,82 @@
+// Minimal iCalendar (RFC 5545) writer for single events, enough for calendar apps to import a
+// breeding appointment with its reminders.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// 2026-10-24T02:00:00.000Z -> 20261024T020000Z
+export function formatIcsDate(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`
+  );
+}
+
+export function escapeIcsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+}
+
+// Lines longer than 75 characters continue on the next line after a single space.
+function foldLine(line) {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(` ${line.slice(i, i + 74)}`);
+  return parts.join("\r\n");
+}
+
+/**
+ * Builds a VCALENDAR with one VEVENT. `alarmsMinutesBefore` adds a display alarm for each
+ * offset (e.g. [1440, 120] for a day and two hours before).
+ */
+export function buildIcsEvent({
+  uid,
+  start,
+  end,
+  summary,
+  location = "",
+  description = "",
+  alarmsMinutesBefore = [],
+  now = new Date(),
+}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//DaBreeder//Breeding appointment//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatIcsDate(now)}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+  ];
+  if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  alarmsMinutesBefore.forEach((minutes) => {
+    lines.push(
+      "BEGIN:VALARM",
+      `TRIGGER:-PT${minutes}M`,
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeIcsText(summary)}`,
+      "END:VALARM"
+    );
+  });
+  lines.push("END:VEVENT", "END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Saves an .ics file through a temporary download link.
+export function downloadIcs(filename, content) {
+  const url = URL.createObjectURL(new Blob([content], { type: "text/calendar;charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,172 @@
+// Litter records: the puppies a dam whelped, and how a puppy becomes a dog profile of its own.
+// The tables are described in supabase/sql/litters.sql.
+
+import { format } from "date-fns";
+import { declaredComposition, normalizeComposition } from "./breedComposition";
+import { resolveBreed } from "./breedRegistry";
+import { countsTowardStats } from "./outcomeConfirmation";
+
+export const PUPPY_SEXES = ["male", "female"];
+
+export const PUPPY_STATUSES = ["kept", "placed", "deceased"];
+
+export const PUPPY_STATUS_LABELS = {
+  kept: "Kept",
+  placed: "Placed",
+  deceased: "Deceased",
+};
+
+export const MAX_PUPPIES_PER_LITTER = 24;
+
+// Birth weights outside this range (grams) are almost certainly typos.
+export const PUPPY_WEIGHT_GRAMS = { min: 20, max: 2000 };
+
+export const MIXED_BREED_NAME = "Mixed Breed";
+
+// Latest whelping date the form accepts, in the owner's local calendar
+export const todayIso = () => format(new Date(), "yyyy-MM-dd");
+
+export function emptyPuppy(sex = "female") {
+  return { name: "", sex, color: "", markings: "", birth_weight_grams: "", status: "kept" };
+}
+
+/**
+ * Checks one puppy row from the litter form. `index` is zero-based; messages number puppies
+ * from 1. Returns an error message or null.
+ */
+export function validatePuppy(puppy, index = 0) {
+  const label = puppy?.name?.trim() || `Puppy ${index + 1}`;
+  if (!PUPPY_SEXES.includes(puppy?.sex)) return `Choose the sex of ${label}.`;
+  if (!PUPPY_STATUSES.includes(puppy?.status)) return `Choose whether ${label} was kept or placed.`;
+  const weight = puppy.birth_weight_grams;
+  if (weight !== "" && weight !== null && weight !== undefined) {
+    const grams = Number(weight);
+    if (
+      !Number.isInteger(grams) ||
+      grams < PUPPY_WEIGHT_GRAMS.min ||
+      grams > PUPPY_WEIGHT_GRAMS.max
+    ) {
+      return `Birth weight for ${label} must be a whole number of grams between ${PUPPY_WEIGHT_GRAMS.min} and ${PUPPY_WEIGHT_GRAMS.max}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a litter before it is saved: `{ whelped_on, puppies }`. Returns an error message or
+ * null.
+ */
+export function validateLitter(litter, today = todayIso()) {
+  const whelpedOn = litter?.whelped_on;
+  if (!whelpedOn || !/^\d{4}-\d{2}-\d{2}$/.test(whelpedOn)) return "Enter the whelping date.";
+  if (whelpedOn > today) return "The whelping date can't be in the future.";
+  const puppies = litter.puppies || [];
+  if (!puppies.length) return "Add at least one puppy.";
+  if (puppies.length > MAX_PUPPIES_PER_LITTER) {
+    return `A litter can have at most ${MAX_PUPPIES_PER_LITTER} puppies.`;
+  }
+  for (let i = 0; i < puppies.length; i += 1) {
+    const message = validatePuppy(puppies[i], i);
+    if (message) return message;
+  }
+  return null;
+}
+
+// Counts for a litter's summary line.
+export function summarizeLitter(puppies) {
+  const summary = { total: 0, males: 0, females: 0, kept: 0, placed: 0, deceased: 0 };
+  (puppies || []).forEach((puppy) => {
+    summary.total += 1;
+    if (puppy.sex === "male") summary.males += 1;
+    if (puppy.sex === "female") summary.females += 1;
+    if (summary[puppy.status] !== undefined) summary[puppy.status] += 1;
+  });
+  return summary;
+}
+
+export function formatBirthWeight(grams) {
+  const n = Number(grams);
+  if (grams === null || grams === undefined || grams === "" || !Number.isFinite(n)) return "—";
+  return n >= 1000 ? `${(n / 1000).toFixed(2)} kg` : `${n} g`;
+}
+
+// A parent's ancestry as composition shares, falling back to 100% of its registry breed.
+function parentShares(dog) {
+  const declared = declaredComposition(dog);
+  if (declared.length) return declared;
+  const breed = resolveBreed(dog?.breed_id) || resolveBreed(dog?.breed);
+  return breed ? [{ breed_id: breed.id, percent: 100 }] : [];
+}
+
+/**
+ * The breed fields a puppy inherits: `{ breed, breed_id, breed_composition }`. Puppies of two
+ * dogs of the same breed take that breed; otherwise they are a Mixed Breed whose composition
+ * averages the parents' (unknown ancestry stays unknown). Without a sire on record the dam's
+ * breed is used as is.
+ */
+export function puppyBreed(sire, dam) {
+  if (!sire) {
+    return { breed: dam?.breed || null, breed_id: dam?.breed_id || null, breed_composition: null };
+  }
+  const sireShares = parentShares(sire);
+  const damShares = parentShares(dam);
+  const single = (shares) => shares.length === 1 && shares[0].percent === 100;
+  if (single(sireShares) && single(damShares) && sireShares[0].breed_id === damShares[0].breed_id) {
+    const breed = resolveBreed(sireShares[0].breed_id);
+    return { breed: breed.name, breed_id: breed.id, breed_composition: null };
+  }
+  const halves = [...sireShares, ...damShares].map((share) => ({
+    breed_id: share.breed_id,
+    percent: Math.floor(share.percent / 2),
+  }));
+  const composition = normalizeComposition(halves);
+  return {
+    breed: MIXED_BREED_NAME,
+    breed_id: null,
+    breed_composition: composition.length ? composition : null,
+  };
+}
+
+/**
+ * The `dogs` row created when a puppy is promoted to a profile of its own, owned by `userId`
+ * and linked to both parents. The owner completes the rest of the profile afterwards.
+ */
+export function puppyDogDraft(puppy, { sire = null, dam = null, userId = null } = {}) {
+  const position = puppy?.position ? ` ${puppy.position}` : "";
+  return {
+    user_id: userId,
+    name: puppy?.name?.trim() || `${dam?.name || "Litter"} puppy${position}`,
+    gender: puppy?.sex || null,
+    age_years: 0,
+    color: puppy?.color?.trim() || null,
+    ...puppyBreed(sire, dam),
+    sire_id: sire?.id ?? null,
+    dam_id: dam?.id ?? null,
+  };
+}
+
+// Puppies that can still be promoted: alive, not yet linked to a profile.
+export function canPromotePuppy(puppy) {
+  return Boolean(puppy) && !puppy.dog_id && puppy.status !== "deceased";
+}
+
+const sexOf = (dog) => String(dog?.gender || "").toLowerCase();
+
+// The sire and dam among a breeding request's dogs: `{ sire, dam }`, null for a missing sex.
+export function litterParents(match) {
+  const dogs = [match?.requester_dog, match?.requested_dog].filter(Boolean);
+  return {
+    sire: dogs.find((dog) => sexOf(dog) === "male") || null,
+    dam: dogs.find((dog) => sexOf(dog) === "female") || null,
+  };
+}
+
+// A litter can be recorded for a successful request once its outcome counts (not disputed).
+export function canRecordLitter(match) {
+  return (
+    match?.status === "completed_success" &&
+    match.outcome?.outcome === "success" &&
+    countsTowardStats(match.outcome) &&
+    Boolean(litterParents(match).dam)
+  );
+}
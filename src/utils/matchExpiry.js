@@ -0,0 +1,57 @@
+// When pending and awaiting_confirmation requests expire. The database expires them (see
+// supabase/sql/match_expiry.sql) using the windows in `match_expiry_config`; these helpers
+// mirror that rule so My Matches can show a countdown and matches.js can tell when a stale
+// request is blocking a chat.
+
+import { matchPregnancy, pregnancyHoldUntil } from "./pregnancy";
+
+export const DEFAULT_MATCH_EXPIRY = {
+  pendingDays: 14,
+  awaitingConfirmationDays: 30,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The moment the request expires, or null for statuses that don't expire. Pending requests
+ * count from `requested_at`, awaiting_confirmation ones from when they were accepted; a
+ * tracked pregnancy (see ./pregnancy) keeps them open until after the whelping window.
+ */
+export function matchExpiresAt(match, config = DEFAULT_MATCH_EXPIRY) {
+  if (!match) return null;
+  let start = null;
+  let days = null;
+  if (match.status === "pending") {
+    start = match.requested_at;
+    days = config.pendingDays;
+  } else if (match.status === "awaiting_confirmation") {
+    start = match.awaiting_confirmation_at || match.accepted_at || match.requested_at;
+    days = config.awaitingConfirmationDays;
+  }
+  if (!start || !days) return null;
+  const startMs = new Date(start).getTime();
+  if (Number.isNaN(startMs)) return null;
+  const expiresAt = new Date(startMs + days * DAY_MS);
+  const hold =
+    match.status === "awaiting_confirmation" && pregnancyHoldUntil(matchPregnancy(match));
+  return hold && hold > expiresAt ? hold : expiresAt;
+}
+
+export function isMatchOverdue(match, config = DEFAULT_MATCH_EXPIRY, now = new Date()) {
+  const expiresAt = matchExpiresAt(match, config);
+  return expiresAt !== null && expiresAt <= now;
+}
+
+const plural = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+
+// "Expires in 3 days", "Expires in 5 hours", ... or "Expiring now" once the time is up.
+export function formatExpiryCountdown(expiresAt, now = new Date()) {
+  if (!expiresAt) return "";
+  const left = expiresAt.getTime() - now.getTime();
+  if (left <= 0) return "Expiring now";
+  const days = Math.floor(left / DAY_MS);
+  if (days >= 2) return `Expires in ${plural(days, "day")}`;
+  const hours = Math.floor(left / (60 * 60 * 1000));
+  if (hours >= 1) return `Expires in ${plural(hours, "hour")}`;
+  return `Expires in ${plural(Math.max(1, Math.floor(left / 60000)), "minute")}`;
+}
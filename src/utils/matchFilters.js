@@ -0,0 +1,191 @@
+// FindMatchPage filters and their query-string form.
+//
+// Filters live in the URL (e.g. `?dog=12&size=small,medium&age_min=2&health=eye_tested`) so a
+// filtered search can be bookmarked or shared. Values that aren't valid options are dropped
+// while parsing, and defaults are left out of the URL.
+
+import {
+  activityLevelOptions,
+  coatTypeOptions,
+  colorOptions,
+  sizeOptions,
+  sociabilityOptions,
+  trainabilityOptions,
+} from "./traitOptions";
+import { HEALTH_CLEARANCE_LABELS } from "./healthClearances";
+import { resolveBreedId } from "./breedRegistry";
+
+export const DEFAULT_MATCH_FILTERS = {
+  breed: "mixed", // "same" or "mixed"
+  ageMin: null,
+  ageMax: null,
+  sizes: [],
+  weightMin: null,
+  weightMax: null,
+  coatTypes: [],
+  colors: [],
+  activity: [],
+  sociability: [],
+  trainability: [],
+  health: [],
+  maxDistance: null,
+  heatWithinDays: null,
+  heatFirst: false, // list females whose breeding window is coming up first
+  minScore: null,
+};
+
+const values = (options) => options.map((option) => option.value);
+
+// Multi-select filters: filter key → URL param, dog column and allowed values.
+export const LIST_FILTERS = {
+  sizes: { param: "size", column: "size", allowed: values(sizeOptions) },
+  coatTypes: { param: "coat", column: "coat_type", allowed: values(coatTypeOptions) },
+  colors: { param: "color", column: "color", allowed: values(colorOptions) },
+  activity: {
+    param: "activity",
+    column: "activity_level",
+    allowed: values(activityLevelOptions),
+  },
+  sociability: {
+    param: "sociability",
+    column: "sociability",
+    allowed: values(sociabilityOptions),
+  },
+  trainability: {
+    param: "trainability",
+    column: "trainability",
+    allowed: values(trainabilityOptions),
+  },
+  health: { param: "health", column: null, allowed: Object.keys(HEALTH_CLEARANCE_LABELS) },
+};
+
+// Numeric filters: filter key → URL param, field on the scored match and bounds.
+const NUMBER_FILTERS = {
+  ageMin: { param: "age_min", column: "age_years", bound: "min" },
+  ageMax: { param: "age_max", column: "age_years", bound: "max" },
+  weightMin: { param: "weight_min", column: "weight_kg", bound: "min" },
+  weightMax: { param: "weight_max", column: "weight_kg", bound: "max" },
+  maxDistance: { param: "max_km", column: "distanceKm", bound: "max" },
+  heatWithinDays: { param: "heat_days", column: "heatWindowDays", bound: "max" },
+  minScore: { param: "min_score", column: "score", bound: "min" },
+};
+
+// Params FindMatchPage owns besides the filters.
+export const MATCH_SEARCH_PARAMS = { dog: "dog", profile: "profile" };
+
+function parseNumber(raw) {
+  if (raw === null || raw === "") return null;
+  const num = Number(raw);
+  return Number.isFinite(num) && num >= 0 ? num : null;
+}
+
+/**
+ * Reads filters from URLSearchParams. Anything missing or invalid falls back to the default.
+ */
+export function parseMatchFilters(params) {
+  const filters = { ...DEFAULT_MATCH_FILTERS };
+  if (params.get("breed") === "same") filters.breed = "same";
+  filters.heatFirst = params.get("heat_first") === "1";
+  Object.entries(LIST_FILTERS).forEach(([key, { param, allowed }]) => {
+    const raw = params.get(param);
+    if (!raw) return;
+    filters[key] = Array.from(new Set(raw.split(","))).filter((value) => allowed.includes(value));
+  });
+  Object.entries(NUMBER_FILTERS).forEach(([key, { param }]) => {
+    filters[key] = parseNumber(params.get(param));
+  });
+  return filters;
+}
+
+/**
+ * Returns a copy of `params` with the filter params replaced by `filters`. Other params
+ * (the selected dog, scoring profile) are kept.
+ */
+export function writeMatchFilters(params, filters) {
+  const next = new URLSearchParams(params);
+  if (filters.breed === "same") next.set("breed", "same");
+  else next.delete("breed");
+  if (filters.heatFirst) next.set("heat_first", "1");
+  else next.delete("heat_first");
+  Object.entries(LIST_FILTERS).forEach(([key, { param }]) => {
+    const list = filters[key] || [];
+    if (list.length) next.set(param, list.join(","));
+    else next.delete(param);
+  });
+  Object.entries(NUMBER_FILTERS).forEach(([key, { param }]) => {
+    const value = filters[key];
+    if (value === null || value === undefined || value === "") next.delete(param);
+    else next.set(param, String(value));
+  });
+  return next;
+}
+
+export function countActiveFilters(filters) {
+  let count = filters.breed === "same" ? 1 : 0;
+  if (filters.heatFirst) count += 1;
+  Object.keys(LIST_FILTERS).forEach((key) => {
+    if (filters[key]?.length) count += 1;
+  });
+  Object.keys(NUMBER_FILTERS).forEach((key) => {
+    if (filters[key] !== null && filters[key] !== undefined) count += 1;
+  });
+  return count;
+}
+
+const lower = (value) => (typeof value === "string" ? value.toLowerCase() : value);
+
+// Registry id of a dog's breed, so aliases ("GSD", "German Shepherd") count as the same breed
+// the way the score treats them. Breeds the registry doesn't know compare as entered.
+const breedKey = (dog) =>
+  resolveBreedId(dog?.breed_id) || resolveBreedId(dog?.breed) || lower(dog?.breed) || null;
+
+/**
+ * Keeps the scored matches that satisfy every active filter. A dog with no value for a
+ * filtered field doesn't match, since we can't tell whether it fits.
+ */
+export function applyMatchFilters(matches, filters, selectedDog) {
+  if (!selectedDog || !Array.isArray(matches)) return [];
+  return matches.filter((match) => {
+    if (filters.breed === "same") {
+      const breed = breedKey(match);
+      if (!breed || breed !== breedKey(selectedDog)) return false;
+    }
+
+    for (const [key, { column }] of Object.entries(LIST_FILTERS)) {
+      const wanted = filters[key] || [];
+      if (!wanted.length) continue;
+      if (key === "health") {
+        if (!wanted.every((clearance) => match[clearance] === true)) return false;
+      } else if (!wanted.includes(lower(match[column]))) {
+        return false;
+      }
+    }
+
+    for (const [key, { column, bound }] of Object.entries(NUMBER_FILTERS)) {
+      const limit = filters[key];
+      if (limit === null || limit === undefined) continue;
+      const raw = match[column];
+      const value = raw === null || raw === undefined || raw === "" ? NaN : Number(raw);
+      if (!Number.isFinite(value)) return false;
+      if (bound === "min" ? value < limit : value > limit) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Query string for the filters alone, as stored on a saved search.
+ */
+export function filtersToQuery(filters) {
+  return writeMatchFilters(new URLSearchParams(), filters).toString();
+}
+
+/**
+ * FindMatchPage link that reopens a search for `dogId`.
+ */
+export function findMatchUrl({ dogId, profile, filters }) {
+  const params = writeMatchFilters(new URLSearchParams(), filters || DEFAULT_MATCH_FILTERS);
+  params.set(MATCH_SEARCH_PARAMS.dog, String(dogId));
+  if (profile) params.set(MATCH_SEARCH_PARAMS.profile, profile);
+  return `/find-match?${params.toString()}`;
+}
@@ -0,0 +1,217 @@
+// Lifecycle of a breeding request (`dog_match_requests.status`).
+//
+// Every status change goes through a named transition: which statuses it may start from, the
+// status it leads to, which party may trigger it and which timestamp columns it stamps.
+// src/lib/matches.js plans its updates with `planTransition`, and MyMatches offers the actions
+// `availableActions` returns, so the two can't disagree about what is allowed.
+//
+//   pending ──accept──▶ accepted ──await_outcome──▶ awaiting_confirmation ──▶ completed_success
+//      │                   │                              │                └─▶ completed_failed
+//      ├──decline──▶ declined                             │
+//      ├───────────────────┴──────────cancel──────────────┴──▶ cancelled
+//      ├────────────────────expire (system)───────────────┴──▶ expired
+//      └──supersede (system)──▶ superseded
+//
+// `superseded` ends a request whose counter-offer the requester accepted; the updated request
+// carries on from awaiting_confirmation (see supabase/sql/match_counter_offers.sql).
+
+export const MATCH_STATUSES = [
+  "pending",
+  "accepted",
+  "declined",
+  "cancelled",
+  "awaiting_confirmation",
+  "completed_success",
+  "completed_failed",
+  "expired",
+  "superseded",
+];
+
+export const ACTIVE_MATCH_STATUSES = ["pending", "accepted", "awaiting_confirmation"];
+
+// `by`: "requester" (owner who sent the request), "responder" (owner who received it),
+// "either", or "system" for steps no owner can trigger directly (expiry and counter-offers run
+// in the database, see supabase/sql/match_expiry.sql and match_counter_offers.sql).
+export const MATCH_TRANSITIONS = {
+  accept: {
+    from: ["pending"],
+    to: "accepted",
+    by: "responder",
+    timestamps: ["accepted_at"],
+    label: "accepted",
+  },
+  decline: {
+    from: ["pending"],
+    to: "declined",
+    by: "responder",
+    timestamps: ["declined_at"],
+    label: "declined",
+  },
+  cancel: {
+    from: ACTIVE_MATCH_STATUSES,
+    to: "cancelled",
+    by: "requester",
+    timestamps: ["cancelled_at"],
+    label: "cancelled",
+  },
+  await_outcome: {
+    from: ["accepted"],
+    to: "awaiting_confirmation",
+    by: "either",
+    timestamps: ["awaiting_confirmation_at"],
+    label: "awaiting confirmation",
+  },
+  complete_success: {
+    from: ["awaiting_confirmation"],
+    to: "completed_success",
+    by: "either",
+    timestamps: ["completed_at"],
+    label: "marked successful",
+  },
+  complete_failed: {
+    from: ["awaiting_confirmation"],
+    to: "completed_failed",
+    by: "either",
+    timestamps: ["completed_at"],
+    label: "marked unsuccessful",
+  },
+  expire: {
+    from: ["pending", "awaiting_confirmation"],
+    to: "expired",
+    by: "system",
+    timestamps: ["expired_at"],
+    label: "expired",
+  },
+  supersede: {
+    from: ["pending"],
+    to: "superseded",
+    by: "system",
+    timestamps: ["superseded_at"],
+    label: "replaced by a counter-offer",
+  },
+};
+
+/**
+ * Raised for a transition the lifecycle doesn't allow. `code` is one of UNKNOWN_ACTION,
+ * ILLEGAL_TRANSITION (wrong starting status), FORBIDDEN_PARTY (the user may not trigger it)
+ * or STALE_STATUS (the request changed before the update landed).
+ */
+export class MatchTransitionError extends Error {
+  constructor(code, message, { action = null, from = null, to = null } = {}) {
+    super(message);
+    this.name = "MatchTransitionError";
+    this.code = code;
+    this.action = action;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+const STATUS_LABELS = {
+  pending: "pending",
+  accepted: "accepted",
+  declined: "declined",
+  cancelled: "cancelled",
+  awaiting_confirmation: "awaiting confirmation",
+  completed_success: "completed",
+  completed_failed: "completed",
+  expired: "expired",
+  superseded: "replaced by a counter-offer",
+};
+
+// The user's side of a request, or null when they aren't part of it.
+export function matchParty(match, userId) {
+  if (!match || !userId) return null;
+  if (String(match.requester_user_id) === String(userId)) return "requester";
+  if (String(match.requested_user_id) === String(userId)) return "responder";
+  return null;
+}
+
+/**
+ * Validates `action` for the request as it stands and returns `{ from, to, patch }`, the
+ * update to write. Pass `userId` to check the party; omit it for system-driven steps.
+ * Throws MatchTransitionError.
+ */
+export function planTransition(match, action, { userId, now = new Date() } = {}) {
+  const transition = MATCH_TRANSITIONS[action];
+  if (!transition) {
+    throw new MatchTransitionError("UNKNOWN_ACTION", `Unknown match action "${action}".`, {
+      action,
+    });
+  }
+  const from = match?.status;
+  const details = { action, from, to: transition.to };
+  if (!transition.from.includes(from)) {
+    throw new MatchTransitionError(
+      "ILLEGAL_TRANSITION",
+      `This request is ${STATUS_LABELS[from] || from || "unknown"} and can't be ${transition.label}.`,
+      details
+    );
+  }
+  if (userId !== undefined && transition.by === "system") {
+    throw new MatchTransitionError(
+      "FORBIDDEN_PARTY",
+      `Requests can't be ${transition.label} by hand.`,
+      details
+    );
+  } else if (userId !== undefined && transition.by !== "either") {
+    if (matchParty(match, userId) !== transition.by) {
+      throw new MatchTransitionError(
+        "FORBIDDEN_PARTY",
+        transition.by === "requester"
+          ? `Only the owner who sent this request can mark it ${transition.label}.`
+          : `Only the owner who received this request can mark it ${transition.label}.`,
+        details
+      );
+    }
+  } else if (userId !== undefined && !matchParty(match, userId)) {
+    throw new MatchTransitionError("FORBIDDEN_PARTY", "You're not part of this request.", details);
+  }
+
+  const at = now.toISOString();
+  const patch = { status: transition.to, last_status_changed_at: at };
+  transition.timestamps.forEach((field) => {
+    patch[field] = at;
+  });
+  return { from, to: transition.to, patch };
+}
+
+/**
+ * Plans several transitions in a row (e.g. accept then await_outcome) and merges them into a
+ * single update. `from` is the status the first step starts from.
+ */
+export function planTransitions(match, actions, options = {}) {
+  let current = match;
+  let patch = {};
+  actions.forEach((action) => {
+    const step = planTransition(current, action, options);
+    patch = { ...patch, ...step.patch };
+    current = { ...current, ...step.patch };
+  });
+  return { from: match?.status, to: current.status, patch };
+}
+
+export function canTransition(match, action, userId) {
+  try {
+    planTransition(match, action, { userId });
+    return true;
+  } catch (err) {
+    if (err instanceof MatchTransitionError) return false;
+    throw err;
+  }
+}
+
+// Actions the user can trigger on the request right now, in MATCH_TRANSITIONS order.
+export function availableActions(match, userId) {
+  return Object.keys(MATCH_TRANSITIONS).filter((action) => canTransition(match, action, userId));
+}
+
+// The transition leading from the request's status to `status`, or null if there is none.
+export function actionForStatus(match, status) {
+  return (
+    Object.keys(MATCH_TRANSITIONS).find((action) => {
+      const transition = MATCH_TRANSITIONS[action];
+      return transition.to === status && transition.from.includes(match?.status);
+    }) || null
+  );
+}
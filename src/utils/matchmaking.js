@@ -1,225 +1,13 @@
-// Helper: map breeds to groups (comprehensive list of all available breeds)
-const breedGroups = {
-  // Herding Group
-  // Native/Local Breeds
-  aspin: "native",
-  "australian cattle dog": "herding",
-  "australian kelpie": "herding",
-  "australian shepherd": "herding",
-  "bearded collie": "herding",
-  beauceron: "herding",
-  "belgian laekenois": "herding",
-  "belgian malinois": "herding",
-  "belgian sheepdog": "herding",
-  "belgian tervuren": "herding",
-  "berger picard (berger picard)": "herding",
-  "border collie": "herding",
-  briard: "herding",
-  "catalan sheepdog": "herding",
-  "collie (rough)": "herding",
-  "czeslovakan wolfdog": "herding",
-  "dutch shepherd": "herding",
-  "german shepherd dog": "herding",
-  "hrvatski ovcar (croatian sheepdog)": "herding",
-  komondor: "herding",
-  kuvasz: "herding",
-  "old english sheepdog": "herding",
-  puli: "herding",
-  pumi: "herding",
-  "saarloos wolfdog": "herding",
-  "shetland sheepdog": "herding",
-  schipperke: "herding",
-  "welsh corgi cardigan": "herding",
-  "welsh corgi pembroke": "herding",
-
-  // Working Group
-  "anatolian shepherd dog": "working",
-  "bernese mountain dog": "working",
-  boxer: "working",
-  bulldog: "working",
-  bullmastiff: "working",
-  "caucasian shepherd dog": "working",
-  "central asia shepherd dog": "working",
-  "chinese shar-pei": "working",
-  dobermann: "working",
-  "dogo argentino": "working",
-  "dogo canario": "working",
-  "dogo de bordeaux": "working",
-  "fila brasileiro": "working",
-  "giant schnauzer": "working",
-  "great dane": "working",
-  "great pyrenees": "working",
-  mastiff: "working",
-  "miniature pinscher": "working",
-  "miniature schnauzer": "working",
-  "neapolitan mastiff": "working",
-  newfoundland: "working",
-  rottweiler: "working",
-  "st bernard": "working",
-  "tosa inu": "working",
-
-  // Terrier Group
-  "airedale terrier": "terrier",
-  "am staffordshire terrier": "terrier",
-  "australian terrier": "terrier",
-  "bedlington terrier": "terrier",
-  "border terrier": "terrier",
-  "bull terrier": "terrier",
-  "cairn terrier": "terrier",
-  "dandie dinmont terrier": "terrier",
-  "fox terrier (smooth)": "terrier",
-  "fox terrier (wirehaired)": "terrier",
-  "irish terrier": "terrier",
-  "jack russell terrier": "terrier",
-  "kerry blue terrier": "terrier",
-  "lakeland terrier": "terrier",
-  "manchester terrier": "terrier",
-  "miniature bull terrier": "terrier",
-  "norwich terrier": "terrier",
-  "parson russell terrier": "terrier",
-  "scottish terrier": "terrier",
-  "sealyham terrier": "terrier",
-  "skye terrier": "terrier",
-  "welsh terrier": "terrier",
-  "west highland white terrier": "terrier",
-  "yorkshire terrier": "terrier",
-
-  // Dachshund Group (Hound)
-  "dachshund (std-smooth)": "hound",
-  "dachshund (std-wirehaired)": "hound",
-
-  // Spitz Group (Non-Sporting)
-  akita: "non-sporting",
-  "alaskan malamute": "non-sporting",
-  basenji: "non-sporting",
-  "chow chow": "non-sporting",
-  "german spitz": "non-sporting",
-  "gronlandshund (greenland dog)": "non-sporting",
-  "japanese spitz": "non-sporting",
-  keeshond: "non-sporting",
-  "norwegian elkhound": "non-sporting",
-  pomeranian: "non-sporting",
-  samoyed: "non-sporting",
-  "shiba inu": "non-sporting",
-  "siberian husky": "non-sporting",
-
-  // Hounds
-  "alpine dachsbracke": "hound",
-  "american foxhound": "hound",
-  "basset artesien normand (artesian-norman basset)": "hound",
-  "basset bleu de gascogne (blue gascony basset)": "hound",
-  "basset fauve de bretagne (fawn brittany basset)": "hound",
-  "basset hound": "hound",
-  "bavarian mountain scenthound": "hound",
-  beagle: "hound",
-  billy: "hound",
-  "black and tan coonhound": "hound",
-  bloodhound: "hound",
-  dalmatian: "hound",
-  "deutsche bracke (german hound)": "hound",
-  "drever (swedish dachsbracke)": "hound",
-  "dunker (norwegian hound)": "hound",
-  "english foxhound": "hound",
-  "grand basset griffon vendeen": "hound",
-  "grand griffon vendeen": "hound",
-  "hamiltonstovare (hamilton hound)": "hound",
-  "hanoverian scenthound": "hound",
-  harrier: "hound",
-  "italian hound": "hound",
-  "ogar polski (polish hound)": "hound",
-  otterhound: "hound",
-  "petit basset griffon vendeen (petit basset griffon vendeen)": "hound",
-  "petit chien courant suisse (small swiss hound)": "hound",
-  "rhodesian ridgeback": "hound",
-  "schillerstovare (schiller hound)": "hound",
-  "serbian hound": "hound",
-  "serbian tri color hound": "hound",
-  "slovensky kopov (slovakian hound)": "hound",
-  "smalandstovare (smaland hound)": "hound",
-  "spanish hound": "hound",
-  "suomenajokoira (finnish hound)": "hound",
-  "swiss hound": "hound",
-  "westphalian dachsbracke": "hound",
-
-  // Sporting Group (Pointing Dogs)
-  "bracco italiano (italian pointing dogs)": "sporting",
-  "brittany spaniel": "sporting",
-  "english pointer": "sporting",
-  "english setter": "sporting",
-  "german shorthaired pointer": "sporting",
-  "german wirehaired pointer": "sporting",
-  "gordon setter": "sporting",
-  "griffon, wirehaired pointer": "sporting",
-  "irish setter": "sporting",
-  "irish red & white setter": "sporting",
-  pointer: "sporting",
-  vizsla: "sporting",
-  weimaraner: "sporting",
-
-  // Sporting Group (Retrievers & Water Dogs)
-  "am cocker spaniel": "sporting",
-  "american water spaniel": "sporting",
-  "barbet (french water dog)": "sporting",
-  "chesapeake bay retriever": "sporting",
-  "clumber spaniel": "sporting",
-  "curly coated retriever": "sporting",
-  "deutscher wachtelhund (german spaniel)": "sporting",
-  "english cocker spaniel": "sporting",
-  "english springer spaniel": "sporting",
-  "field spaniel": "sporting",
-  "flat coated retriever": "sporting",
-  "golden retriever": "sporting",
-  "irish water spaniel": "sporting",
-  "labrador retriever": "sporting",
-  "lagotto romagnolo (romagna water dog)": "sporting",
-  "dederlandse kooikerhondje": "sporting",
-  "nova scotia duck tolling retriever": "sporting",
-  "perro de agua español (spanish waterdog)": "sporting",
-  "portuguese water dog": "sporting",
-  "sussex spaniel": "sporting",
-  "welsh springer spaniel": "sporting",
-  "wetterhound (frisian water dog)": "sporting",
-
-  // Toy & Companion Dogs
-  affenpinscher: "toy",
-  "bichon frise": "toy",
-  bolognese: "toy",
-  "boston terrier": "toy",
-  "coton de tulear": "toy",
-  "cavalier king charles spaniel": "toy",
-  chihuahua: "toy",
-  "chinese crested dog": "toy",
-  "french bulldog": "toy",
-  "griffon (brussels)": "toy",
-  havanese: "toy",
-  "japanese chin": "toy",
-  "lhasa apso": "toy",
-  maltese: "toy",
-  papillon: "toy",
-  pekingese: "toy",
-  poodle: "toy",
-  pug: "toy",
-  "shih tzu": "toy",
-
-  // Sight Hounds (Hound Group)
-  "afghan hound": "hound",
-  azawakh: "hound",
-  borzoi: "hound",
-  "chart polski (polish greyhound)": "hound",
-  deerhound: "hound",
-  "galgo español (spanish greyhound)": "hound",
-  "irish wolfhound": "hound",
-  "italian greyhound": "hound",
-  "magyar agar (hungarian greyhound)": "hound",
-  saluki: "hound",
-  "sloughi (arabian greyhound)": "hound",
-  whippet: "hound",
-};
-
-export function getBreedGroup(breed) {
-  if (!breed) return null;
-  return breedGroups[breed.toLowerCase()] || null;
-}
+import { calculateLitterCoi } from "./coi";
+import { evaluateHealthClearances } from "./healthClearances";
+import { isDoubleMerleRisk } from "./colorGenetics";
+import { dogDistanceKm } from "./distance";
+import { getBreedGroup, resolveBreedId } from "./breedRegistry";
+import { compositionFor, compositionOverlap, isMixedComposition } from "./breedComposition";
+import { COMPONENT_RULES, SCORING_COMPONENTS, getScoringProfile } from "./scoringProfiles";
+
+// Breed groups come from the registry so aliases and misspellings resolve the same way
+export { getBreedGroup };
 
 // 💥 NEW: Define groups with common lineage for higher compatibility score
 const relatedGroups = [
@@ -247,36 +35,50 @@ function getCrossGroupScore(groupA, groupB) {
   return 0;
 }
 
-export function breedCompatibilityScore(breedA, breedB) {
-  if (!breedA || !breedB) return 0;
-  const a = breedA.toLowerCase();
-  const b = breedB.toLowerCase();
+// Returns "exact", "sameGroup", "relatedGroups" or null for unrelated/unknown breeds.
+function breedMatchLevel(breedA, breedB) {
+  if (!breedA || !breedB) return null;
+  const a = resolveBreedId(breedA) || breedA.toLowerCase();
+  const b = resolveBreedId(breedB) || breedB.toLowerCase();
 
-  // 1. Exact breed match
-  if (a === b) return 20;
+  // 1. Exact breed match (aliases of the same breed count)
+  if (a === b) return "exact";
 
   const groupA = getBreedGroup(a);
   const groupB = getBreedGroup(b);
 
   if (groupA && groupB) {
     // 2. Same AKC-like group match
-    if (groupA === groupB) return 10;
+    if (groupA === groupB) return "sameGroup";
 
     // 3. 💥 NEW: Cross-Group/Lineage match
-    const crossScore = getCrossGroupScore(groupA, groupB);
-    if (crossScore > 0) return crossScore;
+    if (getCrossGroupScore(groupA, groupB) > 0) return "relatedGroups";
   }
 
-  return 0; // different breeds and different groups/lineages
+  return null; // different breeds and different groups/lineages
+}
+
+// Breed points two breeds earn under a scoring profile (balanced by default).
+export function breedCompatibilityScore(breedA, breedB, profile) {
+  const level = breedMatchLevel(breedA, breedB);
+  const { weights } = getScoringProfile(profile);
+  return level ? Math.round(weights.breed * COMPONENT_RULES.breed[level]) : 0;
+}
+
+// Share of the breed points earned, from 0 to 1. Crossbreeds compare by the ancestry they
+// share (weighted overlap of their compositions); two single-breed dogs keep the exact,
+// same-group and related-group levels.
+function breedCredit(dogA, dogB) {
+  const compA = compositionFor(dogA);
+  const compB = compositionFor(dogB);
+  if (isMixedComposition(compA) || isMixedComposition(compB)) {
+    const { breed, group } = compositionOverlap(compA, compB);
+    return breed * COMPONENT_RULES.breed.exact + (group - breed) * COMPONENT_RULES.breed.sameGroup;
+  }
+  const level = breedMatchLevel(dogA.breed, dogB.breed);
+  return level ? COMPONENT_RULES.breed[level] : 0;
 }
 
-/**
- * Calculates a match score between two dogs based on breeding compatibility.
- *
- * @param {object} dogA - The first dog object.
- * @param {object} dogB - The second dog object.
- * @returns {number} A compatibility score from 0 to 100.
- */
 const hasValue = (value) => value !== undefined && value !== null && value !== "";
 
 function normalizeNumber(value) {
@@ -289,140 +91,214 @@ function normalizeString(value) {
   return typeof value === "string" ? value.toLowerCase() : value || null;
 }
 
-function calculateMatchBreakdown(dogA, dogB) {
+const round1 = (value) => Math.round(value * 10) / 10;
+
+function evaluateCoi(dogA, dogB, options) {
+  const result = calculateLitterCoi(dogA.pedigree, dogB.pedigree);
+  if (!result) return { coi: null, commonAncestors: [], coiDeduction: 0, coiBlocked: false };
+  const { coi, commonAncestors } = result;
+  if (coi > options.threshold) {
+    if (options.mode === "block") {
+      return { coi, commonAncestors, coiDeduction: 0, coiBlocked: true };
+    }
+    return { coi, commonAncestors, coiDeduction: options.penalty, coiBlocked: false };
+  }
+  const coiDeduction = Math.floor(coi * 100) * options.pointsPerPercent;
+  return { coi, commonAncestors, coiDeduction, coiBlocked: false };
+}
+
+function evaluateDistance(dogA, dogB, options) {
+  const distanceKm = dogDistanceKm(dogA, dogB);
+  if (distanceKm === null || distanceKm <= options.freeKm) {
+    return { distanceKm, distanceDeduction: 0 };
+  }
+  const steps = Math.ceil((distanceKm - options.freeKm) / 100);
+  return {
+    distanceKm,
+    distanceDeduction: Math.min(steps * options.pointsPer100Km, options.maxPenalty),
+  };
+}
+
+function calculateMatchBreakdown(dogA, dogB, options = {}) {
+  const profile = getScoringProfile(options.profile);
+  const { weights, hardStops, deductions } = profile;
   let sizeDeduction = 0;
   let weightDeduction = 0;
-  // Adjusted weights for more realistic results
-  const breakdown = {
-    gender: 15, // Higher importance for gender pairing
-    breed: 20, // Breed compatibility is most important
-    age: 10, // Age difference matters, but less
-    size: 15, // Size compatibility is important
-    weight: 10, // Weight difference matters, but less
-    coat: 5, // Coat type is less important
-    color: 2, // Color is least important
-    temperament: 8, // Temperament is moderately important
-  };
+  const coiOptions = { ...profile.coi, ...(options.coi || {}) };
+  const { coi, commonAncestors, coiDeduction, coiBlocked } = evaluateCoi(dogA, dogB, coiOptions);
+  const coiInfo = { coi, commonAncestors, coiDeduction };
+  const distanceInfo = evaluateDistance(dogA, dogB, {
+    ...profile.distance,
+    ...(options.distance || {}),
+  });
+  // Every component starts at zero and earns up to its profile weight; missing data earns nothing.
+  const breakdown = Object.fromEntries(SCORING_COMPONENTS.map((key) => [key, 0]));
 
   const sizes = ["small", "medium", "large", "giant"];
   const safeA = normalizeString(dogA.size);
   const safeB = normalizeString(dogB.size);
   const ia = sizes.indexOf(safeA);
   const ib = sizes.indexOf(safeB);
+  const sizeGap = ia !== -1 && ib !== -1 ? Math.abs(ia - ib) : null;
 
   // Hard stop on unsafe size or weight pairing
   const weightA = normalizeNumber(dogA.weight_kg);
   const weightB = normalizeNumber(dogB.weight_kg);
   const weightDiff = weightA !== null && weightB !== null ? Math.abs(weightA - weightB) : null;
-  if (
-    (ia !== -1 && ib !== -1 && Math.abs(ia - ib) >= 2) ||
-    (weightDiff !== null && weightDiff >= 10)
-  ) {
-    return { breakdown, unsafe: true };
+  const unsafeReasons = [];
+  if (sizeGap !== null && sizeGap >= hardStops.blockSizeGap) unsafeReasons.push("size");
+  if (weightDiff !== null && weightDiff >= hardStops.blockWeightDiffKg) {
+    unsafeReasons.push("weight");
   }
 
   const genderA = normalizeString(dogA.gender || dogA.sex);
   const genderB = normalizeString(dogB.gender || dogB.sex);
-  if (!genderA || !genderB || genderA === genderB) {
-    return { breakdown, unsafe: true };
+  if (!genderA || !genderB || genderA === genderB) unsafeReasons.push("gender");
+  if (coiBlocked) unsafeReasons.push("coi");
+  if (hardStops.blockDoubleMerle && isDoubleMerleRisk(dogA, dogB)) unsafeReasons.push("merle");
+
+  if (unsafeReasons.length) {
+    return {
+      breakdown,
+      unsafe: true,
+      unsafeReasons,
+      profile: profile.id,
+      ...coiInfo,
+      ...distanceInfo,
+    };
   }
 
-  breakdown.breed = breedCompatibilityScore(dogA.breed, dogB.breed);
+  // Passing the safety gate earns the full gender points
+  breakdown.gender = weights.gender;
+
+  breakdown.breed = round1(weights.breed * breedCredit(dogA, dogB));
 
   const ageA = normalizeNumber(dogA.age_years);
   const ageB = normalizeNumber(dogB.age_years);
   if (ageA !== null && ageB !== null) {
     const ageDiff = Math.abs(ageA - ageB);
-    breakdown.age = Math.max(0, 10 - ageDiff * 1.5);
+    const ageCredit = Math.max(0, 1 - ageDiff * COMPONENT_RULES.age.lossPerYear);
+    breakdown.age = round1(weights.age * ageCredit);
   }
 
-  if (ia !== -1 && ib !== -1) {
-    if (ia === ib) {
-      breakdown.size = 15;
-    } else if (Math.abs(ia - ib) === 1) {
-      breakdown.size = 8;
-      sizeDeduction = 5; // Deduct 5% if size is off by 1
-    } else {
-      sizeDeduction = 10; // Deduct 10% if size is off by more than 1
-    }
+  if (sizeGap === 0) {
+    breakdown.size = weights.size;
+  } else if (sizeGap === 1) {
+    breakdown.size = round1(weights.size * COMPONENT_RULES.size.oneStep);
+    sizeDeduction = deductions.sizeOneStep;
   }
 
-  if (weightA !== null && weightB !== null) {
-    // Already blocked above if weightDiff >= 10
-    breakdown.weight = Math.max(0, 10 - weightDiff * 0.8);
-    if (weightDiff >= 5 && weightDiff < 10) {
-      weightDeduction = 5; // Deduct 5% for moderate weight difference
+  if (weightDiff !== null) {
+    // Already blocked above if the gap reached the hard stop
+    const weightCredit = Math.max(0, 1 - weightDiff / hardStops.blockWeightDiffKg);
+    breakdown.weight = round1(weights.weight * weightCredit);
+    if (weightDiff >= deductions.moderateWeightFromKg) {
+      weightDeduction = deductions.moderateWeight;
     }
   }
 
   const coatA = normalizeString(dogA.coat_type);
   const coatB = normalizeString(dogB.coat_type);
-  if (coatA && coatB && coatA === coatB) breakdown.coat = 5;
+  if (coatA && coatB && coatA === coatB) breakdown.coat = weights.coat;
 
   const colorA = normalizeString(dogA.color);
   const colorB = normalizeString(dogB.color);
-  if (colorA && colorB && colorA === colorB) breakdown.color = 2;
+  if (colorA && colorB && colorA === colorB) breakdown.color = weights.color;
+
+  let temperamentCredit = 0;
+  for (const trait of ["activity", "sociability", "trainability"]) {
+    const column = trait === "activity" ? "activity_level" : trait;
+    const valueA = normalizeString(dogA[column]);
+    const valueB = normalizeString(dogB[column]);
+    if (valueA && valueB && valueA === valueB) {
+      temperamentCredit += COMPONENT_RULES.temperament[trait];
+    }
+  }
+  breakdown.temperament = round1(weights.temperament * temperamentCredit);
 
-  const activityA = normalizeString(dogA.activity_level);
-  const activityB = normalizeString(dogB.activity_level);
-  if (activityA && activityB && activityA === activityB) breakdown.temperament += 4;
+  const healthReport = evaluateHealthClearances(dogA, dogB, {
+    groupA: getBreedGroup(dogA.breed),
+    groupB: getBreedGroup(dogB.breed),
+    maxPoints: weights.health,
+  });
+  breakdown.health = healthReport.score;
 
-  const sociabilityA = normalizeString(dogA.sociability);
-  const sociabilityB = normalizeString(dogB.sociability);
-  if (sociabilityA && sociabilityB && sociabilityA === sociabilityB) breakdown.temperament += 2;
+  return {
+    breakdown,
+    unsafe: false,
+    unsafeReasons,
+    profile: profile.id,
+    sizeDeduction,
+    weightDeduction,
+    healthFlags: healthReport.flags,
+    missingClearances: { dogA: healthReport.dogA.missing, dogB: healthReport.dogB.missing },
+    ...coiInfo,
+    ...distanceInfo,
+  };
+}
 
-  const trainabilityA = normalizeString(dogA.trainability);
-  const trainabilityB = normalizeString(dogB.trainability);
-  if (trainabilityA && trainabilityB && trainabilityA === trainabilityB) breakdown.temperament += 2;
+function totalScore({
+  breakdown,
+  sizeDeduction = 0,
+  weightDeduction = 0,
+  coiDeduction = 0,
+  distanceDeduction = 0,
+}) {
+  const total = SCORING_COMPONENTS.reduce((sum, key) => sum + breakdown[key], 0);
+  const deductions = sizeDeduction + weightDeduction + coiDeduction + distanceDeduction;
+  return Math.max(0, Math.min(Math.round(total) - deductions, 100));
+}
 
-  return { breakdown, unsafe: false, sizeDeduction, weightDeduction };
+/**
+ * Calculates a match score between two dogs based on breeding compatibility.
+ * When both dogs carry a `pedigree` tree the litter's COI is checked as well, and when both
+ * have a recorded province/city the travel distance between them can cost points.
+ *
+ * @param {object} dogA - The first dog object.
+ * @param {object} dogB - The second dog object.
+ * @param {{profile?: string|object, coi?: object, distance?: object}} [options] - Scoring
+ *   profile id (see SCORING_PROFILES) and optional overrides for the profile's COI and
+ *   distance settings.
+ * @returns {number} A compatibility score from 0 to 100.
+ */
+export function calculateMatchScore(dogA, dogB, options) {
+  const result = calculateMatchBreakdown(dogA, dogB, options);
+  if (result.unsafe) return 0;
+  return totalScore(result);
 }
 
-export function calculateMatchScore(dogA, dogB) {
+export function calculateMatchDetails(dogA, dogB, options) {
+  const result = calculateMatchBreakdown(dogA, dogB, options);
   const {
     breakdown,
     unsafe,
+    unsafeReasons,
+    profile,
     sizeDeduction = 0,
     weightDeduction = 0,
-  } = calculateMatchBreakdown(dogA, dogB);
-  if (unsafe) return 0;
-  let total =
-    breakdown.gender +
-    breakdown.breed +
-    breakdown.age +
-    breakdown.size +
-    breakdown.weight +
-    breakdown.coat +
-    breakdown.color +
-    breakdown.temperament;
-  total -= sizeDeduction;
-  total -= weightDeduction;
-  return Math.min(Math.round(total), 100);
-}
-
-export function calculateMatchDetails(dogA, dogB) {
-  const {
+    coi,
+    commonAncestors,
+    coiDeduction = 0,
+    distanceKm = null,
+    distanceDeduction = 0,
+    healthFlags = [],
+    missingClearances = null,
+  } = result;
+  const score = unsafe ? 0 : totalScore(result);
+  return {
+    score,
     breakdown,
     unsafe,
-    sizeDeduction = 0,
-    weightDeduction = 0,
-  } = calculateMatchBreakdown(dogA, dogB);
-  const score = unsafe
-    ? 0
-    : Math.min(
-        Math.round(
-          breakdown.gender +
-            breakdown.breed +
-            breakdown.age +
-            breakdown.size +
-            breakdown.weight +
-            breakdown.coat +
-            breakdown.color +
-            breakdown.temperament
-        ) -
-          sizeDeduction -
-          weightDeduction,
-        100
-      );
-  return { score, breakdown, unsafe, sizeDeduction, weightDeduction };
+    unsafeReasons,
+    profile,
+    sizeDeduction,
+    weightDeduction,
+    healthFlags,
+    missingClearances,
+    coi,
+    commonAncestors,
+    coiDeduction,
+    distanceKm,
+    distanceDeduction,
+  };
 }
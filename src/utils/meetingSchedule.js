@@ -0,0 +1,69 @@
+// Meeting slots for arranging the mating once a request is awaiting confirmation. Either
+// owner proposes slots, the other accepts one; the accepted slot is the appointment. Slots are
+// stored in `match_meeting_slots` (supabase/sql/match_meeting_slots.sql).
+
+import { format } from "date-fns";
+import { buildIcsEvent } from "./ics";
+
+export const MAX_PROPOSED_SLOTS = 3;
+export const DEFAULT_MEETING_MINUTES = 60;
+// Reminders go out this many hours before the appointment, as notifications from the
+// database and as alarms in the downloaded .ics file.
+export const MEETING_REMINDER_HOURS = [24, 2];
+
+export function canScheduleMeeting(match) {
+  return match?.status === "awaiting_confirmation";
+}
+
+/**
+ * Returns the first problem with a proposed slot `{ starts_at, duration_minutes, location }`,
+ * or null when it can be proposed.
+ */
+export function validateMeetingSlot(slot, now = new Date()) {
+  const start = slot?.starts_at ? new Date(slot.starts_at) : null;
+  if (!start || Number.isNaN(start.getTime())) return "Pick a date and time.";
+  if (start <= now) return "Meeting times must be in the future.";
+  const minutes = Number(slot.duration_minutes ?? DEFAULT_MEETING_MINUTES);
+  if (!Number.isInteger(minutes) || minutes < 15 || minutes > 24 * 60) {
+    return "Meetings last between 15 minutes and a day.";
+  }
+  if (!String(slot.location || "").trim()) return "Add where you'll meet.";
+  return null;
+}
+
+// The accepted slot among a match's slots, or null.
+export function confirmedMeeting(slots) {
+  return (slots || []).find((slot) => slot.status === "accepted") || null;
+}
+
+export function meetingEnd(slot) {
+  const minutes = Number(slot.duration_minutes) || DEFAULT_MEETING_MINUTES;
+  return new Date(new Date(slot.starts_at).getTime() + minutes * 60000);
+}
+
+// "Sat, Oct 24 · 10:00 AM · Quezon City"
+export function formatMeetingSlot(slot) {
+  if (!slot) return "";
+  const when = format(new Date(slot.starts_at), "EEE, MMM d · h:mm a");
+  return slot.location ? `${when} · ${slot.location}` : when;
+}
+
+/**
+ * The .ics file for an accepted slot. `dogNames` names the pair in the title.
+ */
+export function meetingIcs(slot, { dogNames = [], notes = "", now } = {}) {
+  const pair = dogNames.filter(Boolean).join(" & ");
+  return buildIcsEvent({
+    uid: `meeting-${slot.id}@dabreeder`,
+    start: new Date(slot.starts_at),
+    end: meetingEnd(slot),
+    summary: pair ? `Breeding appointment: ${pair}` : "Breeding appointment",
+    location: slot.location,
+    description: [slot.notes, notes].filter(Boolean).join("\n"),
+    alarmsMinutesBefore: MEETING_REMINDER_HOURS.map((hours) => hours * 60),
+    now,
+  });
+}
+
+export const meetingIcsFilename = (slot) =>
+  `breeding-appointment-${format(new Date(slot.starts_at), "yyyy-MM-dd")}.ics`;
@@ -0,0 +1,69 @@
+// Two-party confirmation of breeding outcomes. The owner who records an outcome can't make it
+// count alone: the other owner confirms or disputes it before `confirm_by`, silence confirms
+// it once that passes, and disputes are settled by an admin. Only confirmed and resolved
+// outcomes count toward breeding stats. The database side lives in
+// supabase/sql/match_outcome_confirmation.sql.
+
+export const OUTCOME_CONFIRMATION_LABELS = {
+  pending: "Awaiting confirmation",
+  confirmed: "Confirmed",
+  disputed: "Disputed",
+  resolved: "Resolved by admin",
+};
+
+export const COUNTED_CONFIRMATION_STATUSES = ["confirmed", "resolved"];
+
+export const DISPUTE_RESOLUTIONS = {
+  upheld: "Uphold recorded outcome",
+  corrected: "Correct the outcome",
+};
+
+export const MAX_EVIDENCE_FILES = 5;
+export const MAX_EVIDENCE_BYTES = 10 * 1024 * 1024;
+const EVIDENCE_TYPES = /^(image\/|application\/pdf$)/;
+
+// Outcomes recorded before confirmation existed have no status and keep counting.
+export function countsTowardStats(outcome) {
+  if (!outcome) return false;
+  return (
+    !outcome.confirmation_status ||
+    COUNTED_CONFIRMATION_STATUSES.includes(outcome.confirmation_status)
+  );
+}
+
+/**
+ * Where an outcome stands for the given user: `{ status, label, recordedByMe, canRespond,
+ * deadline }`. A pending outcome past its deadline reads as confirmed, which is what the
+ * database makes of it on the next sweep.
+ */
+export function outcomeConfirmationState(outcome, userId, now = new Date()) {
+  if (!outcome) return null;
+  const deadline = outcome.confirm_by ? new Date(outcome.confirm_by) : null;
+  let status = outcome.confirmation_status || "confirmed";
+  if (status === "pending" && deadline && deadline <= now) status = "confirmed";
+  const recordedByMe = String(outcome.verified_by_user_id) === String(userId);
+  return {
+    status,
+    label: OUTCOME_CONFIRMATION_LABELS[status] || status,
+    recordedByMe,
+    canRespond: status === "pending" && !recordedByMe && Boolean(userId),
+    deadline: status === "pending" ? deadline : null,
+  };
+}
+
+/**
+ * Returns the first problem with a dispute statement, or null when it can be sent.
+ */
+export function validateDisputeStatement({ notes, files = [] }) {
+  if (!String(notes || "").trim()) return "Describe what happened.";
+  if (files.length > MAX_EVIDENCE_FILES) {
+    return `Attach up to ${MAX_EVIDENCE_FILES} files.`;
+  }
+  if (files.some((file) => !EVIDENCE_TYPES.test(file.type || ""))) {
+    return "Evidence must be images or PDFs.";
+  }
+  if (files.some((file) => file.size > MAX_EVIDENCE_BYTES)) {
+    return "Each file must be 10 MB or smaller.";
+  }
+  return null;
+}
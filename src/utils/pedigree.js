@@ -0,0 +1,137 @@
+// Pedigree helpers shared by the registry client, the profile tree and inbreeding checks.
+//
+// A parent link points either at a registered DaBreeder dog (`sire_id` / `dam_id`) or at an
+// external ancestor row (`sire_ancestor_id` / `dam_ancestor_id`). Both `dogs` and
+// `pedigree_ancestors` carry the same four columns, so every node is walked the same way.
+
+export const PEDIGREE_GENERATIONS = 5;
+
+export const PARENT_ROLES = ["sire", "dam"];
+
+export function nodeKey(kind, id) {
+  if (!kind || id === undefined || id === null || id === "") return null;
+  return `${kind}:${id}`;
+}
+
+export function refKey(ref) {
+  return ref ? nodeKey(ref.kind, ref.id) : null;
+}
+
+// Returns { kind, id } for the given role, preferring a registered dog over an external record.
+export function parentRef(row, role) {
+  if (!row || !PARENT_ROLES.includes(role)) return null;
+  const dogId = row[`${role}_id`];
+  if (dogId !== undefined && dogId !== null && dogId !== "") return { kind: "dog", id: dogId };
+  const ancestorId = row[`${role}_ancestor_id`];
+  if (ancestorId !== undefined && ancestorId !== null && ancestorId !== "") {
+    return { kind: "ancestor", id: ancestorId };
+  }
+  return null;
+}
+
+export function parentRefs(row) {
+  return { sire: parentRef(row, "sire"), dam: parentRef(row, "dam") };
+}
+
+// Column patch that points `role` at `parent` (or clears it when parent is null).
+export function parentPatch(role, parent) {
+  if (!PARENT_ROLES.includes(role)) throw new Error("Parent role must be sire or dam");
+  return {
+    [`${role}_id`]: parent?.kind === "dog" ? parent.id : null,
+    [`${role}_ancestor_id`]: parent?.kind === "ancestor" ? parent.id : null,
+  };
+}
+
+function toNode(kind, row) {
+  return {
+    key: nodeKey(kind, row.id),
+    kind,
+    id: row.id,
+    name: row.name || "Unnamed",
+    registration_number: row.registration_number || null,
+    breed: row.breed || null,
+    gender: row.gender || null,
+    color: row.color || null,
+    image_url: row.image_url || null,
+    owner_id: kind === "dog" ? row.user_id || null : row.created_by || null,
+    sire: null,
+    dam: null,
+  };
+}
+
+/**
+ * Builds a nested pedigree tree from flat rows.
+ *
+ * @param {{kind: string, id: any}} rootRef - The dog (or ancestor) at the root of the tree.
+ * @param {(ref: {kind: string, id: any}) => object|null} lookup - Resolves a ref to its row.
+ * @param {number} generations - How many generations above the root to include.
+ * @returns {object|null} Root node with `sire` / `dam` children (null when unknown).
+ */
+export function buildPedigreeTree(rootRef, lookup, generations = PEDIGREE_GENERATIONS) {
+  const build = (ref, depth, lineage) => {
+    const key = refKey(ref);
+    if (!key || lineage.has(key)) return null;
+    const row = lookup(ref);
+    if (!row) return null;
+    const node = toNode(ref.kind, row);
+    if (depth >= generations) return node;
+    const nextLineage = new Set(lineage).add(key);
+    for (const role of PARENT_ROLES) {
+      node[role] = build(parentRef(row, role), depth + 1, nextLineage);
+    }
+    return node;
+  };
+  return build(rootRef, 0, new Set());
+}
+
+/**
+ * Lays a tree out as generation columns for rendering.
+ * Column 0 holds the two parents, column 1 the four grandparents, and so on. Each slot keeps
+ * track of the child it belongs to so empty slots can still offer "add parent" actions.
+ */
+export function pedigreeColumns(tree, generations = PEDIGREE_GENERATIONS) {
+  const columns = [];
+  let previous = [{ node: tree }];
+  for (let gen = 0; gen < generations; gen += 1) {
+    const column = [];
+    for (const slot of previous) {
+      for (const role of PARENT_ROLES) {
+        column.push({ node: slot.node ? slot.node[role] : null, role, child: slot.node || null });
+      }
+    }
+    columns.push(column);
+    previous = column;
+  }
+  return columns;
+}
+
+export function countKnownAncestors(tree) {
+  if (!tree) return 0;
+  let total = 0;
+  for (const role of PARENT_ROLES) {
+    if (tree[role]) total += 1 + countKnownAncestors(tree[role]);
+  }
+  return total;
+}
+
+// True when `key` appears anywhere above the root of `tree` (or is the root itself).
+export function treeContains(tree, key) {
+  if (!tree || !key) return false;
+  if (tree.key === key) return true;
+  return PARENT_ROLES.some((role) => treeContains(tree[role], key));
+}
+
+export function roleForGender(gender) {
+  const g = typeof gender === "string" ? gender.toLowerCase() : "";
+  if (g === "male") return "sire";
+  if (g === "female") return "dam";
+  return null;
+}
+
+// Value for a case-insensitive "contains" filter inside a PostgREST `.or()`. It is double-quoted
+// so commas, dots and parentheses in what the user typed stay part of the search term instead
+// of splitting the filter.
+export function containsFilterValue(term) {
+  const escaped = String(term ?? "").replace(/[\\"]/g, (ch) => `\\${ch}`);
+  return `"%${escaped}%"`;
+}
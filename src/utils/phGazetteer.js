@@ -0,0 +1,429 @@
+// Offline gazetteer of Philippine provinces and their main cities/municipalities.
+//
+// Each province lists its capital (or main population centre) first; that entry doubles as
+// the province's coordinates when a dog's city isn't listed. Coordinates are approximate town
+// centres, which is plenty for "how far apart are these dogs" and means no geocoding service
+// is needed. Independent cities are listed under the province they sit in.
+
+// [province, region, [[city, lat, lng], ...]]
+const PROVINCES = [
+  [
+    "Metro Manila",
+    "NCR",
+    [
+      ["Manila", 14.5995, 120.9842],
+      ["Caloocan", 14.6507, 120.9676],
+      ["Las Piñas", 14.4445, 120.9939],
+      ["Makati", 14.5547, 121.0244],
+      ["Malabon", 14.6625, 120.9567],
+      ["Mandaluyong", 14.5794, 121.0359],
+      ["Marikina", 14.6507, 121.1029],
+      ["Muntinlupa", 14.4081, 121.0415],
+      ["Navotas", 14.6667, 120.9417],
+      ["Parañaque", 14.4793, 121.0198],
+      ["Pasay", 14.5378, 121.0014],
+      ["Pasig", 14.5764, 121.0851],
+      ["Pateros", 14.5446, 121.0687],
+      ["Quezon City", 14.676, 121.0437],
+      ["San Juan", 14.6019, 121.0355],
+      ["Taguig", 14.5176, 121.0509],
+      ["Valenzuela", 14.7011, 120.983],
+    ],
+  ],
+  ["Abra", "CAR", [["Bangued", 17.596, 120.617]]],
+  ["Apayao", "CAR", [["Kabugao", 18.023, 121.184]]],
+  [
+    "Benguet",
+    "CAR",
+    [
+      ["La Trinidad", 16.455, 120.587],
+      ["Baguio", 16.4023, 120.596],
+    ],
+  ],
+  ["Ifugao", "CAR", [["Lagawe", 16.796, 121.125]]],
+  ["Kalinga", "CAR", [["Tabuk", 17.4189, 121.4443]]],
+  ["Mountain Province", "CAR", [["Bontoc", 17.089, 120.977]]],
+  ["Ilocos Norte", "Region I", [["Laoag", 18.196, 120.593]]],
+  ["Ilocos Sur", "Region I", [["Vigan", 17.5747, 120.3869]]],
+  ["La Union", "Region I", [["San Fernando", 16.6159, 120.3166]]],
+  [
+    "Pangasinan",
+    "Region I",
+    [
+      ["Lingayen", 16.0218, 120.2319],
+      ["Alaminos", 16.1553, 119.981],
+      ["Dagupan", 16.0433, 120.3333],
+      ["San Carlos", 15.9281, 120.3489],
+      ["Urdaneta", 15.9761, 120.5711],
+    ],
+  ],
+  ["Batanes", "Region II", [["Basco", 20.4487, 121.9702]]],
+  ["Cagayan", "Region II", [["Tuguegarao", 17.6132, 121.727]]],
+  [
+    "Isabela",
+    "Region II",
+    [
+      ["Ilagan", 17.1486, 121.8893],
+      ["Cauayan", 16.9355, 121.772],
+      ["Santiago", 16.688, 121.5487],
+    ],
+  ],
+  ["Nueva Vizcaya", "Region II", [["Bayombong", 16.484, 121.15]]],
+  ["Quirino", "Region II", [["Cabarroguis", 16.51, 121.522]]],
+  ["Aurora", "Region III", [["Baler", 15.7583, 121.5625]]],
+  ["Bataan", "Region III", [["Balanga", 14.676, 120.536]]],
+  [
+    "Bulacan",
+    "Region III",
+    [
+      ["Malolos", 14.8433, 120.8114],
+      ["Meycauayan", 14.7369, 120.9608],
+      ["San Jose del Monte", 14.8139, 121.0453],
+    ],
+  ],
+  [
+    "Nueva Ecija",
+    "Region III",
+    [
+      ["Palayan", 15.5415, 121.0845],
+      ["Cabanatuan", 15.4869, 120.9675],
+      ["San Jose", 15.792, 120.99],
+    ],
+  ],
+  [
+    "Pampanga",
+    "Region III",
+    [
+      ["San Fernando", 15.0286, 120.6898],
+      ["Angeles", 15.145, 120.5887],
+      ["Mabalacat", 15.2216, 120.5736],
+    ],
+  ],
+  ["Tarlac", "Region III", [["Tarlac City", 15.4755, 120.5963]]],
+  [
+    "Zambales",
+    "Region III",
+    [
+      ["Iba", 15.3276, 119.978],
+      ["Olongapo", 14.8292, 120.2828],
+    ],
+  ],
+  [
+    "Batangas",
+    "Region IV-A",
+    [
+      ["Batangas City", 13.7565, 121.0583],
+      ["Lipa", 13.9411, 121.1631],
+      ["Tanauan", 14.0863, 121.1497],
+    ],
+  ],
+  [
+    "Cavite",
+    "Region IV-A",
+    [
+      ["Trece Martires", 14.2806, 120.8664],
+      ["Bacoor", 14.459, 120.929],
+      ["Dasmariñas", 14.3294, 120.9367],
+      ["General Trias", 14.3869, 120.8817],
+      ["Imus", 14.4297, 120.9367],
+      ["Tagaytay", 14.1153, 120.9621],
+    ],
+  ],
+  [
+    "Laguna",
+    "Region IV-A",
+    [
+      ["Santa Cruz", 14.281, 121.416],
+      ["Biñan", 14.3333, 121.0833],
+      ["Calamba", 14.2117, 121.1653],
+      ["San Pablo", 14.0683, 121.3256],
+      ["San Pedro", 14.3595, 121.0473],
+      ["Santa Rosa", 14.3122, 121.1114],
+    ],
+  ],
+  [
+    "Quezon",
+    "Region IV-A",
+    [
+      ["Lucena", 13.9373, 121.617],
+      ["Tayabas", 14.026, 121.592],
+    ],
+  ],
+  [
+    "Rizal",
+    "Region IV-A",
+    [
+      ["Antipolo", 14.5864, 121.176],
+      ["Cainta", 14.5786, 121.1222],
+      ["Taytay", 14.5692, 121.1325],
+    ],
+  ],
+  ["Marinduque", "MIMAROPA", [["Boac", 13.446, 121.84]]],
+  [
+    "Occidental Mindoro",
+    "MIMAROPA",
+    [
+      ["Mamburao", 13.223, 120.596],
+      ["San Jose", 12.3528, 121.0674],
+    ],
+  ],
+  ["Oriental Mindoro", "MIMAROPA", [["Calapan", 13.4117, 121.1803]]],
+  ["Palawan", "MIMAROPA", [["Puerto Princesa", 9.7392, 118.7353]]],
+  ["Romblon", "MIMAROPA", [["Romblon", 12.575, 122.27]]],
+  [
+    "Albay",
+    "Region V",
+    [
+      ["Legazpi", 13.1391, 123.7438],
+      ["Ligao", 13.24, 123.54],
+      ["Tabaco", 13.3587, 123.7337],
+    ],
+  ],
+  ["Camarines Norte", "Region V", [["Daet", 14.1122, 122.9553]]],
+  [
+    "Camarines Sur",
+    "Region V",
+    [
+      ["Pili", 13.5833, 123.3],
+      ["Iriga", 13.421, 123.412],
+      ["Naga", 13.6218, 123.1948],
+    ],
+  ],
+  ["Catanduanes", "Region V", [["Virac", 13.581, 124.23]]],
+  ["Masbate", "Region V", [["Masbate City", 12.37, 123.62]]],
+  ["Sorsogon", "Region V", [["Sorsogon City", 12.9742, 124.0058]]],
+  ["Aklan", "Region VI", [["Kalibo", 11.707, 122.368]]],
+  ["Antique", "Region VI", [["San Jose de Buenavista", 10.743, 121.941]]],
+  ["Capiz", "Region VI", [["Roxas", 11.5853, 122.7511]]],
+  ["Guimaras", "Region VI", [["Jordan", 10.658, 122.596]]],
+  [
+    "Iloilo",
+    "Region VI",
+    [
+      ["Iloilo City", 10.7202, 122.5621],
+      ["Passi", 11.108, 122.641],
+    ],
+  ],
+  [
+    "Negros Occidental",
+    "Region VI",
+    [
+      ["Bacolod", 10.6765, 122.9509],
+      ["Kabankalan", 9.9833, 122.8167],
+      ["Silay", 10.8, 122.967],
+      ["Talisay", 10.7369, 122.967],
+    ],
+  ],
+  ["Bohol", "Region VII", [["Tagbilaran", 9.65, 123.85]]],
+  [
+    "Cebu",
+    "Region VII",
+    [
+      ["Cebu City", 10.3157, 123.8854],
+      ["Danao", 10.52, 124.027],
+      ["Lapu-Lapu", 10.3103, 123.9494],
+      ["Mandaue", 10.3236, 123.9223],
+      ["Talisay", 10.2447, 123.8494],
+      ["Toledo", 10.3773, 123.6386],
+    ],
+  ],
+  [
+    "Negros Oriental",
+    "Region VII",
+    [
+      ["Dumaguete", 9.3068, 123.3054],
+      ["Bais", 9.5907, 123.1213],
+    ],
+  ],
+  ["Siquijor", "Region VII", [["Siquijor", 9.214, 123.515]]],
+  ["Biliran", "Region VIII", [["Naval", 11.562, 124.396]]],
+  ["Eastern Samar", "Region VIII", [["Borongan", 11.608, 125.431]]],
+  [
+    "Leyte",
+    "Region VIII",
+    [
+      ["Tacloban", 11.2444, 125.0039],
+      ["Baybay", 10.678, 124.8],
+      ["Ormoc", 11.0064, 124.6075],
+    ],
+  ],
+  ["Northern Samar", "Region VIII", [["Catarman", 12.499, 124.638]]],
+  [
+    "Samar",
+    "Region VIII",
+    [
+      ["Catbalogan", 11.775, 124.886],
+      ["Calbayog", 12.0667, 124.6],
+    ],
+  ],
+  ["Southern Leyte", "Region VIII", [["Maasin", 10.132, 124.835]]],
+  [
+    "Zamboanga del Norte",
+    "Region IX",
+    [
+      ["Dipolog", 8.5883, 123.3409],
+      ["Dapitan", 8.6549, 123.4243],
+    ],
+  ],
+  [
+    "Zamboanga del Sur",
+    "Region IX",
+    [
+      ["Pagadian", 7.8257, 123.437],
+      ["Zamboanga City", 6.9214, 122.079],
+    ],
+  ],
+  ["Zamboanga Sibugay", "Region IX", [["Ipil", 7.784, 122.587]]],
+  [
+    "Bukidnon",
+    "Region X",
+    [
+      ["Malaybalay", 8.1575, 125.1278],
+      ["Valencia", 7.9064, 125.0942],
+    ],
+  ],
+  ["Camiguin", "Region X", [["Mambajao", 9.25, 124.717]]],
+  [
+    "Lanao del Norte",
+    "Region X",
+    [
+      ["Tubod", 8.054, 123.788],
+      ["Iligan", 8.228, 124.2452],
+    ],
+  ],
+  [
+    "Misamis Occidental",
+    "Region X",
+    [
+      ["Oroquieta", 8.4859, 123.8048],
+      ["Ozamiz", 8.1462, 123.8444],
+    ],
+  ],
+  [
+    "Misamis Oriental",
+    "Region X",
+    [
+      ["Cagayan de Oro", 8.4542, 124.6319],
+      ["El Salvador", 8.563, 124.522],
+      ["Gingoog", 8.8233, 125.1],
+    ],
+  ],
+  ["Davao de Oro", "Region XI", [["Nabunturan", 7.601, 125.966]]],
+  [
+    "Davao del Norte",
+    "Region XI",
+    [
+      ["Tagum", 7.4478, 125.8078],
+      ["Panabo", 7.308, 125.684],
+    ],
+  ],
+  [
+    "Davao del Sur",
+    "Region XI",
+    [
+      ["Digos", 6.7497, 125.3572],
+      ["Davao City", 7.1907, 125.4553],
+    ],
+  ],
+  ["Davao Occidental", "Region XI", [["Malita", 6.415, 125.612]]],
+  ["Davao Oriental", "Region XI", [["Mati", 6.9551, 126.217]]],
+  ["Cotabato", "Region XII", [["Kidapawan", 7.0083, 125.0894]]],
+  ["Sarangani", "Region XII", [["Alabel", 6.102, 125.29]]],
+  [
+    "South Cotabato",
+    "Region XII",
+    [
+      ["Koronadal", 6.5031, 124.8469],
+      ["General Santos", 6.1164, 125.1716],
+    ],
+  ],
+  [
+    "Sultan Kudarat",
+    "Region XII",
+    [
+      ["Isulan", 6.629, 124.605],
+      ["Tacurong", 6.6925, 124.6764],
+    ],
+  ],
+  [
+    "Agusan del Norte",
+    "Caraga",
+    [
+      ["Cabadbaran", 9.123, 125.534],
+      ["Butuan", 8.9475, 125.5406],
+    ],
+  ],
+  [
+    "Agusan del Sur",
+    "Caraga",
+    [
+      ["Prosperidad", 8.605, 125.915],
+      ["Bayugan", 8.714, 125.748],
+    ],
+  ],
+  ["Dinagat Islands", "Caraga", [["San Jose", 10.008, 125.572]]],
+  ["Surigao del Norte", "Caraga", [["Surigao City", 9.7843, 125.4888]]],
+  [
+    "Surigao del Sur",
+    "Caraga",
+    [
+      ["Tandag", 9.0783, 126.1986],
+      ["Bislig", 8.215, 126.316],
+    ],
+  ],
+  [
+    "Basilan",
+    "BARMM",
+    [
+      ["Isabela City", 6.705, 121.971],
+      ["Lamitan", 6.65, 122.1333],
+    ],
+  ],
+  ["Lanao del Sur", "BARMM", [["Marawi", 7.9986, 124.2928]]],
+  [
+    "Maguindanao del Norte",
+    "BARMM",
+    [
+      ["Datu Odin Sinsuat", 7.189, 124.247],
+      ["Cotabato City", 7.2236, 124.2464],
+    ],
+  ],
+  ["Maguindanao del Sur", "BARMM", [["Buluan", 6.715, 124.785]]],
+  ["Sulu", "BARMM", [["Jolo", 6.0535, 121.002]]],
+  ["Tawi-Tawi", "BARMM", [["Bongao", 5.0292, 119.7731]]],
+];
+
+const normalize = (value) => (typeof value === "string" ? value.trim().toLowerCase() : "");
+
+const BY_PROVINCE = new Map(
+  PROVINCES.map(([province, region, cities]) => [
+    normalize(province),
+    {
+      province,
+      region,
+      cities: cities.map(([name, lat, lng]) => ({ name, lat, lng })),
+    },
+  ])
+);
+
+// Province names in alphabetical order, for pickers.
+export const PH_PROVINCES = PROVINCES.map(([province]) => province).sort((a, b) =>
+  a.localeCompare(b)
+);
+
+export function citiesForProvince(province) {
+  const entry = BY_PROVINCE.get(normalize(province));
+  return entry ? entry.cities.map((city) => city.name).sort((a, b) => a.localeCompare(b)) : [];
+}
+
+/**
+ * Coordinates for a province/city pair. Falls back to the province's main centre when the
+ * city isn't in the gazetteer. Returns `{ lat, lng, precision: "city" | "province" }` or null.
+ */
+export function locationCoordinates({ province, city } = {}) {
+  const entry = BY_PROVINCE.get(normalize(province));
+  if (!entry) return null;
+  const match = city ? entry.cities.find((c) => normalize(c.name) === normalize(city)) : null;
+  const point = match || entry.cities[0];
+  return { lat: point.lat, lng: point.lng, precision: match ? "city" : "province" };
+}
@@ -0,0 +1,184 @@
+// Pregnancy tracking between a mating and the outcome of a breeding request. Days are
+// counted from the mating date (day 0); whelping is expected around day 63. The milestone
+// windows below are mirrored by send_pregnancy_reminders() in
+// supabase/sql/match_pregnancies.sql, which reminds the dam's owner two days before each
+// window opens.
+
+import { addDays, differenceInCalendarDays, format, parseISO } from "date-fns";
+
+export const GESTATION_DAYS = 63;
+
+// Normal whelping range in days after mating.
+export const WHELPING_WINDOW = { startDay: 58, endDay: 68 };
+
+// A tracked pregnancy keeps its request from expiring until this many days after the
+// whelping window closes, so the outcome can still be recorded.
+export const PREGNANCY_EXPIRY_GRACE_DAYS = 14;
+
+export const MAX_XRAY_PUPPY_COUNT = 24;
+
+export const ULTRASOUND_RESULTS = {
+  pregnant: "Pregnant",
+  not_pregnant: "Not pregnant",
+};
+
+export const PREGNANCY_MILESTONES = [
+  {
+    key: "ultrasound",
+    label: "Ultrasound window",
+    startDay: 25,
+    endDay: 35,
+    description: "An ultrasound can confirm the pregnancy and show the heartbeats.",
+  },
+  {
+    key: "xray",
+    label: "X-ray puppy count",
+    startDay: 55,
+    endDay: 60,
+    description: "The skeletons show on an X-ray, so the vet can count the puppies.",
+  },
+  {
+    key: "temperature",
+    label: "Temperature monitoring",
+    startDay: 56,
+    endDay: WHELPING_WINDOW.endDay,
+    description:
+      "Take her temperature twice a day; a drop below 37.8 °C (100 °F) usually means whelping within 24 hours.",
+  },
+  {
+    key: "whelping",
+    label: "Whelping window",
+    startDay: WHELPING_WINDOW.startDay,
+    endDay: WHELPING_WINDOW.endDay,
+    description: `Most litters arrive within a few days of day ${GESTATION_DAYS}.`,
+  },
+];
+
+const toDate = (value) => (value instanceof Date ? value : parseISO(String(value)));
+export const isoDay = (date) => format(date, "yyyy-MM-dd");
+
+export const formatPregnancyDay = (value) => (value ? format(toDate(value), "MMM d, yyyy") : "—");
+
+// The request's pregnancy record, whether Supabase embedded it as an object or a list.
+export function matchPregnancy(match) {
+  const rel = match?.pregnancy ?? match?.match_pregnancies;
+  return (Array.isArray(rel) ? rel[0] : rel) || null;
+}
+
+// Pregnancies that ended at the ultrasound no longer need reminders or an expiry hold.
+export function isPregnancyActive(pregnancy) {
+  return Boolean(pregnancy?.mated_on) && pregnancy.ultrasound_result !== "not_pregnant";
+}
+
+export function expectedWhelpingDate(matedOn) {
+  return matedOn ? addDays(toDate(matedOn), GESTATION_DAYS) : null;
+}
+
+/**
+ * Where a pregnancy stands on `today`: `{ matedOn, dueOn, day, daysLeft, milestones }`.
+ * `day` counts from the mating; each milestone carries `startsOn`, `endsOn` (YYYY-MM-DD) and
+ * a `state` of "upcoming", "current" or "past".
+ */
+export function pregnancyTimeline(pregnancy, today = new Date()) {
+  if (!pregnancy?.mated_on) return null;
+  const mated = toDate(pregnancy.mated_on);
+  const day = differenceInCalendarDays(today, mated);
+  const due = expectedWhelpingDate(mated);
+  return {
+    matedOn: isoDay(mated),
+    dueOn: isoDay(due),
+    day,
+    daysLeft: differenceInCalendarDays(due, today),
+    milestones: PREGNANCY_MILESTONES.map((milestone) => ({
+      ...milestone,
+      startsOn: isoDay(addDays(mated, milestone.startDay)),
+      endsOn: isoDay(addDays(mated, milestone.endDay)),
+      state: day < milestone.startDay ? "upcoming" : day > milestone.endDay ? "past" : "current",
+    })),
+  };
+}
+
+// "Whelping expected in 12 days", "Whelping expected today", "3 days past the due date".
+export function formatWhelpingCountdown(timeline) {
+  if (!timeline) return "";
+  const { daysLeft } = timeline;
+  if (daysLeft > 1) return `Whelping expected in ${daysLeft} days`;
+  if (daysLeft === 1) return "Whelping expected tomorrow";
+  if (daysLeft === 0) return "Whelping expected today";
+  const over = -daysLeft;
+  return `${over} ${over === 1 ? "day" : "days"} past the due date`;
+}
+
+// The last moment a tracked pregnancy holds its request open, or null.
+export function pregnancyHoldUntil(pregnancy) {
+  if (!isPregnancyActive(pregnancy)) return null;
+  return addDays(toDate(pregnancy.mated_on), WHELPING_WINDOW.endDay + PREGNANCY_EXPIRY_GRACE_DAYS);
+}
+
+/**
+ * The mating date suggested for a new tracker: the day of the accepted appointment, unless
+ * it is still in the future. Returns YYYY-MM-DD or "".
+ */
+export function suggestedMatingDate(meeting, today = new Date()) {
+  if (!meeting?.starts_at) return "";
+  const start = new Date(meeting.starts_at);
+  if (Number.isNaN(start.getTime()) || start > today) return "";
+  return isoDay(start);
+}
+
+/**
+ * Checks a pregnancy record before it is saved. Returns an error message or null.
+ */
+export function validatePregnancy(draft, today = new Date()) {
+  const todayIso = isoDay(today);
+  const dated = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+  if (!dated(draft?.mated_on)) return "Enter the mating date.";
+  if (draft.mated_on > todayIso) return "The mating date can't be in the future.";
+  for (const [field, label] of [
+    ["ultrasound_on", "ultrasound"],
+    ["xray_on", "X-ray"],
+  ]) {
+    const value = draft[field];
+    if (!value) continue;
+    if (!dated(value)) return `Enter a valid ${label} date.`;
+    if (value < draft.mated_on) return `The ${label} can't be before the mating.`;
+    if (value > todayIso) return `The ${label} date can't be in the future.`;
+  }
+  if (draft.ultrasound_result && !ULTRASOUND_RESULTS[draft.ultrasound_result]) {
+    return "Choose the ultrasound result.";
+  }
+  const count = draft.xray_puppy_count;
+  if (count !== "" && count !== null && count !== undefined) {
+    const n = Number(count);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_XRAY_PUPPY_COUNT) {
+      return `The X-ray count must be a whole number between 0 and ${MAX_XRAY_PUPPY_COUNT}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Values MatchOutcomeModal starts from when a pregnancy was tracked: `{ outcome, litterSize,
+ * notes }`, or null without a tracker.
+ */
+export function outcomePrefill(pregnancy) {
+  if (!pregnancy?.mated_on) return null;
+  const facts = [`Mated on ${formatPregnancyDay(pregnancy.mated_on)}.`];
+  if (pregnancy.ultrasound_result) {
+    facts.push(
+      `Ultrasound${pregnancy.ultrasound_on ? ` on ${formatPregnancyDay(pregnancy.ultrasound_on)}` : ""}: ${ULTRASOUND_RESULTS[pregnancy.ultrasound_result].toLowerCase()}.`
+    );
+  }
+  const count = pregnancy.xray_puppy_count;
+  if (count !== null && count !== undefined && count !== "") {
+    facts.push(`X-ray count: ${count} ${Number(count) === 1 ? "puppy" : "puppies"}.`);
+  }
+  if (pregnancy.ultrasound_result === "not_pregnant") {
+    return { outcome: "failed", litterSize: "0", notes: facts.join(" ") };
+  }
+  return {
+    outcome: "success",
+    litterSize: Number(count) > 0 ? String(count) : "1",
+    notes: facts.join(" "),
+  };
+}
@@ -0,0 +1,170 @@
+// Named scoring profiles for the match engine.
+//
+// A profile decides how many points each component of the breakdown is worth, which pairings
+// are blocked outright, and which partial mismatches cost extra points. `calculateMatchScore`,
+// `calculateMatchDetails` and ScoringInfoModal all read from these definitions, so editing a
+// profile here changes both the math and the explanation.
+
+export const SCORING_COMPONENTS = [
+  "gender",
+  "breed",
+  "age",
+  "size",
+  "weight",
+  "coat",
+  "color",
+  "temperament",
+  "health",
+];
+
+// How each component is scaled between zero and its weight. Shared by every profile.
+export const COMPONENT_RULES = {
+  breed: { exact: 1, relatedGroups: 0.75, sameGroup: 0.5 },
+  age: { lossPerYear: 0.15 },
+  size: { oneStep: 0.5 },
+  temperament: { activity: 0.5, sociability: 0.25, trainability: 0.25 },
+};
+
+// Inbreeding guard. `threshold` is a COI fraction (0.0625 = 6.25%, the COI of a
+// first-cousin mating). Above it the pair is blocked, or with mode "penalize" loses `penalty`
+// points; below it each full percent of COI costs `pointsPerPercent` points.
+export const DEFAULT_COI_OPTIONS = {
+  threshold: 0.0625,
+  mode: "block",
+  penalty: 30,
+  pointsPerPercent: 1,
+};
+
+// Travel distance between the dogs' recorded locations. Up to `freeKm` costs nothing; past
+// that every started 100 km costs `pointsPer100Km` points, capped at `maxPenalty`.
+export const DEFAULT_DISTANCE_OPTIONS = {
+  freeKm: 50,
+  pointsPer100Km: 2,
+  maxPenalty: 10,
+};
+
+const DEFAULT_HARD_STOPS = {
+  blockSizeGap: 2, // size categories apart (small → large is 2)
+  blockWeightDiffKg: 10,
+  blockDoubleMerle: true, // merle × merle can produce M/M puppies
+};
+
+const DEFAULT_DEDUCTIONS = {
+  sizeOneStep: 5, // sizes are one category apart
+  moderateWeightFromKg: 5, // weight gap at which the moderate-weight deduction starts
+  moderateWeight: 5,
+};
+
+export const SCORING_PROFILES = {
+  // The default. It keeps the pre-profile weights for gender, breed, age, size, weight, coat
+  // and colour, but scores lower than the old hardcoded scorer did, on purpose:
+  // - missing data earns nothing (it used to earn the full age, size and weight points);
+  // - coat and colour only score when they match (they always earned 5 and 2);
+  // - temperament stays within its 8 points (matching traits used to add up to 8 more);
+  // - weight loses 1 point per kg instead of 0.8, and sizes one step apart earn 7.5, not 8;
+  // - health clearances are worth 15 points instead of 10, so the weights sum to 100.
+  // A typical Labrador pair with a colour and one trait apart and no clearances scored 86
+  // before and 75 now (see matchmaking.test.js).
+  balanced: {
+    id: "balanced",
+    label: "Balanced",
+    description: "An all-round score for most breeding goals.",
+    weights: {
+      gender: 15,
+      breed: 20,
+      age: 10,
+      size: 15,
+      weight: 10,
+      coat: 5,
+      color: 2,
+      temperament: 8,
+      health: 15,
+    },
+    hardStops: DEFAULT_HARD_STOPS,
+    deductions: DEFAULT_DEDUCTIONS,
+    coi: DEFAULT_COI_OPTIONS,
+    distance: DEFAULT_DISTANCE_OPTIONS,
+  },
+  show_quality: {
+    id: "show_quality",
+    label: "Show quality",
+    description: "Favours breed type, conformation and appearance for the show ring.",
+    weights: {
+      gender: 10,
+      breed: 30,
+      age: 5,
+      size: 15,
+      weight: 10,
+      coat: 10,
+      color: 8,
+      temperament: 2,
+      health: 10,
+    },
+    hardStops: { ...DEFAULT_HARD_STOPS, blockSizeGap: 1, blockWeightDiffKg: 8 },
+    deductions: { sizeOneStep: 0, moderateWeightFromKg: 4, moderateWeight: 5 },
+    coi: DEFAULT_COI_OPTIONS,
+    // Show breeders routinely travel for the right stud
+    distance: { ...DEFAULT_DISTANCE_OPTIONS, pointsPer100Km: 1, maxPenalty: 5 },
+  },
+  working_ability: {
+    id: "working_ability",
+    label: "Working ability",
+    description: "Favours drive, trainability and sound health for working and sport dogs.",
+    weights: {
+      gender: 10,
+      breed: 15,
+      age: 10,
+      size: 10,
+      weight: 10,
+      coat: 0,
+      color: 0,
+      temperament: 25,
+      health: 20,
+    },
+    hardStops: DEFAULT_HARD_STOPS,
+    deductions: DEFAULT_DEDUCTIONS,
+    coi: DEFAULT_COI_OPTIONS,
+    distance: DEFAULT_DISTANCE_OPTIONS,
+  },
+  companion_temperament: {
+    id: "companion_temperament",
+    label: "Companion temperament",
+    description: "Favours calm, sociable temperaments and health for family companions.",
+    weights: {
+      gender: 10,
+      breed: 5,
+      age: 10,
+      size: 10,
+      weight: 10,
+      coat: 3,
+      color: 2,
+      temperament: 30,
+      health: 20,
+    },
+    hardStops: DEFAULT_HARD_STOPS,
+    deductions: DEFAULT_DEDUCTIONS,
+    coi: { ...DEFAULT_COI_OPTIONS, pointsPerPercent: 2 },
+    distance: DEFAULT_DISTANCE_OPTIONS,
+  },
+};
+
+export const DEFAULT_SCORING_PROFILE = "balanced";
+
+export const SCORING_PROFILE_OPTIONS = Object.values(SCORING_PROFILES).map(({ id, label }) => ({
+  id,
+  label,
+}));
+
+/**
+ * Resolves a profile id (or an already-built profile object) to a full profile definition.
+ * Unknown ids fall back to the balanced profile.
+ */
+export function getScoringProfile(profile) {
+  if (profile && typeof profile === "object") return profile;
+  return SCORING_PROFILES[profile] || SCORING_PROFILES[DEFAULT_SCORING_PROFILE];
+}
+
+export function maxProfileScore(profile) {
+  const { weights } = getScoringProfile(profile);
+  return SCORING_COMPONENTS.reduce((sum, key) => sum + (weights[key] || 0), 0);
+}
@@ -0,0 +1,140 @@
+// Stud listings: the terms a male dog's owner offers for stud service, and the helpers the
+// browse page, the profile editor and FindMatchPage share to validate, describe and filter
+// them. Listings are stored in `stud_listings` (supabase/sql/stud_listings.sql).
+
+import { format, parseISO } from "date-fns";
+import { HEALTH_CLEARANCE_LABELS } from "./healthClearances";
+
+export const STUD_FEE_TYPES = {
+  fee: "Stud fee",
+  pick_of_litter: "Pick of litter",
+  fee_and_pick: "Fee + pick of litter",
+  negotiable: "Negotiable",
+};
+
+export const STUD_SERVICE_METHODS = {
+  natural: "Natural",
+  ai_fresh: "AI (fresh)",
+  ai_chilled: "AI (chilled)",
+  ai_frozen: "AI (frozen)",
+};
+
+const FEE_REQUIRED = ["fee", "fee_and_pick"];
+
+// Listings are dated in the owner's local calendar, not UTC
+const todayIso = () => format(new Date(), "yyyy-MM-dd");
+
+/**
+ * Returns the first problem with a listing draft, or null when it can be saved.
+ */
+export function validateStudListing(listing) {
+  if (!STUD_FEE_TYPES[listing.fee_type]) return "Choose how the stud fee is paid.";
+  if (FEE_REQUIRED.includes(listing.fee_type)) {
+    const fee = Number(listing.fee_amount);
+    if (listing.fee_amount === "" || listing.fee_amount == null || !Number.isFinite(fee)) {
+      return "Enter the stud fee.";
+    }
+    if (fee <= 0) return "The stud fee must be more than zero.";
+  }
+  const methods = listing.service_methods || [];
+  if (!methods.length) return "Offer at least one service method.";
+  if (methods.some((method) => !STUD_SERVICE_METHODS[method])) return "Unknown service method.";
+  if ((listing.required_clearances || []).some((key) => !HEALTH_CLEARANCE_LABELS[key])) {
+    return "Unknown health clearance.";
+  }
+  if (
+    listing.available_from &&
+    listing.available_until &&
+    listing.available_until < listing.available_from
+  ) {
+    return "Availability can't end before it starts.";
+  }
+  return null;
+}
+
+/**
+ * Whether a listing is published and its availability covers `date` (YYYY-MM-DD, default
+ * today). Open-ended dates count as available.
+ */
+export function isStudListingAvailable(listing, date = todayIso()) {
+  if (!listing?.is_active) return false;
+  if (listing.available_from && listing.available_from > date) return false;
+  if (listing.available_until && listing.available_until < date) return false;
+  return true;
+}
+
+export function formatStudFee(listing) {
+  const fee = Number(listing.fee_amount);
+  const amount = Number.isFinite(fee) && fee > 0 ? `₱${fee.toLocaleString("en-PH")}` : null;
+  if (listing.fee_type === "fee") return amount ? `${amount} fee` : STUD_FEE_TYPES.fee;
+  if (listing.fee_type === "fee_and_pick") {
+    return amount ? `${amount} + pick of litter` : STUD_FEE_TYPES.fee_and_pick;
+  }
+  return STUD_FEE_TYPES[listing.fee_type] || "Terms on request";
+}
+
+const formatDay = (value) => format(parseISO(value), "MMM d, yyyy");
+
+export function formatStudAvailability(listing) {
+  if (listing.available_from && listing.available_until) {
+    return `${formatDay(listing.available_from)} – ${formatDay(listing.available_until)}`;
+  }
+  if (listing.available_from) return `From ${formatDay(listing.available_from)}`;
+  if (listing.available_until) return `Until ${formatDay(listing.available_until)}`;
+  return "Open";
+}
+
+// "₱15,000 fee · Natural, AI (chilled)"
+export function describeStudTerms(listing) {
+  if (!listing) return "";
+  const methods = (listing.service_methods || [])
+    .map((method) => STUD_SERVICE_METHODS[method] || method)
+    .join(", ");
+  return [formatStudFee(listing), methods].filter(Boolean).join(" · ");
+}
+
+/**
+ * Clearances the listing asks of the female that `female` doesn't have.
+ */
+export function missingStudRequirements(listing, female) {
+  return (listing?.required_clearances || []).filter((key) => female?.[key] !== true);
+}
+
+export const DEFAULT_STUD_FILTERS = {
+  search: "",
+  feeType: "",
+  method: "",
+  maxFee: null,
+  availableOn: "",
+  province: "",
+};
+
+/**
+ * Filters listings (each with its `dog`) for the browse page. A maximum fee keeps listings
+ * without a cash fee, since pick-of-litter and negotiable terms have no amount to compare.
+ */
+export function filterStudListings(listings, filters = DEFAULT_STUD_FILTERS) {
+  const term = (filters.search || "").trim().toLowerCase();
+  return (listings || []).filter((listing) => {
+    const dog = listing.dog || {};
+    if (
+      term &&
+      ![dog.name, dog.breed].some((v) =>
+        String(v || "")
+          .toLowerCase()
+          .includes(term)
+      )
+    ) {
+      return false;
+    }
+    if (filters.feeType && listing.fee_type !== filters.feeType) return false;
+    if (filters.method && !(listing.service_methods || []).includes(filters.method)) return false;
+    if (filters.maxFee !== null && filters.maxFee !== undefined && filters.maxFee !== "") {
+      const fee = Number(listing.fee_amount);
+      if (Number.isFinite(fee) && fee > Number(filters.maxFee)) return false;
+    }
+    if (filters.availableOn && !isStudListingAvailable(listing, filters.availableOn)) return false;
+    if (filters.province && dog.province !== filters.province) return false;
+    return true;
+  });
+}
@@ -0,0 +1,160 @@
+// Breeding welfare rules: how young or old a dog may be bred and how often a female may
+// whelp. Dog registration (`normalizeAge`), match requests (src/lib/matches.js) and
+// FindMatchPage all check dogs against these rules, so changing a value here changes every
+// gate at once. Callers can pass a partial `rules` object to override individual values.
+
+import { parseISO } from "date-fns";
+
+export const DEFAULT_WELFARE_RULES = {
+  // Minimum age in whole years, by sex and size class.
+  minAgeYears: {
+    male: { small: 1, medium: 1, large: 2, giant: 2 },
+    female: { small: 2, medium: 2, large: 2, giant: 3 },
+  },
+  maxAgeYears: { male: 10, female: 7 },
+  // Range used while the dog's sex isn't known yet.
+  defaultAgeYears: { min: 2, max: 7 },
+  // Litter limits apply to females only. A litter is dated by its whelping day.
+  maxLittersPer12Months: 1,
+  maxLittersPer24Months: 2,
+  minRestDaysAfterWhelping: 300,
+  maxLifetimeLitters: 4,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function mergeRules(rules) {
+  if (!rules) return DEFAULT_WELFARE_RULES;
+  return {
+    ...DEFAULT_WELFARE_RULES,
+    ...rules,
+    minAgeYears: {
+      male: { ...DEFAULT_WELFARE_RULES.minAgeYears.male, ...rules.minAgeYears?.male },
+      female: { ...DEFAULT_WELFARE_RULES.minAgeYears.female, ...rules.minAgeYears?.female },
+    },
+    maxAgeYears: { ...DEFAULT_WELFARE_RULES.maxAgeYears, ...rules.maxAgeYears },
+    defaultAgeYears: { ...DEFAULT_WELFARE_RULES.defaultAgeYears, ...rules.defaultAgeYears },
+  };
+}
+
+const sexOf = (dog) => {
+  const sex = String(dog?.gender || dog?.sex || "").toLowerCase();
+  return sex === "male" || sex === "female" ? sex : null;
+};
+
+/**
+ * The breeding age range `{ min, max }` in years for a dog's sex and size. Without a sex the
+ * default range applies; without a size the lowest minimum for that sex does, so a form can
+ * check the age before the size has been entered.
+ */
+export function breedingAgeRange(dog, rules) {
+  const r = mergeRules(rules);
+  const sex = sexOf(dog);
+  if (!sex) return { ...r.defaultAgeYears };
+  const bySize = r.minAgeYears[sex];
+  const size = String(dog?.size || "").toLowerCase();
+  const min = bySize[size] ?? Math.min(...Object.values(bySize));
+  return { min, max: r.maxAgeYears[sex] };
+}
+
+function toDay(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : parseISO(String(value));
+  if (Number.isNaN(date.getTime())) return null;
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Checks a dog against the welfare rules. `litters` is the dog's litter history as
+ * `[{ whelped_on }]` (ignored for males). Returns `{ eligible, reasons, nextEligibleOn }`,
+ * where each reason is `{ code, message }` and `nextEligibleOn` (YYYY-MM-DD) is set when the
+ * only obstacles are litter spacing rules that will lapse.
+ */
+export function evaluateWelfare(dog, litters = [], { rules, today = new Date() } = {}) {
+  const r = mergeRules(rules);
+  const name = dog?.name || "This dog";
+  const reasons = [];
+  let waitUntil = null;
+  const wait = (day) => {
+    if (waitUntil === null || day > waitUntil) waitUntil = day;
+  };
+
+  const age = Number.parseInt(dog?.age_years, 10);
+  if (Number.isFinite(age)) {
+    const { min, max } = breedingAgeRange(dog, r);
+    if (age < min) {
+      reasons.push({
+        code: "too_young",
+        message: `${name} must be at least ${min} years old to breed.`,
+      });
+    } else if (age > max) {
+      reasons.push({
+        code: "too_old",
+        message: `${name} is past the breeding age limit of ${max} years.`,
+      });
+    }
+  }
+
+  if (sexOf(dog) === "female") {
+    const todayDay = toDay(today);
+    const whelped = (litters || [])
+      .map((litter) => toDay(litter.whelped_on))
+      .filter((day) => day !== null && day <= todayDay)
+      .sort((a, b) => b - a);
+
+    if (whelped.length >= r.maxLifetimeLitters) {
+      reasons.push({
+        code: "lifetime_cap",
+        message: `${name} has reached the lifetime limit of ${r.maxLifetimeLitters} litters.`,
+      });
+    }
+
+    const windows = [
+      [12, 365, r.maxLittersPer12Months],
+      [24, 730, r.maxLittersPer24Months],
+    ];
+    for (const [months, days, limit] of windows) {
+      const recent = whelped.filter((day) => todayDay - day < days * DAY_MS);
+      if (recent.length >= limit) {
+        reasons.push({
+          code: `litters_${months}m`,
+          message: `${name} has already had ${recent.length} ${
+            recent.length === 1 ? "litter" : "litters"
+          } in the last ${months} months (limit ${limit}).`,
+        });
+        // The window frees up once the oldest litter that keeps it full drops out.
+        wait(recent[limit - 1] + days * DAY_MS);
+      }
+    }
+
+    if (whelped.length) {
+      const restEnds = whelped[0] + r.minRestDaysAfterWhelping * DAY_MS;
+      if (todayDay < restEnds) {
+        const left = Math.round((restEnds - todayDay) / DAY_MS);
+        reasons.push({
+          code: "rest_period",
+          message: `${name} needs ${left} more ${left === 1 ? "day" : "days"} of rest after her last litter.`,
+        });
+        wait(restEnds);
+      }
+    }
+  }
+
+  const lapses = reasons.every(
+    (reason) => !["too_young", "too_old", "lifetime_cap"].includes(reason.code)
+  );
+  return {
+    eligible: reasons.length === 0,
+    reasons,
+    nextEligibleOn:
+      reasons.length && lapses && waitUntil !== null
+        ? new Date(waitUntil).toISOString().slice(0, 10)
+        : null,
+  };
+}
+
+// One-line summary of why a dog can't be bred, for errors and tooltips.
+export function describeWelfare(evaluation) {
+  if (!evaluation || evaluation.eligible) return "";
+  return evaluation.reasons.map((reason) => reason.message).join(" ");
+}
@@ -0,0 +1,12 @@
+-- Optional breed composition for crossbreeds, as [{ "breed_id": "labrador_retriever",
+-- "percent": 50 }, ...] with ids from src/utils/breedRegistry.js. Shares need not reach 100;
+-- the remainder is unknown ancestry. Null for dogs described by `breed` alone. Safe to re-run.
+
+alter table public.dogs
+  add column if not exists breed_composition jsonb;
+
+alter table public.dogs
+  drop constraint if exists dogs_breed_composition_is_array;
+alter table public.dogs
+  add constraint dogs_breed_composition_is_array
+  check (breed_composition is null or jsonb_typeof(breed_composition) = 'array');
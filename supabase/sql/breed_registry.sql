@@ -0,0 +1,8 @@
+-- Canonical breed id for each dog, matching an id in src/utils/breedRegistry.js. The app
+-- writes it alongside the display name in `breed`; rows saved before this column existed are
+-- resolved client-side from `breed`, so it stays nullable. Safe to re-run.
+
+alter table public.dogs
+  add column if not exists breed_id text;
+
+create index if not exists dogs_breed_id_idx on public.dogs (breed_id);
@@ -0,0 +1,11 @@
+-- Owners can save a size/weight outside their dog's breed standard (see checkBreedStandard in
+-- src/utils/breedRegistry.js) after confirming it. The flag and the warnings they confirmed
+-- are kept so admins can review outliers from the dogs admin page. Safe to re-run.
+
+alter table public.dogs
+  add column if not exists breed_standard_override boolean not null default false,
+  add column if not exists breed_standard_warnings jsonb;
+
+create index if not exists dogs_breed_standard_override_idx
+  on public.dogs (breed_standard_override)
+  where breed_standard_override;
@@ -0,0 +1,13 @@
+-- Known coat color genotypes per dog, keyed by locus: {"E": "E/e", "K": "ky/ky", "M": "M/m"}.
+-- Loci the owner hasn't tested are simply left out. Safe to re-run.
+
+alter table public.dogs
+  add column if not exists color_genotype jsonb not null default '{}'::jsonb;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'dogs_color_genotype_object') then
+    alter table public.dogs add constraint dogs_color_genotype_object
+      check (jsonb_typeof(color_genotype) = 'object');
+  end if;
+end $$;
@@ -0,0 +1,68 @@
+-- Heat-cycle log for female dogs, with progesterone tests taken during each heat.
+--
+-- The app predicts the next breeding window from these rows (src/utils/heatCycle.js), so any
+-- signed-in user can read them; only the dog's owner can write. Safe to re-run.
+
+create table if not exists public.dog_heat_cycles (
+  id bigint generated by default as identity primary key,
+  dog_id bigint not null references public.dogs (id) on delete cascade,
+  started_on date not null,
+  ended_on date,
+  notes text,
+  created_at timestamptz not null default now(),
+  constraint dog_heat_cycles_end_after_start check (ended_on is null or ended_on >= started_on)
+);
+
+create table if not exists public.dog_progesterone_tests (
+  id bigint generated by default as identity primary key,
+  heat_cycle_id bigint not null references public.dog_heat_cycles (id) on delete cascade,
+  tested_on date not null,
+  ng_ml numeric(5, 2) not null check (ng_ml >= 0 and ng_ml <= 100),
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists dog_heat_cycles_dog_start_key
+  on public.dog_heat_cycles (dog_id, started_on);
+create index if not exists dog_progesterone_tests_cycle_idx
+  on public.dog_progesterone_tests (heat_cycle_id, tested_on);
+
+alter table public.dog_heat_cycles enable row level security;
+alter table public.dog_progesterone_tests enable row level security;
+
+drop policy if exists "dog_heat_cycles_select" on public.dog_heat_cycles;
+create policy "dog_heat_cycles_select" on public.dog_heat_cycles
+  for select to authenticated using (true);
+
+drop policy if exists "dog_heat_cycles_write" on public.dog_heat_cycles;
+create policy "dog_heat_cycles_write" on public.dog_heat_cycles
+  for all to authenticated
+  using (exists (select 1 from public.dogs d where d.id = dog_id and d.user_id = auth.uid()))
+  with check (
+    exists (
+      select 1 from public.dogs d
+      where d.id = dog_id and d.user_id = auth.uid() and lower(d.gender) = 'female'
+    )
+  );
+
+drop policy if exists "dog_progesterone_tests_select" on public.dog_progesterone_tests;
+create policy "dog_progesterone_tests_select" on public.dog_progesterone_tests
+  for select to authenticated using (true);
+
+drop policy if exists "dog_progesterone_tests_write" on public.dog_progesterone_tests;
+create policy "dog_progesterone_tests_write" on public.dog_progesterone_tests
+  for all to authenticated
+  using (
+    exists (
+      select 1 from public.dog_heat_cycles c
+      join public.dogs d on d.id = c.dog_id
+      where c.id = heat_cycle_id and d.user_id = auth.uid()
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.dog_heat_cycles c
+      join public.dogs d on d.id = c.dog_id
+      where c.id = heat_cycle_id and d.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,9 @@
+-- Where each dog is kept, as a Philippine province and city/municipality. Coordinates come
+-- from the gazetteer bundled with the app (src/utils/phGazetteer.js), so only the names are
+-- stored here. Both columns are optional. Safe to re-run.
+
+alter table public.dogs
+  add column if not exists province text,
+  add column if not exists city text;
+
+create index if not exists dogs_province_idx on public.dogs (province);
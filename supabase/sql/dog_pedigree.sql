@@ -0,0 +1,71 @@
+-- Pedigree registry: sire/dam links between dogs plus external ancestors that are not on DaBreeder.
+-- Run after the base `dogs` table exists. Safe to re-run.
+
+create table if not exists public.pedigree_ancestors (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  registration_number text,
+  breed text,
+  gender text not null check (gender in ('male', 'female')),
+  color text,
+  sire_id bigint references public.dogs (id) on delete set null,
+  dam_id bigint references public.dogs (id) on delete set null,
+  sire_ancestor_id uuid references public.pedigree_ancestors (id) on delete set null,
+  dam_ancestor_id uuid references public.pedigree_ancestors (id) on delete set null,
+  created_by uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  constraint pedigree_ancestors_single_sire check (sire_id is null or sire_ancestor_id is null),
+  constraint pedigree_ancestors_single_dam check (dam_id is null or dam_ancestor_id is null),
+  constraint pedigree_ancestors_not_own_parent check (
+    sire_ancestor_id is distinct from id and dam_ancestor_id is distinct from id
+  )
+);
+
+alter table public.dogs
+  add column if not exists registration_number text,
+  add column if not exists sire_id bigint references public.dogs (id) on delete set null,
+  add column if not exists dam_id bigint references public.dogs (id) on delete set null,
+  add column if not exists sire_ancestor_id uuid references public.pedigree_ancestors (id) on delete set null,
+  add column if not exists dam_ancestor_id uuid references public.pedigree_ancestors (id) on delete set null;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'dogs_single_sire') then
+    alter table public.dogs add constraint dogs_single_sire
+      check (sire_id is null or sire_ancestor_id is null);
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'dogs_single_dam') then
+    alter table public.dogs add constraint dogs_single_dam
+      check (dam_id is null or dam_ancestor_id is null);
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'dogs_not_own_parent') then
+    alter table public.dogs add constraint dogs_not_own_parent
+      check (sire_id is distinct from id and dam_id is distinct from id);
+  end if;
+end $$;
+
+create unique index if not exists dogs_registration_number_key
+  on public.dogs (lower(registration_number))
+  where registration_number is not null;
+
+create index if not exists dogs_sire_id_idx on public.dogs (sire_id);
+create index if not exists dogs_dam_id_idx on public.dogs (dam_id);
+create index if not exists pedigree_ancestors_created_by_idx on public.pedigree_ancestors (created_by);
+
+alter table public.pedigree_ancestors enable row level security;
+
+drop policy if exists "pedigree_ancestors_select" on public.pedigree_ancestors;
+create policy "pedigree_ancestors_select" on public.pedigree_ancestors
+  for select to authenticated using (true);
+
+drop policy if exists "pedigree_ancestors_insert" on public.pedigree_ancestors;
+create policy "pedigree_ancestors_insert" on public.pedigree_ancestors
+  for insert to authenticated with check (created_by = auth.uid());
+
+drop policy if exists "pedigree_ancestors_update" on public.pedigree_ancestors;
+create policy "pedigree_ancestors_update" on public.pedigree_ancestors
+  for update to authenticated using (created_by = auth.uid()) with check (created_by = auth.uid());
+
+drop policy if exists "pedigree_ancestors_delete" on public.pedigree_ancestors;
+create policy "pedigree_ancestors_delete" on public.pedigree_ancestors
+  for delete to authenticated using (created_by = auth.uid());
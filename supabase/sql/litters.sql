@@ -0,0 +1,147 @@
+-- Litters and the puppies in them.
+--
+-- A litter belongs to a sire and a dam (usually the dogs of a successful breeding request,
+-- linked through match_id) and is dated by its whelping day. Each puppy records its sex,
+-- colour, markings, birth weight and whether it was kept, placed or died. Promoting a puppy
+-- creates a regular `dogs` row with sire_id and dam_id set and stores its id on the puppy.
+--
+-- Litters show on both parents' profiles, so any signed-in user can read them. Only the dam's
+-- owner can record a litter on their own, and only against a request of theirs; the sire's
+-- owner can record one for a successful request they were part of. Owners of either parent
+-- can then edit it. The welfare rules (src/lib/welfare.js) date a female's
+-- litters by these rows once they exist. Safe to re-run.
+
+create table if not exists public.litters (
+  id uuid primary key default gen_random_uuid(),
+  match_id uuid unique references public.dog_match_requests (id) on delete set null,
+  sire_id bigint references public.dogs (id) on delete set null,
+  dam_id bigint not null references public.dogs (id) on delete cascade,
+  whelped_on date not null,
+  notes text,
+  created_by uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint litters_parents_differ check (sire_id is distinct from dam_id)
+);
+
+create table if not exists public.litter_puppies (
+  id uuid primary key default gen_random_uuid(),
+  litter_id uuid not null references public.litters (id) on delete cascade,
+  position smallint not null default 1,
+  name text,
+  sex text not null check (sex in ('male', 'female')),
+  color text,
+  markings text,
+  birth_weight_grams int check (birth_weight_grams is null or birth_weight_grams between 20 and 2000),
+  status text not null default 'kept' check (status in ('kept', 'placed', 'deceased')),
+  dog_id bigint unique references public.dogs (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists litters_sire_idx on public.litters (sire_id, whelped_on desc);
+create index if not exists litters_dam_idx on public.litters (dam_id, whelped_on desc);
+create index if not exists litter_puppies_litter_idx on public.litter_puppies (litter_id, position);
+
+-- True when the signed-in user owns the sire or the dam of the litter.
+create or replace function public.is_litter_owner(p_litter_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.litters l
+    join public.dogs d on d.id in (l.sire_id, l.dam_id)
+    where l.id = p_litter_id and d.user_id = auth.uid()
+  );
+$$;
+
+grant execute on function public.is_litter_owner(uuid) to authenticated;
+
+-- Whether the signed-in user may save a litter with these parents and request. A litter tied to
+-- a request needs that request to have ended in success, with the caller one of its owners and
+-- its two dogs as the sire and the dam, so nobody can claim another pair's request. Without a
+-- request only the dam's owner may record one, so a stranger's litter can never count against
+-- her welfare limits.
+create or replace function public.can_record_litter(
+  p_match_id uuid,
+  p_sire_id bigint,
+  p_dam_id bigint
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when p_match_id is null then exists (
+      select 1 from public.dogs d where d.id = p_dam_id and d.user_id = auth.uid()
+    )
+    else exists (
+      select 1 from public.dog_match_requests r
+      where r.id = p_match_id
+        and r.status = 'completed_success'
+        and auth.uid() in (r.requester_user_id, r.requested_user_id)
+        and p_sire_id is not null
+        and array[r.requester_dog_id, r.requested_dog_id] @> array[p_sire_id, p_dam_id]
+    )
+  end;
+$$;
+
+grant execute on function public.can_record_litter(uuid, bigint, bigint) to authenticated;
+
+alter table public.litters enable row level security;
+alter table public.litter_puppies enable row level security;
+
+drop policy if exists "litters_select" on public.litters;
+create policy "litters_select" on public.litters
+  for select to authenticated using (true);
+
+drop policy if exists "litters_write" on public.litters;
+create policy "litters_write" on public.litters
+  for all to authenticated
+  using (public.is_litter_owner(id))
+  with check (
+    public.can_record_litter(match_id, sire_id, dam_id)
+    and exists (
+      select 1 from public.dogs d where d.id = dam_id and lower(d.gender) = 'female'
+    )
+    and (
+      sire_id is null
+      or exists (select 1 from public.dogs d where d.id = sire_id and lower(d.gender) = 'male')
+    )
+  );
+
+drop policy if exists "litter_puppies_select" on public.litter_puppies;
+create policy "litter_puppies_select" on public.litter_puppies
+  for select to authenticated using (true);
+
+drop policy if exists "litter_puppies_write" on public.litter_puppies;
+create policy "litter_puppies_write" on public.litter_puppies
+  for all to authenticated
+  using (public.is_litter_owner(litter_id))
+  with check (public.is_litter_owner(litter_id));
+
+-- A promoted puppy keeps pointing at its dog profile; it can't be moved to another dog. The
+-- link is only cleared when that profile is deleted.
+create or replace function public.guard_litter_puppy_dog()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.dog_id is not null and new.dog_id is not null and new.dog_id <> old.dog_id then
+    raise exception 'This puppy already has a dog profile.';
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists litter_puppies_guard_dog on public.litter_puppies;
+create trigger litter_puppies_guard_dog
+  before update on public.litter_puppies
+  for each row execute function public.guard_litter_puppy_dog();
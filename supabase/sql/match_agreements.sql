@@ -0,0 +1,133 @@
+-- Breeding agreements attached to breeding requests.
+--
+-- One agreement per request, holding the template terms as jsonb (see
+-- src/utils/breedingAgreement.js). Either owner may edit the terms while the request is
+-- active; every edit bumps `version` and clears both approvals, so an approval always refers
+-- to the exact terms it was given for. approve_match_agreement() records an owner's approval
+-- of a given version and fails if the terms changed in the meantime. Safe to re-run.
+
+create table if not exists public.match_agreements (
+  id uuid primary key default gen_random_uuid(),
+  match_id uuid not null unique references public.dog_match_requests (id) on delete cascade,
+  terms jsonb not null default '{}'::jsonb,
+  version int not null default 1,
+  updated_by uuid default auth.uid() references auth.users (id) on delete set null,
+  requester_approved_version int,
+  requester_approved_at timestamptz,
+  responder_approved_version int,
+  responder_approved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- New terms mean a new version nobody has approved yet; the version never changes otherwise.
+create or replace function public.match_agreements_bump_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.terms is distinct from old.terms then
+    new.version := old.version + 1;
+    new.updated_by := auth.uid();
+    new.updated_at := now();
+    new.requester_approved_version := null;
+    new.requester_approved_at := null;
+    new.responder_approved_version := null;
+    new.responder_approved_at := null;
+  else
+    new.version := old.version;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists match_agreements_bump_version on public.match_agreements;
+create trigger match_agreements_bump_version
+  before update on public.match_agreements
+  for each row execute function public.match_agreements_bump_version();
+
+alter table public.match_agreements enable row level security;
+
+drop policy if exists "match_agreements_select" on public.match_agreements;
+create policy "match_agreements_select" on public.match_agreements
+  for select to authenticated using (
+    exists (
+      select 1 from public.dog_match_requests r
+      where r.id = match_id and auth.uid() in (r.requester_user_id, r.requested_user_id)
+    )
+  );
+
+-- Owners write the terms only; approvals go through approve_match_agreement().
+drop policy if exists "match_agreements_insert" on public.match_agreements;
+create policy "match_agreements_insert" on public.match_agreements
+  for insert to authenticated with check (
+    version = 1
+    and requester_approved_version is null
+    and responder_approved_version is null
+    and exists (
+      select 1 from public.dog_match_requests r
+      where r.id = match_id
+        and r.status in ('pending', 'accepted', 'awaiting_confirmation')
+        and auth.uid() in (r.requester_user_id, r.requested_user_id)
+    )
+  );
+
+drop policy if exists "match_agreements_update" on public.match_agreements;
+create policy "match_agreements_update" on public.match_agreements
+  for update to authenticated
+  using (
+    exists (
+      select 1 from public.dog_match_requests r
+      where r.id = match_id
+        and r.status in ('pending', 'accepted', 'awaiting_confirmation')
+        and auth.uid() in (r.requester_user_id, r.requested_user_id)
+    )
+  )
+  with check (
+    requester_approved_version is null and responder_approved_version is null
+  );
+
+-- Approves `p_version` of the request's agreement for the calling owner.
+create or replace function public.approve_match_agreement(p_match_id uuid, p_version int)
+returns public.match_agreements
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.dog_match_requests;
+  v_agreement public.match_agreements;
+begin
+  select * into v_request from public.dog_match_requests where id = p_match_id;
+  if not found or auth.uid() not in (v_request.requester_user_id, v_request.requested_user_id) then
+    raise exception 'You''re not part of this request';
+  end if;
+  -- The same statuses the insert and update policies accept.
+  if v_request.status not in ('pending', 'accepted', 'awaiting_confirmation') then
+    raise exception 'This request is closed; its agreement can no longer be approved';
+  end if;
+
+  select * into v_agreement from public.match_agreements where match_id = p_match_id for update;
+  if not found then
+    raise exception 'This request has no agreement yet';
+  end if;
+  if v_agreement.version <> p_version then
+    raise exception 'The terms changed since you opened them. Review the new version first';
+  end if;
+
+  if auth.uid() = v_request.requester_user_id then
+    update public.match_agreements
+    set requester_approved_version = p_version, requester_approved_at = now()
+    where id = v_agreement.id
+    returning * into v_agreement;
+  else
+    update public.match_agreements
+    set responder_approved_version = p_version, responder_approved_at = now()
+    where id = v_agreement.id
+    returning * into v_agreement;
+  end if;
+  return v_agreement;
+end;
+$$;
+
+grant execute on function public.approve_match_agreement(uuid, int) to authenticated;
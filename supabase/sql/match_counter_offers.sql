@@ -0,0 +1,195 @@
+-- Counter-offers on breeding requests.
+--
+-- While a request is pending, the owner who received it can propose one of their other dogs
+-- instead of declining. The requester accepts or rejects the counter-offer through
+-- respond_to_match_counter_offer(). Accepting it moves the original request to `superseded`
+-- and creates the updated request, already accepted and awaiting an outcome since both owners
+-- agreed to the pairing. The new request points back at the original through
+-- previous_request_id, so My Matches can show the negotiation trail. Rejecting it leaves the
+-- original request pending.
+--
+-- A request has at most one pending counter-offer. It is withdrawn automatically when the
+-- original request is accepted, declined, cancelled or expires. Run after match_expiry.sql,
+-- which defines the request status check, `superseded` included. Safe to re-run.
+
+alter table public.dog_match_requests add column if not exists superseded_at timestamptz;
+alter table public.dog_match_requests
+  add column if not exists previous_request_id uuid
+    references public.dog_match_requests (id) on delete set null;
+
+create index if not exists dog_match_requests_previous_request_idx
+  on public.dog_match_requests (previous_request_id)
+  where previous_request_id is not null;
+
+create table if not exists public.match_counter_offers (
+  id uuid primary key default gen_random_uuid(),
+  match_id uuid not null references public.dog_match_requests (id) on delete cascade,
+  proposed_dog_id bigint not null references public.dogs (id) on delete cascade,
+  proposed_by uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  message text check (char_length(message) <= 1000),
+  status text not null default 'pending'
+    check (status in ('pending', 'accepted', 'rejected', 'withdrawn')),
+  responded_at timestamptz,
+  new_match_id uuid references public.dog_match_requests (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists match_counter_offers_one_pending_idx
+  on public.match_counter_offers (match_id)
+  where status = 'pending';
+
+create index if not exists match_counter_offers_match_idx
+  on public.match_counter_offers (match_id, created_at);
+
+alter table public.match_counter_offers enable row level security;
+
+drop policy if exists "match_counter_offers_select" on public.match_counter_offers;
+create policy "match_counter_offers_select" on public.match_counter_offers
+  for select to authenticated using (public.is_match_party(match_id));
+
+-- The owner who received a pending request proposes another of their dogs of the same sex as
+-- the one that was requested. Responses go through respond_to_match_counter_offer().
+drop policy if exists "match_counter_offers_insert" on public.match_counter_offers;
+create policy "match_counter_offers_insert" on public.match_counter_offers
+  for insert to authenticated
+  with check (
+    proposed_by = auth.uid()
+    and status = 'pending'
+    and exists (
+      select 1
+      from public.dog_match_requests r
+      join public.dogs requested on requested.id = r.requested_dog_id
+      join public.dogs proposed on proposed.id = proposed_dog_id
+      where r.id = match_id
+        and r.status = 'pending'
+        and r.requested_user_id = auth.uid()
+        and proposed.user_id = auth.uid()
+        and proposed.id <> r.requested_dog_id
+        and lower(proposed.gender) = lower(requested.gender)
+    )
+  );
+
+-- Accepts (creating the updated request) or rejects a pending counter-offer for the requester.
+-- The updated request goes through the lifecycle's accept and await_outcome steps at once, as
+-- acceptMatchRequest() does, so it gets both of their timestamps.
+create or replace function public.respond_to_match_counter_offer(p_offer_id uuid, p_accept boolean)
+returns public.match_counter_offers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_offer public.match_counter_offers;
+  v_request public.dog_match_requests;
+  v_new_id uuid;
+begin
+  select * into v_offer from public.match_counter_offers where id = p_offer_id for update;
+  if not found then
+    raise exception 'Counter-offer not found';
+  end if;
+
+  select * into v_request from public.dog_match_requests where id = v_offer.match_id for update;
+  if auth.uid() is distinct from v_request.requester_user_id then
+    raise exception 'Only the owner who sent the request can answer the counter-offer';
+  end if;
+  if v_offer.status <> 'pending' or v_request.status <> 'pending' then
+    raise exception 'This counter-offer is no longer open';
+  end if;
+
+  if not p_accept then
+    update public.match_counter_offers
+    set status = 'rejected', responded_at = now()
+    where id = v_offer.id
+    returning * into v_offer;
+    return v_offer;
+  end if;
+
+  if not exists (
+    select 1 from public.dogs d
+    where d.id = v_offer.proposed_dog_id and d.user_id = v_request.requested_user_id
+  ) then
+    raise exception 'The proposed dog is no longer available';
+  end if;
+
+  -- Same rule as accepting any request (fetchAwaitingDogIds in src/lib/matches.js): a dog
+  -- can only be in one request awaiting an outcome at a time.
+  if exists (
+    select 1 from public.dog_match_requests r
+    where r.status = 'awaiting_confirmation'
+      and (
+        r.requester_dog_id in (v_request.requester_dog_id, v_offer.proposed_dog_id)
+        or r.requested_dog_id in (v_request.requester_dog_id, v_offer.proposed_dog_id)
+      )
+  ) then
+    raise exception 'One of these dogs is already awaiting the outcome of another breeding';
+  end if;
+
+  update public.match_counter_offers
+  set status = 'accepted', responded_at = now()
+  where id = v_offer.id;
+
+  update public.dog_match_requests
+  set status = 'superseded', superseded_at = now(), last_status_changed_at = now()
+  where id = v_request.id;
+
+  insert into public.dog_match_requests (
+    contact_id,
+    requester_user_id,
+    requested_user_id,
+    requester_dog_id,
+    requested_dog_id,
+    requester_notes,
+    responder_notes,
+    previous_request_id,
+    status,
+    accepted_at,
+    awaiting_confirmation_at,
+    last_status_changed_at
+  )
+  values (
+    v_request.contact_id,
+    v_request.requester_user_id,
+    v_request.requested_user_id,
+    v_request.requester_dog_id,
+    v_offer.proposed_dog_id,
+    v_request.requester_notes,
+    v_offer.message,
+    v_request.id,
+    'awaiting_confirmation',
+    now(),
+    now(),
+    now()
+  )
+  returning id into v_new_id;
+
+  update public.match_counter_offers
+  set new_match_id = v_new_id
+  where id = v_offer.id
+  returning * into v_offer;
+  return v_offer;
+end;
+$$;
+
+grant execute on function public.respond_to_match_counter_offer(uuid, boolean) to authenticated;
+
+-- A counter-offer can't outlive the pending request it answers.
+create or replace function public.withdraw_match_counter_offers()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.match_counter_offers
+  set status = 'withdrawn', responded_at = now()
+  where match_id = new.id and status = 'pending';
+  return new;
+end;
+$$;
+
+drop trigger if exists dog_match_requests_withdraw_counter_offers on public.dog_match_requests;
+create trigger dog_match_requests_withdraw_counter_offers
+  after update of status on public.dog_match_requests
+  for each row
+  when (old.status = 'pending' and new.status <> 'pending')
+  execute function public.withdraw_match_counter_offers();
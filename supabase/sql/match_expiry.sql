@@ -0,0 +1,117 @@
+-- Expiry for breeding requests that never get answered or never get an outcome.
+--
+-- Pending requests expire `pending_days` after they were sent; awaiting_confirmation requests
+-- expire `awaiting_confirmation_days` after they were accepted. Both windows live in the
+-- single-row match_expiry_config table so they can be changed without a deploy; the app reads
+-- the same row to show the countdown on My Matches.
+--
+-- expire_match_requests() moves overdue requests to `expired` and notifies both owners. The
+-- app calls it before it would otherwise be blocked by a stale request, and it runs hourly from
+-- pg_cron (scheduled at the end of this file, so the pg_cron extension must be available) to
+-- expire requests nobody is looking at. Safe to re-run.
+
+alter table public.dog_match_requests add column if not exists expired_at timestamptz;
+
+-- The one definition of the request statuses (src/utils/matchLifecycle.js).
+alter table public.dog_match_requests drop constraint if exists dog_match_requests_status_check;
+alter table public.dog_match_requests add constraint dog_match_requests_status_check
+  check (
+    status in (
+      'pending',
+      'accepted',
+      'declined',
+      'cancelled',
+      'awaiting_confirmation',
+      'completed_success',
+      'completed_failed',
+      'expired',
+      'superseded' -- replaced by an accepted counter-offer (match_counter_offers.sql)
+    )
+  );
+
+create table if not exists public.match_expiry_config (
+  id boolean primary key default true check (id),
+  pending_days int not null default 14 check (pending_days > 0),
+  awaiting_confirmation_days int not null default 30 check (awaiting_confirmation_days > 0),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.match_expiry_config (id) values (true) on conflict (id) do nothing;
+
+alter table public.match_expiry_config enable row level security;
+
+drop policy if exists "match_expiry_config_select" on public.match_expiry_config;
+create policy "match_expiry_config_select" on public.match_expiry_config
+  for select to authenticated using (true);
+
+create index if not exists dog_match_requests_expiry_idx
+  on public.dog_match_requests (status, requested_at)
+  where status in ('pending', 'awaiting_confirmation');
+
+-- Expires every overdue request and returns how many were expired. The windows come from
+-- match_expiry_config only, so callers can't expire requests early.
+create or replace function public.expire_match_requests()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count int;
+begin
+  with cfg as (
+    select pending_days, awaiting_confirmation_days from public.match_expiry_config limit 1
+  ),
+  expired as (
+    update public.dog_match_requests r
+    set status = 'expired', expired_at = now(), last_status_changed_at = now()
+    from cfg
+    where (
+        r.status = 'pending'
+        and r.requested_at < now() - make_interval(days => cfg.pending_days)
+      )
+      or (
+        r.status = 'awaiting_confirmation'
+        and coalesce(r.awaiting_confirmation_at, r.accepted_at, r.requested_at)
+          < now() - make_interval(days => cfg.awaiting_confirmation_days)
+      )
+    returning r.id, r.requester_user_id, r.requested_user_id, r.requester_dog_id,
+      r.requested_dog_id
+  ),
+  owners as (
+    select e.id, e.requester_user_id as user_id, e.requester_dog_id as my_dog_id,
+      e.requested_dog_id as partner_dog_id
+    from expired e
+    union all
+    select e.id, e.requested_user_id, e.requested_dog_id, e.requester_dog_id
+    from expired e
+  ),
+  notified as (
+    insert into public.notifications (user_id, title, message, type, metadata)
+    select
+      o.user_id,
+      'Breeding request expired',
+      format(
+        'The breeding request between %s and %s has expired. You can send a new one from the chat.',
+        coalesce(md.name, 'your dog'),
+        coalesce(pd.name, 'their dog')
+      ),
+      'match_expired',
+      jsonb_build_object('match_id', o.id, 'url', '/my-matches')
+    from owners o
+    left join public.dogs md on md.id = o.my_dog_id
+    left join public.dogs pd on pd.id = o.partner_dog_id
+    where o.user_id is not null
+    returning 1
+  )
+  select count(*) into v_count from expired;
+  return v_count;
+end;
+$$;
+
+grant execute on function public.expire_match_requests() to authenticated;
+
+-- Requests must expire, and their owners hear about it, even when nobody opens the app.
+-- Scheduling a job under an existing name replaces it.
+create extension if not exists pg_cron;
+select cron.schedule('expire-match-requests', '0 * * * *', 'select public.expire_match_requests()');
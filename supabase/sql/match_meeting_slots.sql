@@ -0,0 +1,162 @@
+-- Meeting slots for breeding requests that are awaiting confirmation.
+--
+-- Either owner proposes slots (time, duration, location); the other owner accepts one with
+-- accept_meeting_slot(), which declines the remaining proposals. The accepted slot is the
+-- appointment shown in My Matches and the chat header. send_meeting_reminders() notifies both
+-- owners 24 hours and 2 hours before it. It runs every 15 minutes from pg_cron (scheduled at
+-- the end of this file, so the pg_cron extension must be available); My Matches also calls it
+-- when it loads. Safe to re-run.
+
+create table if not exists public.match_meeting_slots (
+  id uuid primary key default gen_random_uuid(),
+  match_id uuid not null references public.dog_match_requests (id) on delete cascade,
+  proposed_by uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  starts_at timestamptz not null,
+  duration_minutes int not null default 60 check (duration_minutes between 15 and 1440),
+  location text not null check (char_length(btrim(location)) between 1 and 200),
+  notes text,
+  status text not null default 'proposed'
+    check (status in ('proposed', 'accepted', 'declined', 'withdrawn')),
+  responded_at timestamptz,
+  reminded_24h_at timestamptz,
+  reminded_2h_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists match_meeting_slots_match_idx
+  on public.match_meeting_slots (match_id, starts_at);
+create unique index if not exists match_meeting_slots_one_accepted
+  on public.match_meeting_slots (match_id) where status = 'accepted';
+
+alter table public.match_meeting_slots enable row level security;
+
+drop policy if exists "match_meeting_slots_select" on public.match_meeting_slots;
+create policy "match_meeting_slots_select" on public.match_meeting_slots
+  for select to authenticated using (
+    exists (
+      select 1 from public.dog_match_requests r
+      where r.id = match_id and auth.uid() in (r.requester_user_id, r.requested_user_id)
+    )
+  );
+
+drop policy if exists "match_meeting_slots_insert" on public.match_meeting_slots;
+create policy "match_meeting_slots_insert" on public.match_meeting_slots
+  for insert to authenticated with check (
+    proposed_by = auth.uid()
+    and status = 'proposed'
+    and starts_at > now()
+    and exists (
+      select 1 from public.dog_match_requests r
+      where r.id = match_id
+        and r.status = 'awaiting_confirmation'
+        and auth.uid() in (r.requester_user_id, r.requested_user_id)
+    )
+  );
+
+-- Proposers may only withdraw their own open proposals; accepting goes through the function.
+drop policy if exists "match_meeting_slots_withdraw" on public.match_meeting_slots;
+create policy "match_meeting_slots_withdraw" on public.match_meeting_slots
+  for update to authenticated
+  using (proposed_by = auth.uid() and status = 'proposed')
+  with check (proposed_by = auth.uid() and status = 'withdrawn');
+
+-- Accepts a slot proposed by the other owner. Any previous appointment and the remaining
+-- proposals for the match are declined.
+create or replace function public.accept_meeting_slot(p_slot_id uuid)
+returns public.match_meeting_slots
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_slot public.match_meeting_slots;
+begin
+  select s.* into v_slot
+  from public.match_meeting_slots s
+  join public.dog_match_requests r on r.id = s.match_id
+  where s.id = p_slot_id
+    and s.status = 'proposed'
+    and s.starts_at > now()
+    and r.status = 'awaiting_confirmation'
+    and s.proposed_by <> auth.uid()
+    and auth.uid() in (r.requester_user_id, r.requested_user_id)
+  for update of s;
+  if not found then
+    raise exception 'This time can no longer be accepted';
+  end if;
+
+  update public.match_meeting_slots
+  set status = 'declined', responded_at = now()
+  where match_id = v_slot.match_id and id <> v_slot.id and status in ('proposed', 'accepted');
+
+  update public.match_meeting_slots
+  set status = 'accepted', responded_at = now()
+  where id = v_slot.id
+  returning * into v_slot;
+  return v_slot;
+end;
+$$;
+
+grant execute on function public.accept_meeting_slot(uuid) to authenticated;
+
+-- Sends due reminders for accepted appointments on active requests and returns how many
+-- notifications were created. Each reminder is sent once per owner.
+create or replace function public.send_meeting_reminders()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count int := 0;
+  v_rows int;
+  v_hours int;
+begin
+  foreach v_hours in array array[24, 2] loop
+    with due as (
+      update public.match_meeting_slots s
+      set reminded_24h_at = case when v_hours = 24 then now() else s.reminded_24h_at end,
+          reminded_2h_at = case when v_hours = 2 then now() else s.reminded_2h_at end
+      from public.dog_match_requests r
+      where r.id = s.match_id
+        and r.status = 'awaiting_confirmation'
+        and s.status = 'accepted'
+        and s.starts_at > now()
+        and s.starts_at <= now() + make_interval(hours => v_hours)
+        and (case when v_hours = 24 then s.reminded_24h_at else s.reminded_2h_at end) is null
+      returning s.id, s.match_id, s.starts_at, s.location, r.requester_user_id,
+        r.requested_user_id
+    ),
+    owners as (
+      select d.*, d.requester_user_id as user_id from due d
+      union all
+      select d.*, d.requested_user_id from due d
+    )
+    insert into public.notifications (user_id, title, message, type, metadata)
+    select
+      o.user_id,
+      'Upcoming breeding appointment',
+      format(
+        'Your breeding appointment is %s at %s.',
+        case when v_hours = 24 then 'tomorrow' else 'in about 2 hours' end,
+        o.location
+      ),
+      'meeting_reminder',
+      jsonb_build_object(
+        'match_id', o.match_id, 'slot_id', o.id, 'starts_at', o.starts_at, 'url', '/my-matches'
+      )
+    from owners o
+    where o.user_id is not null;
+    get diagnostics v_rows = row_count;
+    v_count := v_count + v_rows;
+  end loop;
+  return v_count;
+end;
+$$;
+
+grant execute on function public.send_meeting_reminders() to authenticated;
+
+-- Reminders must go out even when nobody opens the app. Scheduling a job under an existing
+-- name replaces it.
+create extension if not exists pg_cron;
+select cron.schedule('meeting-reminders', '*/15 * * * *', 'select public.send_meeting_reminders()');
@@ -0,0 +1,512 @@
+-- Two-party confirmation of breeding outcomes, with disputes handled by admins.
+--
+-- An outcome recorded by one owner starts out `pending`. The other owner confirms or disputes
+-- it with respond_to_match_outcome() before `confirm_by` (outcome_confirmation_days after it
+-- was recorded, from match_expiry_config); silence counts as confirmation once the window
+-- lapses (confirm_lapsed_match_outcomes(), run hourly from pg_cron at the end of this file, so
+-- the pg_cron extension must be available). A dispute opens a case in match_outcome_disputes
+-- where both owners add statements and evidence, and an admin resolves it with
+-- resolve_match_dispute(), upholding or correcting the outcome.
+--
+-- The breeding stats on `dogs` (match_completed_count, match_success_count,
+-- match_failure_count, female_successful_matings, male_success_rate) are recounted from
+-- confirmed and resolved outcomes only, so unconfirmed claims never reach profiles or forum
+-- posts. No-shows say nothing about the dogs and are not counted. Older triggers that
+-- incremented these counters on insert are dropped; the recount is the source of truth. The
+-- confirmation state, outcome and litter size can only change through the functions below.
+-- Safe to re-run.
+
+-- Outcomes recorded before this migration keep counting: they are backfilled as confirmed.
+alter table public.dog_match_outcomes
+  add column if not exists confirmation_status text not null default 'confirmed';
+alter table public.dog_match_outcomes alter column confirmation_status set default 'pending';
+alter table public.dog_match_outcomes
+  drop constraint if exists dog_match_outcomes_confirmation_status_check;
+alter table public.dog_match_outcomes add constraint dog_match_outcomes_confirmation_status_check
+  check (confirmation_status in ('pending', 'confirmed', 'disputed', 'resolved'));
+alter table public.dog_match_outcomes add column if not exists confirm_by timestamptz;
+alter table public.dog_match_outcomes add column if not exists confirmed_at timestamptz;
+alter table public.dog_match_outcomes
+  add column if not exists confirmed_by_user_id uuid references auth.users (id) on delete set null;
+alter table public.dog_match_outcomes
+  add column if not exists auto_confirmed boolean not null default false;
+
+alter table public.match_expiry_config
+  add column if not exists outcome_confirmation_days int not null default 14
+    check (outcome_confirmation_days > 0);
+
+create index if not exists dog_match_outcomes_pending_idx
+  on public.dog_match_outcomes (confirm_by)
+  where confirmation_status = 'pending';
+
+-- New outcomes always start pending with a deadline, whatever the client sent, and the other
+-- owner is asked to respond.
+create or replace function public.dog_match_outcomes_start_confirmation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.dog_match_requests;
+  v_other uuid;
+begin
+  new.confirmation_status := 'pending';
+  new.confirmed_at := null;
+  new.confirmed_by_user_id := null;
+  new.auto_confirmed := false;
+  new.confirm_by := now() + make_interval(
+    days => coalesce((select outcome_confirmation_days from public.match_expiry_config limit 1), 14)
+  );
+
+  select * into v_request from public.dog_match_requests where id = new.match_id;
+  v_other := case
+    when new.verified_by_user_id = v_request.requester_user_id then v_request.requested_user_id
+    else v_request.requester_user_id
+  end;
+  if v_other is not null then
+    insert into public.notifications (user_id, title, message, type, metadata)
+    values (
+      v_other,
+      'Confirm the breeding outcome',
+      format(
+        'Your match partner recorded the outcome. Confirm or dispute it by %s, or it will be confirmed automatically.',
+        to_char(new.confirm_by, 'FMMonth FMDD, YYYY')
+      ),
+      'outcome_pending',
+      jsonb_build_object('match_id', new.match_id, 'url', '/my-matches')
+    );
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists dog_match_outcomes_start_confirmation on public.dog_match_outcomes;
+create trigger dog_match_outcomes_start_confirmation
+  before insert on public.dog_match_outcomes
+  for each row execute function public.dog_match_outcomes_start_confirmation();
+
+-- The confirmation state, the outcome and the litter size only change inside
+-- respond_to_match_outcome(), confirm_lapsed_match_outcomes() and resolve_match_dispute(). Those
+-- run as their owner, so an update made directly by a signed-in client is refused here.
+create or replace function public.dog_match_outcomes_guard_update()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if current_user in ('authenticated', 'anon')
+    and (
+      new.confirmation_status is distinct from old.confirmation_status
+      or new.confirm_by is distinct from old.confirm_by
+      or new.confirmed_at is distinct from old.confirmed_at
+      or new.confirmed_by_user_id is distinct from old.confirmed_by_user_id
+      or new.auto_confirmed is distinct from old.auto_confirmed
+      or new.outcome is distinct from old.outcome
+      or new.litter_size is distinct from old.litter_size
+      or new.match_id is distinct from old.match_id
+      or new.verified_by_user_id is distinct from old.verified_by_user_id
+    ) then
+    raise exception 'Outcomes can only be confirmed, disputed or corrected through My Matches';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists dog_match_outcomes_guard_update on public.dog_match_outcomes;
+create trigger dog_match_outcomes_guard_update
+  before update on public.dog_match_outcomes
+  for each row execute function public.dog_match_outcomes_guard_update();
+
+-- Cases -----------------------------------------------------------------------------------
+
+create table if not exists public.match_outcome_disputes (
+  id uuid primary key default gen_random_uuid(),
+  outcome_id uuid not null unique references public.dog_match_outcomes (id) on delete cascade,
+  match_id uuid not null references public.dog_match_requests (id) on delete cascade,
+  opened_by uuid not null references auth.users (id) on delete cascade,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  resolution text check (resolution in ('upheld', 'corrected')),
+  resolved_outcome text check (resolved_outcome in ('success', 'failed', 'no_show')),
+  resolved_litter_size int check (resolved_litter_size is null or resolved_litter_size >= 0),
+  admin_notes text,
+  resolved_by uuid references auth.users (id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.match_dispute_statements (
+  id uuid primary key default gen_random_uuid(),
+  dispute_id uuid not null references public.match_outcome_disputes (id) on delete cascade,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  notes text not null check (char_length(btrim(notes)) between 1 and 4000),
+  evidence_paths text[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists match_outcome_disputes_status_idx
+  on public.match_outcome_disputes (status, created_at desc);
+create index if not exists match_dispute_statements_dispute_idx
+  on public.match_dispute_statements (dispute_id, created_at);
+
+create or replace function public.is_match_party(p_match_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.dog_match_requests r
+    where r.id = p_match_id and auth.uid() in (r.requester_user_id, r.requested_user_id)
+  );
+$$;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin');
+$$;
+
+alter table public.match_outcome_disputes enable row level security;
+alter table public.match_dispute_statements enable row level security;
+
+drop policy if exists "match_outcome_disputes_select" on public.match_outcome_disputes;
+create policy "match_outcome_disputes_select" on public.match_outcome_disputes
+  for select to authenticated using (public.is_match_party(match_id) or public.is_admin());
+
+drop policy if exists "match_dispute_statements_select" on public.match_dispute_statements;
+create policy "match_dispute_statements_select" on public.match_dispute_statements
+  for select to authenticated using (
+    public.is_admin()
+    or exists (
+      select 1 from public.match_outcome_disputes d
+      where d.id = dispute_id and public.is_match_party(d.match_id)
+    )
+  );
+
+-- Either owner can add statements while the case is open.
+drop policy if exists "match_dispute_statements_insert" on public.match_dispute_statements;
+create policy "match_dispute_statements_insert" on public.match_dispute_statements
+  for insert to authenticated with check (
+    user_id = auth.uid()
+    and exists (
+      select 1 from public.match_outcome_disputes d
+      where d.id = dispute_id and d.status = 'open' and public.is_match_party(d.match_id)
+    )
+  );
+
+-- Evidence is attached after upload, so owners may update their own statements while open.
+-- The check repeats the conditions so a statement can't be moved onto another dispute.
+drop policy if exists "match_dispute_statements_update" on public.match_dispute_statements;
+create policy "match_dispute_statements_update" on public.match_dispute_statements
+  for update to authenticated
+  using (
+    user_id = auth.uid()
+    and exists (
+      select 1 from public.match_outcome_disputes d
+      where d.id = dispute_id and d.status = 'open' and public.is_match_party(d.match_id)
+    )
+  )
+  with check (
+    user_id = auth.uid()
+    and exists (
+      select 1 from public.match_outcome_disputes d
+      where d.id = dispute_id and d.status = 'open' and public.is_match_party(d.match_id)
+    )
+  );
+
+-- Evidence files live under <dispute id>/ in a private bucket.
+insert into storage.buckets (id, name, public)
+values ('match-dispute-evidence', 'match-dispute-evidence', false)
+on conflict (id) do nothing;
+
+drop policy if exists "match_dispute_evidence_read" on storage.objects;
+create policy "match_dispute_evidence_read" on storage.objects
+  for select to authenticated using (
+    bucket_id = 'match-dispute-evidence'
+    and (
+      public.is_admin()
+      or exists (
+        select 1 from public.match_outcome_disputes d
+        where d.id::text = split_part(name, '/', 1) and public.is_match_party(d.match_id)
+      )
+    )
+  );
+
+drop policy if exists "match_dispute_evidence_upload" on storage.objects;
+create policy "match_dispute_evidence_upload" on storage.objects
+  for insert to authenticated with check (
+    bucket_id = 'match-dispute-evidence'
+    and exists (
+      select 1 from public.match_outcome_disputes d
+      where d.id::text = split_part(name, '/', 1)
+        and d.status = 'open'
+        and public.is_match_party(d.match_id)
+    )
+  );
+
+-- Stats -----------------------------------------------------------------------------------
+
+create or replace function public.recount_dog_match_stats(p_dog_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_success int;
+  v_failed int;
+begin
+  select
+    count(*) filter (where o.outcome = 'success'),
+    count(*) filter (where o.outcome = 'failed')
+  into v_success, v_failed
+  from public.dog_match_outcomes o
+  join public.dog_match_requests r on r.id = o.match_id
+  where o.confirmation_status in ('confirmed', 'resolved')
+    and p_dog_id in (r.requester_dog_id, r.requested_dog_id);
+
+  update public.dogs d
+  set match_completed_count = v_success + v_failed,
+      match_success_count = v_success,
+      match_failure_count = v_failed,
+      female_successful_matings = case when lower(d.gender) = 'female' then v_success else 0 end,
+      male_success_rate = case
+        when lower(d.gender) = 'male' and v_success + v_failed > 0
+          then round(v_success::numeric / (v_success + v_failed), 4)
+        else 0
+      end
+  where d.id = p_dog_id;
+end;
+$$;
+
+create or replace function public.dog_match_outcomes_recount()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.dog_match_requests;
+begin
+  select * into v_request from public.dog_match_requests
+  where id = coalesce(new.match_id, old.match_id);
+  if found then
+    perform public.recount_dog_match_stats(v_request.requester_dog_id);
+    perform public.recount_dog_match_stats(v_request.requested_dog_id);
+  end if;
+  return null;
+end;
+$$;
+
+-- Drop whatever trigger used to bump the counters when an outcome was inserted, so an
+-- unconfirmed claim can't reach the stats that way.
+do $$
+declare
+  v_trigger record;
+begin
+  for v_trigger in
+    select t.tgname
+    from pg_trigger t
+    where t.tgrelid = 'public.dog_match_outcomes'::regclass
+      and not t.tgisinternal
+      and t.tgname not in (
+        'dog_match_outcomes_start_confirmation',
+        'dog_match_outcomes_guard_update',
+        'dog_match_outcomes_recount'
+      )
+      and pg_get_functiondef(t.tgfoid) ~* '(match_completed_count|match_success_count|match_failure_count|female_successful_matings|male_success_rate)'
+  loop
+    raise notice 'Dropping outcome counter trigger %', v_trigger.tgname;
+    execute format('drop trigger %I on public.dog_match_outcomes', v_trigger.tgname);
+  end loop;
+end;
+$$;
+
+drop trigger if exists dog_match_outcomes_recount on public.dog_match_outcomes;
+create trigger dog_match_outcomes_recount
+  after insert or update or delete on public.dog_match_outcomes
+  for each row execute function public.dog_match_outcomes_recount();
+
+-- Responses -------------------------------------------------------------------------------
+
+-- The owner who didn't record the outcome confirms it or disputes it with a first statement.
+-- Returns the dispute id for disputes, null for confirmations.
+create or replace function public.respond_to_match_outcome(
+  p_outcome_id uuid,
+  p_response text,
+  p_notes text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_outcome public.dog_match_outcomes;
+  v_request public.dog_match_requests;
+  v_dispute_id uuid;
+begin
+  select * into v_outcome from public.dog_match_outcomes where id = p_outcome_id for update;
+  if not found then
+    raise exception 'Outcome not found';
+  end if;
+  select * into v_request from public.dog_match_requests where id = v_outcome.match_id;
+  if auth.uid() not in (v_request.requester_user_id, v_request.requested_user_id)
+    or auth.uid() = v_outcome.verified_by_user_id then
+    raise exception 'Only the other owner can confirm or dispute this outcome';
+  end if;
+  if v_outcome.confirmation_status <> 'pending' or v_outcome.confirm_by < now() then
+    raise exception 'This outcome can no longer be confirmed or disputed';
+  end if;
+
+  if p_response = 'confirm' then
+    update public.dog_match_outcomes
+    set confirmation_status = 'confirmed', confirmed_at = now(), confirmed_by_user_id = auth.uid()
+    where id = p_outcome_id;
+  elsif p_response = 'dispute' then
+    if coalesce(btrim(p_notes), '') = '' then
+      raise exception 'Explain why you dispute this outcome';
+    end if;
+    update public.dog_match_outcomes set confirmation_status = 'disputed' where id = p_outcome_id;
+    insert into public.match_outcome_disputes (outcome_id, match_id, opened_by)
+    values (p_outcome_id, v_outcome.match_id, auth.uid())
+    returning id into v_dispute_id;
+    insert into public.match_dispute_statements (dispute_id, user_id, notes)
+    values (v_dispute_id, auth.uid(), btrim(p_notes));
+  else
+    raise exception 'Unknown response %', p_response;
+  end if;
+
+  if v_outcome.verified_by_user_id is not null then
+    insert into public.notifications (user_id, title, message, type, metadata)
+    values (
+      v_outcome.verified_by_user_id,
+      case when p_response = 'confirm' then 'Outcome confirmed' else 'Outcome disputed' end,
+      case
+        when p_response = 'confirm' then 'Your match partner confirmed the breeding outcome you recorded.'
+        else 'Your match partner disputed the breeding outcome you recorded. Add your side of the story in My Matches; an admin will review the case.'
+      end,
+      case when p_response = 'confirm' then 'outcome_confirmed' else 'outcome_disputed' end,
+      jsonb_build_object('match_id', v_outcome.match_id, 'dispute_id', v_dispute_id, 'url', '/my-matches')
+    );
+  end if;
+  return v_dispute_id;
+end;
+$$;
+
+grant execute on function public.respond_to_match_outcome(uuid, text, text) to authenticated;
+
+-- Confirms every pending outcome whose window has lapsed; returns how many.
+create or replace function public.confirm_lapsed_match_outcomes()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count int;
+begin
+  update public.dog_match_outcomes
+  set confirmation_status = 'confirmed', confirmed_at = now(), auto_confirmed = true
+  where confirmation_status = 'pending' and confirm_by < now();
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+grant execute on function public.confirm_lapsed_match_outcomes() to authenticated;
+
+-- Admins close a case by upholding the recorded outcome or correcting it. A correction also
+-- moves the request to the matching completed_* status.
+create or replace function public.resolve_match_dispute(
+  p_dispute_id uuid,
+  p_resolution text,
+  p_outcome text default null,
+  p_litter_size int default null,
+  p_admin_notes text default null
+)
+returns public.match_outcome_disputes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_dispute public.match_outcome_disputes;
+  v_outcome public.dog_match_outcomes;
+  v_request public.dog_match_requests;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can resolve disputes';
+  end if;
+  select * into v_dispute from public.match_outcome_disputes where id = p_dispute_id for update;
+  if not found or v_dispute.status <> 'open' then
+    raise exception 'This case is already closed';
+  end if;
+  select * into v_outcome from public.dog_match_outcomes where id = v_dispute.outcome_id;
+
+  if p_resolution = 'corrected' then
+    if p_outcome not in ('success', 'failed', 'no_show') then
+      raise exception 'Choose the corrected outcome';
+    end if;
+    if p_outcome = 'success' and coalesce(p_litter_size, 0) < 1 then
+      raise exception 'A successful outcome needs a litter size of at least 1';
+    end if;
+    update public.dog_match_outcomes
+    set outcome = p_outcome,
+        litter_size = case when p_outcome = 'success' then p_litter_size else 0 end,
+        confirmation_status = 'resolved',
+        confirmed_at = now()
+    where id = v_outcome.id;
+    update public.dog_match_requests
+    set status = case when p_outcome = 'success' then 'completed_success' else 'completed_failed' end,
+        last_status_changed_at = now()
+    where id = v_dispute.match_id;
+  elsif p_resolution = 'upheld' then
+    update public.dog_match_outcomes
+    set confirmation_status = 'resolved', confirmed_at = now()
+    where id = v_outcome.id;
+  else
+    raise exception 'Unknown resolution %', p_resolution;
+  end if;
+
+  update public.match_outcome_disputes
+  set status = 'resolved',
+      resolution = p_resolution,
+      resolved_outcome = coalesce(p_outcome, v_outcome.outcome),
+      resolved_litter_size = case when p_resolution = 'corrected' then p_litter_size else v_outcome.litter_size end,
+      admin_notes = nullif(btrim(p_admin_notes), ''),
+      resolved_by = auth.uid(),
+      resolved_at = now()
+  where id = p_dispute_id
+  returning * into v_dispute;
+
+  select * into v_request from public.dog_match_requests where id = v_dispute.match_id;
+  insert into public.notifications (user_id, title, message, type, metadata)
+  select
+    u.user_id,
+    'Outcome dispute resolved',
+    case
+      when p_resolution = 'upheld' then 'An admin reviewed the disputed outcome and upheld it.'
+      else 'An admin reviewed the disputed outcome and corrected it.'
+    end || coalesce(' ' || nullif(btrim(p_admin_notes), ''), ''),
+    'outcome_dispute_resolved',
+    jsonb_build_object('match_id', v_dispute.match_id, 'dispute_id', v_dispute.id, 'url', '/my-matches')
+  from (values (v_request.requester_user_id), (v_request.requested_user_id)) as u (user_id)
+  where u.user_id is not null;
+
+  return v_dispute;
+end;
+$$;
+
+grant execute on function public.resolve_match_dispute(uuid, text, text, int, text) to authenticated;
+
+-- Silence must count as confirmation even when nobody opens the app. Scheduling a job under
+-- an existing name replaces it.
+create extension if not exists pg_cron;
+select cron.schedule('confirm-lapsed-outcomes', '30 * * * *', 'select public.confirm_lapsed_match_outcomes()');
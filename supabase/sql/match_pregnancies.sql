@@ -0,0 +1,217 @@
+-- Pregnancy tracker for a breeding request, from the mating to the whelping.
+--
+-- The dam's owner starts the tracker with the mating date (usually the day of the accepted
+-- appointment, see match_meeting_slots.sql) and logs the ultrasound result and the X-ray puppy
+-- count as they come in. Both owners can read it. The expected whelping date is the mating
+-- date + 63 days; the milestone windows live in src/utils/pregnancy.js and are repeated in
+-- send_pregnancy_reminders() below, keep the two in step. The reminders go out daily from
+-- pg_cron (scheduled at the end of this file, so the pg_cron extension must be available).
+--
+-- A tracked pregnancy holds its request open past the usual awaiting_confirmation window
+-- until 14 days after the whelping window closes (day 82), so expire_match_requests() is
+-- redefined here with that exception. Run after match_expiry.sql and
+-- match_outcome_confirmation.sql. Safe to re-run.
+
+create table if not exists public.match_pregnancies (
+  id uuid primary key default gen_random_uuid(),
+  match_id uuid not null unique references public.dog_match_requests (id) on delete cascade,
+  dam_id bigint not null references public.dogs (id) on delete cascade,
+  mated_on date not null,
+  ultrasound_on date,
+  ultrasound_result text check (ultrasound_result in ('pregnant', 'not_pregnant')),
+  xray_on date,
+  xray_puppy_count smallint check (xray_puppy_count between 0 and 24),
+  notes text,
+  reminded_milestones text[] not null default '{}',
+  created_by uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint match_pregnancies_ultrasound_after_mating
+    check (ultrasound_on is null or ultrasound_on >= mated_on),
+  constraint match_pregnancies_xray_after_mating check (xray_on is null or xray_on >= mated_on)
+);
+
+alter table public.match_pregnancies enable row level security;
+
+drop policy if exists "match_pregnancies_select" on public.match_pregnancies;
+create policy "match_pregnancies_select" on public.match_pregnancies
+  for select to authenticated using (public.is_match_party(match_id));
+
+-- Only the owner of the request's female dog writes, and only while the outcome is pending.
+drop policy if exists "match_pregnancies_write" on public.match_pregnancies;
+create policy "match_pregnancies_write" on public.match_pregnancies
+  for all to authenticated
+  using (exists (select 1 from public.dogs d where d.id = dam_id and d.user_id = auth.uid()))
+  with check (
+    exists (
+      select 1
+      from public.dog_match_requests r
+      join public.dogs d on d.id = dam_id
+      where r.id = match_id
+        and r.status = 'awaiting_confirmation'
+        and dam_id in (r.requester_dog_id, r.requested_dog_id)
+        and d.user_id = auth.uid()
+        and lower(d.gender) = 'female'
+    )
+  );
+
+-- Owners can't mark reminders as sent; send_pregnancy_reminders() does that.
+create or replace function public.guard_match_pregnancy()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.reminded_milestones := '{}';
+  elsif current_user = 'authenticated' then
+    new.reminded_milestones := old.reminded_milestones;
+  end if;
+  -- A new mating date starts the reminders over.
+  if tg_op = 'UPDATE' and new.mated_on is distinct from old.mated_on then
+    new.reminded_milestones := '{}';
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists match_pregnancies_guard on public.match_pregnancies;
+create trigger match_pregnancies_guard
+  before insert or update on public.match_pregnancies
+  for each row execute function public.guard_match_pregnancy();
+
+-- Sends one reminder per milestone to the dam's owner, starting two days before its window
+-- opens, for requests still waiting on an outcome. Returns how many were sent.
+create or replace function public.send_pregnancy_reminders()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count int := 0;
+  v_row record;
+begin
+  for v_row in
+    select p.id, p.match_id, p.mated_on, d.user_id, d.name, m.key, m.label, m.start_day
+    from public.match_pregnancies p
+    join public.dog_match_requests r on r.id = p.match_id
+    join public.dogs d on d.id = p.dam_id
+    cross join (
+      values
+        ('ultrasound', 'Ultrasound window', 25, 35),
+        ('xray', 'X-ray puppy count', 55, 60),
+        ('temperature', 'Temperature monitoring', 56, 68),
+        ('whelping', 'Whelping window', 58, 68)
+    ) as m (key, label, start_day, end_day)
+    where r.status = 'awaiting_confirmation'
+      and p.ultrasound_result is distinct from 'not_pregnant'
+      and current_date >= p.mated_on + m.start_day - 2
+      and current_date <= p.mated_on + m.end_day
+      and not (m.key = any (p.reminded_milestones))
+    order by p.id, m.start_day
+  loop
+    update public.match_pregnancies
+    set reminded_milestones = array_append(reminded_milestones, v_row.key)
+    where id = v_row.id;
+
+    if v_row.user_id is not null then
+      insert into public.notifications (user_id, title, message, type, metadata)
+      values (
+        v_row.user_id,
+        'Pregnancy milestone coming up',
+        format(
+          '%s for %s: from %s (day %s after mating). Expected whelping: %s.',
+          v_row.label,
+          coalesce(v_row.name, 'your dog'),
+          to_char(v_row.mated_on + v_row.start_day, 'FMMon FMDD'),
+          v_row.start_day,
+          to_char(v_row.mated_on + 63, 'FMMon FMDD')
+        ),
+        'pregnancy_milestone',
+        jsonb_build_object(
+          'match_id', v_row.match_id, 'milestone', v_row.key, 'url', '/my-matches'
+        )
+      );
+      v_count := v_count + 1;
+    end if;
+  end loop;
+  return v_count;
+end;
+$$;
+
+grant execute on function public.send_pregnancy_reminders() to authenticated;
+
+-- Same as match_expiry.sql, except that awaiting_confirmation requests with an active
+-- pregnancy tracker stay open until day 82 after the mating.
+create or replace function public.expire_match_requests()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count int;
+begin
+  with cfg as (
+    select pending_days, awaiting_confirmation_days from public.match_expiry_config limit 1
+  ),
+  expired as (
+    update public.dog_match_requests r
+    set status = 'expired', expired_at = now(), last_status_changed_at = now()
+    from cfg
+    where (
+        r.status = 'pending'
+        and r.requested_at < now() - make_interval(days => cfg.pending_days)
+      )
+      or (
+        r.status = 'awaiting_confirmation'
+        and coalesce(r.awaiting_confirmation_at, r.accepted_at, r.requested_at)
+          < now() - make_interval(days => cfg.awaiting_confirmation_days)
+        and not exists (
+          select 1 from public.match_pregnancies p
+          where p.match_id = r.id
+            and p.ultrasound_result is distinct from 'not_pregnant'
+            and current_date < p.mated_on + 82
+        )
+      )
+    returning r.id, r.requester_user_id, r.requested_user_id, r.requester_dog_id,
+      r.requested_dog_id
+  ),
+  owners as (
+    select e.id, e.requester_user_id as user_id, e.requester_dog_id as my_dog_id,
+      e.requested_dog_id as partner_dog_id
+    from expired e
+    union all
+    select e.id, e.requested_user_id, e.requested_dog_id, e.requester_dog_id
+    from expired e
+  ),
+  notified as (
+    insert into public.notifications (user_id, title, message, type, metadata)
+    select
+      o.user_id,
+      'Breeding request expired',
+      format(
+        'The breeding request between %s and %s has expired. You can send a new one from the chat.',
+        coalesce(md.name, 'your dog'),
+        coalesce(pd.name, 'their dog')
+      ),
+      'match_expired',
+      jsonb_build_object('match_id', o.id, 'url', '/my-matches')
+    from owners o
+    left join public.dogs md on md.id = o.my_dog_id
+    left join public.dogs pd on pd.id = o.partner_dog_id
+    where o.user_id is not null
+    returning 1
+  )
+  select count(*) into v_count from expired;
+  return v_count;
+end;
+$$;
+
+grant execute on function public.expire_match_requests() to authenticated;
+
+-- Reminders must go out even when nobody opens the app. Scheduling a job under an existing
+-- name replaces it.
+create extension if not exists pg_cron;
+select cron.schedule('pregnancy-reminders', '0 8 * * *', 'select public.send_pregnancy_reminders()');
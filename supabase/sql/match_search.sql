@@ -0,0 +1,57 @@
+-- Server-side candidate search for FindMatchPage.
+-- Returns visible dogs of the opposite gender inside the safe size/weight band for p_dog_id,
+-- newest first. Pagination is keyset-based on dogs.id: pass the last id of the previous page
+-- as p_after_id. Runs as the caller so the dogs RLS policies still apply. Safe to re-run.
+
+create index if not exists dogs_match_search_idx
+  on public.dogs (lower(gender), id desc);
+
+create or replace function public.search_match_candidates(
+  p_dog_id bigint,
+  p_block_size_gap int default 2,
+  p_block_weight_diff_kg numeric default 10,
+  p_after_id bigint default null,
+  p_limit int default 50
+)
+returns setof public.dogs
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with me as (
+    select
+      d.id,
+      lower(d.gender) as gender,
+      array_position(array['small', 'medium', 'large', 'giant'], lower(d.size)) as size_rank,
+      d.weight_kg
+    from public.dogs d
+    where d.id = p_dog_id
+  )
+  select c.*
+  from public.dogs c
+  cross join me
+  where c.id <> me.id
+    and c.user_id is distinct from auth.uid()
+    and coalesce(c.is_visible, true)
+    and me.gender is not null
+    and lower(c.gender) <> me.gender
+    -- Unknown sizes and weights pass; the client-side scorer gives them no points.
+    and (
+      me.size_rank is null
+      or array_position(array['small', 'medium', 'large', 'giant'], lower(c.size)) is null
+      or abs(array_position(array['small', 'medium', 'large', 'giant'], lower(c.size)) - me.size_rank)
+        < p_block_size_gap
+    )
+    and (
+      me.weight_kg is null
+      or c.weight_kg is null
+      or abs(c.weight_kg - me.weight_kg) < p_block_weight_diff_kg
+    )
+    and (p_after_id is null or c.id < p_after_id)
+  order by c.id desc
+  limit least(greatest(coalesce(p_limit, 50), 1), 100);
+$$;
+
+grant execute on function public.search_match_candidates(bigint, int, numeric, bigint, int)
+  to authenticated;
@@ -0,0 +1,159 @@
+-- Saved Find Match searches and the alerts they have produced.
+--
+-- A saved search is one of the owner's dogs plus a scoring profile, the FindMatchPage filter
+-- query string and a minimum score. When another owner adds a dog or makes one visible, a
+-- trigger queues a pending alert for every opposite-gender search of other owners. The
+-- search's owner then scores the dog with the app's matcher against their own search and
+-- filters (processSavedSearchAlerts in src/lib/savedSearches.js) and settles the alert with
+-- settle_saved_search_alert() before creating the notification, so neither owner ever sees
+-- the other's search. Safe to re-run.
+
+create table if not exists public.saved_match_searches (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  dog_id bigint not null references public.dogs (id) on delete cascade,
+  name text not null check (char_length(btrim(name)) between 1 and 80),
+  profile text not null default 'balanced',
+  filter_query text not null default '',
+  min_score int not null default 70 check (min_score between 0 and 100),
+  alerts_enabled boolean not null default true,
+  last_alert_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists saved_match_searches_user_idx
+  on public.saved_match_searches (user_id, created_at desc);
+create index if not exists saved_match_searches_alerts_idx
+  on public.saved_match_searches (dog_id) where alerts_enabled;
+
+-- One alert per (search, dog), so re-saving or re-showing a dog never notifies twice.
+create table if not exists public.saved_search_alerts (
+  search_id uuid not null references public.saved_match_searches (id) on delete cascade,
+  dog_id bigint not null references public.dogs (id) on delete cascade,
+  status text not null default 'pending',
+  created_at timestamptz not null default now(),
+  settled_at timestamptz,
+  primary key (search_id, dog_id)
+);
+
+-- Earlier versions stored a score reported by the new dog's owner and had no status; those
+-- alerts were all sent.
+alter table public.saved_search_alerts
+  add column if not exists status text not null default 'sent';
+alter table public.saved_search_alerts alter column status set default 'pending';
+alter table public.saved_search_alerts add column if not exists settled_at timestamptz;
+alter table public.saved_search_alerts drop column if exists score;
+alter table public.saved_search_alerts
+  drop constraint if exists saved_search_alerts_status_check;
+alter table public.saved_search_alerts
+  add constraint saved_search_alerts_status_check
+  check (status in ('pending', 'sent', 'skipped'));
+
+create index if not exists saved_search_alerts_pending_idx
+  on public.saved_search_alerts (search_id) where status = 'pending';
+
+alter table public.saved_match_searches enable row level security;
+alter table public.saved_search_alerts enable row level security;
+
+drop policy if exists "saved_match_searches_select" on public.saved_match_searches;
+create policy "saved_match_searches_select" on public.saved_match_searches
+  for select to authenticated using (user_id = auth.uid());
+
+drop policy if exists "saved_match_searches_insert" on public.saved_match_searches;
+create policy "saved_match_searches_insert" on public.saved_match_searches
+  for insert to authenticated with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.dogs d where d.id = dog_id and d.user_id = auth.uid())
+  );
+
+drop policy if exists "saved_match_searches_update" on public.saved_match_searches;
+create policy "saved_match_searches_update" on public.saved_match_searches
+  for update to authenticated using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists "saved_match_searches_delete" on public.saved_match_searches;
+create policy "saved_match_searches_delete" on public.saved_match_searches
+  for delete to authenticated using (user_id = auth.uid());
+
+drop policy if exists "saved_search_alerts_select" on public.saved_search_alerts;
+create policy "saved_search_alerts_select" on public.saved_search_alerts
+  for select to authenticated using (
+    exists (
+      select 1 from public.saved_match_searches s
+      where s.id = search_id and s.user_id = auth.uid()
+    )
+  );
+
+drop function if exists public.saved_searches_for_dog(bigint);
+drop function if exists public.record_saved_search_alert(uuid, bigint, int);
+
+-- Queues an alert for each saved search of another owner that a newly listed or newly visible
+-- dog could satisfy. Only the gender is checked here; scoring and filters are left to the
+-- search's owner.
+create or replace function public.queue_saved_search_alerts()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not coalesce(new.is_visible, true) then
+    return new;
+  end if;
+  if tg_op = 'UPDATE' and coalesce(old.is_visible, true) then
+    return new;
+  end if;
+
+  insert into public.saved_search_alerts (search_id, dog_id)
+  select s.id, new.id
+  from public.saved_match_searches s
+  join public.dogs sd on sd.id = s.dog_id
+  where s.alerts_enabled
+    and s.user_id is distinct from new.user_id
+    and coalesce(sd.is_visible, true)
+    and lower(sd.gender) <> lower(new.gender)
+  on conflict do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists dogs_queue_saved_search_alerts on public.dogs;
+create trigger dogs_queue_saved_search_alerts
+  after insert or update of is_visible on public.dogs
+  for each row execute function public.queue_saved_search_alerts();
+
+-- Settles one of the caller's pending alerts: 'sent' when the dog passed their search, else
+-- 'skipped'. Returns false if the alert was already settled (e.g. in another tab).
+create or replace function public.settle_saved_search_alert(
+  p_search_id uuid,
+  p_dog_id bigint,
+  p_send boolean
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.saved_search_alerts a
+  set status = case when p_send then 'sent' else 'skipped' end,
+      settled_at = now()
+  where a.search_id = p_search_id
+    and a.dog_id = p_dog_id
+    and a.status = 'pending'
+    and exists (
+      select 1 from public.saved_match_searches s
+      where s.id = a.search_id and s.user_id = auth.uid()
+    );
+  if not found then
+    return false;
+  end if;
+
+  if p_send then
+    update public.saved_match_searches set last_alert_at = now() where id = p_search_id;
+  end if;
+  return true;
+end;
+$$;
+
+grant execute on function public.settle_saved_search_alert(uuid, bigint, boolean) to authenticated;
@@ -0,0 +1,53 @@
+-- Stud listings: the terms a male dog's owner offers for stud service.
+--
+-- One listing per dog. Published listings are readable by any signed-in user (the Stud
+-- Listings page and Find Match cards); drafts only by the owner. Only the owner of a male dog
+-- can write. Safe to re-run.
+
+create table if not exists public.stud_listings (
+  id bigint generated by default as identity primary key,
+  dog_id bigint not null unique references public.dogs (id) on delete cascade,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  fee_type text not null
+    check (fee_type in ('fee', 'pick_of_litter', 'fee_and_pick', 'negotiable')),
+  fee_amount numeric(12, 2) check (fee_amount is null or fee_amount > 0),
+  pick_terms text,
+  required_clearances text[] not null default '{}',
+  service_methods text[] not null default '{natural}'
+    check (
+      cardinality(service_methods) > 0
+      and service_methods <@ array['natural', 'ai_fresh', 'ai_chilled', 'ai_frozen']
+    ),
+  available_from date,
+  available_until date,
+  notes text,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint stud_listings_fee_required
+    check (fee_type not in ('fee', 'fee_and_pick') or fee_amount is not null),
+  constraint stud_listings_until_after_from
+    check (available_from is null or available_until is null or available_until >= available_from)
+);
+
+create index if not exists stud_listings_active_idx
+  on public.stud_listings (is_active, created_at desc);
+
+alter table public.stud_listings enable row level security;
+
+drop policy if exists "stud_listings_select" on public.stud_listings;
+create policy "stud_listings_select" on public.stud_listings
+  for select to authenticated
+  using (is_active or user_id = auth.uid());
+
+drop policy if exists "stud_listings_write" on public.stud_listings;
+create policy "stud_listings_write" on public.stud_listings
+  for all to authenticated
+  using (user_id = auth.uid())
+  with check (
+    user_id = auth.uid()
+    and exists (
+      select 1 from public.dogs d
+      where d.id = dog_id and d.user_id = auth.uid() and lower(d.gender) = 'male'
+    )
+  );